@@ -0,0 +1,175 @@
+#!/usr/bin/env node
+/**
+ * PIXELVERSUM - SIMULATION CHECKS
+ *
+ * Scripted headless scenarios with assertions on the resulting game state.
+ * Exits with code 1 when any check fails - run it before committing engine changes.
+ *
+ * Usage:
+ *   node scripts/checkSimulation.mjs              # Run every check
+ *   node scripts/checkSimulation.mjs --verbose    # Keep game logging
+ */
+
+import { format } from 'util';
+import { HeadlessSimulation } from '../src/engine/HeadlessSimulation.js';
+
+const args = process.argv.slice(2);
+
+const assert = (condition, message) => {
+  if (!condition) throw new Error(message);
+};
+
+// Combat scenario of runSimulation.mjs: close in on one fighter and keep firing
+const runCombat = async (seconds, { record = false } = {}) => {
+  const sim = await HeadlessSimulation.create({ seed: 12345 });
+  sim.clearEnemies();
+  sim.spawnEnemy('fighter', { dx: 350, dy: 0 });
+  if (record) sim.startRecording();
+
+  const frames = Math.ceil(seconds / sim.timestep);
+  for (let i = 0; i < frames; i++) {
+    sim.setInput({ keys: i * sim.timestep < 2 ? ['KeyW'] : [], fire: true });
+    sim.step(1);
+  }
+  return sim;
+};
+
+const CHECKS = {
+  'combat is deterministic': async () => {
+    const first = await runCombat(10);
+    const second = await runCombat(10);
+    const checksums = [first.checksum(), second.checksum()];
+    first.destroy();
+    second.destroy();
+    assert(checksums[0] === checksums[1], `checksums differ: ${checksums.join(' vs ')}`);
+  },
+
+  'recording does not change the run': async () => {
+    const first = await runCombat(5, { record: true });
+    const second = await runCombat(5, { record: true });
+    const checksums = [first.checksum(), second.checksum()];
+    first.destroy();
+    second.destroy();
+    assert(checksums[0] === checksums[1], `recorded checksums differ: ${checksums.join(' vs ')}`);
+  },
+
+  'recorded combat replays without divergence': async () => {
+    const recorded = await runCombat(5, { record: true });
+    const replay = recorded.stopRecording();
+    recorded.destroy();
+
+    const sim = await HeadlessSimulation.fromReplay(replay);
+    sim.step(sim.replayPlayer.frameCount);
+    const { mismatch } = sim.replayPlayer;
+    sim.destroy();
+    assert(!mismatch, `replay diverged at frame ${mismatch && mismatch.frame}`);
+  },
+
+  'destroyed enemies are removed and counted': async () => {
+    const sim = await HeadlessSimulation.create({ seed: 12345 });
+    sim.clearEnemies();
+    const enemy = sim.spawnEnemy('fighter', { dx: 600, dy: 0 });
+    enemy.takeDamage(enemy.hp + enemy.shields);
+    enemy.lastDamagedByPlayer = true;
+    sim.step(1);
+    const removed = !sim.game.enemies.includes(enemy);
+    const { kills } = sim.game.player;
+    const state = sim.snapshot();
+    sim.destroy();
+    assert(removed, 'destroyed enemy is still in the game');
+    assert(state.statistics.enemiesDestroyed === 1, `enemiesDestroyed is ${state.statistics.enemiesDestroyed}`);
+    assert(kills === 1, `kills is ${kills}`);
+  },
+
+  'ships lost to hazards are not credited to the player': async () => {
+    const sim = await HeadlessSimulation.create({ seed: 12345 });
+    sim.clearEnemies();
+    const enemy = sim.spawnEnemy('fighter', { dx: 600, dy: 0 });
+    enemy.hp = 0; // As if radiation finished it off
+    sim.step(1);
+    const removed = !sim.game.enemies.includes(enemy);
+    const { kills } = sim.game.player;
+    const state = sim.snapshot();
+    sim.destroy();
+    assert(removed, 'destroyed enemy is still in the game');
+    assert(state.statistics.enemiesDestroyed === 0, `enemiesDestroyed is ${state.statistics.enemiesDestroyed}`);
+    assert(kills === 0, `kills is ${kills}`);
+  },
+
+  'player death respawns in simulation time': async () => {
+    const sim = await HeadlessSimulation.create({ seed: 12345 });
+    sim.clearEnemies();
+    sim.game.player.hull = 0;
+    sim.runFor(1);
+    assert(sim.snapshot().player.isDying, 'player is not dying one second after death');
+    sim.runFor(1.5);
+    const state = sim.snapshot();
+    sim.destroy();
+    assert(!state.player.isDying, 'player did not respawn');
+    assert(state.player.hull > 0, `hull is ${state.player.hull} after respawn`);
+    assert(state.statistics.deaths === 1, `deaths is ${state.statistics.deaths}`);
+    assert(!state.gameOver, 'normal runs must not end');
+  },
+
+  'permadeath ends the run': async () => {
+    const sim = await HeadlessSimulation.create({ seed: 12345, permadeath: true });
+    sim.clearEnemies();
+    sim.game.player.hull = 0;
+    sim.runFor(2.5);
+    const state = sim.snapshot();
+    sim.destroy();
+    assert(state.gameOver, 'permadeath run did not end');
+    assert(state.statistics.deaths === 1, `deaths is ${state.statistics.deaths}`);
+  }
+};
+
+// console.error output a check is allowed to produce - anything else fails it
+const EXPECTED_ERRORS = {
+  // Headless runs have no localStorage for the run's saves
+  'permadeath ends the run': [/localStorage is not defined/]
+};
+
+const run = async () => {
+  // The engine logs a lot while loading - keep the output readable
+  const verbose = args.includes('--verbose');
+  const { log, warn, error } = console;
+  if (!verbose) {
+    console.log = () => {};
+    console.warn = () => {};
+  }
+  let errors = [];
+  console.error = (...parts) => {
+    errors.push(format(...parts));
+    if (verbose) error(...parts);
+  };
+
+  const results = [];
+  for (const [name, check] of Object.entries(CHECKS)) {
+    errors = [];
+    try {
+      await check();
+      const expected = EXPECTED_ERRORS[name] || [];
+      const unexpected = errors.filter(message => !expected.some(pattern => pattern.test(message)));
+      assert(unexpected.length === 0, `logged an error: ${unexpected[0] && unexpected[0].split('\n')[0]}`);
+      results.push({ name, passed: true });
+    } catch (failure) {
+      results.push({ name, passed: false, message: failure.message });
+    }
+  }
+
+  console.log = log;
+  console.warn = warn;
+  console.error = error;
+
+  for (const result of results) {
+    console.log(`${result.passed ? 'PASS' : 'FAIL'}  ${result.name}${result.passed ? '' : ` - ${result.message}`}`);
+  }
+  const failed = results.filter(result => !result.passed).length;
+  console.log(`\n${results.length - failed}/${results.length} checks passed`);
+  if (failed > 0) process.exit(1);
+};
+
+run().catch(error => {
+  console.error('Simulation checks failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,73 @@
+#!/usr/bin/env node
+/**
+ * PIXELVERSUM - REPLAY PLAYER
+ *
+ * Plays a recorded replay (F10 in game, or runSimulation.mjs --record) in the
+ * headless simulation and reports the first frame where the state diverges
+ * from the recording. No mismatch means the session replays deterministically.
+ *
+ * Usage:
+ *   node scripts/runReplay.mjs replay.json                # Play to the end
+ *   node scripts/runReplay.mjs replay.json --seek 1800    # Scrub to a frame (via checkpoints)
+ *   node scripts/runReplay.mjs replay.json --verbose      # Keep game logging
+ */
+
+import { readFileSync } from 'fs';
+import { HeadlessSimulation } from '../src/engine/HeadlessSimulation.js';
+
+const args = process.argv.slice(2);
+const getArg = (name, fallback) => {
+  const index = args.indexOf(`--${name}`);
+  return index >= 0 && args[index + 1] !== undefined ? args[index + 1] : fallback;
+};
+
+const replayPath = args.find((arg, index) => !arg.startsWith('--') && (index === 0 || !args[index - 1].startsWith('--')));
+const seekFrame = getArg('seek', null);
+
+const run = async () => {
+  if (!replayPath) {
+    console.error('Usage: node scripts/runReplay.mjs <replay.json> [--seek frame] [--verbose]');
+    process.exit(1);
+  }
+  const replay = readFileSync(replayPath, 'utf8');
+
+  // The engine logs a lot while loading - keep the output readable
+  const { log, warn } = console;
+  if (!args.includes('--verbose')) {
+    console.log = () => {};
+    console.warn = () => {};
+  }
+
+  const sim = await HeadlessSimulation.fromReplay(replay);
+  const player = sim.replayPlayer;
+
+  // Play everything first so every checkpoint exists, then scrub back
+  sim.step(player.frameCount);
+  if (seekFrame !== null) {
+    sim.withSeededRandom(() => player.seek(parseInt(seekFrame, 10)));
+  }
+
+  const result = {
+    frames: player.frameCount,
+    frame: player.frame,
+    mismatch: player.mismatch,
+    checkpoints: player.getCheckpoints(),
+    checksum: sim.checksum(),
+    snapshot: sim.snapshot()
+  };
+  sim.destroy();
+
+  console.log = log;
+  console.warn = warn;
+
+  console.log(JSON.stringify(result, null, 2));
+  if (result.mismatch) {
+    console.error(`Replay diverged at frame ${result.mismatch.frame} (t=${result.mismatch.time.toFixed(2)}s)`);
+    process.exit(2);
+  }
+};
+
+run().catch(error => {
+  console.error('Replay failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,109 @@
+#!/usr/bin/env node
+/**
+ * PIXELVERSUM - HEADLESS SIMULATION RUNNER
+ *
+ * Runs the game simulation in Node with a fixed timestep (no browser) and
+ * prints a state snapshot plus a checksum. Two runs with the same arguments
+ * produce the same checksum - a changed checksum means changed behaviour.
+ *
+ * Usage:
+ *   node scripts/runSimulation.mjs                        # Idle flight, 10s, seed 12345
+ *   node scripts/runSimulation.mjs --scenario combat      # Player vs. one fighter
+ *   node scripts/runSimulation.mjs --seed 42 --seconds 30
+ *   node scripts/runSimulation.mjs --png frame.png        # Also render the last frame (@napi-rs/canvas)
+ *   node scripts/runSimulation.mjs --record run.json      # Save the run as a replay (see runReplay.mjs)
+ *   node scripts/runSimulation.mjs --verbose              # Keep game logging
+ */
+
+import { writeFileSync } from 'fs';
+import { HeadlessSimulation } from '../src/engine/HeadlessSimulation.js';
+
+const args = process.argv.slice(2);
+const getArg = (name, fallback) => {
+  const index = args.indexOf(`--${name}`);
+  return index >= 0 && args[index + 1] !== undefined ? args[index + 1] : fallback;
+};
+
+const seed = parseInt(getArg('seed', '12345'), 10);
+const seconds = parseFloat(getArg('seconds', '10'));
+const scenario = getArg('scenario', 'idle');
+const pngPath = getArg('png', null);
+const recordPath = getArg('record', null);
+
+// Scenarios: set up the world, then drive input over time
+const SCENARIOS = {
+  idle: {
+    setup: () => {},
+    drive: () => {}
+  },
+  combat: {
+    setup: (sim) => {
+      sim.clearEnemies();
+      sim.spawnEnemy('fighter', { dx: 350, dy: 0 });
+    },
+    drive: (sim, t) => {
+      // Thrust toward the enemy for 2s, then hold position and keep firing
+      sim.setInput({ keys: t < 2 ? ['KeyW'] : [], fire: true });
+    }
+  }
+};
+
+const run = async () => {
+  if (!SCENARIOS[scenario]) {
+    console.error(`Unknown scenario "${scenario}". Available: ${Object.keys(SCENARIOS).join(', ')}`);
+    process.exit(1);
+  }
+
+  let canvas = null;
+  if (pngPath) {
+    const { createCanvas } = await import('@napi-rs/canvas');
+    canvas = createCanvas(1920, 1080);
+  }
+
+  // The engine logs a lot while loading - keep the output readable
+  const { log, warn } = console;
+  if (!args.includes('--verbose')) {
+    console.log = () => {};
+    console.warn = () => {};
+  }
+
+  const sim = await HeadlessSimulation.create({ seed }, { canvas });
+  const { setup, drive } = SCENARIOS[scenario];
+  setup(sim);
+  if (recordPath) sim.startRecording();
+
+  const frames = Math.ceil(seconds / sim.timestep);
+  for (let i = 0; i < frames; i++) {
+    drive(sim, i * sim.timestep);
+    sim.step(1);
+  }
+
+  if (recordPath) {
+    writeFileSync(recordPath, sim.stopRecording());
+  }
+
+  if (canvas) {
+    sim.render();
+    writeFileSync(pngPath, canvas.toBuffer('image/png'));
+  }
+
+  const snapshot = sim.snapshot();
+  const checksum = sim.checksum();
+  sim.destroy();
+
+  console.log = log;
+  console.warn = warn;
+
+  console.log(JSON.stringify({ scenario, seed, seconds, checksum, snapshot }, null, 2));
+  if (pngPath) {
+    console.log(`Frame written to ${pngPath}`);
+  }
+  if (recordPath) {
+    console.log(`Replay written to ${recordPath}`);
+  }
+};
+
+run().catch(error => {
+  console.error('Simulation failed:', error);
+  process.exit(1);
+});
@@ -1,25 +1,39 @@
 import express from 'express';
 import cors from 'cors';
-import { saveGameRouter } from './routes/savegame.js';
-import { leaderboardRouter } from './routes/leaderboard.js';
+import { createSaveGameRouter } from './routes/savegame.js';
+import { createLeaderboardRouter } from './routes/leaderboard.js';
+import { createStore } from './storage/index.js';
 
 const app = express();
 const PORT = process.env.PORT || 3001;
 
+// Storage (file-backed by default, STORAGE=memory for a throwaway store)
+const store = await createStore();
+
 // Middleware
 app.use(cors());
-app.use(express.json());
+app.use(express.json({ limit: '5mb' })); // Full game states exceed the 100kb default
 
 // Routes
-app.use('/api/savegame', saveGameRouter);
-app.use('/api/leaderboard', leaderboardRouter);
+app.use('/api/savegame', createSaveGameRouter(store));
+app.use('/api/leaderboard', createLeaderboardRouter(store));
 
 // Health check
 app.get('/api/health', (req, res) => {
   res.json({ status: 'ok', message: 'PixelVerse API Server Running' });
 });
 
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
   console.log(`🚀 PixelVerse API Server running on port ${PORT}`);
   console.log(`📡 Health check: http://localhost:${PORT}/api/health`);
+  console.log(`💾 Storage: ${process.env.STORAGE || 'file'}`);
 });
+
+// Flush pending writes before exiting
+const shutdown = async () => {
+  server.close();
+  await store.close();
+  process.exit(0);
+};
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
@@ -1,122 +1,129 @@
 import express from 'express';
 
-export const leaderboardRouter = express.Router();
+const COLLECTION = 'leaderboard';
+const MAX_ENTRIES = 100;
+
+export function createLeaderboardRouter(store) {
+  const router = express.Router();
+
+  // Entries sorted by score descending
+  const getLeaderboard = async () => {
+    const entries = await store.list(COLLECTION);
+    return entries
+      .map(entry => entry.value)
+      .sort((a, b) => b.score - a.score || a.timestamp - b.timestamp);
+  };
+
+  // Submit score
+  router.post('/submit', async (req, res) => {
+    try {
+      const { playerId, playerName, score, kills } = req.body;
+
+      // Validate required fields exist
+      if (!playerId || !playerName || score === undefined || kills === undefined) {
+        return res.status(400).json({ error: 'Missing required fields' });
+      }
 
-// In-memory leaderboard (replace with database in production)
-const leaderboard = [];
+      // Validate data types and constraints
+      if (typeof playerId !== 'string' || playerId.length > 100) {
+        return res.status(400).json({ error: 'Invalid playerId format' });
+      }
 
-// Submit score
-leaderboardRouter.post('/submit', (req, res) => {
-  try {
-    const { playerId, playerName, score, kills } = req.body;
+      if (typeof playerName !== 'string' || playerName.length < 1 || playerName.length > 50) {
+        return res.status(400).json({ error: 'Invalid playerName: must be 1-50 characters' });
+      }
 
-    // Validate required fields exist
-    if (!playerId || !playerName || score === undefined || kills === undefined) {
-      return res.status(400).json({ error: 'Missing required fields' });
-    }
+      // Sanitize playerName to prevent XSS
+      const sanitizedName = playerName.replace(/[<>\"'&]/g, '');
+      if (sanitizedName.length === 0) {
+        return res.status(400).json({ error: 'Invalid playerName: contains only special characters' });
+      }
 
-    // Validate data types and constraints
-    if (typeof playerId !== 'string' || playerId.length > 100) {
-      return res.status(400).json({ error: 'Invalid playerId format' });
-    }
+      if (!Number.isInteger(score) || score < 0 || score > 999999999) {
+        return res.status(400).json({ error: 'Invalid score: must be a positive integer' });
+      }
 
-    if (typeof playerName !== 'string' || playerName.length < 1 || playerName.length > 50) {
-      return res.status(400).json({ error: 'Invalid playerName: must be 1-50 characters' });
-    }
+      if (!Number.isInteger(kills) || kills < 0 || kills > 999999) {
+        return res.status(400).json({ error: 'Invalid kills: must be a positive integer' });
+      }
 
-    // Sanitize playerName to prevent XSS
-    const sanitizedName = playerName.replace(/[<>\"'&]/g, '');
-    if (sanitizedName.length === 0) {
-      return res.status(400).json({ error: 'Invalid playerName: contains only special characters' });
-    }
+      const entry = {
+        playerId: playerId.trim(),
+        playerName: sanitizedName.trim(),
+        score,
+        kills,
+        timestamp: Date.now()
+      };
+
+      // Add or update entry (only if new score is higher)
+      const existing = await store.get(COLLECTION, entry.playerId);
+      if (!existing || score > existing.score) {
+        await store.set(COLLECTION, entry.playerId, entry);
+      }
 
-    if (!Number.isInteger(score) || score < 0 || score > 999999999) {
-      return res.status(400).json({ error: 'Invalid score: must be a positive integer' });
-    }
+      // Keep only top 100
+      const leaderboard = await getLeaderboard();
+      for (const dropped of leaderboard.slice(MAX_ENTRIES)) {
+        await store.delete(COLLECTION, dropped.playerId);
+      }
 
-    if (!Number.isInteger(kills) || kills < 0 || kills > 999999) {
-      return res.status(400).json({ error: 'Invalid kills: must be a positive integer' });
+      res.json({
+        success: true,
+        message: 'Score submitted successfully',
+        rank: leaderboard.slice(0, MAX_ENTRIES).findIndex(e => e.playerId === entry.playerId) + 1
+      });
+    } catch (error) {
+      res.status(500).json({ error: 'Failed to submit score' });
     }
+  });
 
-    const entry = {
-      playerId: playerId.trim(),
-      playerName: sanitizedName.trim(),
-      score,
-      kills,
-      timestamp: Date.now()
-    };
-
-    // Add or update entry
-    const existingIndex = leaderboard.findIndex(e => e.playerId === playerId);
-    if (existingIndex !== -1) {
-      // Only update if new score is higher
-      if (score > leaderboard[existingIndex].score) {
-        leaderboard[existingIndex] = entry;
+  // Get leaderboard
+  router.get('/top/:limit?', async (req, res) => {
+    try {
+      const limit = parseInt(req.params.limit || '10');
+
+      // Validate limit parameter
+      if (isNaN(limit) || limit < 1 || limit > 100) {
+        return res.status(400).json({ error: 'Invalid limit: must be between 1 and 100' });
       }
-    } else {
-      leaderboard.push(entry);
+      const leaderboard = await getLeaderboard();
+      const topScores = leaderboard.slice(0, Math.min(limit, MAX_ENTRIES));
+
+      res.json({
+        success: true,
+        leaderboard: topScores
+      });
+    } catch (error) {
+      res.status(500).json({ error: 'Failed to get leaderboard' });
     }
+  });
 
-    // Sort by score descending
-    leaderboard.sort((a, b) => b.score - a.score);
+  // Get player rank
+  router.get('/rank/:playerId', async (req, res) => {
+    try {
+      const { playerId } = req.params;
 
-    // Keep only top 100
-    if (leaderboard.length > 100) {
-      leaderboard.length = 100;
-    }
+      // Validate playerId
+      if (!playerId || typeof playerId !== 'string' || playerId.length > 100) {
+        return res.status(400).json({ error: 'Invalid playerId' });
+      }
+      const leaderboard = await getLeaderboard();
+      const rank = leaderboard.findIndex(e => e.playerId === playerId);
 
-    res.json({
-      success: true,
-      message: 'Score submitted successfully',
-      rank: leaderboard.findIndex(e => e.playerId === playerId) + 1
-    });
-  } catch (error) {
-    res.status(500).json({ error: 'Failed to submit score' });
-  }
-});
-
-// Get leaderboard
-leaderboardRouter.get('/top/:limit?', (req, res) => {
-  try {
-    const limit = parseInt(req.params.limit || '10');
-
-    // Validate limit parameter
-    if (isNaN(limit) || limit < 1 || limit > 100) {
-      return res.status(400).json({ error: 'Invalid limit: must be between 1 and 100' });
-    }
-    const topScores = leaderboard.slice(0, Math.min(limit, 100));
-
-    res.json({
-      success: true,
-      leaderboard: topScores
-    });
-  } catch (error) {
-    res.status(500).json({ error: 'Failed to get leaderboard' });
-  }
-});
-
-// Get player rank
-leaderboardRouter.get('/rank/:playerId', (req, res) => {
-  try {
-    const { playerId } = req.params;
-
-    // Validate playerId
-    if (!playerId || typeof playerId !== 'string' || playerId.length > 100) {
-      return res.status(400).json({ error: 'Invalid playerId' });
-    }
-    const rank = leaderboard.findIndex(e => e.playerId === playerId);
+      if (rank === -1) {
+        return res.status(404).json({ error: 'Player not found in leaderboard' });
+      }
 
-    if (rank === -1) {
-      return res.status(404).json({ error: 'Player not found in leaderboard' });
+      res.json({
+        success: true,
+        rank: rank + 1,
+        entry: leaderboard[rank],
+        total: leaderboard.length
+      });
+    } catch (error) {
+      res.status(500).json({ error: 'Failed to get player rank' });
     }
+  });
 
-    res.json({
-      success: true,
-      rank: rank + 1,
-      entry: leaderboard[rank],
-      total: leaderboard.length
-    });
-  } catch (error) {
-    res.status(500).json({ error: 'Failed to get player rank' });
-  }
-});
+  return router;
+}
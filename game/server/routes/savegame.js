@@ -1,89 +1,162 @@
 import express from 'express';
 
-export const saveGameRouter = express.Router();
+const COLLECTION = 'saves';
+const DEFAULT_SLOT = 'default';
+const MAX_SLOTS_PER_PLAYER = 20;
+const SLOT_PATTERN = /^[a-zA-Z0-9_-]{1,40}$/;
 
-// In-memory storage (replace with database in production)
-const savedGames = new Map();
+const saveKey = (playerId, slot) => `${playerId}:${slot}`;
 
-// Save game state
-saveGameRouter.post('/save', (req, res) => {
-  try {
-    const { playerId, gameState } = req.body;
+const isValidPlayerId = (playerId) =>
+  typeof playerId === 'string' && playerId.length > 0 && playerId.length <= 100 && !playerId.includes(':');
 
-    if (!playerId || !gameState) {
-      return res.status(400).json({ error: 'Missing playerId or gameState' });
+// Summary returned by /list (full gameState only comes from /load)
+const toSummary = (saveData) => {
+  const gameState = saveData.gameState || {};
+  const player = gameState.player || {};
+  return {
+    slot: saveData.slot,
+    timestamp: saveData.timestamp,
+    savedAt: saveData.savedAt || saveData.timestamp,
+    playtime: saveData.playtime || 0,
+    saveName: saveData.saveName || null,
+    callsign: gameState.callsign || player.callsign || null,
+    shipName: gameState.shipName || player.shipName || null,
+    credits: gameState.credits ?? player.credits ?? 0
+  };
+};
+
+export function createSaveGameRouter(store) {
+  const router = express.Router();
+
+  const listPlayerSaves = async (playerId) => {
+    const entries = await store.list(COLLECTION, `${playerId}:`);
+    return entries
+      .map(entry => entry.value)
+      .sort((a, b) => b.timestamp - a.timestamp);
+  };
+
+  // Save game state (optional slot, defaults to "default")
+  router.post('/save', async (req, res) => {
+    try {
+      const { playerId, gameState, saveName } = req.body;
+      const slot = req.body.slot || DEFAULT_SLOT;
+
+      if (!playerId || !gameState) {
+        return res.status(400).json({ error: 'Missing playerId or gameState' });
+      }
+
+      if (!isValidPlayerId(playerId)) {
+        return res.status(400).json({ error: 'Invalid playerId format' });
+      }
+
+      if (typeof slot !== 'string' || !SLOT_PATTERN.test(slot)) {
+        return res.status(400).json({ error: 'Invalid slot: use 1-40 letters, numbers, "_" or "-"' });
+      }
+
+      const existing = await store.get(COLLECTION, saveKey(playerId, slot));
+      if (!existing) {
+        const saves = await listPlayerSaves(playerId);
+        if (saves.length >= MAX_SLOTS_PER_PLAYER) {
+          return res.status(409).json({ error: `Slot limit reached (${MAX_SLOTS_PER_PLAYER})` });
+        }
+      }
+
+      const saveData = {
+        playerId,
+        slot,
+        saveName: typeof saveName === 'string' ? saveName.slice(0, 100) : null,
+        playtime: Number.isFinite(gameState.playtime) ? gameState.playtime : 0,
+        gameState,
+        timestamp: Date.now(),
+        // Client-side save time, used by clients to resolve sync conflicts
+        savedAt: Number.isFinite(gameState.timestamp) ? gameState.timestamp : Date.now()
+      };
+
+      await store.set(COLLECTION, saveKey(playerId, slot), saveData);
+
+      res.json({
+        success: true,
+        message: 'Game saved successfully',
+        slot,
+        timestamp: saveData.timestamp
+      });
+    } catch (error) {
+      console.error('Failed to save game:', error);
+      res.status(500).json({ error: 'Failed to save game' });
     }
+  });
 
-    const saveData = {
-      playerId,
-      gameState,
-      timestamp: Date.now()
-    };
-
-    savedGames.set(playerId, saveData);
-
-    res.json({
-      success: true,
-      message: 'Game saved successfully',
-      timestamp: saveData.timestamp
-    });
-  } catch (error) {
-    console.error('Failed to save game:', error);
-    res.status(500).json({ error: 'Failed to save game' });
-  }
-});
-
-// Load game state
-saveGameRouter.get('/load/:playerId', (req, res) => {
-  try {
-    const { playerId } = req.params;
-
-    const saveData = savedGames.get(playerId);
-
-    if (!saveData) {
-      return res.status(404).json({ error: 'No save data found' });
+  // Load game state (specific slot, or most recent save when no slot is given)
+  router.get('/load/:playerId/:slot?', async (req, res) => {
+    try {
+      const { playerId, slot } = req.params;
+
+      let saveData = null;
+      if (slot) {
+        saveData = await store.get(COLLECTION, saveKey(playerId, slot));
+      } else {
+        const saves = await listPlayerSaves(playerId);
+        saveData = saves[0] || null;
+      }
+
+      if (!saveData) {
+        return res.status(404).json({ error: 'No save data found' });
+      }
+
+      res.json({
+        success: true,
+        slot: saveData.slot,
+        gameState: saveData.gameState,
+        timestamp: saveData.timestamp,
+        savedAt: saveData.savedAt || saveData.timestamp
+      });
+    } catch (error) {
+      console.error('Failed to load game:', error);
+      res.status(500).json({ error: 'Failed to load game' });
+    }
+  });
+
+  // List all saves for a player
+  router.get('/list/:playerId', async (req, res) => {
+    try {
+      const { playerId } = req.params;
+      const saves = await listPlayerSaves(playerId);
+
+      res.json({
+        success: true,
+        saves: saves.map(toSummary)
+      });
+    } catch (error) {
+      console.error('Failed to list saves:', error);
+      res.status(500).json({ error: 'Failed to list saves' });
     }
+  });
+
+  // Delete one slot, or every save of the player when no slot is given
+  router.delete('/delete/:playerId/:slot?', async (req, res) => {
+    try {
+      const { playerId, slot } = req.params;
+
+      const keys = slot
+        ? [saveKey(playerId, slot)]
+        : (await store.list(COLLECTION, `${playerId}:`)).map(entry => entry.key);
 
-    res.json({
-      success: true,
-      gameState: saveData.gameState,
-      timestamp: saveData.timestamp
-    });
-  } catch (error) {
-    console.error('Failed to load game:', error);
-    res.status(500).json({ error: 'Failed to load game' });
-  }
-});
-
-// List all saves for a player
-saveGameRouter.get('/list/:playerId', (req, res) => {
-  try {
-    const { playerId } = req.params;
-    const saveData = savedGames.get(playerId);
-
-    res.json({
-      success: true,
-      saves: saveData ? [saveData] : []
-    });
-  } catch (error) {
-    console.error('Failed to list saves:', error);
-    res.status(500).json({ error: 'Failed to list saves' });
-  }
-});
-
-// Delete save
-saveGameRouter.delete('/delete/:playerId', (req, res) => {
-  try {
-    const { playerId } = req.params;
-
-    if (savedGames.has(playerId)) {
-      savedGames.delete(playerId);
-      res.json({ success: true, message: 'Save deleted successfully' });
-    } else {
-      res.status(404).json({ error: 'No save data found' });
+      let deleted = 0;
+      for (const key of keys) {
+        if (await store.delete(COLLECTION, key)) deleted++;
+      }
+
+      if (deleted > 0) {
+        res.json({ success: true, message: 'Save deleted successfully', deleted });
+      } else {
+        res.status(404).json({ error: 'No save data found' });
+      }
+    } catch (error) {
+      console.error('Failed to delete save:', error);
+      res.status(500).json({ error: 'Failed to delete save' });
     }
-  } catch (error) {
-    console.error('Failed to delete save:', error);
-    res.status(500).json({ error: 'Failed to delete save' });
-  }
-});
+  });
+
+  return router;
+}
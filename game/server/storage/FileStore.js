@@ -0,0 +1,254 @@
+/**
+ * FileStore - File-backed JSON storage adapter (no external database)
+ *
+ * Features:
+ * - One directory per collection, one JSON file per record ({ key, value })
+ * - Atomic writes: write to <file>.tmp, fsync, rename over <file>, then fsync the directory
+ * - Previous good version of a record kept as <file>.bak
+ * - Crash recovery on startup: corrupt/missing record falls back to .tmp or .bak
+ * - Memory is only updated once the write reached the disk
+ * - Writes per collection are serialized through a promise queue
+ * - Collections from the older single-file layout (<collection>.json) are imported on first access
+ */
+import fs from 'fs/promises';
+import path from 'path';
+
+const RECORD_FILE = /^(.+)\.json(\.tmp|\.bak)?$/;
+
+// Platforms that cannot open or fsync a directory (Windows)
+const UNSYNCABLE_DIR_ERRORS = new Set(['EISDIR', 'EPERM', 'EINVAL', 'EACCES']);
+
+export class FileStore {
+  constructor(dataDir) {
+    this.dataDir = dataDir;
+    this.collections = new Map(); // name -> Map(key -> value)
+    this.loading = new Map(); // name -> Promise<Map>
+    this.writeQueues = new Map(); // name -> Promise
+  }
+
+  async init() {
+    await fs.mkdir(this.dataDir, { recursive: true });
+    return this;
+  }
+
+  collectionDir(collection) {
+    return path.join(this.dataDir, collection);
+  }
+
+  recordPath(collection, key) {
+    return path.join(this.collectionDir(collection), `${encodeURIComponent(key)}.json`);
+  }
+
+  /**
+   * Read and parse a JSON file, returning null if missing or corrupt
+   */
+  async readJson(file) {
+    try {
+      const text = await fs.readFile(file, 'utf8');
+      const data = JSON.parse(text);
+      return data && typeof data === 'object' ? data : null;
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn(`[FileStore] Could not read ${file}: ${error.message}`);
+      }
+      return null;
+    }
+  }
+
+  /**
+   * Read a file, falling back to the .tmp left by a crash before the rename, then to .bak
+   */
+  async readWithRecovery(file, label) {
+    const data = await this.readJson(file);
+    if (data) return data;
+
+    const recovered = (await this.readJson(`${file}.tmp`)) || (await this.readJson(`${file}.bak`));
+    if (recovered) {
+      console.warn(`[FileStore] Recovered ${label} from backup`);
+    }
+    return recovered;
+  }
+
+  /**
+   * Flush a directory entry change (create, rename, unlink) to disk
+   */
+  async syncDir(dir) {
+    let handle;
+    try {
+      handle = await fs.open(dir, 'r');
+      await handle.sync();
+    } catch (error) {
+      if (!UNSYNCABLE_DIR_ERRORS.has(error.code)) throw error;
+    } finally {
+      if (handle) await handle.close();
+    }
+  }
+
+  /**
+   * Load a collection from disk (with crash recovery) on first access
+   */
+  loadCollection(name) {
+    if (this.collections.has(name)) {
+      return Promise.resolve(this.collections.get(name));
+    }
+    // Concurrent first requests share one load
+    if (!this.loading.has(name)) {
+      const load = this.readCollection(name).then(collection => {
+        this.collections.set(name, collection);
+        this.loading.delete(name);
+        return collection;
+      }, error => {
+        this.loading.delete(name);
+        throw error;
+      });
+      this.loading.set(name, load);
+    }
+    return this.loading.get(name);
+  }
+
+  async readCollection(name) {
+    const dir = this.collectionDir(name);
+    await fs.mkdir(dir, { recursive: true });
+
+    const collection = new Map();
+    const bases = new Set();
+    for (const file of await fs.readdir(dir)) {
+      const match = RECORD_FILE.exec(file);
+      if (match) bases.add(match[1]);
+    }
+    for (const base of bases) {
+      const record = await this.readWithRecovery(path.join(dir, `${base}.json`), `record "${name}/${base}"`);
+      if (record && typeof record.key === 'string') {
+        collection.set(record.key, record.value);
+      }
+    }
+
+    await this.importLegacyCollection(name, collection);
+    return collection;
+  }
+
+  /**
+   * Split an older <collection>.json into record files, then set it aside as .imported
+   */
+  async importLegacyCollection(name, collection) {
+    const file = path.join(this.dataDir, `${name}.json`);
+    const data = await this.readWithRecovery(file, `legacy collection "${name}"`);
+    if (!data) return;
+
+    for (const [key, value] of Object.entries(data)) {
+      if (collection.has(key)) continue;
+      await this.writeRecord(name, key, value);
+      collection.set(key, value);
+    }
+
+    for (const suffix of ['', '.tmp', '.bak']) {
+      try {
+        await fs.rename(`${file}${suffix}`, `${file}${suffix}.imported`);
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+    }
+    await this.syncDir(this.dataDir);
+    console.log(`[FileStore] Imported ${Object.keys(data).length} record(s) into "${name}"`);
+  }
+
+  /**
+   * Persist one record atomically
+   */
+  async writeRecord(collection, key, value) {
+    const file = this.recordPath(collection, key);
+    const tmp = `${file}.tmp`;
+    const json = JSON.stringify({ key, value });
+
+    const handle = await fs.open(tmp, 'w');
+    try {
+      await handle.writeFile(json, 'utf8');
+      await handle.sync();
+    } finally {
+      await handle.close();
+    }
+
+    try {
+      await fs.copyFile(file, `${file}.bak`);
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+
+    await fs.rename(tmp, file);
+    await this.syncDir(this.collectionDir(collection));
+  }
+
+  /**
+   * Remove a record's files - the record file last, so a crash never leaves
+   * a backup behind that would bring the record back
+   */
+  async removeRecord(collection, key) {
+    const file = this.recordPath(collection, key);
+    for (const target of [`${file}.tmp`, `${file}.bak`, file]) {
+      try {
+        await fs.unlink(target);
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+    }
+    await this.syncDir(this.collectionDir(collection));
+  }
+
+  /**
+   * Queue a file operation so concurrent requests never interleave them
+   */
+  enqueue(name, task) {
+    const previous = this.writeQueues.get(name) || Promise.resolve();
+    const next = previous
+      .catch(() => {})
+      .then(task);
+    this.writeQueues.set(name, next);
+    return next;
+  }
+
+  async get(collection, key) {
+    const data = await this.loadCollection(collection);
+    const value = data.get(key);
+    return value === undefined ? null : structuredClone(value);
+  }
+
+  async set(collection, key, value) {
+    const data = await this.loadCollection(collection);
+    const copy = structuredClone(value);
+    await this.enqueue(collection, async () => {
+      await this.writeRecord(collection, key, copy);
+      data.set(key, copy);
+    });
+  }
+
+  async delete(collection, key) {
+    const data = await this.loadCollection(collection);
+    return this.enqueue(collection, async () => {
+      if (!data.has(key)) return false;
+      await this.removeRecord(collection, key);
+      data.delete(key);
+      return true;
+    });
+  }
+
+  /**
+   * List values in a collection, optionally filtered by key prefix
+   */
+  async list(collection, prefix = '') {
+    const data = await this.loadCollection(collection);
+    const results = [];
+    for (const [key, value] of data) {
+      if (key.startsWith(prefix)) {
+        results.push({ key, value: structuredClone(value) });
+      }
+    }
+    return results;
+  }
+
+  /**
+   * Wait for pending writes (used on shutdown)
+   */
+  async close() {
+    await Promise.allSettled([...this.writeQueues.values()]);
+  }
+}
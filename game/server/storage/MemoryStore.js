@@ -0,0 +1,50 @@
+/**
+ * MemoryStore - In-memory storage adapter
+ *
+ * Same interface as FileStore, nothing is persisted.
+ * Used for tests and for running the API without a data directory (STORAGE=memory).
+ */
+export class MemoryStore {
+  constructor() {
+    this.collections = new Map();
+  }
+
+  async init() {
+    return this;
+  }
+
+  getCollection(name) {
+    if (!this.collections.has(name)) {
+      this.collections.set(name, new Map());
+    }
+    return this.collections.get(name);
+  }
+
+  async get(collection, key) {
+    const value = this.getCollection(collection).get(key);
+    return value === undefined ? null : structuredClone(value);
+  }
+
+  async set(collection, key, value) {
+    this.getCollection(collection).set(key, structuredClone(value));
+  }
+
+  async delete(collection, key) {
+    return this.getCollection(collection).delete(key);
+  }
+
+  /**
+   * List values in a collection, optionally filtered by key prefix
+   */
+  async list(collection, prefix = '') {
+    const results = [];
+    for (const [key, value] of this.getCollection(collection)) {
+      if (key.startsWith(prefix)) {
+        results.push({ key, value: structuredClone(value) });
+      }
+    }
+    return results;
+  }
+
+  async close() {}
+}
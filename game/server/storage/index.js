@@ -0,0 +1,26 @@
+/**
+ * Storage factory for the API routes
+ *
+ * STORAGE=file (default)  - FileStore in DATA_DIR (default: server/data)
+ * STORAGE=memory          - MemoryStore, nothing persisted (tests)
+ */
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { FileStore } from './FileStore.js';
+import { MemoryStore } from './MemoryStore.js';
+
+export { FileStore, MemoryStore };
+
+const DEFAULT_DATA_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'data');
+
+export async function createStore(type = process.env.STORAGE || 'file') {
+  if (type === 'memory') {
+    return new MemoryStore().init();
+  }
+
+  if (type !== 'file') {
+    throw new Error(`Unknown storage type: ${type}`);
+  }
+
+  return new FileStore(process.env.DATA_DIR || DEFAULT_DATA_DIR).init();
+}
@@ -2,6 +2,7 @@ import { useState, useRef, useCallback, useEffect } from 'react';
 import SpaceGame from './SpaceGame';
 import UIManager from './ui/UIManager';
 import GameStateManager from '../utils/GameStateManager';
+import { listAchievements } from '../engine/AchievementSystem';
 
 /**
  * GameContainer - Top-level game container
@@ -12,7 +13,7 @@ const GameContainer = () => {
   const [isGameActive, setIsGameActive] = useState(false);
   const [isPaused, setIsPaused] = useState(false);
   const [gameKey, setGameKey] = useState(0); // Force new game instance when needed
-  const [gameState, setGameState] = useState({
+  const [gameState, setGameState] = useState(() => ({
     playtime: 0,
     credits: 0,
     systemsExplored: 0,
@@ -36,6 +37,7 @@ const GameContainer = () => {
 
       // Combat stats
       enemiesDestroyed: 0,
+      civiliansDestroyed: 0,
       shotsFired: 0,
       shotsHit: 0,
       damageDealt: 0,
@@ -59,16 +61,9 @@ const GameContainer = () => {
       jumpGatesUsed: 0,
 
       // Achievements
-      achievements: [
-        { id: 'first_jump', name: 'FIRST JUMP', description: 'Complete your first warp jump', unlocked: false },
-        { id: 'explorer', name: 'EXPLORER', description: 'Visit 10 different star systems', unlocked: false },
-        { id: 'combatant', name: 'COMBATANT', description: 'Destroy 25 enemy ships', unlocked: false },
-        { id: 'survivor', name: 'SURVIVOR', description: 'Survive 1 hour of gameplay', unlocked: false },
-        { id: 'wealthy', name: 'WEALTHY', description: 'Accumulate 10,000 credits', unlocked: false },
-        { id: 'artifact_hunter', name: 'ARTIFACT HUNTER', description: 'Discover 5 ancient artifacts', unlocked: false },
-      ],
+      achievements: listAchievements(),
     },
-  });
+  }));
 
   const gameInstanceRef = useRef(null);
   const autoSaveIntervalRef = useRef(null);
@@ -84,6 +79,18 @@ const GameContainer = () => {
       setGameState(currentState);
     }
 
+    // A permadeath run that has ended is never saved again
+    if (currentState.gameOver || (currentState.rules && currentState.rules.dead)) {
+      if (autoSaveIntervalRef.current) {
+        clearInterval(autoSaveIntervalRef.current);
+        autoSaveIntervalRef.current = null;
+      }
+      return;
+    }
+
+    // Ironman runs save themselves on exit and at key events
+    if (currentState.rules && currentState.rules.ironman) return;
+
     const result = GameStateManager.autoSave(currentState);
     if (result.success) {
       console.log('Auto-save successful');
@@ -210,6 +217,7 @@ const GameContainer = () => {
         // Statistics
         statistics: {
           enemiesDestroyed: 0,
+          civiliansDestroyed: 0,
           shotsFired: 0,
           shotsHit: 0,
           damageDealt: 0,
@@ -232,14 +240,7 @@ const GameContainer = () => {
           blackholesEncountered: 0,
           asteroidsMined: 0,
           jumpGatesUsed: 0,
-          achievements: [
-            { id: 'first_jump', name: 'FIRST JUMP', description: 'Complete your first warp jump', unlocked: false },
-            { id: 'explorer', name: 'EXPLORER', description: 'Visit 10 different star systems', unlocked: false },
-            { id: 'combatant', name: 'COMBATANT', description: 'Destroy 25 enemy ships', unlocked: false },
-            { id: 'survivor', name: 'SURVIVOR', description: 'Survive 1 hour of gameplay', unlocked: false },
-            { id: 'wealthy', name: 'WEALTHY', description: 'Accumulate 10,000 credits', unlocked: false },
-            { id: 'artifact_hunter', name: 'ARTIFACT HUNTER', description: 'Discover 5 ancient artifacts', unlocked: false },
-          ],
+          achievements: listAchievements(),
         },
       };
 
@@ -273,7 +274,10 @@ const GameContainer = () => {
     isInitializingRef.current = true;
     console.log('Loading game:', saveData);
 
-    const result = GameStateManager.loadGame(saveData.id);
+    // Cloud saves arrive already downloaded
+    const result = saveData.gameState
+      ? { success: true, gameState: saveData.gameState }
+      : GameStateManager.loadGame(saveData.id);
     if (result.success) {
       setGameState(result.gameState);
       setGameKey(prev => prev + 1); // Force new game instance with unique key
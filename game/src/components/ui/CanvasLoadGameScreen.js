@@ -13,6 +13,23 @@ import {
   drawRivet,
   COCKPIT_COLORS,
 } from './common/CockpitAssets';
+import {
+  keyToSlot,
+  listRemoteSaves,
+  flushUploadQueue,
+  downloadSave,
+  mergeSaveLists,
+  getQueuedSlots,
+} from '../../utils/CloudSaveSync';
+
+// Badge text per cloud sync status
+const SYNC_LABELS = {
+  local: 'LOCAL',
+  cloud: 'CLOUD',
+  synced: 'SYNCED',
+  local_newer: 'LOCAL NEWER',
+  cloud_newer: 'CLOUD NEWER',
+};
 
 const CanvasLoadGameScreen = ({ onLoad, onCancel }) => {
   const canvasRef = useRef(null);
@@ -27,6 +44,8 @@ const CanvasLoadGameScreen = ({ onLoad, onCancel }) => {
   const [scrollOffset, setScrollOffset] = useState(0);
   const [buttons, setButtons] = useState([]);
   const [saveSlots, setSaveSlots] = useState([]);
+  const [cloudStatus, setCloudStatus] = useState('CLOUD: CONNECTING...');
+  const [downloading, setDownloading] = useState(false);
   // PERFORMANCE: Memoize callback references to avoid re-renders
   const onLoadRef = useRef(onLoad);
   const onCancelRef = useRef(onCancel);
@@ -43,6 +62,7 @@ const CanvasLoadGameScreen = ({ onLoad, onCancel }) => {
             const saveData = JSON.parse(localStorage.getItem(key));
             saves.push({
               id: key.replace('pixelversum_save_', ''),
+              slot: keyToSlot(key),
               ...saveData,
             });
           }
@@ -50,12 +70,35 @@ const CanvasLoadGameScreen = ({ onLoad, onCancel }) => {
         saves.sort((a, b) => b.timestamp - a.timestamp);
         setSavedGames(saves);
         setLoading(false);
+        return saves;
       } catch (error) {
         console.error('Error loading saved games:', error);
         setLoading(false);
+        return [];
+      }
+    };
+
+    // Local saves show up immediately, remote ones are merged in once the server answers
+    let cancelled = false;
+    const localSaves = loadSavedGames();
+    (async () => {
+      await flushUploadQueue();
+      const remote = await listRemoteSaves();
+      if (cancelled) return;
+
+      if (remote.success) {
+        setSavedGames(mergeSaveLists(localSaves, remote.saves));
+        const queued = getQueuedSlots().length;
+        setCloudStatus(queued > 0 ? `CLOUD: ONLINE | ${queued} UPLOAD(S) PENDING` : 'CLOUD: ONLINE');
+      } else {
+        const queued = getQueuedSlots().length;
+        setCloudStatus(queued > 0 ? `CLOUD: OFFLINE | ${queued} UPLOAD(S) QUEUED` : 'CLOUD: OFFLINE - LOCAL SAVES ONLY');
       }
+    })();
+
+    return () => {
+      cancelled = true;
     };
-    loadSavedGames();
   }, []);
 
   // PERFORMANCE: Removed animation loop - all assets are static for 60fps performance
@@ -187,6 +230,12 @@ const CanvasLoadGameScreen = ({ onLoad, onCancel }) => {
 
     const crtX = panelX + 15;
     const crtY = panelY + titleBarHeight + 75;
+
+    // Cloud sync status
+    ctx.font = `11px ${fontLoader.getFontFamily('DigitalDisco-Thin')}`;
+    ctx.fillStyle = COCKPIT_COLORS.SCREEN_TEXT;
+    ctx.textAlign = 'left';
+    ctx.fillText(downloading ? 'CLOUD: DOWNLOADING SAVE...' : cloudStatus, crtX, crtY - 30);
     const crtW = panelWidth - 30;
     const crtH = panelHeight - (crtY - panelY) - 110;
 
@@ -234,7 +283,7 @@ const CanvasLoadGameScreen = ({ onLoad, onCancel }) => {
         const slotY = yOffset + index * (slotH + slotSpacing);
         const slotX = contentX + 5;
         const slotW = crtW - 50;
-        const isSelected = selectedSave && selectedSave.id === save.id;
+        const isSelected = selectedSave && selectedSave.slot === save.slot;
 
         // Slot background
         ctx.fillStyle = isSelected ? COCKPIT_COLORS.PANEL_DETAIL : COCKPIT_COLORS.PANEL_BG;
@@ -259,6 +308,14 @@ const CanvasLoadGameScreen = ({ onLoad, onCancel }) => {
 
         ctx.fillText(`CREDITS: ${save.credits || 0}`, slotX + 250, slotY + 50);
 
+        if (save.syncStatus) {
+          ctx.font = `bold 9px ${fontLoader.getFontFamily('DigitalDisco')}`;
+          ctx.fillStyle = save.syncStatus === 'synced' ? COCKPIT_COLORS.SCREEN_TEXT : COCKPIT_COLORS.SCREEN_TEXT_BRIGHT;
+          ctx.textAlign = 'right';
+          ctx.fillText(`[${SYNC_LABELS[save.syncStatus]}]`, slotX + slotW - 12, slotY + 18);
+          ctx.textAlign = 'left';
+        }
+
         if (isSelected) {
           ctx.fillStyle = COCKPIT_COLORS.SCREEN_TEXT_BRIGHT;
           ctx.font = `bold 10px ${fontLoader.getFontFamily('DigitalDisco')}`;
@@ -289,7 +346,7 @@ const CanvasLoadGameScreen = ({ onLoad, onCancel }) => {
     const newButtons = [];
 
     // Load button - 3D button
-    const loadEnabled = selectedSave !== null;
+    const loadEnabled = selectedSave !== null && !downloading;
     const loadColor = loadEnabled ? '#2a1a0a' : '#1a120a';
     const loadButtonCanvas = generate3DButton(buttonW, buttonH, '[>] LOAD MISSION', {
       state: loadEnabled ? 'normal' : 'normal',
@@ -311,10 +368,23 @@ const CanvasLoadGameScreen = ({ onLoad, onCancel }) => {
         y: buttonY,
         width: buttonW,
         height: buttonH,
-        onClick: () => {
-          if (selectedSave && onLoadRef.current) {
-            onLoadRef.current(selectedSave);
+        onClick: async () => {
+          if (!selectedSave || !onLoadRef.current) return;
+
+          // Remote copy is the one to load - fetch it first
+          if (selectedSave.syncStatus === 'cloud' || selectedSave.syncStatus === 'cloud_newer') {
+            setDownloading(true);
+            const result = await downloadSave(selectedSave.slot);
+            setDownloading(false);
+            if (!result.success) {
+              setCloudStatus(`CLOUD: DOWNLOAD FAILED - ${result.error}`.toUpperCase());
+              return;
+            }
+            onLoadRef.current({ ...selectedSave, gameState: result.gameState });
+            return;
           }
+
+          onLoadRef.current(selectedSave);
         },
       });
     }
@@ -375,7 +445,7 @@ const CanvasLoadGameScreen = ({ onLoad, onCancel }) => {
     setButtons(newButtons);
     setSaveSlots(newSaveSlots);
 
-  }, [savedGames, selectedSave, loading, scrollOffset]);  // PERFORMANCE: Removed animFrame and callback dependencies - use refs
+  }, [savedGames, selectedSave, loading, scrollOffset, cloudStatus, downloading]);  // PERFORMANCE: Removed animFrame and callback dependencies - use refs
 
   return (
     <CockpitFrame>
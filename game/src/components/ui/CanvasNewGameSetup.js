@@ -70,6 +70,7 @@ const CREW_ROLES = [
   { key: 'pilot', label: 'PILOT', desc: 'Navigation expert', skills: 'Maneuver +25%, Evasion +20%' },
   { key: 'scientist', label: 'SCIENTIST', desc: 'Research specialist', skills: 'Research +30%, Analysis +25%' },
   { key: 'medic', label: 'MEDIC', desc: 'Medical officer', skills: 'Healing +35%, Survival +20%' },
+  { key: 'gunner', label: 'GUNNER', desc: 'Weapons officer', skills: 'Accuracy +25%, Tracking +15%' },
 ];
 
 const STARTING_BONUSES = [
@@ -503,6 +504,7 @@ const CanvasNewGameSetup = ({ onStart, onCancel }) => {
     pilot: { race: 'human', gender: 'female', seed: 22222 },
     scientist: { race: 'alien_grey', gender: 'other', seed: 33333 },
     medic: { race: 'human', gender: 'female', seed: 44444 },
+    gunner: { race: 'human', gender: 'male', seed: 55555 },
   });
 
   // PERFORMANCE: Memoized portrait cache getter to prevent recreation
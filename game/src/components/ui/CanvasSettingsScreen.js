@@ -15,8 +15,34 @@ import {
   drawRivet,
   COCKPIT_COLORS,
 } from './common/CockpitAssets';
+import { loadSettings } from '../../utils/GameStateManager';
+import {
+  INPUT_ACTIONS,
+  KEYS_PER_ACTION,
+  DEFAULT_DEAD_ZONE,
+  findConflicts,
+  getKeyLabel,
+  getButtonLabel,
+  getDefaultKeymap,
+  getDefaultGamepadButtons,
+} from '../../engine/InputMapper';
 // PERFORMANCE: Removed unused DebounceRAFRenderer import
 
+// Key bindings from the stored settings (the other settings start from defaults)
+const loadSavedBindings = () => {
+  const { settings } = loadSettings();
+  return {
+    keymap: { ...getDefaultKeymap(), ...(settings && settings.keymap) },
+    gamepadButtons: { ...getDefaultGamepadButtons(), ...(settings && settings.gamepadButtons) },
+    gamepadDeadZone: settings && settings.gamepadDeadZone !== undefined ? settings.gamepadDeadZone : DEFAULT_DEAD_ZONE,
+  };
+};
+
+const getConnectedGamepad = () => {
+  if (typeof navigator === 'undefined' || !navigator.getGamepads) return null;
+  return Array.from(navigator.getGamepads()).find(pad => pad && pad.connected) || null;
+};
+
 /**
  * CanvasSettingsScreen - Complete cockpit redesign
  * Configuration terminal with tabbed interface preserving all existing settings
@@ -36,6 +62,9 @@ const CanvasSettingsScreen = ({ onClose, onApply }) => {
   const [tabs, setTabs] = useState([]);
   const [draggingSlider, setDraggingSlider] = useState(null);
   const [touchStartY, setTouchStartY] = useState(null);
+  const [savedBindings] = useState(loadSavedBindings);
+  const [capturing, setCapturing] = useState(null); // { actionId, slot, device: 'key' | 'pad' }
+  const [bindingMessage, setBindingMessage] = useState(null);
 
   const {
     themeName,
@@ -71,6 +100,9 @@ const CanvasSettingsScreen = ({ onClose, onApply }) => {
     edgeScroll: true,
     keyboardSpeed: 50,
     autoAim: false,
+    keymap: savedBindings.keymap,
+    gamepadButtons: savedBindings.gamepadButtons,
+    gamepadDeadZone: savedBindings.gamepadDeadZone,
     // Gameplay
     autoSave: true,
     autoSaveInterval: 5,
@@ -211,6 +243,96 @@ const CanvasSettingsScreen = ({ onClose, onApply }) => {
     setRenderKey(k => k + 1); // Trigger single re-render
   }, []);
 
+  // Describe conflicts created by a new binding
+  const reportConflicts = useCallback((actionId, input, bindings, labelFn) => {
+    const clashing = findConflicts(bindings).get(input) || [];
+    const others = clashing.filter(id => id !== actionId);
+    if (others.length > 0) {
+      const names = others.map(id => INPUT_ACTIONS.find(action => action.id === id).label).join(', ');
+      setBindingMessage(`${labelFn(input)} IS ALSO BOUND TO ${names.toUpperCase()}`);
+    } else {
+      setBindingMessage(null);
+    }
+  }, []);
+
+  const assignKey = useCallback((actionId, slot, code) => {
+    const keys = [...(settingsRef.current.keymap[actionId] || [])].filter(key => key !== code);
+    if (code === null) {
+      keys.splice(slot, 1);
+    } else {
+      keys[Math.min(slot, keys.length)] = code;
+    }
+    const keymap = { ...settingsRef.current.keymap, [actionId]: keys.slice(0, KEYS_PER_ACTION) };
+    updateSetting('keymap', keymap);
+    if (code !== null) reportConflicts(actionId, code, keymap, getKeyLabel);
+  }, [updateSetting, reportConflicts]);
+
+  const assignButton = useCallback((actionId, button) => {
+    const gamepadButtons = { ...settingsRef.current.gamepadButtons, [actionId]: button };
+    updateSetting('gamepadButtons', gamepadButtons);
+    if (button !== null) reportConflicts(actionId, button, gamepadButtons, getButtonLabel);
+  }, [updateSetting, reportConflicts]);
+
+  const resetBindings = useCallback(() => {
+    settingsRef.current = {
+      ...settingsRef.current,
+      keymap: getDefaultKeymap(),
+      gamepadButtons: getDefaultGamepadButtons(),
+      gamepadDeadZone: DEFAULT_DEAD_ZONE,
+    };
+    setBindingMessage('BINDINGS RESET TO DEFAULTS');
+    setRenderKey(k => k + 1);
+  }, []);
+
+  // Rebinding: wait for a key (ESC cancels, BACKSPACE/DELETE clears) or a gamepad button
+  useEffect(() => {
+    if (!capturing) return undefined;
+
+    const handleKeyCapture = (e) => {
+      e.preventDefault();
+      e.stopImmediatePropagation();
+      if (e.code === 'Escape') {
+        setCapturing(null);
+        return;
+      }
+      if (capturing.device === 'key') {
+        const clear = e.code === 'Backspace' || e.code === 'Delete';
+        assignKey(capturing.actionId, capturing.slot, clear ? null : e.code);
+        setCapturing(null);
+      } else if (e.code === 'Backspace' || e.code === 'Delete') {
+        assignButton(capturing.actionId, null);
+        setCapturing(null);
+      }
+    };
+    window.addEventListener('keydown', handleKeyCapture, true);
+
+    // Ignore buttons already held when capture started
+    let frame = null;
+    if (capturing.device === 'pad') {
+      const startPad = getConnectedGamepad();
+      const held = new Set(startPad ? startPad.buttons.map((b, i) => (b.pressed ? i : -1)) : []);
+      const poll = () => {
+        const pad = getConnectedGamepad();
+        if (pad) {
+          const index = pad.buttons.findIndex((b, i) => b.pressed && !held.has(i));
+          pad.buttons.forEach((b, i) => { if (!b.pressed) held.delete(i); });
+          if (index >= 0) {
+            assignButton(capturing.actionId, index);
+            setCapturing(null);
+            return;
+          }
+        }
+        frame = requestAnimationFrame(poll);
+      };
+      frame = requestAnimationFrame(poll);
+    }
+
+    return () => {
+      window.removeEventListener('keydown', handleKeyCapture, true);
+      if (frame) cancelAnimationFrame(frame);
+    };
+  }, [capturing, assignKey, assignButton]);
+
   useEffect(() => {
     const canvas = canvasRef.current;
     const container = containerRef.current;
@@ -353,6 +475,7 @@ const CanvasSettingsScreen = ({ onClose, onApply }) => {
     const contentX = crtX + 20;
     const newSliders = [];
     const newCheckboxes = [];
+    const newButtons = [];
 
     ctx.font = `14px ${fontLoader.getFontFamily('DigitalDisco-Thin')}`;
     ctx.fillStyle = COCKPIT_COLORS.SCREEN_TEXT_BRIGHT;
@@ -449,6 +572,19 @@ const CanvasSettingsScreen = ({ onClose, onApply }) => {
         yOffset += 35;
       });
 
+      // Interface chirps (notifications)
+      drawToggleSwitch(ctx, contentX + 10, yOffset - 7, 40, 14, settingsRef.current.uiSounds);
+      ctx.font = `20px ${fontLoader.getFontFamily('DigitalDisco-Thin')}`;
+      ctx.fillStyle = COCKPIT_COLORS.SCREEN_TEXT;
+      ctx.fillText('UI Sounds', contentX + 60, yOffset);
+
+      newCheckboxes.push({
+        x: contentX + 10,
+        y: yOffset - 7,
+        size: 40,
+        onClick: () => toggleSetting('uiSounds'),
+      });
+
     } else if (activeTab === 'controls') {
       ctx.font = `22px ${fontLoader.getFontFamily('DigitalDisco')}`;  // INCREASED from 11px to 15px
       ctx.fillStyle = COCKPIT_COLORS.SCREEN_TEXT_BRIGHT;
@@ -506,6 +642,122 @@ const CanvasSettingsScreen = ({ onClose, onApply }) => {
         yOffset += 25;
       });
 
+      // Gamepad dead zone
+      yOffset += 20;
+      ctx.font = `22px ${fontLoader.getFontFamily('DigitalDisco')}`;
+      ctx.fillStyle = COCKPIT_COLORS.SCREEN_TEXT_BRIGHT;
+      ctx.fillText('Gamepad Dead Zone:', contentX, yOffset);
+      yOffset += 22;
+
+      sliderY = yOffset;
+      const deadZoneMax = 50;
+      const deadZoneW = (sliderW * settingsRef.current.gamepadDeadZone) / deadZoneMax;
+      ctx.fillStyle = COCKPIT_COLORS.PANEL_BG;
+      ctx.fillRect(sliderX, sliderY, sliderW, 8);
+      ctx.fillStyle = COCKPIT_COLORS.LED_AMBER;
+      ctx.fillRect(sliderX, sliderY, deadZoneW, 8);
+      ctx.fillStyle = COCKPIT_COLORS.TEXT_BRIGHT;
+      ctx.fillRect(sliderX + deadZoneW - 4, sliderY - 4, 8, 16);
+      ctx.font = `14px ${fontLoader.getFontFamily('DigitalDisco')}`;
+      ctx.fillText(`${settingsRef.current.gamepadDeadZone}%`, sliderX + sliderW + 15, sliderY + 8);
+
+      newSliders.push({
+        x: sliderX,
+        y: sliderY + 4,
+        width: sliderW,
+        min: 0,
+        max: deadZoneMax,
+        value: settingsRef.current.gamepadDeadZone,
+        onChange: (val) => updateSetting('gamepadDeadZone', Math.round(val)),
+      });
+
+      const pad = getConnectedGamepad();
+      ctx.font = `18px ${fontLoader.getFontFamily('DigitalDisco-Thin')}`;
+      ctx.fillStyle = COCKPIT_COLORS.SCREEN_TEXT;
+      ctx.fillText(pad ? `GAMEPAD: ${pad.id.slice(0, 48)}` : 'NO GAMEPAD DETECTED - PRESS ANY BUTTON ON THE PAD', sliderX, sliderY + 40);
+      yOffset += 75;
+
+      // Key bindings
+      const keyColX = contentX + 300;
+      const slotW = 150;
+      const padColX = keyColX + (slotW + 10) * KEYS_PER_ACTION;
+      const padW = 120;
+      const rowH = 30;
+      const keyConflicts = findConflicts(settingsRef.current.keymap);
+      const padConflicts = findConflicts(settingsRef.current.gamepadButtons);
+
+      ctx.font = `bold 22px ${fontLoader.getFontFamily('DigitalDisco')}`;
+      ctx.fillStyle = COCKPIT_COLORS.SCREEN_TEXT_BRIGHT;
+      ctx.fillText('KEY BINDINGS:', contentX, yOffset);
+      ctx.font = `16px ${fontLoader.getFontFamily('DigitalDisco-Thin')}`;
+      ctx.fillStyle = COCKPIT_COLORS.SCREEN_TEXT;
+      ctx.fillText('PRIMARY', keyColX, yOffset);
+      ctx.fillText('SECONDARY', keyColX + slotW + 10, yOffset);
+      ctx.fillText('GAMEPAD', padColX, yOffset);
+      yOffset += 16;
+
+      if (bindingMessage || capturing) {
+        ctx.fillStyle = capturing ? COCKPIT_COLORS.TEXT_HIGHLIGHT : COCKPIT_COLORS.LED_AMBER_BRIGHT;
+        ctx.fillText(capturing
+          ? (capturing.device === 'key' ? 'PRESS A KEY  (ESC CANCEL, BACKSPACE CLEAR)' : 'PRESS A GAMEPAD BUTTON  (ESC CANCEL, BACKSPACE CLEAR)')
+          : bindingMessage, contentX, yOffset + 8);
+      }
+      yOffset += 20;
+
+      const visibleTop = crtY + 10;
+      const visibleBottom = crtY + crtH - 10;
+      const addSlot = (x, y, w, label, active, conflict, onClick) => {
+        ctx.fillStyle = active ? COCKPIT_COLORS.BUTTON_HIGHLIGHT : COCKPIT_COLORS.PANEL_BG;
+        ctx.fillRect(x, y, w, rowH - 6);
+        ctx.strokeStyle = conflict ? COCKPIT_COLORS.LED_RED : COCKPIT_COLORS.PANEL_DETAIL;
+        ctx.lineWidth = conflict ? 2 : 1;
+        ctx.strokeRect(x, y, w, rowH - 6);
+        ctx.fillStyle = conflict ? COCKPIT_COLORS.LED_AMBER_BRIGHT : COCKPIT_COLORS.SCREEN_TEXT_BRIGHT;
+        ctx.textAlign = 'center';
+        ctx.fillText(active ? '...' : label, x + w / 2, y + (rowH - 6) / 2 + 5);
+        ctx.textAlign = 'left';
+        if (y >= visibleTop && y + rowH <= visibleBottom) {
+          newButtons.push({ x, y, width: w, height: rowH - 6, onClick });
+        }
+      };
+
+      let category = null;
+      INPUT_ACTIONS.forEach(action => {
+        if (action.category !== category) {
+          category = action.category;
+          yOffset += 8;
+          ctx.font = `bold 18px ${fontLoader.getFontFamily('DigitalDisco')}`;
+          ctx.fillStyle = COCKPIT_COLORS.TEXT_BRIGHT;
+          ctx.fillText(category, contentX, yOffset + 14);
+          yOffset += rowH;
+        }
+
+        ctx.font = `18px ${fontLoader.getFontFamily('DigitalDisco-Thin')}`;
+        ctx.fillStyle = COCKPIT_COLORS.SCREEN_TEXT;
+        ctx.fillText(action.label, contentX + 10, yOffset + 14);
+
+        const keys = settingsRef.current.keymap[action.id] || [];
+        for (let slot = 0; slot < KEYS_PER_ACTION; slot++) {
+          const code = keys[slot];
+          const conflict = code && (keyConflicts.get(code) || []).includes(action.id);
+          const active = capturing && capturing.device === 'key' && capturing.actionId === action.id && capturing.slot === slot;
+          addSlot(keyColX + slot * (slotW + 10), yOffset, slotW, code ? getKeyLabel(code) : '---', active, conflict,
+            () => setCapturing({ actionId: action.id, slot, device: 'key' }));
+        }
+
+        const button = settingsRef.current.gamepadButtons[action.id];
+        const padConflict = button !== null && button !== undefined && (padConflicts.get(button) || []).includes(action.id);
+        const padActive = capturing && capturing.device === 'pad' && capturing.actionId === action.id;
+        addSlot(padColX, yOffset, padW, getButtonLabel(button), padActive, padConflict,
+          () => setCapturing({ actionId: action.id, slot: 0, device: 'pad' }));
+
+        yOffset += rowH;
+      });
+
+      yOffset += 10;
+      addSlot(contentX + 10, yOffset, 260, 'RESET TO DEFAULTS', false, false, resetBindings);
+      yOffset += rowH + 10;
+
     } else if (activeTab === 'gameplay') {
       const gameplaySettings = [
         { key: 'autoSave', label: 'Auto-Save' },
@@ -544,8 +796,6 @@ const CanvasSettingsScreen = ({ onClose, onApply }) => {
     const applyBtnX = centerX - buttonW - buttonSpacing / 2;
     const closeBtnX = centerX + buttonSpacing / 2;
 
-    const newButtons = [];
-
     // Apply button - 3D raised button
     const applyButtonCanvas = generate3DButton(buttonW, buttonH, 'APPLY SETTINGS', {
       state: 'normal',
@@ -627,7 +877,7 @@ const CanvasSettingsScreen = ({ onClose, onApply }) => {
     setCheckboxes(newCheckboxes);
     setTabs(newTabs);
 
-  }, [activeTab, renderKey, scrollOffset, draggingSlider]); // PERFORMANCE: Reduced dependencies massively!
+  }, [activeTab, renderKey, scrollOffset, draggingSlider, capturing, bindingMessage]); // PERFORMANCE: Reduced dependencies massively!
 
   return (
     <CockpitFrame>
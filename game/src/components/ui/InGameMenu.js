@@ -92,6 +92,12 @@ const InGameMenu = ({
                 <span className="info-label">SYSTEMS:</span>
                 <span className="info-value">{gameData?.systemsExplored || 0} EXPLORED</span>
               </div>
+              <div className="info-row">
+                <span className="info-label">MISSIONS:</span>
+                <span className="info-value">
+                  {gameData?.missions?.activeMissions?.length || 0} ACTIVE / {gameData?.statistics?.missionsCompleted || 0} DONE
+                </span>
+              </div>
             </div>
 
             {/* Menu buttons */}
@@ -4,6 +4,7 @@ import TerminalPanel from './common/TerminalPanel';
 import TerminalButton from './common/TerminalButton';
 import CRTOverlay from './common/CRTOverlay';
 import { SYMBOLS } from './theme';
+import { listAchievements } from '../../engine/AchievementSystem';
 import './StatisticsScreen.css';
 
 /**
@@ -24,6 +25,7 @@ const StatisticsScreen = ({ onClose, statistics }) => {
 
     // Combat stats
     enemiesDestroyed: 0,
+    civiliansDestroyed: 0,
     shotsFired: 0,
     shotsHit: 0,
     damageDealt: 0,
@@ -45,18 +47,11 @@ const StatisticsScreen = ({ onClose, statistics }) => {
     blackholesEncountered: 0,
     asteroidsMined: 0,
     jumpGatesUsed: 0,
-
-    // Achievements (example)
-    achievements: [
-      { id: 'first_jump', name: 'FIRST JUMP', description: 'Complete your first warp jump', unlocked: true },
-      { id: 'explorer', name: 'EXPLORER', description: 'Visit 10 different star systems', unlocked: true },
-      { id: 'combatant', name: 'COMBATANT', description: 'Destroy 25 enemy ships', unlocked: false },
-      { id: 'survivor', name: 'SURVIVOR', description: 'Survive 1 hour of gameplay', unlocked: true },
-      { id: 'wealthy', name: 'WEALTHY', description: 'Accumulate 10,000 credits', unlocked: false },
-      { id: 'artifact_hunter', name: 'ARTIFACT HUNTER', description: 'Discover 5 ancient artifacts', unlocked: false },
-    ],
   };
 
+  // Achievements with run progress (AchievementSystem), or the unlocks of past runs
+  const achievements = stats.achievements && stats.achievements.length ? stats.achievements : listAchievements();
+
   const formatPlaytime = (minutes) => {
     const hours = Math.floor(minutes / 60);
     const mins = minutes % 60;
@@ -74,8 +69,8 @@ const StatisticsScreen = ({ onClose, statistics }) => {
   };
 
   const achievementProgress = () => {
-    const unlocked = stats.achievements.filter(a => a.unlocked).length;
-    return `${unlocked}/${stats.achievements.length}`;
+    const unlocked = achievements.filter(a => a.unlocked).length;
+    return `${unlocked}/${achievements.length}`;
   };
 
   const renderStatRow = (label, value, highlight = false) => (
@@ -141,6 +136,7 @@ const StatisticsScreen = ({ onClose, statistics }) => {
           >
             <div className="stats-section">
               {renderStatRow('ENEMIES DESTROYED', stats.enemiesDestroyed, true)}
+              {renderStatRow('CIVILIANS DESTROYED', stats.civiliansDestroyed || 0)}
               {renderStatRow('SHOTS FIRED', stats.shotsFired)}
               {renderStatRow('SHOTS HIT', stats.shotsHit)}
               {renderStatRow('ACCURACY', `${calculateAccuracy()}%`)}
@@ -196,7 +192,7 @@ const StatisticsScreen = ({ onClose, statistics }) => {
           className="achievements-panel"
         >
           <div className="achievements-grid">
-            {stats.achievements.map((achievement) => (
+            {achievements.map((achievement) => (
               <div
                 key={achievement.id}
                 className={`achievement-card ${achievement.unlocked ? 'unlocked' : 'locked'}`}
@@ -207,6 +203,17 @@ const StatisticsScreen = ({ onClose, statistics }) => {
                 <div className="achievement-info">
                   <div className="achievement-name">{achievement.name}</div>
                   <div className="achievement-desc">{achievement.description}</div>
+                  {!achievement.unlocked && achievement.progress > 0 && (
+                    <div className="achievement-progress">
+                      <div className="achievement-progress-bar">
+                        <div
+                          className="achievement-progress-fill"
+                          style={{ width: `${Math.round(achievement.progress * 100)}%` }}
+                        />
+                      </div>
+                      <div className="achievement-progress-text">{achievement.progressText}</div>
+                    </div>
+                  )}
                 </div>
                 {achievement.unlocked && (
                   <div className="achievement-status">
@@ -0,0 +1,210 @@
+/**
+ * AchievementSystem - Evaluates the declarative achievements in Achievements.js
+ *
+ * Features:
+ * - Conditions on Game.statistics, derived values (credits, playtime, hull, difficulty) and
+ *   EventBus events (ship kills, surrenders, resolved random events)
+ * - Multi-step achievements complete their steps in order; hidden ones stay ??? until unlocked
+ * - Unlocks are published as achievementUnlocked (toast in EventReactions) and persist across
+ *   runs in the statistics record (GameStateManager.saveStatistics) - not in the headless sim
+ * - Progress (0-1) and progress text for partially completed achievements (StatisticsScreen)
+ * - serialize()/deserialize() for SaveSystem (step and event progress of the run)
+ */
+import { ACHIEVEMENTS } from './Achievements.js';
+import { loadStatistics, saveStatistics } from '../utils/GameStateManager.js';
+
+const EVALUATE_INTERVAL = 1.0; // Seconds between checks of statistic and value conditions
+
+/**
+ * Derived values for { value } conditions
+ */
+const VALUES = {
+  credits: (game) => (game.economySystem ? game.economySystem.credits : 0),
+  playtimeMinutes: (game) => (game.playtime || 0) / 60000,
+  hullPercent: (game) => {
+    const p = game.player;
+    // A destroyed ship did not live through anything
+    if (!p || p.hull <= 0 || !p.maxHull) return 100;
+    return (p.hull / p.maxHull) * 100;
+  },
+  difficulty: (game) => game.difficulty || 'adventurer'
+};
+
+/**
+ * Unlocked achievements of all runs: { id: unlockedAt }
+ */
+export const loadUnlockedAchievements = () => {
+  const { statistics } = loadStatistics();
+  return (statistics && statistics.achievements && !Array.isArray(statistics.achievements))
+    ? { ...statistics.achievements }
+    : {};
+};
+
+const getSteps = (achievement) => achievement.steps || [achievement.condition];
+
+/**
+ * Achievement list without run progress (menus shown before a game is running)
+ */
+export const listAchievements = (unlocked = loadUnlockedAchievements()) =>
+  Object.entries(ACHIEVEMENTS).map(([id, achievement]) => {
+    const isUnlocked = id in unlocked;
+    const concealed = achievement.hidden && !isUnlocked;
+    return {
+      id,
+      name: concealed ? '???' : achievement.name,
+      description: concealed ? 'Hidden achievement' : achievement.description,
+      hidden: !!achievement.hidden,
+      unlocked: isUnlocked,
+      unlockedAt: isUnlocked ? unlocked[id] : null,
+      progress: isUnlocked ? 1 : 0,
+      progressText: ''
+    };
+  });
+
+export class AchievementSystem {
+  constructor(game) {
+    this.game = game;
+    // Headless sims and replays have no localStorage and must not touch the player's record
+    this.persistent = !game.headless;
+    this.unlocked = this.persistent ? loadUnlockedAchievements() : {}; // { id: unlockedAt } - across runs
+    this.steps = {}; // { id: index of the active step } - this run
+    this.counts = {}; // { id: events counted for the active step } - this run
+    this.evaluateTimer = 0;
+
+    game.events.onAny((payload, type) => this.recordEvent(type, payload));
+  }
+
+  isUnlocked(id) {
+    return id in this.unlocked;
+  }
+
+  /**
+   * Count a game event towards event conditions of active steps
+   * @param {string} name - EventBus event type (shipDestroyed, shipSurrendered, ...)
+   * @param {Object} data - Event payload matched against the condition's match
+   */
+  recordEvent(name, data = {}) {
+    for (const id in ACHIEVEMENTS) {
+      if (this.isUnlocked(id)) continue;
+      const condition = this.getActiveStep(id);
+      if (!condition || condition.event !== name) continue;
+
+      const match = condition.match || {};
+      if (Object.keys(match).every(key => data[key] === match[key])) {
+        this.counts[id] = (this.counts[id] || 0) + 1;
+        this.evaluate(id);
+      }
+    }
+  }
+
+  /**
+   * Check statistic and value conditions once per EVALUATE_INTERVAL
+   */
+  update(dt) {
+    this.evaluateTimer += dt;
+    if (this.evaluateTimer < EVALUATE_INTERVAL) return;
+    this.evaluateTimer = 0;
+
+    for (const id in ACHIEVEMENTS) {
+      if (!this.isUnlocked(id)) this.evaluate(id);
+    }
+  }
+
+  getActiveStep(id) {
+    return getSteps(ACHIEVEMENTS[id])[this.steps[id] || 0];
+  }
+
+  /**
+   * Progress of one condition towards completion (0-1) and its counter text
+   */
+  getConditionProgress(id, condition) {
+    let current;
+    let target;
+    if (condition.event) {
+      current = this.counts[id] || 0;
+      target = condition.target || 1;
+    } else if (condition.stat) {
+      current = (this.game.statistics && this.game.statistics[condition.stat]) || 0;
+      target = condition.target;
+    } else {
+      const value = VALUES[condition.value] ? VALUES[condition.value](this.game) : 0;
+      if (condition.equals !== undefined) return { progress: value === condition.equals ? 1 : 0, text: '' };
+      if (condition.atMost !== undefined) return { progress: value <= condition.atMost ? 1 : 0, text: '' };
+      current = value;
+      target = condition.target;
+    }
+    return {
+      progress: Math.min(1, current / target),
+      text: `${Math.floor(Math.min(current, target)).toLocaleString()}/${target.toLocaleString()}`
+    };
+  }
+
+  /**
+   * Advance through completed steps and unlock once the last one is done
+   */
+  evaluate(id) {
+    const steps = getSteps(ACHIEVEMENTS[id]);
+    let index = this.steps[id] || 0;
+    while (index < steps.length && this.getConditionProgress(id, steps[index]).progress >= 1) {
+      index++;
+      delete this.counts[id];
+    }
+    if (index > 0) this.steps[id] = index;
+    if (index >= steps.length) this.unlock(id);
+  }
+
+  unlock(id) {
+    if (this.isUnlocked(id)) return;
+    const achievement = ACHIEVEMENTS[id];
+    this.unlocked[id] = Date.now();
+    delete this.steps[id];
+    delete this.counts[id];
+
+    console.log(`[AchievementSystem] Unlocked ${achievement.name}`);
+    this.game.events.emit('achievementUnlocked', { id, name: achievement.name });
+    if (!this.persistent) return;
+
+    // Keep unlocks from other sessions recorded since this one started
+    const { statistics } = loadStatistics();
+    this.unlocked = { ...loadUnlockedAchievements(), ...this.unlocked };
+    saveStatistics({ ...(statistics || {}), achievements: this.unlocked });
+  }
+
+  /**
+   * Achievements with unlock state and progress (StatisticsScreen)
+   */
+  getAchievementList() {
+    return listAchievements(this.unlocked).map(entry => {
+      if (entry.unlocked || entry.hidden) return entry;
+
+      const steps = getSteps(ACHIEVEMENTS[entry.id]);
+      const index = Math.min(this.steps[entry.id] || 0, steps.length - 1);
+      const step = steps[index];
+      const { progress, text } = this.getConditionProgress(entry.id, step);
+      const progressText = steps.length > 1
+        ? `Step ${index + 1}/${steps.length}: ${step.text || ''}${text ? ` (${text})` : ''}`
+        : text;
+      return { ...entry, progress: (index + progress) / steps.length, progressText };
+    });
+  }
+
+  /**
+   * Serialize for saving (unlocks themselves live in the statistics record)
+   */
+  serialize() {
+    return {
+      steps: { ...this.steps },
+      counts: { ...this.counts }
+    };
+  }
+
+  /**
+   * Deserialize from saved data (older saves start every achievement from its first step)
+   */
+  deserialize(data) {
+    data = data || {};
+    this.steps = { ...(data.steps || {}) };
+    this.counts = { ...(data.counts || {}) };
+    this.evaluateTimer = 0;
+  }
+}
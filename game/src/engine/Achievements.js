@@ -0,0 +1,118 @@
+/**
+ * Achievements - Achievement definitions evaluated by AchievementSystem
+ *
+ * Achievement: { name, description, hidden, condition }  or  { name, description, hidden, steps }
+ *              (steps: conditions completed one after another; hidden ones show as ??? until unlocked)
+ * Condition:   { stat, target }            Game.statistics[stat] reaches target
+ *              { value, target }           derived value (AchievementSystem VALUES) reaches target
+ *              { value, atMost }           derived value drops to atMost or below
+ *              { value, equals }           derived value equals the given value
+ *              { event, match, target }    EventBus event emitted target times while the step is
+ *                                          active; match: fields the event payload must have
+ *              text: optional step description shown with the progress bar
+ */
+
+export const ACHIEVEMENTS = {
+  first_jump: {
+    name: 'FIRST JUMP',
+    description: 'Complete your first warp jump',
+    condition: { stat: 'jumpsExecuted', target: 1 }
+  },
+  explorer: {
+    name: 'EXPLORER',
+    description: 'Discover 10 star systems',
+    condition: { stat: 'systemsExplored', target: 10 }
+  },
+  combatant: {
+    name: 'COMBATANT',
+    description: 'Destroy 25 enemy ships',
+    condition: { stat: 'enemiesDestroyed', target: 25 }
+  },
+  capital_killer: {
+    name: 'CAPITAL KILLER',
+    description: 'Destroy a frigate',
+    condition: { event: 'shipDestroyed', match: { type: 'frigate', byPlayer: true }, target: 1 }
+  },
+  sharpshooter: {
+    name: 'SHARPSHOOTER',
+    description: 'Land 500 hits',
+    condition: { stat: 'shotsHit', target: 500 }
+  },
+  survivor: {
+    name: 'SURVIVOR',
+    description: 'Survive 1 hour of gameplay',
+    condition: { value: 'playtimeMinutes', target: 60 }
+  },
+  wealthy: {
+    name: 'WEALTHY',
+    description: 'Hold 50,000 credits',
+    condition: { value: 'credits', target: 50000 }
+  },
+  prospector: {
+    name: 'PROSPECTOR',
+    description: 'Mine 20 asteroids',
+    condition: { stat: 'asteroidsMined', target: 20 }
+  },
+  contractor: {
+    name: 'CONTRACTOR',
+    description: 'Complete 10 missions',
+    condition: { stat: 'missionsCompleted', target: 10 }
+  },
+  artifact_hunter: {
+    name: 'ARTIFACT HUNTER',
+    description: 'Discover 5 ancient artifacts',
+    condition: { stat: 'artifactsFound', target: 5 }
+  },
+  free_trader: {
+    name: 'FREE TRADER',
+    description: 'Dock, buy low, sell high and earn 5,000 credits',
+    steps: [
+      { stat: 'stationsVisited', target: 1, text: 'Dock at a station' },
+      { stat: 'itemsPurchased', target: 20, text: 'Buy 20 units of cargo' },
+      { stat: 'itemsSold', target: 20, text: 'Sell 20 units of cargo' },
+      { stat: 'totalCreditsEarned', target: 5000, text: 'Earn 5,000 credits' }
+    ]
+  },
+  voyager: {
+    name: 'VOYAGER',
+    description: 'Travel the stars: jump, dock across the sector, then chart 25 systems',
+    steps: [
+      { stat: 'jumpsExecuted', target: 5, text: 'Make 5 jumps' },
+      { stat: 'stationsVisited', target: 10, text: 'Dock 10 times' },
+      { stat: 'systemsExplored', target: 25, text: 'Discover 25 systems' }
+    ]
+  },
+  close_call: {
+    name: 'CLOSE CALL',
+    description: 'Live through a fight with the hull below 5%',
+    hidden: true,
+    condition: { value: 'hullPercent', atMost: 5 }
+  },
+  mercy: {
+    name: 'MERCY',
+    description: 'Accept the surrender of a hostile ship',
+    hidden: true,
+    condition: { event: 'shipSurrendered' }
+  },
+  black_flag: {
+    name: 'BLACK FLAG',
+    description: 'Destroy a civilian ship',
+    hidden: true,
+    condition: { event: 'shipDestroyed', match: { civilian: true, byPlayer: true } }
+  },
+  good_samaritan: {
+    name: 'GOOD SAMARITAN',
+    description: 'Answer three distress calls and live to tell of it',
+    hidden: true,
+    condition: { event: 'randomEventResolved', match: { eventId: 'distress_call', success: true }, target: 3 }
+  },
+  into_the_abyss: {
+    name: 'INTO THE ABYSS',
+    description: 'Destroy 10 ships on Nightmare difficulty',
+    hidden: true,
+    steps: [
+      { value: 'difficulty', equals: 'nightmare', text: 'Fly on Nightmare' },
+      { event: 'shipDestroyed', match: { difficulty: 'nightmare', byPlayer: true }, target: 10, text: 'Destroy 10 ships on Nightmare' }
+    ]
+  }
+};
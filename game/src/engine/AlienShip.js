@@ -6,6 +6,10 @@
  * 3. Bomber - Slow, heavy weapons, high HP
  * 4. Frigate - Capital ship, very slow, very tanky
  * 5. Hive Drone - Swarm behavior, weak individually
+ * Plus unarmed civilian hulls for ambient traffic: trader, courier and miner.
+ *
+ * Behaviour comes from the shared ShipAI (per-type profiles and squad tactics);
+ * this class keeps the stats, movement helpers, weapons and rendering.
  */
 
 export class AlienShip {
@@ -18,6 +22,7 @@ export class AlienShip {
     this.rotation = Math.random() * Math.PI * 2;
     this.isHostile = isHostile;
     this.isDead = false;
+    this.surrendered = false; // Yielded to the player when hailed (DialogueSystem)
 
     // Race information
     this.race = raceData ? raceData.id : 'unknown';
@@ -25,11 +30,14 @@ export class AlienShip {
     this.raceColor = raceData ? raceData.shipColor : '#aa5588';
     this.raceData = raceData;
 
-    // AI state
+    // AI state (behaviour and squad tactics live in ShipAI)
     this.target = null;
-    this.aiState = 'patrol'; // patrol, engage, evade, retreat, swarm
+    this.aiState = 'patrol'; // patrol, approach, engage, formation, evade, repair, retreat
     this.aiTimer = 0;
-    this.formation = null; // For hive drones
+    this.squadId = null; // Squad this ship flies with
+    this.ai = null; // Tactical memory kept by ShipAI (plain data)
+    this.provoked = false; // Shot at: neutral ships fight back
+    this.lastDamagedByPlayer = false; // Last hit came from the player: kill credit and consequences
 
     // Ship stats based on type
     this.initializeStats();
@@ -41,6 +49,15 @@ export class AlienShip {
     // Visual
     this.damageFlash = 0;
     this.trailParticles = [];
+
+    // Environmental hazard modifiers (set each frame by EnvironmentalHazards)
+    this.hazardEffects = null;
+
+    // Difficulty profile (set by DifficultySystem)
+    this.difficulty = null;
+    this.baseStats = null;
+    this.aimSpread = 1.0;
+    this.leadsTarget = true;
   }
 
   /**
@@ -145,6 +162,61 @@ export class AlienShip {
         this.swarmBehavior = true;
         break;
 
+      // Civilian hulls (TrafficSystem): unarmed, they flee when attacked
+      case 'trader':
+        this.hp = 120;
+        this.maxHp = 120;
+        this.shields = 40;
+        this.maxShields = 40;
+        this.speed = 150;
+        this.turnRate = 0.03;
+        this.size = 22;
+        this.mass = 400;
+        this.weaponDamage = 0;
+        this.weaponCooldownTime = 1;
+        this.detectionRange = 700;
+        this.engageRange = 0;
+        this.evadeThreshold = 0;
+        this.color = this.raceColor;
+        this.scoreValue = 40;
+        break;
+
+      case 'courier':
+        this.hp = 40;
+        this.maxHp = 40;
+        this.shields = 30;
+        this.maxShields = 30;
+        this.speed = 320;
+        this.turnRate = 0.08;
+        this.size = 12;
+        this.mass = 60;
+        this.weaponDamage = 0;
+        this.weaponCooldownTime = 1;
+        this.detectionRange = 900;
+        this.engageRange = 0;
+        this.evadeThreshold = 0;
+        this.color = this.raceColor;
+        this.scoreValue = 30;
+        break;
+
+      case 'miner':
+        this.hp = 160;
+        this.maxHp = 160;
+        this.shields = 20;
+        this.maxShields = 20;
+        this.speed = 110;
+        this.turnRate = 0.025;
+        this.size = 20;
+        this.mass = 500;
+        this.weaponDamage = 0;
+        this.weaponCooldownTime = 1;
+        this.detectionRange = 600;
+        this.engageRange = 0;
+        this.evadeThreshold = 0;
+        this.color = this.raceColor;
+        this.scoreValue = 40;
+        break;
+
       default:
         // Default to fighter - set type and reinitialize
         this.type = 'fighter';
@@ -152,22 +224,46 @@ export class AlienShip {
     }
   }
 
+  /**
+   * Scale hull, shields and aim to a difficulty profile, keeping current damage ratios
+   */
+  applyDifficulty(profileId, profile) {
+    if (!this.baseStats) {
+      this.baseStats = { maxHp: this.maxHp, maxShields: this.maxShields };
+    }
+
+    const hullRatio = this.maxHp > 0 ? this.hp / this.maxHp : 1;
+    const shieldRatio = this.maxShields > 0 ? this.shields / this.maxShields : 1;
+    this.maxHp = Math.round(this.baseStats.maxHp * profile.enemyHealth);
+    this.maxShields = Math.round(this.baseStats.maxShields * profile.enemyHealth);
+    this.hp = this.maxHp * hullRatio;
+    this.shields = this.maxShields * shieldRatio;
+
+    this.aimSpread = profile.enemyAimSpread;
+    this.leadsTarget = profile.enemyLeadsTarget;
+    this.difficulty = profileId;
+  }
+
   /**
    * Update AI and movement
+   * @param {ShipAI} ai - Shared ship AI (game.shipAI); without it the ship only drifts
    */
-  update(dt, player, allEnemies, projectiles) {
+  update(dt, player, allEnemies, projectiles, ai = null) {
     this.aiTimer += dt;
     this.weaponCooldown = Math.max(0, this.weaponCooldown - dt);
     this.specialCooldown = Math.max(0, this.specialCooldown - dt);
     this.damageFlash = Math.max(0, this.damageFlash - dt);
 
-    // Shield recharge
+    // Shield recharge (stalled by ion storms)
+    const disruption = this.hazardEffects ? this.hazardEffects.shieldDisruption : 0;
     if (this.shields < this.maxShields) {
-      this.shields = Math.min(this.maxShields, this.shields + 2 * dt);
+      this.shields = Math.min(this.maxShields, this.shields + 2 * dt * (1 - disruption));
     }
 
     // Update AI
-    this.updateAI(dt, player, allEnemies, projectiles);
+    if (ai) {
+      ai.updateShip(this, dt, player, allEnemies, projectiles);
+    }
 
     // Apply movement
     this.x += this.vx * dt;
@@ -178,210 +274,6 @@ export class AlienShip {
     this.vy *= 0.98;
   }
 
-  /**
-   * AI behavior logic
-   */
-  updateAI(dt, player, allEnemies, projectiles) {
-    if (!player) return;
-
-    const dx = player.x - this.x;
-    const dy = player.y - this.y;
-    const dist = Math.sqrt(dx * dx + dy * dy);
-
-    // Determine AI state
-    const hpPercent = this.hp / this.maxHp;
-
-    if (this.swarmBehavior) {
-      this.updateSwarmAI(dt, player, allEnemies);
-    } else {
-      // Standard AI
-      if (hpPercent < this.evadeThreshold && this.aiState !== 'evade') {
-        this.aiState = 'evade';
-        this.aiTimer = 0;
-      } else if (dist < this.engageRange) {
-        this.aiState = 'engage';
-      } else if (dist < this.detectionRange) {
-        this.aiState = 'approach';
-      } else {
-        this.aiState = 'patrol';
-      }
-
-      switch (this.aiState) {
-        case 'patrol':
-          this.patrol(dt);
-          break;
-        case 'approach':
-          this.approach(dt, player);
-          break;
-        case 'engage':
-          this.engage(dt, player, projectiles);
-          break;
-        case 'evade':
-          this.evade(dt, player, projectiles);
-          break;
-      }
-    }
-  }
-
-  /**
-   * Patrol behavior - circular movement
-   */
-  patrol(dt) {
-    const patrolRadius = 300;
-    const patrolSpeed = this.speed * 0.3;
-    const angle = this.aiTimer * 0.5;
-
-    const targetX = this.x + Math.cos(angle) * patrolRadius;
-    const targetY = this.y + Math.sin(angle) * patrolRadius;
-
-    this.moveToward(targetX, targetY, patrolSpeed * dt);
-  }
-
-  /**
-   * Approach behavior - move toward player
-   */
-  approach(dt, player) {
-    this.moveToward(player.x, player.y, this.speed * 0.6 * dt);
-  }
-
-  /**
-   * Engage behavior - attack player
-   */
-  engage(dt, player, projectiles) {
-    const dx = player.x - this.x;
-    const dy = player.y - this.y;
-    const dist = Math.sqrt(dx * dx + dy * dy);
-    const angleToPlayer = Math.atan2(dy, dx);
-
-    // Strafe movement for scouts and fighters
-    if (this.type === 'scout' || this.type === 'fighter') {
-      const strafeAngle = angleToPlayer + Math.PI / 2;
-      const strafeSpeed = this.speed * 0.4;
-
-      // Alternate strafe direction
-      const strafeDir = Math.sin(this.aiTimer * 2) > 0 ? 1 : -1;
-
-      this.vx += Math.cos(strafeAngle) * strafeSpeed * strafeDir * dt;
-      this.vy += Math.sin(strafeAngle) * strafeSpeed * strafeDir * dt;
-    }
-
-    // Maintain optimal distance
-    const optimalDist = this.engageRange * 0.7;
-    if (dist < optimalDist) {
-      // Back away
-      this.vx -= Math.cos(angleToPlayer) * this.speed * 0.3 * dt;
-      this.vy -= Math.sin(angleToPlayer) * this.speed * 0.3 * dt;
-    } else if (dist > optimalDist * 1.3) {
-      // Move closer
-      this.vx += Math.cos(angleToPlayer) * this.speed * 0.5 * dt;
-      this.vy += Math.sin(angleToPlayer) * this.speed * 0.5 * dt;
-    }
-
-    // Aim at player
-    this.rotation = this.turnToward(angleToPlayer, dt);
-
-    // Fire weapon
-    if (this.weaponCooldown <= 0) {
-      this.fireWeapon(projectiles, player);
-    }
-  }
-
-  /**
-   * Evade behavior - run away
-   */
-  evade(dt, player, projectiles) {
-    const dx = player.x - this.x;
-    const dy = player.y - this.y;
-    const angleAwayFromPlayer = Math.atan2(-dy, -dx);
-
-    // Run away at full speed
-    this.vx += Math.cos(angleAwayFromPlayer) * this.speed * dt;
-    this.vy += Math.sin(angleAwayFromPlayer) * this.speed * dt;
-
-    // Evasive maneuvers
-    const evadeAngle = angleAwayFromPlayer + Math.sin(this.aiTimer * 5) * 0.8;
-    this.vx += Math.cos(evadeAngle) * this.speed * 0.5 * dt;
-    this.vy += Math.sin(evadeAngle) * this.speed * 0.5 * dt;
-
-    this.rotation = this.turnToward(angleAwayFromPlayer, dt);
-
-    // Return to fight if HP recovers
-    if (this.aiTimer > 4 && this.hp > this.maxHp * 0.6) {
-      this.aiState = 'engage';
-      this.aiTimer = 0;
-    }
-  }
-
-  /**
-   * Swarm AI for hive drones
-   */
-  updateSwarmAI(dt, player, allEnemies) {
-    const dx = player.x - this.x;
-    const dy = player.y - this.y;
-    const dist = Math.sqrt(dx * dx + dy * dy);
-
-    // Swarm behaviors: cohesion, separation, alignment
-    let cohesionX = 0, cohesionY = 0;
-    let separationX = 0, separationY = 0;
-    let alignmentVx = 0, alignmentVy = 0;
-    let nearbyCount = 0;
-
-    // Find nearby hive drones
-    for (const other of allEnemies) {
-      if (other === this || other.type !== 'hive_drone') continue;
-
-      const odx = other.x - this.x;
-      const ody = other.y - this.y;
-      const oDist = Math.sqrt(odx * odx + ody * ody);
-
-      if (oDist < 200) {
-        nearbyCount++;
-
-        // Cohesion - move toward group center
-        cohesionX += other.x;
-        cohesionY += other.y;
-
-        // Separation - avoid crowding
-        if (oDist < 50 && oDist > 0) {
-          separationX -= odx / oDist;
-          separationY -= ody / oDist;
-        }
-
-        // Alignment - match velocity
-        alignmentVx += other.vx;
-        alignmentVy += other.vy;
-      }
-    }
-
-    if (nearbyCount > 0) {
-      cohesionX /= nearbyCount;
-      cohesionY /= nearbyCount;
-      alignmentVx /= nearbyCount;
-      alignmentVy /= nearbyCount;
-
-      // Apply swarm forces
-      const cohesionDx = cohesionX - this.x;
-      const cohesionDy = cohesionY - this.y;
-
-      this.vx += cohesionDx * 0.5 * dt;
-      this.vy += cohesionDy * 0.5 * dt;
-      this.vx += separationX * 100 * dt;
-      this.vy += separationY * 100 * dt;
-      this.vx += alignmentVx * 0.3 * dt;
-      this.vy += alignmentVy * 0.3 * dt;
-    }
-
-    // Move toward player
-    if (dist > 100) {
-      this.vx += (dx / dist) * this.speed * 0.5 * dt;
-      this.vy += (dy / dist) * this.speed * 0.5 * dt;
-    }
-
-    // Aim at player
-    const angleToPlayer = Math.atan2(dy, dx);
-    this.rotation = this.turnToward(angleToPlayer, dt);
-  }
-
   /**
    * Helper: Move toward a point
    */
@@ -419,12 +311,18 @@ export class AlienShip {
   fireWeapon(projectiles, target) {
     this.weaponCooldown = this.weaponCooldownTime;
 
-    // Predict target position
+    // Ion storm misfire
+    const interference = this.hazardEffects ? this.hazardEffects.weaponInterference : 0;
+    if (interference > 0 && Math.random() < interference) {
+      return;
+    }
+
+    // Predict target position (easier profiles shoot where the target is now)
     const dx = target.x - this.x;
     const dy = target.y - this.y;
     const dist = Math.sqrt(dx * dx + dy * dy);
     const projectileSpeed = 500;
-    const timeToHit = dist / projectileSpeed;
+    const timeToHit = this.leadsTarget ? dist / projectileSpeed : 0;
 
     const predictedX = target.x + target.vx * timeToHit;
     const predictedY = target.y + target.vy * timeToHit;
@@ -434,7 +332,7 @@ export class AlienShip {
     const angle = Math.atan2(pdy, pdx);
 
     // Create projectile
-    const spread = this.type === 'frigate' ? 0.1 : 0.05;
+    const spread = (this.type === 'frigate' ? 0.1 : 0.05) * this.aimSpread;
     const finalAngle = angle + (Math.random() - 0.5) * spread;
 
     projectiles.push({
@@ -448,6 +346,7 @@ export class AlienShip {
       color: this.color,
       size: this.type === 'bomber' ? 6 : this.type === 'frigate' ? 4 : 3,
       owner: 'enemy',
+      source: `${this.raceName} ${this.type}`, // Cause of death for the Hall of the Fallen
       friendly: false  // FIX: Enemy projectiles must have friendly:false for collision detection
     });
   }
@@ -466,6 +365,7 @@ export class AlienShip {
     // Remaining damage to hull
     this.hp -= amount;
     this.damageFlash = 0.2;
+    this.provoked = true;
 
     if (this.hp <= 0) {
       this.isDead = true;
@@ -511,6 +411,15 @@ export class AlienShip {
       case 'hive_drone':
         this.renderHiveDrone(ctx);
         break;
+      case 'trader':
+        this.renderTrader(ctx);
+        break;
+      case 'courier':
+        this.renderCourier(ctx);
+        break;
+      case 'miner':
+        this.renderMiner(ctx);
+        break;
     }
 
     ctx.restore();
@@ -1268,6 +1177,102 @@ export class AlienShip {
     ctx.fillRect(-this.size * 0.55, -this.size * 0.88, 2, 2);
   }
 
+  renderTrader(ctx) {
+    // Freighter: blocky hull carrying cargo containers in the race colour
+
+    // Spine and bridge
+    ctx.fillStyle = '#3a3f48';
+    ctx.fillRect(-this.size * 1.1, -this.size * 0.2, this.size * 2.0, this.size * 0.4);
+    ctx.fillStyle = '#5a6270';
+    ctx.fillRect(this.size * 0.6, -this.size * 0.35, this.size * 0.45, this.size * 0.7);
+    ctx.fillStyle = '#88ccff';
+    ctx.fillRect(this.size * 0.85, -this.size * 0.15, 3, this.size * 0.3);
+
+    // Cargo containers (two rows)
+    for (let i = 0; i < 4; i++) {
+      const cx = -this.size * 0.95 + i * this.size * 0.38;
+      ctx.fillStyle = i % 2 === 0 ? this.color : '#8a7a55';
+      ctx.fillRect(cx, -this.size * 0.7, this.size * 0.32, this.size * 0.45);
+      ctx.fillRect(cx, this.size * 0.25, this.size * 0.32, this.size * 0.45);
+      ctx.fillStyle = '#22262c';
+      ctx.fillRect(cx, -this.size * 0.5, this.size * 0.32, 1);
+      ctx.fillRect(cx, this.size * 0.45, this.size * 0.32, 1);
+    }
+
+    // Engine glow
+    const enginePulse = Math.sin(Date.now() * 0.005) * 0.3 + 0.7;
+    ctx.fillStyle = `rgba(255, 170, 60, ${enginePulse})`;
+    ctx.fillRect(-this.size * 1.25, -this.size * 0.15, this.size * 0.15, this.size * 0.3);
+
+    // Running lights
+    const blink = Math.floor(Date.now() / 500) % 2 === 0;
+    ctx.fillStyle = blink ? '#44ff44' : '#224422';
+    ctx.fillRect(-this.size * 0.95, this.size * 0.72, 2, 2);
+    ctx.fillStyle = blink ? '#ff4444' : '#442222';
+    ctx.fillRect(-this.size * 0.95, -this.size * 0.74, 2, 2);
+  }
+
+  renderCourier(ctx) {
+    // Courier: slim dart with oversized engines
+
+    ctx.fillStyle = '#c8ccd4';
+    ctx.beginPath();
+    ctx.moveTo(this.size * 1.1, 0);
+    ctx.lineTo(-this.size * 0.6, -this.size * 0.3);
+    ctx.lineTo(-this.size * 0.6, this.size * 0.3);
+    ctx.closePath();
+    ctx.fill();
+
+    // Race stripe and canopy
+    ctx.fillStyle = this.color;
+    ctx.fillRect(-this.size * 0.4, -2, this.size * 1.1, 4);
+    ctx.fillStyle = '#88ddff';
+    ctx.fillRect(this.size * 0.4, -2, 4, 4);
+
+    // Engines
+    ctx.fillStyle = '#555a66';
+    ctx.fillRect(-this.size * 0.9, -this.size * 0.45, this.size * 0.4, this.size * 0.25);
+    ctx.fillRect(-this.size * 0.9, this.size * 0.2, this.size * 0.4, this.size * 0.25);
+    const enginePulse = Math.sin(Date.now() * 0.012) * 0.3 + 0.7;
+    ctx.fillStyle = `rgba(120, 200, 255, ${enginePulse})`;
+    ctx.fillRect(-this.size * 1.05, -this.size * 0.4, this.size * 0.15, this.size * 0.15);
+    ctx.fillRect(-this.size * 1.05, this.size * 0.25, this.size * 0.15, this.size * 0.15);
+  }
+
+  renderMiner(ctx) {
+    // Mining barge: wide ore hopper with drill arms at the bow
+
+    ctx.fillStyle = '#6a5a3a';
+    ctx.fillRect(-this.size * 0.9, -this.size * 0.6, this.size * 1.4, this.size * 1.2);
+    ctx.fillStyle = '#8a7448';
+    ctx.fillRect(-this.size * 0.8, -this.size * 0.5, this.size * 1.2, this.size * 0.35);
+    ctx.fillRect(-this.size * 0.8, this.size * 0.15, this.size * 1.2, this.size * 0.35);
+
+    // Ore in the hopper
+    ctx.fillStyle = '#4a3a2a';
+    for (let i = 0; i < 6; i++) {
+      ctx.fillRect(-this.size * 0.7 + i * this.size * 0.18, -this.size * 0.08, 3, 3);
+    }
+
+    // Cab in the race colour
+    ctx.fillStyle = this.color;
+    ctx.fillRect(this.size * 0.4, -this.size * 0.3, this.size * 0.3, this.size * 0.6);
+
+    // Drill arms
+    ctx.fillStyle = '#999999';
+    ctx.fillRect(this.size * 0.5, -this.size * 0.55, this.size * 0.6, 3);
+    ctx.fillRect(this.size * 0.5, this.size * 0.5, this.size * 0.6, 3);
+    const drilling = this.aiState === 'mining' && Math.floor(Date.now() / 100) % 2 === 0;
+    ctx.fillStyle = drilling ? '#ffdd44' : '#777777';
+    ctx.fillRect(this.size * 1.1, -this.size * 0.6, 4, 6);
+    ctx.fillRect(this.size * 1.1, this.size * 0.45, 4, 6);
+
+    // Engine glow
+    const enginePulse = Math.sin(Date.now() * 0.004) * 0.3 + 0.7;
+    ctx.fillStyle = `rgba(255, 140, 40, ${enginePulse})`;
+    ctx.fillRect(-this.size * 1.0, -this.size * 0.3, this.size * 0.1, this.size * 0.6);
+  }
+
   renderHiveDrone(ctx) {
     // 16-bit multi-colored bio-mechanical insectoid design
     // Colors: dark brown/green chitin, orange/yellow bio-luminescent organs,
@@ -130,7 +130,7 @@ export class ArmorSystem {
           explosiveResistance: 0.5,
           regenerationRate: 2 + tier * 1.5, // HP per second
           regenerationDelay: 5, // Seconds after taking damage
-          lastDamageTime: 0,
+          timeSinceHit: 0, // Seconds of game time since the plate last took damage
           weight: 110 + tier * 22,
           description: 'Self-repairing armor. Regenerates after avoiding damage.'
         };
@@ -264,7 +264,7 @@ export class ArmorSystem {
 
       // Track last damage time for regenerative armor
       if (plate.type === 'regenerative') {
-        plate.lastDamageTime = Date.now() / 1000;
+        plate.timeSinceHit = 0;
       }
 
       // Consume reactive charge
@@ -286,13 +286,11 @@ export class ArmorSystem {
    * Update armor system (regeneration, etc.)
    */
   update(dt) {
-    const currentTime = Date.now() / 1000;
-
     for (const plate of this.plates) {
-      // Regenerative armor
+      // Regenerative armor (timed in game time: the headless sim and replays run it too)
       if (plate.type === 'regenerative' && plate.hp < plate.maxHp) {
-        const timeSinceHit = currentTime - (plate.lastDamageTime || 0);
-        if (timeSinceHit >= plate.regenerationDelay) {
+        plate.timeSinceHit = (plate.timeSinceHit || 0) + dt;
+        if (plate.timeSinceHit >= plate.regenerationDelay) {
           plate.hp = Math.min(plate.maxHp, plate.hp + plate.regenerationRate * dt);
         }
       }
@@ -1,3 +1,5 @@
+import { SeededRandom } from '../utils/SeededRandom.js';
+
 export class ArtifactSystem {
   constructor() {
     this.discoveredArtifacts = [];
@@ -13,11 +15,15 @@ export class ArtifactSystem {
     ];
   }
 
-  generateArtifact() {
-    const type = this.artifactTypes[Math.floor(Math.random() * this.artifactTypes.length)];
-    if (Math.random() > type.rarity) return null;
+  /**
+   * Roll an artifact piece (null when the rarity roll fails)
+   * @param {SeededRandom} rng - Stream to draw from (see generateSystemArtifacts)
+   */
+  generateArtifact(rng) {
+    const type = rng.choice(this.artifactTypes);
+    if (rng.next() > type.rarity) return null;
     
-    const pieceIndex = Math.floor(Math.random() * type.pieces) + 1;
+    const pieceIndex = rng.int(1, type.pieces);
     return {
       typeId: type.id,
       name: type.name + ' - Piece ' + pieceIndex + '/' + type.pieces,
@@ -90,10 +96,8 @@ export class ArtifactSystem {
     const artifacts = [];
 
     // Use seed to make artifact generation deterministic for each system
-    const rng = () => {
-      seed = (seed * 9301 + 49297) % 233280;
-      return seed / 233280;
-    };
+    const stream = new SeededRandom(seed ?? systemIndex).fork('artifacts');
+    const rng = () => stream.next();
 
     // Chance of artifacts appearing in a system (rare)
     // Higher chance in special systems (black holes, nebula, megastructures)
@@ -113,7 +117,7 @@ export class ArtifactSystem {
     const numArtifacts = Math.floor(rng() * 3) + 1;
 
     for (let i = 0; i < numArtifacts; i++) {
-      const artifact = this.generateArtifact();
+      const artifact = this.generateArtifact(stream);
       if (artifact) {
         // Position artifact in orbit around the star
         // Artifacts orbit at various distances
@@ -0,0 +1,518 @@
+/**
+ * AudioSystem - Procedural WebAudio chiptune sound engine
+ *
+ * Features:
+ * - Every sound is synthesized at runtime (no audio asset files)
+ * - Separate gain channels for master, music, SFX, ambient and voice volumes
+ * - Weapon fire per WeaponSystem type, shield hits, explosions, docking
+ * - Ship computer alerts on the voice channel, UI chirps behind the UI sounds setting
+ * - Continuous thruster, RCS and mining laser loops driven by game state
+ * - BlackHoleWarpEffect phase cues (charging, growing, warp speed, deactivating)
+ * - Seeded per-system chiptune music loop and ambient drone
+ * - AudioContext is created on the first user gesture (browser autoplay rules)
+ * - Suspends with the game pause state
+ */
+
+import { loadSettings } from '../utils/GameStateManager.js';
+import { SeededRandom } from '../utils/SeededRandom.js';
+
+// Weapon fire recipes: oscillator sweep + optional noise burst
+const WEAPON_SOUNDS = {
+  kinetic_cannon: { wave: 'square', freq: 220, endFreq: 90, duration: 0.09, volume: 0.25, noise: 0.06 },
+  plasma_cannon: { wave: 'sawtooth', freq: 880, endFreq: 220, duration: 0.16, volume: 0.2 },
+  laser_beam: { wave: 'sine', freq: 1300, endFreq: 1000, duration: 0.14, volume: 0.2 },
+  missile_launcher: { wave: 'square', freq: 160, endFreq: 60, duration: 0.25, volume: 0.18, noise: 0.35 },
+  railgun: { wave: 'square', freq: 1800, endFreq: 80, duration: 0.28, volume: 0.22, noise: 0.12 },
+  point_defense: { wave: 'square', freq: 1400, endFreq: 1200, duration: 0.035, volume: 0.12 },
+  nuclear_missile: { wave: 'triangle', freq: 110, endFreq: 40, duration: 0.6, volume: 0.3, noise: 0.5 },
+  mine_launcher: { wave: 'triangle', freq: 300, endFreq: 520, duration: 0.12, volume: 0.2 },
+  ion_cannon: { wave: 'square', freq: 520, endFreq: 940, duration: 0.15, volume: 0.18 },
+  graviton_beam: { wave: 'sine', freq: 60, endFreq: 220, duration: 0.32, volume: 0.3 },
+  disruptor: { wave: 'sawtooth', freq: 300, endFreq: 1200, duration: 0.12, volume: 0.18 }
+};
+
+// Notifications spoken by the ship computer (voice channel); the others are UI chirps
+const VOICE_ALERTS = new Set(['warning', 'error', 'critical']);
+
+// Minor pentatonic offsets (semitones) for the music generator
+const MUSIC_SCALE = [0, 3, 5, 7, 10, 12, 15, 17];
+
+export class AudioSystem {
+  constructor(game) {
+    this.game = game;
+
+    this.AudioContextClass = typeof window !== 'undefined'
+      ? (window.AudioContext || window.webkitAudioContext)
+      : null;
+    this.ctx = null;
+
+    // Channel volumes (0-1), mirrored from CanvasSettingsScreen sliders (0-100)
+    this.volumes = { master: 0.8, music: 0.7, sfx: 0.85, ambient: 0.6, voice: 0.75 };
+    this.channels = {};
+    this.uiSounds = true; // CanvasSettingsScreen 'UI sounds' toggle
+
+    this.paused = false;
+    this.noiseBuffer = null;
+
+    // Continuous voices
+    this.loops = {};
+
+    // Per-sound rate limiting (sound key -> last ctx time)
+    this.lastPlayed = {};
+
+    // Warp effect phase tracking
+    this.lastWarpPhase = 'inactive';
+
+    // Music sequencer state
+    this.music = {
+      tempo: 112,
+      step: 0,
+      nextNoteTime: 0,
+      systemIndex: null,
+      rootFreq: 110,
+      progression: [0, 5, 3, 4],
+      pattern: []
+    };
+
+    this.loadSavedVolumes();
+  }
+
+  /**
+   * Read stored volume settings so audio matches the settings screen from the start
+   */
+  loadSavedVolumes() {
+    try {
+      const result = loadSettings();
+      if (result && result.settings) {
+        this.applySettings(result.settings);
+      }
+    } catch (error) {
+      console.warn('[AudioSystem] Could not load saved volume settings:', error);
+    }
+  }
+
+  /**
+   * Apply volume settings (values 0-100 from CanvasSettingsScreen)
+   */
+  applySettings(settings) {
+    if (!settings) return;
+
+    const map = {
+      masterVolume: 'master',
+      musicVolume: 'music',
+      sfxVolume: 'sfx',
+      ambientVolume: 'ambient',
+      voiceVolume: 'voice'
+    };
+
+    for (const [key, channel] of Object.entries(map)) {
+      if (settings[key] !== undefined) {
+        this.volumes[channel] = Math.max(0, Math.min(1, settings[key] / 100));
+      }
+    }
+    if (settings.uiSounds !== undefined) this.uiSounds = !!settings.uiSounds;
+
+    this.updateChannelGains();
+  }
+
+  updateChannelGains() {
+    if (!this.ctx) return;
+    const now = this.ctx.currentTime;
+    for (const [channel, gain] of Object.entries(this.channels)) {
+      gain.gain.setTargetAtTime(this.volumes[channel], now, 0.05);
+    }
+  }
+
+  /**
+   * Create the AudioContext on the first user gesture
+   */
+  unlock() {
+    if (!this.AudioContextClass) return;
+
+    if (!this.ctx) {
+      try {
+        this.ctx = new this.AudioContextClass();
+      } catch (error) {
+        console.warn('[AudioSystem] WebAudio unavailable:', error);
+        this.AudioContextClass = null;
+        return;
+      }
+
+      this.buildGraph();
+      console.log('[AudioSystem] Audio context started');
+    }
+
+    if (this.ctx.state === 'suspended' && !this.paused) {
+      this.ctx.resume();
+    }
+  }
+
+  /**
+   * Channel gain graph and continuous voices
+   */
+  buildGraph() {
+    const ctx = this.ctx;
+
+    this.channels.master = ctx.createGain();
+    this.channels.master.connect(ctx.destination);
+
+    for (const channel of ['music', 'sfx', 'ambient', 'voice']) {
+      this.channels[channel] = ctx.createGain();
+      this.channels[channel].connect(this.channels.master);
+    }
+    this.updateChannelGains();
+
+    // 1 second of white noise, reused by every noise voice
+    this.noiseBuffer = ctx.createBuffer(1, ctx.sampleRate, ctx.sampleRate);
+    const data = this.noiseBuffer.getChannelData(0);
+    for (let i = 0; i < data.length; i++) {
+      data[i] = Math.random() * 2 - 1;
+    }
+
+    this.loops.thruster = this.createNoiseLoop('lowpass', 400, 'sfx');
+    this.loops.rcs = this.createNoiseLoop('highpass', 3000, 'sfx');
+    this.loops.mining = this.createToneLoop('sawtooth', 180, 'sfx');
+    this.loops.ambient = this.createToneLoop('triangle', 55, 'ambient');
+    this.loops.ambientNoise = this.createNoiseLoop('bandpass', 300, 'ambient');
+
+    this.music.nextNoteTime = ctx.currentTime + 0.1;
+  }
+
+  createNoiseLoop(filterType, filterFreq, channel) {
+    const source = this.ctx.createBufferSource();
+    source.buffer = this.noiseBuffer;
+    source.loop = true;
+
+    const filter = this.ctx.createBiquadFilter();
+    filter.type = filterType;
+    filter.frequency.value = filterFreq;
+
+    const gain = this.ctx.createGain();
+    gain.gain.value = 0;
+
+    source.connect(filter);
+    filter.connect(gain);
+    gain.connect(this.channels[channel]);
+    source.start();
+
+    return { source, filter, gain };
+  }
+
+  createToneLoop(wave, freq, channel) {
+    const osc = this.ctx.createOscillator();
+    osc.type = wave;
+    osc.frequency.value = freq;
+
+    const gain = this.ctx.createGain();
+    gain.gain.value = 0;
+
+    osc.connect(gain);
+    gain.connect(this.channels[channel]);
+    osc.start();
+
+    return { osc, gain };
+  }
+
+  /**
+   * Suspend/resume with the game pause state
+   */
+  setPaused(paused) {
+    if (paused === this.paused) return;
+    this.paused = paused;
+    if (!this.ctx) return;
+
+    if (paused && this.ctx.state === 'running') {
+      this.ctx.suspend();
+    } else if (!paused && this.ctx.state === 'suspended') {
+      this.ctx.resume();
+      this.music.nextNoteTime = this.ctx.currentTime + 0.05;
+    }
+  }
+
+  /**
+   * Rate limit a sound key
+   */
+  canPlay(key, minInterval) {
+    if (!this.ctx || this.ctx.state !== 'running') return false;
+    const now = this.ctx.currentTime;
+    if (this.lastPlayed[key] !== undefined && now - this.lastPlayed[key] < minInterval) return false;
+    this.lastPlayed[key] = now;
+    return true;
+  }
+
+  /**
+   * One-shot oscillator with pitch sweep and decay envelope
+   */
+  tone({ wave = 'square', freq, endFreq = freq, duration, volume = 0.2, channel = 'sfx', delay = 0 }) {
+    const ctx = this.ctx;
+    const start = ctx.currentTime + delay;
+
+    const osc = ctx.createOscillator();
+    osc.type = wave;
+    osc.frequency.setValueAtTime(freq, start);
+    if (endFreq !== freq) {
+      osc.frequency.exponentialRampToValueAtTime(Math.max(20, endFreq), start + duration);
+    }
+
+    const gain = ctx.createGain();
+    gain.gain.setValueAtTime(0.0001, start);
+    gain.gain.exponentialRampToValueAtTime(volume, start + 0.005);
+    gain.gain.exponentialRampToValueAtTime(0.0001, start + duration);
+
+    osc.connect(gain);
+    gain.connect(this.channels[channel]);
+    osc.start(start);
+    osc.stop(start + duration + 0.02);
+  }
+
+  /**
+   * One-shot filtered noise burst
+   */
+  noise({ duration, volume = 0.2, filterType = 'lowpass', filterFreq = 2000, endFilterFreq = filterFreq, channel = 'sfx', delay = 0 }) {
+    const ctx = this.ctx;
+    const start = ctx.currentTime + delay;
+
+    const source = ctx.createBufferSource();
+    source.buffer = this.noiseBuffer;
+    source.loop = duration > 1;
+
+    const filter = ctx.createBiquadFilter();
+    filter.type = filterType;
+    filter.frequency.setValueAtTime(filterFreq, start);
+    if (endFilterFreq !== filterFreq) {
+      filter.frequency.exponentialRampToValueAtTime(Math.max(20, endFilterFreq), start + duration);
+    }
+
+    const gain = ctx.createGain();
+    gain.gain.setValueAtTime(volume, start);
+    gain.gain.exponentialRampToValueAtTime(0.0001, start + duration);
+
+    source.connect(filter);
+    filter.connect(gain);
+    gain.connect(this.channels[channel]);
+    source.start(start);
+    source.stop(start + duration + 0.02);
+  }
+
+  /**
+   * Distance attenuation relative to the player (0-1)
+   */
+  getAttenuation(x, y) {
+    const player = this.game.player;
+    if (!player || x === undefined) return 1;
+    const dist = Math.hypot(x - player.x, y - player.y);
+    return Math.max(0.05, 1 - dist / 2500);
+  }
+
+  /**
+   * Weapon fire for a WeaponSystem weapon type
+   */
+  playWeapon(weaponType) {
+    if (!this.canPlay(`weapon_${weaponType}`, 0.04)) return;
+
+    const recipe = WEAPON_SOUNDS[weaponType] || WEAPON_SOUNDS.kinetic_cannon;
+    this.tone(recipe);
+    if (recipe.noise) {
+      this.noise({ duration: recipe.noise, volume: recipe.volume * 0.6, filterFreq: 3000, endFilterFreq: 300 });
+    }
+  }
+
+  /**
+   * Shield impact (ShieldSystem.takeDamage and Game.createShieldImpact share the rate limit,
+   * so a hit reported by both plays once)
+   */
+  playShieldHit(strengthRatio = 1) {
+    if (!this.canPlay('shield', 0.06)) return;
+
+    // Weaker shields sound lower and harsher
+    const base = 500 + strengthRatio * 500;
+    this.tone({ wave: 'triangle', freq: base, endFreq: base * 1.8, duration: 0.12, volume: 0.18 });
+    this.noise({ duration: 0.1, volume: 0.1, filterType: 'highpass', filterFreq: 4000 });
+  }
+
+  /**
+   * Explosion (Game.createExplosion)
+   */
+  playExplosion(x, y, radius = 40) {
+    if (!this.canPlay('explosion', 0.05)) return;
+
+    const attenuation = this.getAttenuation(x, y);
+    const size = Math.min(1, radius / 100);
+    const duration = 0.4 + size * 1.2;
+
+    this.noise({ duration, volume: 0.45 * attenuation, filterFreq: 1500 + size * 1000, endFilterFreq: 60 });
+    this.tone({ wave: 'sine', freq: 90 - size * 40, endFreq: 30, duration: duration * 0.8, volume: 0.4 * attenuation });
+  }
+
+  /**
+   * Docking clamp + confirmation arpeggio
+   */
+  playDock() {
+    if (!this.canPlay('dock', 0.5)) return;
+
+    this.noise({ duration: 0.25, volume: 0.25, filterFreq: 600, endFilterFreq: 100 });
+    [523, 659, 784, 1047].forEach((freq, i) => {
+      this.tone({ wave: 'square', freq, duration: 0.1, volume: 0.12, delay: 0.2 + i * 0.08 });
+    });
+  }
+
+  /**
+   * Notification sounds: ship computer alerts on the voice channel, interface chirps on
+   * the SFX channel (muted by the UI sounds setting)
+   */
+  playNotification(type) {
+    const alert = VOICE_ALERTS.has(type);
+    if (!alert && !this.uiSounds) return;
+    if (!this.canPlay(`${alert ? 'voice' : 'ui'}_${type}`, 0.3)) return;
+
+    const patterns = {
+      success: [660, 880],
+      info: [740],
+      warning: [880, 660, 880],
+      error: [440, 330],
+      critical: [440, 330, 440, 330]
+    };
+    const notes = patterns[type] || patterns.info;
+
+    notes.forEach((freq, i) => {
+      this.tone({ wave: 'square', freq, duration: 0.07, volume: 0.08, channel: alert ? 'voice' : 'sfx', delay: i * 0.09 });
+    });
+  }
+
+  /**
+   * BlackHoleWarpEffect phase cues
+   */
+  playWarpPhase(phase) {
+    if (!this.ctx || this.ctx.state !== 'running') return;
+
+    switch (phase) {
+      case 'charging':
+        this.tone({ wave: 'sawtooth', freq: 80, endFreq: 400, duration: 1.0, volume: 0.15 });
+        break;
+      case 'growing':
+        this.noise({ duration: 2.0, volume: 0.25, filterFreq: 200, endFilterFreq: 1200 });
+        this.tone({ wave: 'sine', freq: 45, endFreq: 90, duration: 2.0, volume: 0.3 });
+        break;
+      case 'warp_speed':
+        this.noise({ duration: 0.8, volume: 0.35, filterType: 'bandpass', filterFreq: 3000, endFilterFreq: 400 });
+        this.tone({ wave: 'square', freq: 1200, endFreq: 150, duration: 0.6, volume: 0.12 });
+        break;
+      case 'deactivating':
+        this.tone({ wave: 'sawtooth', freq: 400, endFreq: 50, duration: 1.5, volume: 0.15 });
+        this.noise({ duration: 1.5, volume: 0.15, filterFreq: 1500, endFilterFreq: 80 });
+        break;
+    }
+  }
+
+  /**
+   * Per-frame update: loops, warp phases, music scheduling
+   */
+  update(dt) {
+    if (!this.ctx || this.ctx.state !== 'running') return;
+
+    const game = this.game;
+    const player = game.player;
+    const now = this.ctx.currentTime;
+
+    // Main engine rumble
+    const thrust = player && player.thrust ? Math.abs(player.thrust) : 0;
+    this.loops.thruster.gain.gain.setTargetAtTime(thrust * 0.35, now, 0.08);
+    this.loops.thruster.filter.frequency.setTargetAtTime(300 + thrust * 500, now, 0.1);
+
+    // RCS hiss while turning
+    const turning = game.input && game.input.rotation ? Math.min(1, Math.abs(game.input.rotation)) : 0;
+    this.loops.rcs.gain.gain.setTargetAtTime(turning * 0.06, now, 0.05);
+
+    // Mining laser hum
+    const mining = game.miningSystem && game.miningSystem.miningActive;
+    this.loops.mining.gain.gain.setTargetAtTime(mining ? 0.06 : 0, now, 0.05);
+    if (mining) {
+      this.loops.mining.osc.frequency.setTargetAtTime(170 + Math.sin(now * 12) * 15, now, 0.02);
+    }
+
+    // Ambient drone (deeper and louder in dangerous systems)
+    const danger = game.currentSystemData ? game.currentSystemData.dangerLevel || 0 : 0;
+    this.loops.ambient.gain.gain.setTargetAtTime(0.08 + danger * 0.01, now, 0.5);
+    this.loops.ambient.osc.frequency.setTargetAtTime(55 - danger * 2, now, 1.0);
+    this.loops.ambientNoise.gain.gain.setTargetAtTime(0.03, now, 0.5);
+
+    // Warp phase transitions
+    const warp = game.blackHoleWarpEffect;
+    const phase = warp && warp.active ? warp.phase : 'inactive';
+    if (phase !== this.lastWarpPhase) {
+      this.playWarpPhase(phase);
+      this.lastWarpPhase = phase;
+    }
+
+    this.updateMusic();
+  }
+
+  /**
+   * Seed chord progression and arpeggio from the current system
+   */
+  composeForSystem(systemIndex) {
+    const system = this.game.currentSystemData;
+    const rng = new SeededRandom(system && system.seed ? system.seed : systemIndex + 1);
+
+    const roots = [98, 110, 123.5, 130.8, 146.8];
+    this.music.rootFreq = rng.choice(roots);
+    this.music.tempo = rng.int(96, 128);
+    this.music.progression = [0, rng.choice([3, 5]), rng.choice([2, 4]), rng.choice([5, 7])];
+    this.music.pattern = [];
+    for (let i = 0; i < 16; i++) {
+      this.music.pattern.push(rng.boolean(0.75) ? rng.int(0, MUSIC_SCALE.length - 1) : -1);
+    }
+    this.music.systemIndex = systemIndex;
+    this.music.step = 0;
+  }
+
+  /**
+   * Look-ahead scheduler for the chiptune loop
+   */
+  updateMusic() {
+    const music = this.music;
+    const now = this.ctx.currentTime;
+
+    if (music.systemIndex !== this.game.currentSystemIndex) {
+      this.composeForSystem(this.game.currentSystemIndex);
+    }
+
+    if (music.nextNoteTime < now) {
+      music.nextNoteTime = now + 0.05;
+    }
+
+    const stepLength = 60 / music.tempo / 4; // 16th notes
+
+    while (music.nextNoteTime < now + 0.2) {
+      const delay = music.nextNoteTime - now;
+      const bar = Math.floor(music.step / 16) % music.progression.length;
+      const chordRoot = music.rootFreq * Math.pow(2, MUSIC_SCALE[music.progression[bar]] / 12);
+      const stepInBar = music.step % 16;
+
+      // Bass on quarter notes
+      if (stepInBar % 4 === 0) {
+        this.tone({ wave: 'triangle', freq: chordRoot / 2, duration: stepLength * 3, volume: 0.12, channel: 'music', delay });
+      }
+
+      // Lead arpeggio
+      const degree = music.pattern[stepInBar];
+      if (degree >= 0) {
+        const freq = chordRoot * 2 * Math.pow(2, MUSIC_SCALE[degree] / 12);
+        this.tone({ wave: 'square', freq, duration: stepLength * 0.9, volume: 0.035, channel: 'music', delay });
+      }
+
+      music.nextNoteTime += stepLength;
+      music.step++;
+    }
+  }
+
+  /**
+   * Release the audio context
+   */
+  destroy() {
+    if (this.ctx) {
+      this.ctx.close();
+      this.ctx = null;
+    }
+  }
+}
@@ -92,6 +92,7 @@ export class CollisionSystem {
       this.game.createShieldImpact(player.x, player.y);
     } else {
       player.hull -= damage;
+      player.lastDamageSource = 'asteroid impact';
       // Hull hit sparks
       this.createCollisionSparks(player.x, player.y, particles, '#ff6600', 10);
     }
@@ -129,6 +130,7 @@ export class CollisionSystem {
       this.game.createShieldImpact(player.x, player.y);
     } else {
       player.hull -= damage;
+      player.lastDamageSource = 'comet impact';
       this.createCollisionSparks(player.x, player.y, particles, '#ff6600', 10);
     }
 
@@ -165,6 +167,7 @@ export class CollisionSystem {
       this.game.createShieldImpact(player.x, player.y);
     } else {
       player.hull -= damage;
+      player.lastDamageSource = 'station collision';
       this.createCollisionSparks(player.x, player.y, particles, '#ff6600', 15);
     }
 
@@ -201,10 +204,12 @@ export class CollisionSystem {
       this.game.createShieldImpact(player.x, player.y);
     } else {
       player.hull -= damage;
+      player.lastDamageSource = `collision with the ${enemy.raceName} ${enemy.type}`;
       this.createCollisionSparks(player.x, player.y, particles, '#ff6600', 12);
     }
 
     // Damage enemy
+    enemy.lastDamagedByPlayer = true;
     if (enemy.takeDamage) {
       enemy.takeDamage(damage);
     } else {
@@ -213,7 +218,7 @@ export class CollisionSystem {
 
     // Enemy hit effect
     if (enemy.shields && enemy.shields > 0) {
-      this.game.createShieldImpact(enemy.x, enemy.y);
+      this.game.createShieldImpact(enemy.x, enemy.y, enemy);
     } else {
       this.createCollisionSparks(enemy.x, enemy.y, particles, '#ff6600', 12);
     }
@@ -237,6 +242,7 @@ export class CollisionSystem {
   handleStarCollision(player, star, particles) {
     // Instant vaporization
     player.hull = 0;
+    player.lastDamageSource = 'flew into the star';
 
     // Massive explosion
     for (let i = 0; i < 100; i++) {
@@ -266,6 +272,7 @@ export class CollisionSystem {
   handleBlackholeCollision(player, blackhole, particles) {
     // Instant death - spaghettification
     player.hull = 0;
+    player.lastDamageSource = 'black hole';
 
     // Purple/blue vortex effect
     for (let i = 0; i < 80; i++) {
@@ -383,6 +390,7 @@ export class CollisionSystem {
 
       if (heatInfo.heatDamage > 0) {
         player.hull -= heatInfo.heatDamage;
+        player.lastDamageSource = 'stellar heat';
         player.heatDamage = true;
       } else {
         player.heatDamage = false;
@@ -503,6 +511,7 @@ export class CollisionSystem {
             this.game.createShieldImpact(player.x, player.y);
           } else {
             player.hull -= damage;
+            player.lastDamageSource = 'planetary impact';
             this.createCollisionSparks(player.x, player.y, particles, '#ff6600', 20);
           }
 
@@ -0,0 +1,289 @@
+/**
+ * CrewSystem - Ship crew roster and role modifiers
+ *
+ * Features:
+ * - Crew built from the new-game setup (gameConfig.crewMembers)
+ * - Each role drives a real ship system:
+ *   - Pilot: InertialMovement handling (thrust/turn response)
+ *   - Engineer: ShipDamageSystem repair speed
+ *   - Gunner: WeaponSystem accuracy (projectile spread)
+ *   - Scientist: actionScan detail level
+ *   - Medic: crew injury recovery rate
+ * - Crew stationed in ship sections get injured when those sections take damage
+ * - crewPermadeath: crew reduced to 0 health die permanently (reserve crew step in)
+ * - serialize()/deserialize() for SaveSystem
+ */
+
+import { SeededRandom } from '../utils/SeededRandom.js';
+
+export const CREW_ROLES = {
+  pilot: { name: 'Pilot', sections: ['bridge'], effect: 'Ship handling' },
+  engineer: { name: 'Engineer', sections: ['engine', 'reactor'], effect: 'Repair speed' },
+  gunner: { name: 'Gunner', sections: ['frontSection'], effect: 'Weapon accuracy' },
+  scientist: { name: 'Science Officer', sections: ['bridge', 'middleSection'], effect: 'Scan detail' },
+  medic: { name: 'Medic', sections: ['middleSection'], effect: 'Crew recovery' }
+};
+
+const FIRST_NAMES = ['Ada', 'Bram', 'Cass', 'Dax', 'Eko', 'Fen', 'Galen', 'Hale', 'Iri', 'Jun', 'Kael', 'Lio', 'Mara', 'Nox', 'Orin', 'Pia', 'Quill', 'Rhea', 'Sol', 'Tamsin', 'Ulo', 'Vex', 'Wren', 'Yara', 'Zed'];
+const LAST_NAMES = ['Vance', 'Okafor', 'Reyes', 'Kovac', 'Lindqvist', 'Tanaka', 'Moreau', 'Hask', 'Idris', 'Quon', 'Varga', 'Sato', 'Drax', 'Imre', 'Castell'];
+
+export class CrewSystem {
+  constructor(game) {
+    this.game = game;
+
+    // role -> crew member
+    this.crew = {};
+
+    // Spare crew who step in when a post is lost
+    this.reserve = [];
+
+    // Fallen crew (crewPermadeath)
+    this.memorial = [];
+
+    this.permadeath = !!(game.gameConfig && game.gameConfig.crewPermadeath);
+
+    this.HEAL_RATE = 0.4; // Health per second without a medic
+    this.INJURED_THRESHOLD = 60;
+
+    this.initializeCrew(game.gameConfig ? game.gameConfig.crewMembers : null);
+  }
+
+  /**
+   * Build roster from setup data ({ role: { race, gender, seed } } or array)
+   */
+  initializeCrew(crewMembers) {
+    const entries = Array.isArray(crewMembers)
+      ? crewMembers.map(m => [m.role, m])
+      : Object.entries(crewMembers || {});
+
+    for (const [role, data] of entries) {
+      if (CREW_ROLES[role]) {
+        this.crew[role] = this.createMember(role, data || {});
+      }
+    }
+
+    // Fill any empty post with a generated crew member
+    const baseSeed = this.game.seed || 1;
+    Object.keys(CREW_ROLES).forEach((role, i) => {
+      if (!this.crew[role]) {
+        this.crew[role] = this.createMember(role, { seed: baseSeed + (i + 1) * 7717 });
+      }
+    });
+
+    if (this.game.gameConfig && this.game.gameConfig.startingBonus === 'crew') {
+      this.reserve.push(this.createMember('reserve', { seed: baseSeed + 99991 }));
+    }
+  }
+
+  /**
+   * Create a crew member with seeded name and skill
+   */
+  createMember(role, data) {
+    const seed = data.seed || Math.floor(Math.random() * 1000000);
+    const rng = new SeededRandom(seed);
+
+    return {
+      role,
+      name: data.name || `${rng.choice(FIRST_NAMES)} ${rng.choice(LAST_NAMES)}`,
+      race: data.race || 'human',
+      gender: data.gender || 'other',
+      seed,
+      skill: data.skill !== undefined ? data.skill : Math.round(rng.range(0.6, 0.95) * 100) / 100,
+      health: data.health !== undefined ? data.health : 100,
+      status: data.status || 'active'
+    };
+  }
+
+  /**
+   * 0..1 contribution of a role (0 if vacant, dead or incapacitated)
+   */
+  getEffectiveness(role) {
+    const member = this.crew[role];
+    if (!member || member.status === 'dead' || member.status === 'incapacitated') return 0;
+    return member.skill * (0.4 + 0.6 * member.health / 100);
+  }
+
+  /**
+   * Scan detail level for actionScan (0 = basic, 3 = full analysis)
+   */
+  getScanDetailLevel() {
+    const eff = this.getEffectiveness('scientist');
+    if (eff <= 0) return 0;
+    if (eff < 0.5) return 1;
+    if (eff < 0.75) return 2;
+    return 3;
+  }
+
+  /**
+   * Push role modifiers into the ship systems
+   * (called every frame so rebuilt systems after respawn pick them up)
+   */
+  applyModifiers() {
+    const game = this.game;
+
+    if (game.inertialSystem) {
+      game.inertialSystem.handlingModifier = 0.8 + 0.5 * this.getEffectiveness('pilot');
+    }
+
+    if (game.shipDamageSystem) {
+      game.shipDamageSystem.repairSpeedModifier = 0.6 + 0.8 * this.getEffectiveness('engineer');
+    }
+
+    if (game.weaponSystem) {
+      const gunner = this.getEffectiveness('gunner');
+      game.weaponSystem.spreadMultiplier = 1.6 - gunner;
+      game.weaponSystem.aimError = 0.05 * (1 - gunner);
+    }
+  }
+
+  /**
+   * Crew recovery and modifier refresh
+   */
+  update(dt) {
+    const healRate = this.HEAL_RATE * (1 + 2 * this.getEffectiveness('medic'));
+
+    for (const member of Object.values(this.crew)) {
+      if (member.status === 'dead' || member.health >= 100) continue;
+
+      member.health = Math.min(100, member.health + healRate * dt);
+      this.updateStatus(member);
+    }
+
+    this.applyModifiers();
+  }
+
+  /**
+   * Hook: ShipDamageSystem section took damage
+   */
+  onSectionDamaged(sectionName, damage, destroyed) {
+    if (damage <= 0) return;
+
+    for (const [role, member] of Object.entries(this.crew)) {
+      if (member.status === 'dead' || !CREW_ROLES[role].sections.includes(sectionName)) continue;
+
+      const injuryChance = destroyed ? 1 : Math.min(0.9, damage / 30);
+      if (Math.random() > injuryChance) continue;
+
+      const injury = destroyed ? 40 + Math.random() * 40 : damage * (0.5 + Math.random() * 0.5);
+      this.injureMember(role, injury);
+    }
+  }
+
+  /**
+   * Apply an injury to the crew member at a post
+   */
+  injureMember(role, amount) {
+    const member = this.crew[role];
+    if (!member || member.status === 'dead') return;
+
+    const wasIncapacitated = member.status === 'incapacitated';
+    member.health = Math.max(0, member.health - amount);
+
+    if (member.health <= 0) {
+      if (this.permadeath) {
+        this.killMember(role);
+        return;
+      }
+      if (!wasIncapacitated) {
+        this.game.showNotification(`${CREW_ROLES[role].name} ${member.name} incapacitated!`, 'error');
+      }
+    } else if (amount >= 10) {
+      this.game.showNotification(`${CREW_ROLES[role].name} ${member.name} injured (${Math.floor(member.health)}%)`, 'warning');
+    }
+
+    this.updateStatus(member);
+  }
+
+  /**
+   * Permanent crew death (crewPermadeath)
+   */
+  killMember(role) {
+    const member = this.crew[role];
+    member.health = 0;
+    member.status = 'dead';
+    member.diedAt = this.game.playtime || 0;
+    this.memorial.push({ ...member });
+
+    this.game.showNotification(`${CREW_ROLES[role].name} ${member.name} has died.`, 'error');
+    console.log(`[CrewSystem] ${member.name} (${role}) killed`);
+
+    // Reserve crew take over the post
+    if (this.reserve.length > 0) {
+      const replacement = this.reserve.shift();
+      replacement.role = role;
+      this.crew[role] = replacement;
+      this.game.showNotification(`${replacement.name} takes over as ${CREW_ROLES[role].name}`, 'info');
+    } else {
+      delete this.crew[role];
+    }
+  }
+
+  /**
+   * Take on a new crew member: an empty post first, otherwise the reserve
+   * @returns {Object} The new member
+   */
+  recruit(data = {}) {
+    const vacant = Object.keys(CREW_ROLES).find(role => !this.crew[role] || this.crew[role].status === 'dead');
+    const member = this.createMember(vacant || 'reserve', data);
+    if (vacant) {
+      this.crew[vacant] = member;
+    } else {
+      this.reserve.push(member);
+    }
+    console.log(`[CrewSystem] Recruited ${member.name} (${member.role})`);
+    return member;
+  }
+
+  updateStatus(member) {
+    if (member.status === 'dead') return;
+    if (member.health <= 0) member.status = 'incapacitated';
+    else if (member.health < this.INJURED_THRESHOLD) member.status = 'injured';
+    else member.status = 'active';
+  }
+
+  /**
+   * Station medical bay - heals all living crew
+   */
+  healAll() {
+    for (const member of Object.values(this.crew)) {
+      if (member.status === 'dead') continue;
+      member.health = 100;
+      member.status = 'active';
+    }
+  }
+
+  /**
+   * Roster for UI (vacant posts included)
+   */
+  getRoster() {
+    return Object.keys(CREW_ROLES).map(role => ({
+      role,
+      roleName: CREW_ROLES[role].name,
+      effect: CREW_ROLES[role].effect,
+      member: this.crew[role] || null,
+      effectiveness: this.getEffectiveness(role)
+    }));
+  }
+
+  /**
+   * Serialize for saving
+   */
+  serialize() {
+    return {
+      crew: JSON.parse(JSON.stringify(this.crew)),
+      reserve: JSON.parse(JSON.stringify(this.reserve)),
+      memorial: JSON.parse(JSON.stringify(this.memorial))
+    };
+  }
+
+  /**
+   * Deserialize from saved data
+   */
+  deserialize(data) {
+    if (!data) return;
+    this.crew = JSON.parse(JSON.stringify(data.crew || {}));
+    this.reserve = JSON.parse(JSON.stringify(data.reserve || []));
+    this.memorial = JSON.parse(JSON.stringify(data.memorial || []));
+    this.applyModifiers();
+  }
+}
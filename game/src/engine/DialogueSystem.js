@@ -0,0 +1,528 @@
+/**
+ * DialogueSystem - Branching conversations when hailing ships and stations
+ *
+ * Features:
+ * - Data-driven conversation trees per race and faction (DialogueTrees.js)
+ * - Options gated by reputation, cargo, credits, crew, active missions and story flags
+ * - Outcomes: trades, information, threats, surrender, alliance, bribes and docking
+ * - Hail the nearest ship (H) or a station from its interaction popup
+ * - Keyboard (1-9, arrows, Enter, Esc), gamepad and mouse control of the dialogue panel
+ * - Flags, contacts and outcome history saved with the game (serialize/deserialize)
+ */
+import { DIALOGUE_TREES } from './DialogueTrees.js';
+import { HAZARD_NAMES } from './EnvironmentalHazards.js';
+import { TRAFFIC_ROLES } from './TrafficSystem.js';
+import { GAME_CONDITIONS } from './GameConditions.js';
+import { SeededRandom } from '../utils/SeededRandom.js';
+
+const HAIL_RANGE = 1500;
+const MAX_HISTORY = 20;
+const MAX_TRANSCRIPT = 8;
+const RANSOM_PER_SCORE = 10; // Credits per point of the ship's score value
+const ALLIANCE_REPUTATION = 25;
+const PROVOKE_REPUTATION = -5;
+
+// Condition checks for `when` (value from the tree, context of the conversation);
+// credits, cargo and crew come from GAME_CONDITIONS
+const CONDITIONS = {
+  minReputation: (value, context, dialogue) => dialogue.getReputation(context) >= value,
+  maxReputation: (value, context, dialogue) => dialogue.getReputation(context) <= value,
+  hostile: (value, context) => !!(context.ship && context.ship.isHostile) === value,
+  surrendered: (value, context) => !!(context.ship && context.ship.surrendered) === value,
+  damagedBelow: (value, context) => !!context.ship && context.ship.hp / context.ship.maxHp < value,
+  mission: (value, context, dialogue) => {
+    const missions = dialogue.game.missionSystem ? dialogue.game.missionSystem.activeMissions : [];
+    return value === true ? missions.length > 0 : missions.some(mission => mission.type === value);
+  },
+  flag: (value, context, dialogue) => dialogue.flags.has(dialogue.formatFlag(value, context)),
+  notFlag: (value, context, dialogue) => !dialogue.flags.has(dialogue.formatFlag(value, context)),
+  allegiance: (value, context, dialogue) => {
+    const diplomacy = dialogue.game.diplomacySystem;
+    return (!!diplomacy && !!context.factionId && diplomacy.getAllegiance() === context.factionId) === value;
+  },
+  dockingDenied: (value, context) => !context.docking.allowed === value
+};
+
+export class DialogueSystem {
+  constructor(game) {
+    this.game = game;
+    this.rng = game && game.rng ? game.rng.fork('dialogue') : new SeededRandom(0);
+    this.active = null; // { context, tree, nodeId, info, transcript }
+    this.selectedIndex = 0;
+
+    // Saved conversation state
+    this.flags = new Set(); // Story flags set by outcomes (e.g. 'allied_zenari')
+    this.contacts = {}; // Speaker key -> times hailed
+    this.history = []; // { speaker, outcome, time } newest first
+  }
+
+  isActive() {
+    return this.active !== null;
+  }
+
+  /**
+   * Resolve a tree and the trees it extends
+   */
+  getTree(treeId) {
+    const tree = DIALOGUE_TREES[treeId];
+    if (!tree) return null;
+    if (!tree.extends) return tree;
+
+    const base = this.getTree(tree.extends);
+    return { entry: tree.entry || base.entry, nodes: { ...base.nodes, ...tree.nodes } };
+  }
+
+  /**
+   * Hail the nearest ship in range (InputMapper action 'hail')
+   */
+  hailNearestShip() {
+    const game = this.game;
+    const player = game.player;
+    if (!player || game.scene !== 'system' || player.landed) return false;
+
+    let nearest = null;
+    let nearestDist = HAIL_RANGE;
+    for (const ship of game.enemies || []) {
+      if (ship.isDead || ship.hp <= 0) continue;
+      const dist = Math.sqrt((ship.x - player.x) ** 2 + (ship.y - player.y) ** 2);
+      if (dist < nearestDist) {
+        nearestDist = dist;
+        nearest = ship;
+      }
+    }
+
+    if (!nearest) {
+      game.showNotification('No ships in hailing range', 'warning');
+      return false;
+    }
+    return this.startConversation({ kind: 'ship', ship: nearest });
+  }
+
+  /**
+   * Open a conversation
+   * @param {Object} target - { kind: 'ship', ship } or { kind: 'station', station, targetData }
+   */
+  startConversation(target) {
+    const game = this.game;
+    const owner = game.factionSystem ? game.factionSystem.getSystemOwner(game.currentSystemIndex) : null;
+    const docking = game.diplomacySystem ? game.diplomacySystem.canDock(game.currentSystemIndex) : { allowed: true };
+
+    let context;
+    if (target.kind === 'ship') {
+      const ship = target.ship;
+      context = {
+        kind: 'ship',
+        ship,
+        raceId: ship.race,
+        factionId: owner,
+        docking,
+        key: `race:${ship.race}`,
+        name: `${ship.raceName} ${ship.civilian ? TRAFFIC_ROLES[ship.civilian.role].name.toLowerCase() : ship.type}`,
+        greeting: game.alienRaceSystem ? game.alienRaceSystem.getGreeting(ship.race) : 'Greetings.'
+      };
+    } else {
+      const station = target.station;
+      const name = station.name || station.stationType || 'Station';
+      context = {
+        kind: 'station',
+        station,
+        targetData: target.targetData,
+        factionId: owner,
+        docking,
+        key: `station:${game.currentSystemIndex}:${name}`,
+        name
+      };
+    }
+
+    // Civilian traffic talks about its trade first, then by race
+    const role = context.kind === 'ship' && context.ship.civilian ? context.ship.civilian.role : null;
+    const tree = (role && this.getTree(`ship:${role}`))
+      || this.getTree(`${context.kind}:${context.kind === 'ship' ? context.raceId : context.factionId}`)
+      || this.getTree(context.kind);
+    const entry = tree.entry.find(candidate => this.checkConditions(candidate.when, context));
+
+    this.contacts[context.key] = (this.contacts[context.key] || 0) + 1;
+    this.active = { context, tree, nodeId: null, info: docking.allowed ? '' : `${docking.reason}.`, transcript: [] };
+    this.enterNode(entry.node);
+
+    game.uiState.showDialogue = true;
+    game.updatePauseState();
+    console.log(`[DialogueSystem] Conversation with ${context.key} (${entry.node})`);
+    return true;
+  }
+
+  enterNode(nodeId) {
+    if (!this.active) return;
+    if (nodeId === null || !this.active.tree.nodes[nodeId]) {
+      this.end();
+      return;
+    }
+
+    const node = this.active.tree.nodes[nodeId];
+    this.active.nodeId = nodeId;
+    this.selectedIndex = 0;
+    this.addLine(this.active.context.name, this.format(node.text, this.active.context));
+  }
+
+  addLine(speaker, text) {
+    this.active.transcript.push({ speaker, text });
+    if (this.active.transcript.length > MAX_TRANSCRIPT) this.active.transcript.shift();
+  }
+
+  getNode() {
+    return this.active ? this.active.tree.nodes[this.active.nodeId] : null;
+  }
+
+  /**
+   * Options of the current node whose conditions hold
+   * @returns {Array<{option: Object, text: string}>}
+   */
+  getOptions() {
+    const node = this.getNode();
+    if (!node) return [];
+    const context = this.active.context;
+    return node.options
+      .filter(option => this.checkConditions(option.when, context))
+      .map(option => ({ option, text: this.format(option.text, context) }));
+  }
+
+  checkConditions(when, context) {
+    if (!when) return true;
+    return Object.entries(when).every(([key, value]) => {
+      if (GAME_CONDITIONS[key]) return GAME_CONDITIONS[key](value, this.game);
+      const check = CONDITIONS[key];
+      if (!check) {
+        console.warn(`[DialogueSystem] Unknown condition: ${key}`);
+        return false;
+      }
+      return check(value, context, this);
+    });
+  }
+
+  /**
+   * Pick an option: apply its outcomes, then move to the next node
+   */
+  choose(index) {
+    const choice = this.getOptions()[index];
+    if (!choice) return false;
+
+    const { option } = choice;
+    this.addLine('You', choice.text);
+
+    let next = option.next === undefined ? null : option.next;
+    for (const outcome of [].concat(option.outcome || [])) {
+      const redirect = this.applyOutcome(outcome);
+      if (redirect !== undefined) next = redirect;
+      if (!this.active) return true; // The outcome left the conversation (docking, diplomacy screen)
+    }
+
+    this.enterNode(next);
+    return true;
+  }
+
+  /**
+   * Apply one outcome
+   * @returns {string|undefined} Next node id when the outcome decides it (threats)
+   */
+  applyOutcome(outcome) {
+    const game = this.game;
+    const context = this.active.context;
+    const ship = context.ship;
+
+    switch (outcome.type) {
+      case 'info':
+        this.active.info = this.getInfo(outcome.topic, context);
+        break;
+
+      case 'trade': {
+        const result = this.trade(outcome);
+        this.active.info = result.message;
+        if (result.success) this.remember(context, 'trade');
+        break;
+      }
+
+      case 'threat': {
+        const hull = ship ? ship.hp / ship.maxHp : 1;
+        const gunner = game.crewSystem ? game.crewSystem.getEffectiveness('gunner') : 0;
+        const chance = Math.max(0.05, Math.min(0.9, 0.15 + (1 - hull) * 0.6 + gunner * 0.2 + (outcome.bonus || 0)));
+        const success = this.rng.next() < chance;
+        if (!success) this.provoke(context);
+        this.remember(context, success ? 'threat' : 'threat_failed');
+        return success ? outcome.success : outcome.failure;
+      }
+
+      case 'surrender': {
+        if (!ship) break;
+        // A bounty target that yields counts as neutralised - once: it is no longer an escort
+        // raider and later kills carry no mission, pact or faction consequences (PhysicsEngine)
+        if (ship.isHostile && game.missionSystem) game.missionSystem.onEnemyDestroyed(ship);
+        ship.missionId = null;
+        const ransom = Math.round((ship.scoreValue || 100) * RANSOM_PER_SCORE * (outcome.ransom || 0));
+        game.economySystem.credits += ransom;
+        ship.surrendered = true;
+        ship.isHostile = false;
+        this.changeReputation(context, PROVOKE_REPUTATION);
+        if (ransom > 0) game.showNotification(`${context.name} surrendered ${ransom.toLocaleString()} CR`, 'success');
+        this.remember(context, 'surrender');
+        game.events.emit('shipSurrendered', { ship, type: ship.type, ransom });
+        break;
+      }
+
+      case 'alliance':
+        this.changeReputation(context, ALLIANCE_REPUTATION);
+        if (ship) this.calm(ship);
+        this.flags.add(this.formatFlag(context.kind === 'ship' ? 'allied_{race}' : 'allied_{faction}', context));
+        game.showNotification(`Alliance formed with the ${context.kind === 'ship' ? ship.raceName : this.getFactionName(context)}`, 'success');
+        this.remember(context, 'alliance');
+        break;
+
+      case 'hostile':
+        this.provoke(context);
+        break;
+
+      case 'calm':
+        if (ship) this.calm(ship);
+        break;
+
+      case 'reputation':
+        this.changeReputation(context, outcome.amount);
+        break;
+
+      case 'credits':
+        game.economySystem.credits += outcome.amount;
+        break;
+
+      case 'flag':
+        this.flags.add(this.formatFlag(outcome.flag, context));
+        break;
+
+      case 'bribe': {
+        const result = game.diplomacySystem && context.factionId
+          ? game.diplomacySystem.bribe(context.factionId)
+          : { success: false, message: 'Nobody here takes bribes' };
+        this.active.info = result.message;
+        if (result.success) this.remember(context, 'bribe');
+        break;
+      }
+
+      case 'dock':
+        this.end();
+        if (context.targetData && game.interactionSystem) game.interactionSystem.actionDock(context.targetData);
+        break;
+
+      case 'diplomacy':
+        this.end();
+        game.uiState.selectedFaction = context.factionId;
+        if (!game.uiState.showDiplomacy) game.toggleScreen('showDiplomacy');
+        break;
+
+      default:
+        console.warn(`[DialogueSystem] Unknown outcome: ${outcome.type}`);
+    }
+    return undefined;
+  }
+
+  /**
+   * Trade with the speaker at the local market price times priceFactor
+   */
+  trade({ sell, buy, quantity, priceFactor = 1 }) {
+    const economy = this.game.economySystem;
+    const commodityId = sell || buy;
+    const commodity = economy.commodities[commodityId];
+    if (!commodity) return { success: false, message: 'Unknown goods' };
+
+    const market = economy.systemMarkets.get(this.game.currentSystemIndex);
+    const basePrice = market ? market.prices[commodityId] : commodity.basePrice;
+    const price = Math.max(1, Math.round(basePrice * priceFactor));
+
+    if (sell) {
+      const removed = economy.removeCargo(commodityId, quantity);
+      if (removed === 0) return { success: false, message: `You have no ${commodity.name} aboard` };
+      economy.credits += removed * price;
+      return { success: true, message: `Sold ${removed} ${commodity.name} for ${(removed * price).toLocaleString()} CR` };
+    }
+
+    const affordable = Math.min(quantity, Math.floor(economy.credits / price));
+    const fits = Math.min(affordable, Math.floor(economy.getCargoSpaceRemaining() / commodity.volume));
+    if (fits <= 0) return { success: false, message: affordable <= 0 ? 'Not enough credits' : 'No cargo space left' };
+    economy.credits -= fits * price;
+    economy.addCargo(commodityId, fits, price);
+    return { success: true, message: `Bought ${fits} ${commodity.name} for ${(fits * price).toLocaleString()} CR` };
+  }
+
+  /**
+   * Information the speaker shares
+   */
+  getInfo(topic, context) {
+    const game = this.game;
+
+    if (topic === 'wars') {
+      const factionSystem = game.factionSystem;
+      if (!factionSystem || factionSystem.wars.length === 0) return 'All quiet on the borders. For now.';
+      const war = factionSystem.wars[0];
+      const capture = factionSystem.recentCaptures[0];
+      const lines = [`The ${factionSystem.factions[war.attacker].name} is at war with the ${factionSystem.factions[war.defender].name}.`];
+      if (capture && game.galaxy[capture.systemIndex]) {
+        lines.push(`${game.galaxy[capture.systemIndex].name} fell to the ${factionSystem.factions[capture.to].name}.`);
+      }
+      return lines.join(' ');
+    }
+
+    if (topic === 'prices') {
+      const economy = game.economySystem;
+      const market = economy.systemMarkets.get(game.currentSystemIndex);
+      if (!market) return 'No market data on this channel.';
+      const ratios = Object.keys(economy.commodities)
+        .filter(id => market.prices[id])
+        .map(id => ({ id, ratio: market.prices[id] / economy.commodities[id].basePrice }))
+        .sort((a, b) => b.ratio - a.ratio);
+      const high = ratios[0];
+      const low = ratios[ratios.length - 1];
+      return `${economy.commodities[high.id].name} sells high here (${market.prices[high.id]} CR). ${economy.commodities[low.id].name} is cheap (${market.prices[low.id]} CR).`;
+    }
+
+    if (topic === 'hazards') {
+      const hazards = game.environmentalHazards ? game.environmentalHazards.hazards : [];
+      if (hazards.length === 0) return 'Our sensors show clear space in this system.';
+      const names = [...new Set(hazards.map(hazard => HAZARD_NAMES[hazard.type]))];
+      return `Our sensors logged ${names.map(name => `a ${name}`).join(' and ')} in this system. Fly carefully.`;
+    }
+
+    if (topic === 'missions') {
+      const contracts = game.missionSystem && context.station ? game.missionSystem.getContractBoard(context.station) : [];
+      if (contracts.length === 0) return 'Nothing on the board right now.';
+      return `${contracts.length} contracts on the board. Best pays ${Math.max(...contracts.map(c => game.missionSystem.getReward(c))).toLocaleString()} CR. Dock to sign up.`;
+    }
+
+    return '...';
+  }
+
+  /**
+   * Reputation of the speaker: race (-100..100) for ships, faction (0..100) for stations
+   */
+  getReputation(context) {
+    if (context.kind === 'ship') {
+      return this.game.alienRaceSystem ? this.game.alienRaceSystem.getReputation(context.raceId) : 0;
+    }
+    const faction = this.game.factionSystem && context.factionId ? this.game.factionSystem.factions[context.factionId] : null;
+    return faction ? faction.reputation : 50;
+  }
+
+  changeReputation(context, amount) {
+    if (context.kind === 'ship') {
+      if (this.game.alienRaceSystem) this.game.alienRaceSystem.modifyReputation(context.raceId, amount);
+    } else if (this.game.factionSystem && context.factionId) {
+      this.game.factionSystem.modifyReputation(context.factionId, amount);
+    }
+  }
+
+  /**
+   * Stand a ship down, forgiving earlier shots (ShipAI fights back while provoked)
+   */
+  calm(ship) {
+    ship.isHostile = false;
+    ship.provoked = false;
+  }
+
+  provoke(context) {
+    if (context.ship) context.ship.isHostile = true;
+    this.changeReputation(context, PROVOKE_REPUTATION);
+  }
+
+  remember(context, outcome) {
+    this.history.unshift({ speaker: context.key, outcome, time: this.game.time || 0 });
+    this.history.length = Math.min(this.history.length, MAX_HISTORY);
+  }
+
+  getFactionName(context) {
+    const faction = this.game.factionSystem && context.factionId ? this.game.factionSystem.factions[context.factionId] : null;
+    return faction ? faction.name : 'Independent Worlds';
+  }
+
+  /**
+   * Fill text placeholders ({race}, {faction}, {station}, {system}, {info}, {bribe}, {greeting})
+   */
+  format(text, context) {
+    const game = this.game;
+    const values = {
+      greeting: context.greeting || '',
+      race: context.ship ? context.ship.raceName : '',
+      faction: this.getFactionName(context),
+      station: context.kind === 'station' ? context.name : '',
+      system: game.currentSystemData ? game.currentSystemData.name : 'this system',
+      info: this.active ? this.active.info : '',
+      bribe: game.diplomacySystem && context.factionId ? game.diplomacySystem.getBribeCost(context.factionId).toLocaleString() : '0'
+    };
+    return text.replace(/\{(\w+)\}/g, (match, key) => (key in values ? values[key] : match));
+  }
+
+  /**
+   * Flags use ids, not display names ('allied_{race}' -> 'allied_zenari')
+   */
+  formatFlag(flag, context) {
+    return flag.replace('{race}', context.raceId || '').replace('{faction}', context.factionId || '');
+  }
+
+  /**
+   * Keyboard and gamepad input while the dialogue is open (via InteractionSystem.handleKeyDown)
+   * @returns {boolean} Whether the key was consumed
+   */
+  handleKeyDown(code) {
+    if (!this.active) return false;
+    const count = this.getOptions().length;
+
+    if (code.startsWith('Digit')) {
+      this.choose(parseInt(code.slice(5), 10) - 1);
+      return true;
+    }
+
+    switch (code) {
+      case 'ArrowUp':
+      case 'KeyW':
+        this.selectedIndex = Math.max(0, this.selectedIndex - 1);
+        return true;
+      case 'ArrowDown':
+      case 'KeyS':
+        this.selectedIndex = Math.min(count - 1, this.selectedIndex + 1);
+        return true;
+      case 'Enter':
+      case 'Space':
+        this.choose(this.selectedIndex);
+        return true;
+      case 'Escape':
+        this.end();
+        return true;
+      default:
+        return true; // The conversation has the player's full attention
+    }
+  }
+
+  end() {
+    if (!this.active) return;
+    this.active = null;
+    this.game.uiState.showDialogue = false;
+    this.game.updatePauseState();
+  }
+
+  /**
+   * Serialize for saving
+   */
+  serialize() {
+    return {
+      flags: [...this.flags],
+      contacts: { ...this.contacts },
+      history: JSON.parse(JSON.stringify(this.history))
+    };
+  }
+
+  /**
+   * Deserialize from saved data (older saves start with no conversation history)
+   */
+  deserialize(data) {
+    data = data || {};
+    this.end();
+    this.flags = new Set(data.flags || []);
+    this.contacts = { ...(data.contacts || {}) };
+    this.history = JSON.parse(JSON.stringify(data.history || []));
+  }
+}
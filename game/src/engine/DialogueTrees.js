@@ -0,0 +1,321 @@
+/**
+ * DialogueTrees - Conversation trees for hailing ships and stations (DialogueSystem)
+ *
+ * Trees are keyed 'ship', 'ship:<raceId>', 'ship:<trafficRole>' (civilian traffic),
+ * 'station' and 'station:<factionId>'.
+ * A specific tree `extends` a base tree and overrides whole nodes.
+ *
+ * Tree:    { extends, entry: [{ when, node }], nodes: { id: { text, options } } }
+ * Option:  { text, when, outcome, next }  (next: node id, null ends the conversation)
+ * when:    minReputation, maxReputation (speaker: race -100..100, faction 0..100),
+ *          hostile, surrendered, damagedBelow (hull fraction), cargo, credits,
+ *          crew (role), mission (true or mission type), flag, notFlag,
+ *          allegiance, dockingDenied
+ * outcome: one or a list of
+ *          { type: 'trade', sell|buy: commodityId, quantity, priceFactor }
+ *          { type: 'info', topic: 'wars'|'prices'|'hazards'|'missions' }
+ *          { type: 'threat', success, failure, bonus }  (chooses the next node)
+ *          { type: 'surrender', ransom }   { type: 'alliance' }   { type: 'hostile' }
+ *          { type: 'reputation', amount }  { type: 'credits', amount }  { type: 'flag', flag }
+ *          { type: 'calm' }  { type: 'dock' }  { type: 'bribe' }  { type: 'diplomacy' }
+ * Text placeholders: {greeting} {race} {faction} {station} {system} {info} {bribe}
+ */
+
+export const DIALOGUE_TREES = {
+  ship: {
+    entry: [
+      { when: { surrendered: true }, node: 'surrendered' },
+      { when: { hostile: true }, node: 'hostile' },
+      { node: 'greeting' }
+    ],
+    nodes: {
+      greeting: {
+        text: '{race} vessel: "{greeting}"',
+        options: [
+          { text: 'Any news from the frontlines?', outcome: { type: 'info', topic: 'wars' }, next: 'news' },
+          { text: 'Got anything to trade?', when: { minReputation: -20 }, next: 'trade_offer' },
+          { text: 'Our science officer would like a look at your sensor logs.', when: { crew: 'scientist' }, outcome: { type: 'info', topic: 'hazards' }, next: 'news' },
+          { text: 'Power down your weapons and prepare to be boarded.', outcome: { type: 'threat', success: 'surrender', failure: 'provoked' } },
+          { text: 'Let us stand together, {race}.', when: { minReputation: 40, notFlag: 'allied_{race}' }, outcome: { type: 'alliance' }, next: 'alliance' },
+          { text: 'Safe travels. [Close channel]', next: null }
+        ]
+      },
+      news: {
+        text: '"{info}"',
+        options: [
+          { text: 'Anything else?', next: 'greeting' },
+          { text: 'Thanks. [Close channel]', next: null }
+        ]
+      },
+      trade_offer: {
+        text: '"Our holds run low out here. We pay well for food and medicine, and we have fuel cells to spare."',
+        options: [
+          { text: 'Sell 5 food', when: { cargo: 'food' }, outcome: { type: 'trade', sell: 'food', quantity: 5, priceFactor: 1.3 }, next: 'trade_done' },
+          { text: 'Sell 5 medicine', when: { cargo: 'medicine' }, outcome: { type: 'trade', sell: 'medicine', quantity: 5, priceFactor: 1.3 }, next: 'trade_done' },
+          { text: 'Buy 5 fuel cells', outcome: { type: 'trade', buy: 'fuel_cells', quantity: 5, priceFactor: 0.9 }, next: 'trade_done' },
+          { text: 'Not today.', next: 'greeting' }
+        ]
+      },
+      trade_done: {
+        text: '"{info}"',
+        options: [
+          { text: 'Something else...', next: 'trade_offer' },
+          { text: 'Pleasure doing business. [Close channel]', next: null }
+        ]
+      },
+      hostile: {
+        text: '{race} vessel: "Your hull will make fine salvage."',
+        options: [
+          { text: 'Power down or be destroyed.', outcome: { type: 'threat', success: 'surrender', failure: 'provoked' } },
+          { text: 'I fly for the contract board. Attack me and they will hunt you down.', when: { mission: true }, outcome: { type: 'threat', success: 'backs_off', failure: 'provoked', bonus: 0.25 } },
+          { text: 'Take 500 credits and leave us be.', when: { credits: 500 }, outcome: [{ type: 'credits', amount: -500 }, { type: 'calm' }], next: 'bribed' },
+          { text: '[Close channel]', next: null }
+        ]
+      },
+      provoked: {
+        text: '"Brave words. Let us see if your guns match them!"',
+        options: [{ text: '[Channel closed]', next: null }]
+      },
+      backs_off: {
+        text: '"...Not worth the trouble. We are leaving."',
+        options: [{ text: '[Close channel]', outcome: { type: 'calm' }, next: null }]
+      },
+      bribed: {
+        text: '"Credits received. We never saw you."',
+        options: [{ text: '[Close channel]', next: null }]
+      },
+      surrender: {
+        text: '"We yield! Take what you want, just let us live!"',
+        options: [
+          { text: 'Transfer your credits. All of them.', outcome: { type: 'surrender', ransom: 1 }, next: 'surrendered' },
+          { text: 'Go. And do not come back.', outcome: [{ type: 'surrender', ransom: 0 }, { type: 'reputation', amount: 5 }], next: null }
+        ]
+      },
+      surrendered: {
+        text: '"We have yielded. Please, let us go."',
+        options: [{ text: '[Close channel]', next: null }]
+      },
+      alliance: {
+        text: '"The {race} will remember this day. Our guns will not turn on you."',
+        options: [{ text: '[Close channel]', next: null }]
+      }
+    }
+  },
+
+  // Peaceful traders: better prices, and they remember friends
+  'ship:zenari': {
+    extends: 'ship',
+    nodes: {
+      trade_offer: {
+        text: '"The Collective always trades fairly. Luxuries and electronics fetch a good price with us."',
+        options: [
+          { text: 'Sell 5 luxuries', when: { cargo: 'luxuries' }, outcome: { type: 'trade', sell: 'luxuries', quantity: 5, priceFactor: 1.4 }, next: 'trade_done' },
+          { text: 'Sell 5 electronics', when: { cargo: 'electronics' }, outcome: { type: 'trade', sell: 'electronics', quantity: 5, priceFactor: 1.3 }, next: 'trade_done' },
+          { text: 'Buy 5 medicine', outcome: { type: 'trade', buy: 'medicine', quantity: 5, priceFactor: 0.85 }, next: 'trade_done' },
+          { text: 'Not today.', next: 'greeting' }
+        ]
+      }
+    }
+  },
+
+  // Honor culture: threats are answered, respect is earned
+  'ship:vorlan': {
+    extends: 'ship',
+    nodes: {
+      greeting: {
+        text: '{race} warship: "{greeting}"',
+        options: [
+          { text: 'Any news from the frontlines?', outcome: { type: 'info', topic: 'wars' }, next: 'news' },
+          { text: 'Glory to the Empire, warrior.', when: { minReputation: 0, notFlag: 'saluted_{race}' }, outcome: [{ type: 'reputation', amount: 5 }, { type: 'flag', flag: 'saluted_{race}' }], next: 'salute' },
+          { text: 'I challenge you to honorable combat.', outcome: { type: 'hostile' }, next: 'duel' },
+          { text: 'Fight beside me, {race}.', when: { minReputation: 60, notFlag: 'allied_{race}' }, outcome: { type: 'alliance' }, next: 'alliance' },
+          { text: 'Safe travels. [Close channel]', next: null }
+        ]
+      },
+      salute: {
+        text: '"You know our ways. The Empire notes your respect."',
+        options: [{ text: '[Close channel]', next: null }]
+      },
+      duel: {
+        text: '"Finally, a worthy opponent. To battle!"',
+        options: [{ text: '[Channel closed]', next: null }]
+      }
+    }
+  },
+
+  // Civilian traffic (TrafficSystem): unarmed, so threats land more often
+  'ship:trader': {
+    extends: 'ship',
+    nodes: {
+      greeting: {
+        text: '{race} freighter: "{greeting} We are on a scheduled run, Captain."',
+        options: [
+          { text: 'What are you hauling?', when: { minReputation: -20 }, next: 'trade_offer' },
+          { text: 'How are the trade lanes?', outcome: { type: 'info', topic: 'prices' }, next: 'news' },
+          { text: 'Dump your cargo or we open fire.', outcome: { type: 'threat', success: 'surrender', failure: 'provoked', bonus: 0.2 } },
+          { text: 'Safe travels. [Close channel]', next: null }
+        ]
+      },
+      trade_offer: {
+        text: '"Electronics and luxuries in the hold, and we always need food."',
+        options: [
+          { text: 'Buy 5 electronics', outcome: { type: 'trade', buy: 'electronics', quantity: 5, priceFactor: 0.9 }, next: 'trade_done' },
+          { text: 'Buy 5 luxuries', outcome: { type: 'trade', buy: 'luxuries', quantity: 5, priceFactor: 0.95 }, next: 'trade_done' },
+          { text: 'Sell 5 food', when: { cargo: 'food' }, outcome: { type: 'trade', sell: 'food', quantity: 5, priceFactor: 1.2 }, next: 'trade_done' },
+          { text: 'Not today.', next: 'greeting' }
+        ]
+      },
+      provoked: {
+        text: '"We will not be robbed! Mayday, mayday, pirates in the lane!"',
+        options: [{ text: '[Channel closed]', next: null }]
+      }
+    }
+  },
+
+  'ship:miner': {
+    extends: 'ship',
+    nodes: {
+      greeting: {
+        text: '{race} mining barge: "{greeting} Mind the drill arms."',
+        options: [
+          { text: 'Selling any ore?', when: { minReputation: -20 }, next: 'trade_offer' },
+          { text: 'Anything strange out in the belt?', outcome: { type: 'info', topic: 'hazards' }, next: 'news' },
+          { text: 'Hand over your ore, miner.', outcome: { type: 'threat', success: 'surrender', failure: 'provoked', bonus: 0.1 } },
+          { text: 'Good hunting. [Close channel]', next: null }
+        ]
+      },
+      trade_offer: {
+        text: '"Fresh from the rocks. Cheaper than any station, no docking fees."',
+        options: [
+          { text: 'Buy 5 minerals', outcome: { type: 'trade', buy: 'minerals', quantity: 5, priceFactor: 0.75 }, next: 'trade_done' },
+          { text: 'Buy 5 metals', outcome: { type: 'trade', buy: 'metals', quantity: 5, priceFactor: 0.8 }, next: 'trade_done' },
+          { text: 'Not today.', next: 'greeting' }
+        ]
+      }
+    }
+  },
+
+  'ship:courier': {
+    extends: 'ship',
+    nodes: {
+      greeting: {
+        text: '{race} courier: "{greeting} Make it quick, we are on a deadline."',
+        options: [
+          { text: 'Any news from the frontlines?', outcome: { type: 'info', topic: 'wars' }, next: 'news' },
+          { text: 'Heard of any work going?', outcome: { type: 'info', topic: 'missions' }, next: 'news' },
+          { text: 'Hand over that data package.', outcome: { type: 'threat', success: 'surrender', failure: 'provoked', bonus: 0.15 } },
+          { text: 'Safe travels. [Close channel]', next: null }
+        ]
+      },
+      provoked: {
+        text: '"Not a chance. Burning for the jump point!"',
+        options: [{ text: '[Channel closed]', next: null }]
+      }
+    }
+  },
+
+  'ship:patrol': {
+    extends: 'ship',
+    nodes: {
+      greeting: {
+        text: '{faction} patrol: "This is {faction} space, Captain. Keep your weapons cold."',
+        options: [
+          { text: 'Any trouble in the system?', outcome: { type: 'info', topic: 'hazards' }, next: 'news' },
+          { text: 'How goes the war?', outcome: { type: 'info', topic: 'wars' }, next: 'news' },
+          { text: 'Understood. [Close channel]', next: null }
+        ]
+      },
+      hostile: {
+        text: '{faction} patrol: "You are wanted in {faction} space. Power down and prepare to be boarded."',
+        options: [
+          { text: 'Take 500 credits and look the other way.', when: { credits: 500 }, outcome: [{ type: 'credits', amount: -500 }, { type: 'calm' }], next: 'bribed' },
+          { text: 'Come and get me.', next: 'provoked' },
+          { text: '[Close channel]', next: null }
+        ]
+      },
+      provoked: {
+        text: '"All units, weapons free!"',
+        options: [{ text: '[Channel closed]', next: null }]
+      }
+    }
+  },
+
+  station: {
+    entry: [
+      { when: { dockingDenied: true }, node: 'denied' },
+      { node: 'greeting' }
+    ],
+    nodes: {
+      greeting: {
+        text: '{station} control: "This is {station}, {faction} space. State your business, Captain."',
+        options: [
+          { text: 'Requesting docking clearance.', outcome: { type: 'dock' }, next: null },
+          { text: 'What is the word on the trade lanes?', outcome: { type: 'info', topic: 'prices' }, next: 'info' },
+          { text: 'Any work for a capable pilot?', outcome: { type: 'info', topic: 'missions' }, next: 'info' },
+          { text: 'I would speak with your {faction} liaison.', when: { minReputation: 60 }, next: 'liaison' },
+          { text: '[Close channel]', next: null }
+        ]
+      },
+      info: {
+        text: '"{info}"',
+        options: [
+          { text: 'Anything else?', next: 'greeting' },
+          { text: 'Thanks. [Close channel]', next: null }
+        ]
+      },
+      liaison: {
+        text: '"The {faction} values your service, Captain. How may we help?"',
+        options: [
+          { text: 'Tell me about the war.', outcome: { type: 'info', topic: 'wars' }, next: 'info' },
+          { text: 'I want to discuss treaties and rank.', outcome: { type: 'diplomacy' }, next: null },
+          { text: 'Back.', next: 'greeting' }
+        ]
+      },
+      denied: {
+        text: '{station} control: "{info} Keep your distance."',
+        options: [
+          { text: 'Perhaps {bribe} credits will change your mind?', outcome: { type: 'bribe' }, next: 'bribed' },
+          { text: 'Understood. [Close channel]', next: null }
+        ]
+      },
+      bribed: {
+        text: '"{info}"',
+        options: [
+          { text: 'Requesting docking clearance.', outcome: { type: 'dock' }, next: null },
+          { text: '[Close channel]', next: null }
+        ]
+      }
+    }
+  },
+
+  'station:hive_collective': {
+    extends: 'station',
+    nodes: {
+      greeting: {
+        text: '{station}: "THE HIVE HEARS YOU, SOFT ONE. SPEAK."',
+        options: [
+          { text: 'Requesting docking clearance.', outcome: { type: 'dock' }, next: null },
+          { text: 'What does the Hive know of the wars?', outcome: { type: 'info', topic: 'wars' }, next: 'info' },
+          { text: 'The Hive may have my stolen tech. For a price.', when: { cargo: 'stolen_tech' }, outcome: { type: 'trade', sell: 'stolen_tech', quantity: 5, priceFactor: 1.5 }, next: 'info' },
+          { text: '[Close channel]', next: null }
+        ]
+      }
+    }
+  },
+
+  'station:free_traders': {
+    extends: 'station',
+    nodes: {
+      greeting: {
+        text: '{station} control: "Free Traders Guild, no questions asked. What are you selling, Captain?"',
+        options: [
+          { text: 'Requesting docking clearance.', outcome: { type: 'dock' }, next: null },
+          { text: 'What is the word on the trade lanes?', outcome: { type: 'info', topic: 'prices' }, next: 'info' },
+          { text: 'I have some... unregistered narcotics.', when: { cargo: 'narcotics' }, outcome: { type: 'trade', sell: 'narcotics', quantity: 5, priceFactor: 1.4 }, next: 'info' },
+          { text: 'I would speak with your {faction} liaison.', when: { minReputation: 60 }, next: 'liaison' },
+          { text: '[Close channel]', next: null }
+        ]
+      }
+    }
+  }
+};
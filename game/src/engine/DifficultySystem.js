@@ -0,0 +1,230 @@
+/**
+ * DifficultySystem - Difficulty profiles that scale combat, AI, economy, mining and repairs
+ *
+ * Features:
+ * - One profile per setup difficulty (story ... nightmare) with a coherent set of multipliers
+ * - Combat: damage taken by the player (PhysicsEngine), player weapon damage (WeaponSystem)
+ * - AI: enemy hull and shields, aim spread and target leading (AlienShip), encounter budgets
+ *   (EncounterDirector)
+ * - Economy: market margins on top of treaty discounts (EconomySystem), scaled by the
+ *   economyDifficulty world setting
+ * - Mining: asteroid yields (MiningSystem.extractResources), scaled by resourceScarcity
+ * - Field repair speed of damaged ship sections (ShipDamageSystem)
+ * - The profile can be changed mid-run; every change is logged and saved with the run
+ * - serialize()/deserialize() for SaveSystem
+ */
+import { getWorldSetting } from './EncounterDirector.js';
+
+const DEFAULT_PROFILE = 'adventurer';
+const MAX_CHANGES = 20;
+
+export const DIFFICULTY_PROFILES = {
+  story: {
+    name: 'Story',
+    shortName: 'STORY',
+    color: '#66ccff',
+    incomingDamage: 0.5, // Damage the player takes
+    playerDamage: 1.3, // Damage the player's weapons deal
+    enemyHealth: 0.7, // Enemy hull and shields
+    enemyAimSpread: 2.5, // Enemy aim spread (higher misses more)
+    enemyLeadsTarget: false, // Enemies aim ahead of a moving player
+    encounterBudget: 0.5, // EncounterDirector fleet budget
+    tradeMargin: -0.05, // Added to buy prices, taken off sell prices
+    miningYield: 1.5,
+    repairSpeed: 1.5
+  },
+  explorer: {
+    name: 'Explorer',
+    shortName: 'EXPL',
+    color: '#66ffaa',
+    incomingDamage: 0.7,
+    playerDamage: 1.15,
+    enemyHealth: 0.85,
+    enemyAimSpread: 1.8,
+    enemyLeadsTarget: false,
+    encounterBudget: 0.7,
+    tradeMargin: -0.02,
+    miningYield: 1.25,
+    repairSpeed: 1.25
+  },
+  adventurer: {
+    name: 'Adventurer',
+    shortName: 'ADV',
+    color: '#aabbcc',
+    incomingDamage: 1.0,
+    playerDamage: 1.0,
+    enemyHealth: 1.0,
+    enemyAimSpread: 1.0,
+    enemyLeadsTarget: true,
+    encounterBudget: 1.0,
+    tradeMargin: 0,
+    miningYield: 1.0,
+    repairSpeed: 1.0
+  },
+  veteran: {
+    name: 'Veteran',
+    shortName: 'VET',
+    color: '#ffcc44',
+    incomingDamage: 1.3,
+    playerDamage: 0.95,
+    enemyHealth: 1.15,
+    enemyAimSpread: 0.8,
+    enemyLeadsTarget: true,
+    encounterBudget: 1.3,
+    tradeMargin: 0.04,
+    miningYield: 0.85,
+    repairSpeed: 0.85
+  },
+  hardcore: {
+    name: 'Hardcore',
+    shortName: 'HARD',
+    color: '#ff8833',
+    incomingDamage: 1.6,
+    playerDamage: 0.9,
+    enemyHealth: 1.3,
+    enemyAimSpread: 0.6,
+    enemyLeadsTarget: true,
+    encounterBudget: 1.6,
+    tradeMargin: 0.08,
+    miningYield: 0.7,
+    repairSpeed: 0.7
+  },
+  nightmare: {
+    name: 'Nightmare',
+    shortName: 'NTMR',
+    color: '#ff4444',
+    incomingDamage: 2.0,
+    playerDamage: 0.85,
+    enemyHealth: 1.5,
+    enemyAimSpread: 0.5,
+    enemyLeadsTarget: true,
+    encounterBudget: 2.0,
+    tradeMargin: 0.12,
+    miningYield: 0.6,
+    repairSpeed: 0.6
+  }
+};
+
+export const DIFFICULTY_ORDER = Object.keys(DIFFICULTY_PROFILES);
+
+export class DifficultySystem {
+  constructor(game) {
+    this.game = game;
+    const configured = game.gameConfig ? game.gameConfig.difficulty : game.difficulty;
+    this.profileId = configured in DIFFICULTY_PROFILES ? configured : DEFAULT_PROFILE;
+    this.changes = []; // { from, to, time } - mid-run profile changes, oldest first
+    this.syncConfig();
+  }
+
+  getProfile() {
+    return DIFFICULTY_PROFILES[this.profileId];
+  }
+
+  /**
+   * One multiplier or flag of the active profile
+   */
+  get(key) {
+    return this.getProfile()[key];
+  }
+
+  /**
+   * Market margin for the active profile; the economyDifficulty setting adds up to +/-10%
+   */
+  getTradeMargin() {
+    const economy = getWorldSetting(this.game.gameConfig, 'economyDifficulty');
+    return this.get('tradeMargin') + (economy - 1) * 0.1;
+  }
+
+  /**
+   * Mining yield multiplier; resourceScarcity halves yields at its maximum
+   */
+  getMiningYield() {
+    const scarcity = getWorldSetting(this.game.gameConfig, 'resourceScarcity');
+    return this.get('miningYield') * Math.max(0.25, 1.5 - scarcity * 0.5);
+  }
+
+  /**
+   * Switch to another profile mid-run and log the change
+   */
+  setProfile(profileId) {
+    if (!(profileId in DIFFICULTY_PROFILES)) {
+      return { success: false, message: `Unknown difficulty: ${profileId}` };
+    }
+    if (profileId === this.profileId) {
+      return { success: false, message: `Difficulty is already ${this.getProfile().name}` };
+    }
+
+    const from = this.profileId;
+    this.profileId = profileId;
+    this.syncConfig();
+
+    this.changes.push({ from, to: profileId, time: this.game.playtime || 0 });
+    if (this.changes.length > MAX_CHANGES) this.changes.shift();
+
+    const message = `Difficulty changed: ${DIFFICULTY_PROFILES[from].name} -> ${this.getProfile().name}`;
+    console.log(`[DifficultySystem] ${message}`);
+    this.game.showNotification(message, 'info');
+    return { success: true, message };
+  }
+
+  /**
+   * Step to the next (or previous) profile, wrapping around
+   */
+  cycleProfile(step = 1) {
+    const index = DIFFICULTY_ORDER.indexOf(this.profileId);
+    const next = DIFFICULTY_ORDER[(index + step + DIFFICULTY_ORDER.length) % DIFFICULTY_ORDER.length];
+    return this.setProfile(next);
+  }
+
+  /**
+   * Keep gameConfig and the save metadata field on the active profile
+   */
+  syncConfig() {
+    const game = this.game;
+    if (game.gameConfig) game.gameConfig.difficulty = this.profileId;
+    game.difficulty = this.profileId;
+  }
+
+  /**
+   * Push the profile into the player systems and scale ships spawned (or last scaled)
+   * under another profile
+   */
+  update() {
+    const game = this.game;
+    const profile = this.getProfile();
+
+    if (game.weaponSystem) {
+      game.weaponSystem.damageMultiplier = profile.playerDamage;
+    }
+    if (game.shipDamageSystem) {
+      game.shipDamageSystem.difficultyRepairModifier = profile.repairSpeed;
+    }
+
+    for (const ship of game.enemies) {
+      if (ship.difficulty !== this.profileId) {
+        ship.applyDifficulty(this.profileId, profile);
+      }
+    }
+  }
+
+  /**
+   * Serialize for saving
+   */
+  serialize() {
+    return {
+      profileId: this.profileId,
+      changes: this.changes.map(change => ({ ...change }))
+    };
+  }
+
+  /**
+   * Deserialize from saved data (older saves use their difficulty field and no change log)
+   */
+  deserialize(data, difficulty = null) {
+    data = data || {};
+    const profileId = data.profileId || difficulty;
+    this.profileId = profileId in DIFFICULTY_PROFILES ? profileId : DEFAULT_PROFILE;
+    this.changes = (data.changes || []).map(change => ({ ...change }));
+    this.syncConfig();
+  }
+}
@@ -0,0 +1,434 @@
+/**
+ * DiplomacySystem - Player diplomacy with the factions of FactionSystem
+ *
+ * Features:
+ * - Tribute (credits for reputation) and bribes (lift a manhunt, buy a docking permit)
+ * - Trade agreements, non-aggression pacts and an exclusive oath of allegiance,
+ *   each with terms, a fee, a duration and breach penalties
+ * - Breaches cost reputation and credits and put the faction's patrols on the hunt
+ * - Faction ranks unlocked by reputation, each adding a perk
+ * - Enforcement through enemy spawning (getSpawnModifiers) and docking permissions (canDock)
+ * - serialize()/deserialize() for SaveSystem
+ */
+
+export const TREATY_TYPES = {
+  trade: {
+    name: 'Trade Agreement',
+    minReputation: 40,
+    fee: 2000,
+    duration: 1800, // Game seconds
+    tradeDiscount: 0.1,
+    terms: ['10% better prices in its markets', 'Docking always granted', 'No trade in markets of its war enemies'],
+    penalty: { reputation: 15, fine: 3000, hostileFor: 300 }
+  },
+  nonAggression: {
+    name: 'Non-Aggression Pact',
+    minReputation: 25,
+    fee: 1500,
+    duration: 1200,
+    terms: ['Its patrols stand down in its territory', 'Do not destroy neutral ships in its territory'],
+    penalty: { reputation: 25, fine: 5000, hostileFor: 600 }
+  },
+  allegiance: {
+    name: 'Oath of Allegiance',
+    minReputation: 70,
+    fee: 0,
+    duration: null, // Until renounced
+    terms: ['Sworn to one faction only', 'Its war enemies hunt you and deny docking', 'No trade in markets of its war enemies'],
+    penalty: { reputation: 30, fine: 0, hostileFor: 900 }
+  }
+};
+
+// Ranks are accepted in order and keep the perks of the ranks below
+export const FACTION_RANKS = [
+  { id: 'associate', name: 'Associate', minReputation: 60, perk: '5% better prices in its markets', tradeDiscount: 0.05 },
+  { id: 'agent', name: 'Agent', minReputation: 75, perk: '+15% mission rewards', missionBonus: 0.15 },
+  { id: 'commander', name: 'Commander', minReputation: 90, requiresAllegiance: true, perk: 'Half the raiders in its territory', spawnMultiplier: 0.5 }
+];
+
+export const TRIBUTE_OFFER = 1000; // Credits per tribute on the diplomacy screen
+const TRIBUTE_PER_REPUTATION = 200; // Credits per reputation point
+const TRIBUTE_REPUTATION_CAP = 60; // Tribute alone cannot buy more than this
+const BRIBE_BASE = 1000;
+const BRIBE_PER_SECOND = 5; // Per second of remaining manhunt
+const PERMIT_DURATION = 600; // Game seconds a bribed docking permit lasts
+const DOCKING_MIN_REPUTATION = 10;
+const HUNT_SPAWN_MULTIPLIER = 1.5; // More raiders while a faction hunts the player
+
+export class DiplomacySystem {
+  constructor(game) {
+    this.game = game;
+    this.treaties = []; // { type, factionId, signedAt, expiresAt }
+    this.hostileUntil = {}; // factionId -> game seconds (breach manhunt)
+    this.dockingPermits = {}; // factionId -> game seconds (bribes)
+    this.ranks = {}; // factionId -> index into FACTION_RANKS
+    this.breaches = []; // { type, factionId, reason, time } newest first
+    this.time = 0; // Game seconds simulated so far
+  }
+
+  getFaction(factionId) {
+    return this.game.factionSystem ? this.game.factionSystem.factions[factionId] : null;
+  }
+
+  getTreaty(factionId, type) {
+    return this.treaties.find(treaty => treaty.factionId === factionId && treaty.type === type) || null;
+  }
+
+  getTreaties(factionId) {
+    return this.treaties.filter(treaty => treaty.factionId === factionId);
+  }
+
+  /**
+   * Faction the player swore allegiance to, or null
+   */
+  getAllegiance() {
+    const oath = this.treaties.find(treaty => treaty.type === 'allegiance');
+    return oath ? oath.factionId : null;
+  }
+
+  getRank(factionId) {
+    const index = this.ranks[factionId];
+    return index === undefined ? null : FACTION_RANKS[index];
+  }
+
+  /**
+   * Ranks held with a faction (the current one and all below it)
+   */
+  getHeldRanks(factionId) {
+    const index = this.ranks[factionId];
+    return index === undefined ? [] : FACTION_RANKS.slice(0, index + 1);
+  }
+
+  isHunted(factionId) {
+    return (this.hostileUntil[factionId] || 0) > this.time;
+  }
+
+  /**
+   * Whether two factions are currently at war
+   */
+  atWar(a, b) {
+    return !!(a && b && this.game.factionSystem && this.game.factionSystem.getWar(a, b));
+  }
+
+  /**
+   * Advance treaty clocks (called every frame with game time)
+   */
+  update(dt) {
+    this.time += dt;
+
+    for (const treaty of [...this.treaties]) {
+      if (treaty.expiresAt !== null && treaty.expiresAt <= this.time) {
+        this.removeTreaty(treaty);
+        this.notify(`${TREATY_TYPES[treaty.type].name} with ${this.getFactionName(treaty.factionId)} expired`, 'info');
+      }
+    }
+
+    // A new war between the sworn faction and a treaty partner annuls the treaty without penalty
+    const allegiance = this.getAllegiance();
+    if (allegiance) {
+      for (const treaty of [...this.treaties]) {
+        if (treaty.factionId !== allegiance && this.atWar(treaty.factionId, allegiance)) {
+          this.removeTreaty(treaty);
+          this.notify(`${TREATY_TYPES[treaty.type].name} with ${this.getFactionName(treaty.factionId)} annulled by war`, 'warning');
+        }
+      }
+    }
+  }
+
+  /**
+   * Pay credits for reputation (up to TRIBUTE_REPUTATION_CAP)
+   */
+  payTribute(factionId, credits) {
+    const faction = this.getFaction(factionId);
+    const economy = this.game.economySystem;
+    if (!faction) return { success: false, message: 'Unknown faction' };
+    if (faction.reputation >= TRIBUTE_REPUTATION_CAP) {
+      return { success: false, message: `${faction.name} cannot be swayed further by tribute` };
+    }
+    if (economy.credits < credits) return { success: false, message: 'Insufficient credits' };
+
+    const gain = Math.min(credits / TRIBUTE_PER_REPUTATION, TRIBUTE_REPUTATION_CAP - faction.reputation);
+    economy.credits -= credits;
+    this.game.factionSystem.modifyReputation(factionId, gain);
+
+    console.log(`[DiplomacySystem] Tribute of ${credits} CR to ${factionId} (+${gain.toFixed(1)} reputation)`);
+    return { success: true, message: `Tribute accepted by ${faction.name} (+${Math.round(gain)} reputation)` };
+  }
+
+  /**
+   * Credits a faction wants to call off its hunt and grant docking
+   */
+  getBribeCost(factionId) {
+    const remaining = Math.max(0, (this.hostileUntil[factionId] || 0) - this.time);
+    return Math.round(BRIBE_BASE + remaining * BRIBE_PER_SECOND);
+  }
+
+  /**
+   * Bribe officials: ends a breach manhunt and grants a temporary docking permit
+   */
+  bribe(factionId) {
+    const faction = this.getFaction(factionId);
+    const economy = this.game.economySystem;
+    if (!faction) return { success: false, message: 'Unknown faction' };
+
+    const cost = this.getBribeCost(factionId);
+    if (economy.credits < cost) return { success: false, message: `Bribe requires ${cost.toLocaleString()} CR` };
+
+    economy.credits -= cost;
+    delete this.hostileUntil[factionId];
+    this.dockingPermits[factionId] = this.time + PERMIT_DURATION;
+
+    console.log(`[DiplomacySystem] Bribed ${factionId} for ${cost} CR`);
+    return { success: true, message: `${faction.name} officials look the other way (docking permit ${Math.round(PERMIT_DURATION / 60)} min)` };
+  }
+
+  /**
+   * Why a treaty cannot be signed, or null
+   */
+  getSignBlocker(factionId, type) {
+    const faction = this.getFaction(factionId);
+    const terms = TREATY_TYPES[type];
+    if (!faction || !terms) return 'Unknown treaty';
+    if (this.getTreaty(factionId, type)) return 'Already signed';
+    if (this.isHunted(factionId)) return `${faction.name} is hunting you`;
+    if (faction.reputation < terms.minReputation) return `Requires ${terms.minReputation} reputation`;
+    if (this.game.economySystem.credits < terms.fee) return `Requires ${terms.fee.toLocaleString()} CR`;
+
+    const allegiance = this.getAllegiance();
+    if (type === 'allegiance' && allegiance) return `Already sworn to ${this.getFactionName(allegiance)}`;
+    if (allegiance && allegiance !== factionId && this.atWar(factionId, allegiance)) {
+      return `At war with ${this.getFactionName(allegiance)}`;
+    }
+    if (type === 'allegiance') {
+      const conflict = this.treaties.find(treaty => this.atWar(treaty.factionId, factionId));
+      if (conflict) return `Treaty with its enemy ${this.getFactionName(conflict.factionId)}`;
+    }
+    return null;
+  }
+
+  signTreaty(factionId, type) {
+    const blocker = this.getSignBlocker(factionId, type);
+    if (blocker) return { success: false, message: blocker };
+
+    const terms = TREATY_TYPES[type];
+    this.game.economySystem.credits -= terms.fee;
+    this.treaties.push({
+      type,
+      factionId,
+      signedAt: this.time,
+      expiresAt: terms.duration === null ? null : this.time + terms.duration
+    });
+
+    console.log(`[DiplomacySystem] Signed ${type} with ${factionId}`);
+    return { success: true, message: `${terms.name} signed with ${this.getFactionName(factionId)}` };
+  }
+
+  /**
+   * Leaving an oath of allegiance counts as a breach
+   */
+  renounceAllegiance() {
+    const allegiance = this.getAllegiance();
+    if (!allegiance) return { success: false, message: 'Not sworn to any faction' };
+
+    this.breachTreaty(this.getTreaty(allegiance, 'allegiance'), 'Oath renounced');
+    return { success: true, message: `Allegiance to ${this.getFactionName(allegiance)} renounced` };
+  }
+
+  /**
+   * Next rank a faction offers, or null
+   */
+  getNextRank(factionId) {
+    const index = this.ranks[factionId];
+    return FACTION_RANKS[index === undefined ? 0 : index + 1] || null;
+  }
+
+  /**
+   * Accept the next faction rank
+   */
+  acceptRank(factionId) {
+    const faction = this.getFaction(factionId);
+    const rank = this.getNextRank(factionId);
+    if (!faction) return { success: false, message: 'Unknown faction' };
+    if (!rank) return { success: false, message: 'Highest rank already held' };
+    if (faction.reputation < rank.minReputation) {
+      return { success: false, message: `${rank.name} requires ${rank.minReputation} reputation` };
+    }
+    if (rank.requiresAllegiance && this.getAllegiance() !== factionId) {
+      return { success: false, message: `${rank.name} requires an oath of allegiance` };
+    }
+
+    this.ranks[factionId] = FACTION_RANKS.indexOf(rank);
+    console.log(`[DiplomacySystem] Rank ${rank.id} with ${factionId}`);
+    return { success: true, message: `Accepted rank of ${rank.name} in the ${faction.name} (${rank.perk})` };
+  }
+
+  /**
+   * Break a treaty: reputation loss, fine, manhunt and a lost rank
+   */
+  breachTreaty(treaty, reason) {
+    if (!treaty) return;
+    const { penalty, name } = TREATY_TYPES[treaty.type];
+    const factionId = treaty.factionId;
+    const economy = this.game.economySystem;
+    const rankBefore = this.ranks[factionId];
+
+    this.removeTreaty(treaty);
+    if (this.game.factionSystem) this.game.factionSystem.modifyReputation(factionId, -penalty.reputation);
+    const fine = Math.min(penalty.fine, Math.max(0, economy.credits));
+    economy.credits -= fine;
+    this.hostileUntil[factionId] = Math.max(this.hostileUntil[factionId] || 0, this.time + penalty.hostileFor);
+    delete this.dockingPermits[factionId];
+    // One rank per breach - dropping an oath may already have cost the Commander rank
+    if (this.ranks[factionId] === rankBefore) this.demote(factionId);
+
+    this.breaches.unshift({ type: treaty.type, factionId, reason, time: this.time });
+    this.breaches.length = Math.min(this.breaches.length, 10);
+
+    // Patrols in the faction's space turn on the player at once
+    const owner = this.game.factionSystem ? this.game.factionSystem.getSystemOwner(this.game.currentSystemIndex) : null;
+    if (owner === factionId) {
+      // Unarmed civilian traffic keeps fleeing instead
+      for (const enemy of this.game.enemies || []) {
+        if (!enemy.civilian || enemy.civilian.role === 'patrol') enemy.isHostile = true;
+      }
+    }
+
+    this.notify(`${name} with ${this.getFactionName(factionId)} breached: ${reason} (-${penalty.reputation} rep${fine ? `, ${fine.toLocaleString()} CR fine` : ''})`, 'error');
+    console.log(`[DiplomacySystem] Breach of ${treaty.type} with ${factionId}: ${reason}`);
+  }
+
+  demote(factionId) {
+    const index = this.ranks[factionId];
+    if (index === undefined) return;
+    if (index === 0) delete this.ranks[factionId];
+    else this.ranks[factionId] = index - 1;
+  }
+
+  removeTreaty(treaty) {
+    this.treaties = this.treaties.filter(t => t !== treaty);
+    // Commander rank is tied to the oath
+    if (treaty.type === 'allegiance' && this.getRank(treaty.factionId)?.requiresAllegiance) {
+      this.demote(treaty.factionId);
+    }
+  }
+
+  /**
+   * Player traded in a market (EconomySystem.recordTrade)
+   */
+  onTrade(market) {
+    if (!market.factionId) return;
+    for (const treaty of [...this.treaties]) {
+      if (treaty.type !== 'nonAggression' && this.atWar(treaty.factionId, market.factionId)) {
+        this.breachTreaty(treaty, `Traded with ${this.getFactionName(market.factionId)}`);
+      }
+    }
+  }
+
+  /**
+   * Player destroyed a ship (PhysicsEngine)
+   */
+  onEnemyDestroyed(enemy) {
+    if (enemy.isHostile || !this.game.factionSystem) return;
+    const owner = this.game.factionSystem.getSystemOwner(this.game.currentSystemIndex);
+    const pact = owner ? this.getTreaty(owner, 'nonAggression') : null;
+    if (pact) this.breachTreaty(pact, 'Destroyed a neutral ship');
+  }
+
+  /**
+   * Docking permission at stations in a system
+   * @returns {{allowed: boolean, reason?: string}}
+   */
+  canDock(systemIndex) {
+    const owner = this.game.factionSystem ? this.game.factionSystem.getSystemOwner(systemIndex) : null;
+    if (!owner) return { allowed: true };
+
+    const name = this.getFactionName(owner);
+    if ((this.dockingPermits[owner] || 0) > this.time) return { allowed: true };
+    if (this.isHunted(owner)) return { allowed: false, reason: `${name} denies docking after your treaty breach` };
+    if (this.getTreaty(owner, 'trade')) return { allowed: true };
+
+    const allegiance = this.getAllegiance();
+    if (allegiance && this.atWar(owner, allegiance)) {
+      return { allowed: false, reason: `${name} is at war with ${this.getFactionName(allegiance)}` };
+    }
+    if (this.getFaction(owner).reputation < DOCKING_MIN_REPUTATION) {
+      return { allowed: false, reason: `${name} refuses docking (reputation too low)` };
+    }
+    return { allowed: true };
+  }
+
+  /**
+   * Enemy spawning rules for a system (EncounterDirector)
+   * @returns {{countMultiplier: number, forceHostile: boolean, standDown: boolean}}
+   */
+  getSpawnModifiers(systemIndex) {
+    const modifiers = { countMultiplier: 1, forceHostile: false, standDown: false };
+    const owner = this.game.factionSystem ? this.game.factionSystem.getSystemOwner(systemIndex) : null;
+    if (!owner) return modifiers;
+
+    const allegiance = this.getAllegiance();
+    if (this.isHunted(owner)) {
+      modifiers.countMultiplier = HUNT_SPAWN_MULTIPLIER;
+      modifiers.forceHostile = true;
+    } else if (allegiance && this.atWar(owner, allegiance)) {
+      modifiers.forceHostile = true;
+    } else if (this.getTreaty(owner, 'nonAggression')) {
+      modifiers.standDown = true;
+    }
+
+    for (const rank of this.getHeldRanks(owner)) {
+      if (rank.spawnMultiplier) modifiers.countMultiplier *= rank.spawnMultiplier;
+    }
+    return modifiers;
+  }
+
+  /**
+   * Price advantage in a faction's markets (treaty and rank perks)
+   */
+  getTradeDiscount(factionId) {
+    if (!factionId) return 0;
+    let discount = this.getTreaty(factionId, 'trade') ? TREATY_TYPES.trade.tradeDiscount : 0;
+    for (const rank of this.getHeldRanks(factionId)) discount += rank.tradeDiscount || 0;
+    return discount;
+  }
+
+  getMissionBonus(factionId) {
+    return this.getHeldRanks(factionId).reduce((bonus, rank) => bonus + (rank.missionBonus || 0), 0);
+  }
+
+  getFactionName(factionId) {
+    const faction = this.getFaction(factionId);
+    return faction ? faction.name : factionId;
+  }
+
+  notify(message, type) {
+    if (this.game.showNotification) this.game.showNotification(message, type);
+  }
+
+  /**
+   * Serialize for saving
+   */
+  serialize() {
+    return {
+      treaties: JSON.parse(JSON.stringify(this.treaties)),
+      hostileUntil: { ...this.hostileUntil },
+      dockingPermits: { ...this.dockingPermits },
+      ranks: { ...this.ranks },
+      breaches: JSON.parse(JSON.stringify(this.breaches)),
+      time: this.time
+    };
+  }
+
+  /**
+   * Deserialize from saved data (older saves start without treaties)
+   */
+  deserialize(data) {
+    data = data || {};
+    this.treaties = JSON.parse(JSON.stringify(data.treaties || []));
+    this.hostileUntil = { ...(data.hostileUntil || {}) };
+    this.dockingPermits = { ...(data.dockingPermits || {}) };
+    this.ranks = { ...(data.ranks || {}) };
+    this.breaches = JSON.parse(JSON.stringify(data.breaches || []));
+    this.time = data.time || 0;
+  }
+}
@@ -1,8 +1,34 @@
+import { SeededRandom } from '../utils/SeededRandom.js';
+
 /**
  * Economy System
  * Manages player credits, fuel, trading, prices, and economic simulation
+ *
+ * Markets tick over game time: supply recovers toward each system's baseline,
+ * demand drifts, player trades push prices and market events (wars, blockades)
+ * shift them temporarily. Every tick records a per-commodity price history.
  */
 
+const MARKET_TICK_INTERVAL = 10; // Game seconds between market ticks
+const PRICE_HISTORY_LENGTH = 30; // Samples kept per commodity
+const SUPPLY_RECOVERY = 0.08; // Share of the gap to baseline supply restored per tick
+const DEMAND_REVERSION = 0.1; // Pull of demand back toward baseline per tick
+const DEMAND_DRIFT = 0.03; // Random demand walk per tick
+const TRADE_IMPACT = 0.002; // Demand change per unit bought (+) or sold (-)
+const TRADE_VOLUME_DECAY = 0.85; // Share of recent trade volume kept per tick
+
+/**
+ * Market event presets. Multipliers apply to the commodities of the listed
+ * categories (or ids) in every affected market until the event expires.
+ */
+export const MARKET_EVENTS = {
+  war: { name: 'War', duration: 600, categories: ['industrial', 'special'], ids: ['food'], demandMultiplier: 1.6, supplyMultiplier: 0.6 },
+  blockade: { name: 'Blockade', duration: 300, categories: ['basic', 'luxury'], demandMultiplier: 1.4, supplyMultiplier: 0.4 },
+  boom: { name: 'Trade Boom', duration: 400, categories: ['luxury', 'rare'], demandMultiplier: 1.3, supplyMultiplier: 1.2 },
+  crackdown: { name: 'Contraband Crackdown', duration: 300, categories: ['contraband'], demandMultiplier: 2.0, supplyMultiplier: 0.3 },
+  glut: { name: 'Mining Glut', duration: 300, ids: ['minerals', 'metals'], demandMultiplier: 0.6, supplyMultiplier: 1.8 }
+};
+
 export class EconomySystem {
   constructor(game) {
     this.game = game;
@@ -19,6 +45,12 @@ export class EconomySystem {
 
     // System-specific market data
     this.systemMarkets = new Map(); // systemIndex -> market data
+
+    // Market simulation
+    this.marketEvents = []; // Active events: { type, systemIndices, factionId, expiresAt, ... }
+    this.marketTimer = 0;
+    this.marketTime = 0; // Game seconds simulated so far
+    this.marketRng = game && game.rng ? game.rng.fork('marketDrift') : new SeededRandom(0);
   }
 
   /**
@@ -164,6 +196,8 @@ export class EconomySystem {
 
   /**
    * Generate market for a star system
+   * Supply and demand come from the system seed, so a galaxy seed always
+   * produces the same starting prices
    */
   generateSystemMarket(systemIndex, systemData, factionData) {
     // Check if market already exists
@@ -173,17 +207,24 @@ export class EconomySystem {
 
     const market = {
       systemIndex,
+      factionId: systemData.faction || null,
       lastUpdate: Date.now(),
       supply: {}, // commodity -> quantity available
       demand: {}, // commodity -> demand multiplier
-      prices: {} // commodity -> actual price
+      prices: {}, // commodity -> actual price
+      baseSupply: {}, // commodity -> equilibrium supply
+      baseDemand: {}, // commodity -> equilibrium demand
+      tradeVolume: {}, // commodity -> recent net units bought by the player (sold < 0)
+      history: {} // commodity -> recent prices, oldest first
     };
 
+    const rng = new SeededRandom(systemData.seed ?? systemIndex).fork('market');
+
     // Generate supply and demand based on system type and faction
     for (const [commodityId, commodity] of Object.entries(this.commodities)) {
       // Base supply (random)
-      let supply = Math.floor(Math.random() * 100) + 50;
-      let demandMultiplier = 0.8 + Math.random() * 0.4; // 0.8 to 1.2
+      let supply = rng.int(50, 149);
+      let demandMultiplier = rng.range(0.8, 1.2);
 
       // Modify based on system characteristics
       if (systemData.inhabited) {
@@ -250,14 +291,13 @@ export class EconomySystem {
         }
       }
 
-      // Calculate final price
-      const basePrice = commodity.basePrice;
-      const supplyFactor = Math.max(0.5, Math.min(2.0, 100 / supply));
-      const finalPrice = Math.round(basePrice * demandMultiplier * supplyFactor);
-
       market.supply[commodityId] = Math.floor(supply);
       market.demand[commodityId] = demandMultiplier;
-      market.prices[commodityId] = finalPrice;
+      market.baseSupply[commodityId] = Math.floor(supply);
+      market.baseDemand[commodityId] = demandMultiplier;
+      market.tradeVolume[commodityId] = 0;
+      market.prices[commodityId] = this.calculatePrice(market, commodityId);
+      market.history[commodityId] = [market.prices[commodityId]];
     }
 
     // Add fuel pricing
@@ -267,6 +307,180 @@ export class EconomySystem {
     return market;
   }
 
+  /**
+   * Price of a commodity from current supply, demand and active market events
+   */
+  calculatePrice(market, commodityId) {
+    const commodity = this.commodities[commodityId];
+    const { supplyMultiplier, demandMultiplier } = this.getEventModifiers(market, commodityId);
+
+    const supply = Math.max(1, market.supply[commodityId] * supplyMultiplier);
+    const supplyFactor = Math.max(0.5, Math.min(2.0, 100 / supply));
+    return Math.max(1, Math.round(commodity.basePrice * market.demand[commodityId] * demandMultiplier * supplyFactor));
+  }
+
+  /**
+   * Price the player pays ('buy') or receives ('sell') after treaty and rank discounts
+   * and the difficulty profile's market margin
+   */
+  getPlayerPrice(market, commodityId, side) {
+    const price = market.prices[commodityId];
+    const discount = this.game && this.game.diplomacySystem ? this.game.diplomacySystem.getTradeDiscount(market.factionId) : 0;
+    const margin = this.game && this.game.difficultySystem ? this.game.difficultySystem.getTradeMargin() : 0;
+    const adjustment = discount - margin;
+    if (!adjustment) return price;
+    return Math.max(1, Math.round(price * (side === 'buy' ? 1 - adjustment : 1 + adjustment)));
+  }
+
+  /**
+   * Advance market simulation (called every frame with game time)
+   */
+  update(dt) {
+    this.marketTimer += dt;
+    if (this.marketTimer < MARKET_TICK_INTERVAL) return;
+
+    this.marketTimer -= MARKET_TICK_INTERVAL;
+    this.marketTime += MARKET_TICK_INTERVAL;
+    this.tickMarkets();
+  }
+
+  /**
+   * One market tick: expire events, recover supply, drift demand, record prices
+   */
+  tickMarkets() {
+    const expired = this.marketEvents.filter(event => event.expiresAt <= this.marketTime);
+    if (expired.length > 0) {
+      this.marketEvents = this.marketEvents.filter(event => event.expiresAt > this.marketTime);
+      expired.forEach(event => console.log(`[Economy] Market event ended: ${event.name}`));
+    }
+
+    for (const market of this.systemMarkets.values()) {
+      for (const commodityId of Object.keys(market.prices)) {
+        const baseSupply = market.baseSupply[commodityId];
+        const baseDemand = market.baseDemand[commodityId];
+
+        // Supply regenerates (or is consumed) toward the baseline
+        const supply = market.supply[commodityId];
+        market.supply[commodityId] = Math.max(0, Math.round(supply + (baseSupply - supply) * SUPPLY_RECOVERY));
+
+        // Demand: mean-reverting random walk, lifted by recent player buying
+        const volume = market.tradeVolume[commodityId];
+        const drift = (this.marketRng.next() - 0.5) * 2 * DEMAND_DRIFT;
+        const target = baseDemand * (1 + volume * TRADE_IMPACT);
+        const demand = market.demand[commodityId];
+        market.demand[commodityId] = Math.max(0.2, Math.min(4, demand + (target - demand) * DEMAND_REVERSION + drift * baseDemand));
+        market.tradeVolume[commodityId] = volume * TRADE_VOLUME_DECAY;
+
+        market.prices[commodityId] = this.calculatePrice(market, commodityId);
+        this.recordPrice(market, commodityId);
+      }
+      market.lastUpdate = Date.now();
+    }
+  }
+
+  /**
+   * Append the current price to a commodity's history
+   */
+  recordPrice(market, commodityId) {
+    const history = market.history[commodityId];
+    history.push(market.prices[commodityId]);
+    if (history.length > PRICE_HISTORY_LENGTH) {
+      history.shift();
+    }
+  }
+
+  /**
+   * Price history of a commodity in a system (oldest first)
+   */
+  getPriceHistory(systemIndex, commodityId) {
+    const market = this.systemMarkets.get(systemIndex);
+    return market && market.history[commodityId] ? market.history[commodityId] : [];
+  }
+
+  /**
+   * Shift prices with a market event (see MARKET_EVENTS)
+   * @param {string} type - Event preset id ('war', 'blockade', ...)
+   * @param {Object} target - { systemIndices: [...] } and/or { factionId } (all its markets)
+   * @param {number} duration - Game seconds (defaults to the preset's)
+   */
+  applyMarketEvent(type, target = {}, duration) {
+    const preset = MARKET_EVENTS[type];
+    if (!preset) {
+      console.warn(`[Economy] Unknown market event: ${type}`);
+      return null;
+    }
+
+    const event = {
+      type,
+      ...preset,
+      systemIndices: target.systemIndices || null,
+      factionId: target.factionId || null,
+      expiresAt: this.marketTime + (duration ?? preset.duration)
+    };
+    this.marketEvents.push(event);
+    console.log(`[Economy] Market event: ${event.name}${event.factionId ? ` (${event.factionId})` : ''}`);
+
+    // Reprice affected markets right away
+    for (const market of this.systemMarkets.values()) {
+      if (!this.eventAffectsMarket(event, market)) continue;
+      for (const commodityId of Object.keys(market.prices)) {
+        market.prices[commodityId] = this.calculatePrice(market, commodityId);
+      }
+    }
+    return event;
+  }
+
+  eventAffectsMarket(event, market) {
+    if (event.systemIndices && event.systemIndices.includes(market.systemIndex)) return true;
+    if (event.factionId && event.factionId === market.factionId) return true;
+    return !event.systemIndices && !event.factionId; // Galaxy-wide
+  }
+
+  /**
+   * Combined multipliers of all active events for one commodity in a market
+   */
+  getEventModifiers(market, commodityId) {
+    const commodity = this.commodities[commodityId];
+    let supplyMultiplier = 1;
+    let demandMultiplier = 1;
+
+    for (const event of this.marketEvents) {
+      if (!this.eventAffectsMarket(event, market)) continue;
+      const matches = (event.ids && event.ids.includes(commodityId)) ||
+        (event.categories && event.categories.includes(commodity.category));
+      if (!matches) continue;
+      supplyMultiplier *= event.supplyMultiplier;
+      demandMultiplier *= event.demandMultiplier;
+    }
+
+    return { supplyMultiplier, demandMultiplier };
+  }
+
+  /**
+   * Active market events affecting a system
+   */
+  getMarketEvents(systemIndex) {
+    const market = this.systemMarkets.get(systemIndex);
+    return market ? this.marketEvents.filter(event => this.eventAffectsMarket(event, market)) : [];
+  }
+
+  /**
+   * Player trade moves demand and reprices the commodity
+   * (and supports the faction that owns the market)
+   */
+  recordTrade(market, commodityId, netQuantity) {
+    if (this.game && this.game.factionSystem) {
+      this.game.factionSystem.recordPlayerAction('trade', market.systemIndex, Math.abs(netQuantity) * market.prices[commodityId]);
+    }
+    if (this.game && this.game.diplomacySystem) {
+      this.game.diplomacySystem.onTrade(market);
+    }
+
+    market.tradeVolume[commodityId] = (market.tradeVolume[commodityId] || 0) + netQuantity;
+    market.demand[commodityId] = Math.max(0.2, Math.min(4, market.demand[commodityId] * (1 + netQuantity * TRADE_IMPACT)));
+    market.prices[commodityId] = this.calculatePrice(market, commodityId);
+  }
+
   /**
    * Calculate fuel price for a system
    */
@@ -315,7 +529,7 @@ export class EconomySystem {
     }
 
     // Check credits
-    const price = market.prices[commodityId];
+    const price = this.getPlayerPrice(market, commodityId, 'buy');
     const totalCost = price * quantity;
     if (this.credits < totalCost) {
       return { success: false, message: 'Not enough credits' };
@@ -324,6 +538,10 @@ export class EconomySystem {
     // Execute purchase
     this.credits -= totalCost;
     market.supply[commodityId] -= quantity;
+    this.recordTrade(market, commodityId, quantity);
+    if (this.game) {
+      this.game.events.emit('commodityTraded', { commodityId, direction: 'buy', quantity, credits: totalCost, systemIndex });
+    }
 
     // Add to cargo
     const existingItem = this.cargo.find(item => item.commodityId === commodityId);
@@ -364,12 +582,16 @@ export class EconomySystem {
     }
 
     // Calculate sale price
-    const price = market.prices[commodityId];
+    const price = this.getPlayerPrice(market, commodityId, 'sell');
     const totalValue = price * quantity;
 
     // Execute sale
     this.credits += totalValue;
     market.supply[commodityId] += quantity;
+    this.recordTrade(market, commodityId, -quantity);
+    if (this.game) {
+      this.game.events.emit('commodityTraded', { commodityId, direction: 'sell', quantity, credits: totalValue, systemIndex });
+    }
 
     // Remove from cargo
     cargoItem.quantity -= quantity;
@@ -380,6 +602,11 @@ export class EconomySystem {
 
     const profit = totalValue - (cargoItem.purchasePrice * quantity);
 
+    // Delivery contract progress
+    if (this.game && this.game.missionSystem) {
+      this.game.missionSystem.onCommoditySold(commodityId, quantity, systemIndex);
+    }
+
     return {
       success: true,
       message: `Sold ${quantity} ${commodity.name} for ${totalValue} credits`,
@@ -432,6 +659,41 @@ export class EconomySystem {
     return this.fuel;
   }
 
+  /**
+   * Put goods in the hold outside a market (caller checks cargo space)
+   */
+  addCargo(commodityId, quantity, unitPrice = 0) {
+    const existingItem = this.cargo.find(item => item.commodityId === commodityId);
+    if (existingItem) {
+      existingItem.quantity += quantity;
+      existingItem.totalValue += unitPrice * quantity;
+    } else {
+      this.cargo.push({
+        commodityId,
+        commodity: this.commodities[commodityId],
+        quantity,
+        purchasePrice: unitPrice,
+        totalValue: unitPrice * quantity
+      });
+    }
+  }
+
+  /**
+   * Take up to quantity goods out of the hold
+   * @returns {number} Units removed
+   */
+  removeCargo(commodityId, quantity) {
+    const cargoItem = this.cargo.find(item => item.commodityId === commodityId);
+    if (!cargoItem) return 0;
+
+    const removed = Math.min(quantity, cargoItem.quantity);
+    cargoItem.quantity -= removed;
+    if (cargoItem.quantity <= 0) {
+      this.cargo.splice(this.cargo.indexOf(cargoItem), 1);
+    }
+    return removed;
+  }
+
   /**
    * Get cargo space used
    */
@@ -0,0 +1,402 @@
+/**
+ * EncounterDirector - Paces combat and contacts inside star systems
+ *
+ * Features:
+ * - Tension curve instead of fixed spawns: calm flight builds tension, an encounter
+ *   releases it, and a quiet period follows before the next build-up
+ * - Encounters: hostile fights, pirate ambushes close to the player, alien contacts
+ *   (peaceful, hailable) and deliberate quiet stretches
+ * - Driven by the new-game world settings (encounterRate, alienEncounters,
+ *   pirateActivity, randomEvents, difficulty), the system's danger level and owning faction
+ * - Group strength is a threat budget scaled by the player's current strength
+ *   (fitted weapons, shields and armor against the class starter fit, and hull condition)
+ * - Also populates a system on arrival (Game.spawnEnemies)
+ */
+import { AlienShip } from './AlienShip.js';
+import { getStarterLoadout } from './OutfittingSystem.js';
+import { SeededRandom } from '../utils/SeededRandom.js';
+
+// Tension curve
+const BUILD_TIME = 90; // Seconds of calm flight for tension to rise from 0 to 1 (normal settings)
+const QUIET_TIME = 45; // Seconds without encounters after one ends
+const ARRIVAL_GRACE = 30; // Quiet seconds after entering a system
+const PEAK_TIMEOUT = 120; // An encounter nobody engages ends after this long
+const CONTACT_TIME = 40; // Peaceful contacts release the tension sooner
+const ENGAGED_RANGE = 2500; // Hostiles this close keep tension from building
+const ENCOUNTER_RANGE = 5000; // Encounter ships further away no longer count
+const MAX_HOSTILES = 14; // No new fights while this many hostiles are near
+
+// Spawn distances
+const FIGHT_DISTANCE = [1800, 2600]; // Off screen, so squads fly in
+const AMBUSH_DISTANCE = [500, 800]; // Pirates drop in close, from several sides
+const CONTACT_DISTANCE = [900, 1300]; // Within sensor range, so they can be hailed soon
+const ARRIVAL_DISTANCE = [600, 1800]; // System residents on arrival
+
+// Threat points per hull; encounter budgets buy ships with them
+const SHIP_COST = { scout: 1, fighter: 2, bomber: 3, frigate: 5 };
+const MAX_GROUP_SIZE = 6;
+
+// Hulls available at a danger level
+const DANGER_POOLS = [
+  { maxDanger: 3, types: { scout: 6, fighter: 4 } },
+  { maxDanger: 6, types: { scout: 3, fighter: 4, bomber: 3 } },
+  { maxDanger: Infinity, types: { scout: 2, fighter: 3, bomber: 3, frigate: 2 } }
+];
+
+export const ENCOUNTER_TYPES = {
+  fight: { name: 'Hostile Contact', weight: 3 },
+  ambush: { name: 'Pirate Ambush', weight: 2 },
+  contact: { name: 'Alien Contact', weight: 2 },
+  quiet: { name: 'Quiet Period', weight: 1 }
+};
+
+// Named setting values (Game defaults); the setup screen sliders store 0-100
+const SETTING_WORDS = {
+  none: 0, off: 0, rare: 0.3, low: 0.5, normal: 1.0, high: 1.5, extreme: 2.0, maximum: 2.0
+};
+
+// How the owning faction shapes encounters ('unclaimed' for systems without owner)
+const FACTION_ENCOUNTERS = {
+  terran_coalition: { fight: 0.7, ambush: 0.5, contact: 1.2, races: null },
+  independent_worlds: { fight: 1.0, ambush: 1.0, contact: 1.0, races: null },
+  mining_consortium: { fight: 0.8, ambush: 1.2, contact: 0.8, races: null },
+  hive_collective: { fight: 1.4, ambush: 0.4, contact: 0.6, races: ['mycelians', 'hivemind', 'fungal'] },
+  free_traders: { fight: 0.8, ambush: 1.5, contact: 1.3, races: null },
+  unclaimed: { fight: 1.2, ambush: 1.4, contact: 0.8, races: null }
+};
+
+const PIRATE_RACE = 'kryllian';
+
+/**
+ * A world setting from gameConfig as a multiplier (1 = normal); sliders store 0-100
+ */
+export const getWorldSetting = (gameConfig, name) => {
+  const value = gameConfig ? gameConfig[name] : undefined;
+  if (typeof value === 'number') return Math.max(0, value / 50);
+  if (typeof value === 'boolean') return value ? 1 : 0;
+  if (typeof value === 'string' && value in SETTING_WORDS) return SETTING_WORDS[value];
+  return 1;
+};
+
+export class EncounterDirector {
+  constructor(game) {
+    this.game = game;
+    this.rng = game && game.rng ? game.rng.fork('encounters') : new SeededRandom(0);
+    this.phase = 'quiet'; // 'quiet' -> 'build' -> 'peak' -> 'quiet'
+    this.tension = 0; // 0..1
+    this.threshold = 1; // Tension that triggers the next encounter
+    this.quietTimer = ARRIVAL_GRACE;
+    this.peakTimer = 0;
+    this.encounterId = 0;
+    this.current = null; // { id, type } while an encounter is running
+    this.history = []; // Last encounters: { type, systemIndex, time, ships }
+  }
+
+  getSetting(name) {
+    return getWorldSetting(this.game.gameConfig, name);
+  }
+
+  getDifficulty() {
+    return this.game.difficultySystem ? this.game.difficultySystem.get('encounterBudget') : 1.0;
+  }
+
+  getDangerLevel() {
+    const systemData = this.game.currentSystemData;
+    return systemData && typeof systemData.dangerLevel === 'number' ? systemData.dangerLevel : 3;
+  }
+
+  getOwner() {
+    const game = this.game;
+    return game.factionSystem ? game.factionSystem.getSystemOwner(game.currentSystemIndex) : null;
+  }
+
+  getFactionProfile() {
+    return FACTION_ENCOUNTERS[this.getOwner()] || FACTION_ENCOUNTERS.unclaimed;
+  }
+
+  /**
+   * Player strength relative to a fresh ship of the same class (1 = starter fit, full hull)
+   */
+  getPlayerStrength() {
+    const game = this.game;
+    const p = game.player;
+    if (!p) return 1;
+
+    let firepower = 1;
+    if (game.weaponSystem && game.weaponSystem.weapons.length > 0) {
+      const dps = (weapons) => weapons.reduce((total, weapon) =>
+        total + weapon.damage * (weapon.burstCount || 1) / Math.max(0.05, weapon.maxCooldown || 1), 0);
+      const starter = getStarterLoadout(p.shipClass).weapons.map(({ type, tier }) => game.weaponSystem.createWeapon(type, tier));
+      firepower = dps(game.weaponSystem.weapons) / Math.max(1, dps(starter));
+    }
+
+    const armor = game.armorSystem ? game.armorSystem.plates.reduce((total, plate) => total + (plate.hp || 0), 0) : 0;
+    const baseline = (p.maxHull || 100) + (p.baseMaxShields || p.maxShields || 50);
+    const toughness = ((p.maxHull || 100) + (p.maxShields || 0) + armor) / baseline;
+
+    const max = (p.maxHull || 100) + (p.maxShields || 0);
+    const condition = max > 0 ? ((p.hull || 0) + (p.shields || 0)) / max : 1;
+
+    const strength = Math.sqrt(Math.max(0.1, firepower) * Math.max(0.1, toughness)) * (0.4 + 0.6 * condition);
+    return Math.max(0.4, Math.min(3, strength));
+  }
+
+  /**
+   * Threat points an encounter may spend
+   */
+  getBudget(scale = 1) {
+    const spawnRules = this.getSpawnRules();
+    const budget = (2 + this.getDangerLevel() * 0.6) * this.getDifficulty() * this.getPlayerStrength() * spawnRules.countMultiplier * scale;
+    return Math.max(1, budget);
+  }
+
+  getSpawnRules() {
+    const game = this.game;
+    return game.diplomacySystem
+      ? game.diplomacySystem.getSpawnModifiers(game.currentSystemIndex)
+      : { countMultiplier: 1, forceHostile: false, standDown: false };
+  }
+
+  /**
+   * Hook: player arrived in a system or respawned (Game.spawnEnemies) - place the
+   * system's residents and start with a quiet period
+   */
+  onSystemEntered() {
+    const encounters = this.getSetting('encounterRate');
+    const spawnRules = this.getSpawnRules();
+
+    const residents = encounters > 0 ? this.buyShips(this.getBudget(0.5 * encounters)) : [];
+    for (const type of residents) {
+      const race = this.pickRace('any');
+      let isHostile = this.game.alienRaceSystem.willAttack(race.id);
+      if (spawnRules.forceHostile) isHostile = true;
+      else if (spawnRules.standDown) isHostile = false;
+      this.spawnShip(type, race, isHostile, ARRIVAL_DISTANCE, this.rng.next() * Math.PI * 2, null);
+    }
+
+    this.current = null;
+    this.tension = 0;
+    this.startQuiet(ARRIVAL_GRACE);
+    console.log(`[EncounterDirector] System ${this.game.currentSystemIndex}: ${residents.length} residents (danger ${this.getDangerLevel()}, strength ${this.getPlayerStrength().toFixed(2)})`);
+  }
+
+  /**
+   * Advance the tension curve (PhysicsEngine, before traffic and ship AI)
+   */
+  update(dt) {
+    const game = this.game;
+    const p = game.player;
+    if (game.scene !== 'system' || !p || p.isDying || p.landed) return;
+
+    switch (this.phase) {
+      case 'quiet':
+        this.quietTimer -= dt;
+        if (this.quietTimer <= 0) this.startBuild();
+        break;
+
+      case 'build': {
+        // Fights already under way hold the tension where it is
+        if (this.countHostilesNear(ENGAGED_RANGE) > 0) break;
+        const danger = 0.6 + this.getDangerLevel() * 0.08;
+        this.tension = Math.min(1, this.tension + dt / BUILD_TIME * this.getSetting('encounterRate') * danger);
+        if (this.tension >= this.threshold) this.startEncounter();
+        break;
+      }
+
+      case 'peak':
+        this.peakTimer -= dt;
+        if (this.peakTimer <= 0 || this.getEncounterShips().length === 0) {
+          this.endEncounter();
+        }
+        break;
+    }
+  }
+
+  startQuiet(duration) {
+    this.phase = 'quiet';
+    this.quietTimer = duration;
+  }
+
+  startBuild() {
+    this.phase = 'build';
+    // Random events make the curve less predictable
+    const jitter = Math.min(1, this.getSetting('randomEvents')) * 0.4;
+    this.threshold = 1 - jitter * this.rng.next();
+  }
+
+  /**
+   * Launch the next encounter (also started by random events)
+   * @param {string} type - Encounter type; chosen from the settings by default
+   */
+  startEncounter(type = this.chooseEncounter()) {
+    if (this.current) this.endEncounter();
+    this.tension = 0;
+
+    if (type === 'quiet' || !this.launch(type)) {
+      this.startQuiet(QUIET_TIME / Math.max(0.25, this.getSetting('encounterRate')));
+      return;
+    }
+
+    this.phase = 'peak';
+    this.peakTimer = type === 'contact' ? CONTACT_TIME : PEAK_TIMEOUT;
+  }
+
+  endEncounter() {
+    if (this.current) {
+      console.log(`[EncounterDirector] ${this.current.type} encounter ${this.current.id} over`);
+    }
+    this.current = null;
+    this.startQuiet(QUIET_TIME / Math.max(0.25, this.getSetting('encounterRate')));
+  }
+
+  chooseEncounter() {
+    const faction = this.getFactionProfile();
+    const spawnRules = this.getSpawnRules();
+    const danger = this.getDangerLevel();
+    const crowded = this.countHostilesNear(ENCOUNTER_RANGE) >= MAX_HOSTILES;
+
+    const weights = {
+      fight: crowded || spawnRules.standDown ? 0 : ENCOUNTER_TYPES.fight.weight * faction.fight * (0.5 + danger * 0.1),
+      ambush: crowded ? 0 : ENCOUNTER_TYPES.ambush.weight * faction.ambush * this.getSetting('pirateActivity') * (0.5 + danger * 0.1),
+      contact: ENCOUNTER_TYPES.contact.weight * faction.contact * this.getSetting('alienEncounters'),
+      quiet: ENCOUNTER_TYPES.quiet.weight / Math.max(0.25, this.getSetting('encounterRate'))
+    };
+    if (spawnRules.forceHostile) weights.fight *= 2;
+    return this.rng.pickWeighted(weights) || 'quiet';
+  }
+
+  /**
+   * Spawn an encounter's ships
+   * @returns {boolean} Whether anything was spawned
+   */
+  launch(type) {
+    const game = this.game;
+    const spawnRules = this.getSpawnRules();
+    const id = ++this.encounterId;
+    const heading = this.rng.next() * Math.PI * 2;
+    const ships = [];
+
+    if (type === 'fight') {
+      const race = this.pickRace('hostile');
+      for (const hull of this.buyShips(this.getBudget())) {
+        ships.push(this.spawnShip(hull, race, true, FIGHT_DISTANCE, heading, id));
+      }
+      game.showNotification(`${race.name} warships inbound`, 'warning');
+    } else if (type === 'ambush') {
+      const race = game.alienRaceSystem.getRace(PIRATE_RACE);
+      const hulls = this.buyShips(this.getBudget(0.8 * Math.max(0.5, this.getSetting('pirateActivity'))));
+      hulls.forEach((hull, index) => {
+        // Surround the player
+        const angle = heading + (index / hulls.length) * Math.PI * 2;
+        ships.push(this.spawnShip(hull, race, true, AMBUSH_DISTANCE, angle, id));
+      });
+      game.showNotification('Pirate ambush! Raiders dropping out of hiding', 'error');
+    } else if (type === 'contact') {
+      const race = this.pickRace('peaceful');
+      const count = this.rng.int(1, 2);
+      for (let i = 0; i < count; i++) {
+        const hull = this.rng.boolean() ? 'scout' : 'fighter';
+        ships.push(this.spawnShip(hull, race, spawnRules.forceHostile, CONTACT_DISTANCE, heading, id));
+      }
+      game.showNotification(`Contact: ${race.name} vessel approaching - press H to hail`, 'info');
+    }
+
+    if (ships.length === 0) return false;
+
+    this.current = { id, type };
+    this.history.unshift({ type, systemIndex: game.currentSystemIndex, time: game.time || 0, ships: ships.length });
+    this.history.length = Math.min(this.history.length, 10);
+    console.log(`[EncounterDirector] ${type} encounter ${id}: ${ships.map(ship => ship.type).join(', ')}`);
+    return true;
+  }
+
+  /**
+   * Spend a threat budget on hulls the danger level allows
+   */
+  buyShips(budget) {
+    const danger = this.getDangerLevel();
+    const pool = DANGER_POOLS.find(entry => danger <= entry.maxDanger).types;
+    const hulls = [];
+    let remaining = budget;
+
+    while (hulls.length < MAX_GROUP_SIZE) {
+      const affordable = Object.fromEntries(Object.entries(pool).filter(([type]) => SHIP_COST[type] <= remaining));
+      const type = this.rng.pickWeighted(affordable);
+      if (!type) break;
+      hulls.push(type);
+      remaining -= SHIP_COST[type];
+    }
+    return hulls;
+  }
+
+  /**
+   * Race for an encounter: the owning faction's races where it has them
+   * @param {string} kind - 'hostile' (not friendly to the player), 'peaceful' (not hostile) or 'any'
+   */
+  pickRace(kind) {
+    const races = this.game.alienRaceSystem;
+    const faction = this.getFactionProfile();
+    const candidates = Object.values(races.races).filter(race => {
+      if (race.id === PIRATE_RACE && kind !== 'any') return false;
+      if (faction.races && kind !== 'peaceful' && !faction.races.includes(race.id)) return false;
+      const status = races.getRelationshipStatus(race.id);
+      if (kind === 'hostile') return status !== 'friendly';
+      if (kind === 'peaceful') return status !== 'hostile';
+      return true;
+    });
+    if (candidates.length === 0) return races.getRandomRace();
+
+    const weights = {};
+    for (const race of candidates) {
+      const aggression = race.traits ? race.traits.aggression : 0.5;
+      weights[race.id] = kind === 'hostile' ? 0.2 + aggression : kind === 'peaceful' ? 1.2 - aggression : 1;
+    }
+    return races.getRace(this.rng.pickWeighted(weights));
+  }
+
+  spawnShip(type, race, isHostile, distanceRange, angle, encounterId) {
+    const game = this.game;
+    const spread = encounterId ? 0.25 : Math.PI;
+    const direction = angle + (this.rng.next() - 0.5) * spread;
+    const distance = this.rng.randomRange(distanceRange);
+    const ship = new AlienShip(
+      type,
+      game.player.x + Math.cos(direction) * distance,
+      game.player.y + Math.sin(direction) * distance,
+      isHostile,
+      race
+    );
+    if (encounterId) ship.encounterId = encounterId;
+    game.enemies.push(ship);
+    return ship;
+  }
+
+  countHostilesNear(range) {
+    const p = this.game.player;
+    return this.game.enemies.filter(ship =>
+      ship.isHostile && !ship.surrendered && Math.hypot(ship.x - p.x, ship.y - p.y) < range).length;
+  }
+
+  /**
+   * Live ships of the running encounter still near the player
+   */
+  getEncounterShips() {
+    if (!this.current) return [];
+    const p = this.game.player;
+    return this.game.enemies.filter(ship =>
+      ship.encounterId === this.current.id && !ship.surrendered &&
+      Math.hypot(ship.x - p.x, ship.y - p.y) < ENCOUNTER_RANGE);
+  }
+
+  /**
+   * Director state for debugging and the HUD
+   */
+  getStatus() {
+    return {
+      phase: this.phase,
+      tension: this.tension,
+      encounter: this.current ? ENCOUNTER_TYPES[this.current.type].name : null,
+      strength: this.getPlayerStrength()
+    };
+  }
+}
@@ -15,9 +15,13 @@ import {
  * Uses proper scaling and prevents overlaps
  */
 export class EnhancedSystemGenerator {
-  constructor(systemData) {
+  /**
+   * @param {Object} systemData - System from GalaxyGenerator
+   * @param {SeededRandom} rng - Generator for the system seed (GalaxyGenerator.createRandom)
+   */
+  constructor(systemData, rng = new SeededRandom(systemData.seed)) {
     this.systemData = systemData;
-    this.rng = new SeededRandom(systemData.seed);
+    this.rng = rng;
     this.celestialBodies = [];
     this.star = null;
   }
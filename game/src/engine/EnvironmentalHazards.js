@@ -1,17 +1,55 @@
 /**
  * Environmental Hazards System
  * Adds dynamic environmental effects to star systems:
- * - Nebulae (visual effects, reduced visibility, sensor interference)
- * - Radiation zones (damage over time, shield drain)
- * - Ion storms (energy drain, weapon interference)
+ * - Nebulae (reduced radar range, ships inside are hidden from sensors)
+ * - Radiation zones (hull and crew damage that passes through shields, shield drain)
+ * - Ion storms (energy drain, weapon misfires, shield and HUD disruption)
  * - Asteroid field density zones (collision hazard)
  * - Gravity wells (pull effect, fuel consumption)
+ *
+ * Effects apply to the player (applyPlayerEffects) and AI ships (applyShipEffects).
  */
 
+import { SeededRandom } from '../utils/SeededRandom.js';
+
+const NEBULA_VISUAL_RANGE = 1200; // Ships inside a nebula are only seen this close
+const CREW_DOSE_THRESHOLD = 10; // Radiation dose that injures a crew member
+const DAMAGE_REPORT_INTERVAL = 1.0; // Seconds of radiation damage summed into one playerDamaged event
+const AWAY_EFFECTS = Object.freeze({
+  active: [],
+  radarMultiplier: 1,
+  concealment: 0,
+  hullDamage: 0,
+  shieldDrain: 0,
+  energyDrain: 0,
+  weaponInterference: 0,
+  shieldDisruption: 0,
+  fuelMultiplier: 1,
+  pullX: 0,
+  pullY: 0
+});
+
+const NEBULA_COLORS = ['#ff6644', '#4466ff', '#ff44ff', '#44ff88', '#ffaa44', '#8844ff'];
+
+export const HAZARD_NAMES = {
+  nebula: 'nebula',
+  radiation: 'radiation zone',
+  ion_storm: 'ion storm',
+  gravity_well: 'gravity well'
+};
+
 export class EnvironmentalHazards {
-  constructor() {
+  constructor(game = null) {
+    this.game = game;
+    this.rng = game && game.rng ? game.rng.fork('hazards') : new SeededRandom(0);
     this.hazards = [];
     this.activeEffects = [];
+
+    // Hazard types the player is currently inside (for enter notifications)
+    this.playerHazardTypes = new Set();
+    this.radiationDose = 0;
+    this.unreportedDamage = 0; // Radiation damage not yet published as playerDamaged
+    this.damageReportTimer = 0;
   }
 
   /**
@@ -19,68 +57,67 @@ export class EnvironmentalHazards {
    */
   generateSystemHazards(systemData, starX, starY, systemRadius) {
     this.hazards = [];
-    const baseSeed = systemData.seed || 0;
-    // Use a stateful RNG that advances each call
-    let rngState = baseSeed;
-    const rng = {
-      next: () => {
-        rngState = (rngState * 9301 + 49297) % 233280;
-        return rngState / 233280;
-      },
-      range: (min, max) => {
-        rngState = (rngState * 9301 + 49297) % 233280;
-        return min + (rngState / 233280) * (max - min);
-      }
-    };
+    this.playerHazardTypes.clear();
+    const rng = new SeededRandom(systemData.seed || 0).fork('hazards');
 
     // 30% chance for nebula
     if (rng.next() < 0.3) {
-      const nebulaCount = Math.floor(rng.range(1, 3));
+      const nebulaCount = rng.int(1, 2);
       for (let i = 0; i < nebulaCount; i++) {
-        this.hazards.push(this.generateNebula(starX, starY, systemRadius, baseSeed + i));
+        this.hazards.push(this.generateNebula(starX, starY, systemRadius, rng));
       }
     }
 
-    // 20% chance for radiation zones (more common in high-danger systems)
+    // 40% chance for radiation zones in high-danger systems
     if (systemData.dangerLevel > 5 && rng.next() < 0.4) {
-      const zoneCount = Math.floor(rng.range(1, 2));
-      for (let i = 0; i < zoneCount; i++) {
-        this.hazards.push(this.generateRadiationZone(starX, starY, systemRadius, baseSeed + i + 100));
-      }
+      this.hazards.push(this.generateRadiationZone(starX, starY, systemRadius, rng));
     }
 
     // 15% chance for ion storms
     if (rng.next() < 0.15) {
-      this.hazards.push(this.generateIonStorm(starX, starY, systemRadius, baseSeed + 200));
+      this.hazards.push(this.generateIonStorm(starX, starY, systemRadius, rng));
     }
 
-    // Always add gravity wells near massive bodies
+    // Always add gravity wells around black holes, rarely a free-floating anomaly
     if (systemData.hasBlackhole) {
-      this.hazards.push(this.generateGravityWell(starX, starY, systemRadius, baseSeed + 300));
+      this.hazards.push(this.generateGravityWell(starX, starY, 9000, rng));
+    } else if (rng.next() < 0.1) {
+      const { x, y } = this.randomPosition(starX, starY, systemRadius, rng);
+      this.hazards.push(this.generateGravityWell(x, y, 4000, rng));
     }
   }
 
+  /**
+   * Random hazard position between the inner planets and mid-system
+   */
+  randomPosition(starX, starY, systemRadius, rng) {
+    const angle = rng.range(0, Math.PI * 2);
+    const distance = rng.range(0.04, 0.25) * systemRadius;
+    return {
+      x: starX + Math.cos(angle) * distance,
+      y: starY + Math.sin(angle) * distance
+    };
+  }
+
   /**
    * Generate a nebula hazard
    */
-  generateNebula(starX, starY, systemRadius, seed) {
-    const angle = (seed % 360) * (Math.PI / 180);
-    const distance = 1500 + (seed % 1000);
+  generateNebula(starX, starY, systemRadius, rng) {
+    const { x, y } = this.randomPosition(starX, starY, systemRadius, rng);
 
     return {
       type: 'nebula',
-      x: starX + Math.cos(angle) * distance,
-      y: starY + Math.sin(angle) * distance,
-      radius: 800 + (seed % 400),
-      density: 0.3 + (seed % 100) / 200,
-      color: this.getNebulaColor(seed),
-      particleCount: 40 + (seed % 20),
-      driftSpeed: 0.1 + (seed % 10) / 50,
-      driftAngle: (seed % 360) * (Math.PI / 180),
+      x,
+      y,
+      radius: rng.range(2500, 4500),
+      density: rng.range(0.3, 0.8),
+      color: rng.choice(NEBULA_COLORS),
+      particleCount: rng.int(40, 60),
+      driftSpeed: rng.range(0.1, 0.3),
+      driftAngle: rng.range(0, Math.PI * 2),
       effects: {
-        visibilityReduction: 0.4,
-        sensorInterference: 0.6,
-        visualOnly: true // Nebula doesn't damage, just visual
+        visibilityReduction: 0.5, // Radar range lost inside
+        sensorInterference: 0.9 // Concealment of ships inside
       }
     };
   }
@@ -88,24 +125,23 @@ export class EnvironmentalHazards {
   /**
    * Generate a radiation zone hazard
    */
-  generateRadiationZone(starX, starY, systemRadius, seed) {
-    const angle = (seed % 360) * (Math.PI / 180);
-    const distance = 1000 + (seed % 1500);
+  generateRadiationZone(starX, starY, systemRadius, rng) {
+    const { x, y } = this.randomPosition(starX, starY, systemRadius, rng);
 
     return {
       type: 'radiation',
-      x: starX + Math.cos(angle) * distance,
-      y: starY + Math.sin(angle) * distance,
-      radius: 600 + (seed % 300),
-      intensity: 0.5 + (seed % 50) / 100,
+      x,
+      y,
+      radius: rng.range(1500, 2500),
+      intensity: rng.range(0.5, 1.0),
       color: '#88ff44',
       glowColor: '#44ff22',
       pulsePhase: 0,
-      pulseSpeed: 0.002 + (seed % 10) / 5000,
+      pulseSpeed: rng.range(0.002, 0.004),
       effects: {
-        hullDamage: 2, // Damage per second
+        hullDamage: 4, // Damage per second (ignores shields)
         shieldDrain: 5, // Shield drain per second
-        warningDistance: 1000 // Distance at which warning appears
+        warningDistance: 1000 // Distance outside the zone at which a warning appears
       }
     };
   }
@@ -113,24 +149,23 @@ export class EnvironmentalHazards {
   /**
    * Generate an ion storm hazard
    */
-  generateIonStorm(starX, starY, systemRadius, seed) {
-    const angle = (seed % 360) * (Math.PI / 180);
-    const distance = 1200 + (seed % 1000);
+  generateIonStorm(starX, starY, systemRadius, rng) {
+    const { x, y } = this.randomPosition(starX, starY, systemRadius, rng);
 
     return {
       type: 'ion_storm',
-      x: starX + Math.cos(angle) * distance,
-      y: starY + Math.sin(angle) * distance,
-      radius: 700 + (seed % 300),
-      intensity: 0.6 + (seed % 40) / 100,
+      x,
+      y,
+      radius: rng.range(2000, 3200),
+      intensity: rng.range(0.6, 1.0),
       color: '#4488ff',
-      lightningFrequency: 0.05 + (seed % 20) / 400,
+      lightningFrequency: rng.range(0.05, 0.1),
       rotation: 0,
-      rotationSpeed: 0.001 + (seed % 10) / 10000,
+      rotationSpeed: rng.range(0.001, 0.002),
       effects: {
         energyDrain: 8, // Energy drain per second
-        weaponInterference: 0.7, // 70% chance weapon shot fails
-        systemDisruption: true
+        weaponInterference: 0.7, // Chance a weapon shot fails at the core
+        systemDisruption: true // Shield recharge and HUD disrupted
       }
     };
   }
@@ -138,38 +173,23 @@ export class EnvironmentalHazards {
   /**
    * Generate a gravity well hazard
    */
-  generateGravityWell(starX, starY, systemRadius, seed) {
+  generateGravityWell(x, y, radius, rng) {
     return {
       type: 'gravity_well',
-      x: starX,
-      y: starY,
-      radius: 1500,
-      strength: 0.8,
+      x,
+      y,
+      radius,
+      strength: rng.range(0.6, 1.0),
       color: '#8844ff',
-      visualRadius: 200,
+      visualRadius: radius * 0.15,
       effects: {
-        pullForce: 120, // Pull strength
+        pullForce: 120, // Pull acceleration at the core
         fuelConsumption: 1.5, // 1.5x fuel consumption when escaping
         escapeThrust: 0.7 // Need 70% more thrust to escape
       }
     };
   }
 
-  /**
-   * Get nebula color based on seed
-   */
-  getNebulaColor(seed) {
-    const colors = [
-      '#ff6644', // Red nebula
-      '#4466ff', // Blue nebula
-      '#ff44ff', // Magenta nebula
-      '#44ff88', // Green nebula
-      '#ffaa44', // Orange nebula
-      '#8844ff', // Purple nebula
-    ];
-    return colors[seed % colors.length];
-  }
-
   /**
    * Update hazards (movement, effects, etc.)
    */
@@ -209,7 +229,8 @@ export class EnvironmentalHazards {
         this.activeEffects.push({
           type: hazard.type,
           strength: effectStrength,
-          effects: hazard.effects
+          effects: hazard.effects,
+          hazard
         });
       }
     }
@@ -217,6 +238,169 @@ export class EnvironmentalHazards {
     return this.activeEffects;
   }
 
+  /**
+   * Combined hazard modifiers at a position
+   */
+  getEffectsAt(x, y) {
+    if (this.hazards.length === 0) return AWAY_EFFECTS;
+
+    const active = this.checkPlayerEffects(x, y);
+    if (active.length === 0) return AWAY_EFFECTS;
+
+    const result = { ...AWAY_EFFECTS, active };
+
+    for (const { type, strength, effects, hazard } of active) {
+      switch (type) {
+        case 'nebula': {
+          // Full effect from a third of the way in
+          const depth = Math.min(1, strength * 3);
+          result.radarMultiplier *= 1 - effects.visibilityReduction * depth;
+          result.concealment = Math.max(result.concealment, effects.sensorInterference * depth);
+          break;
+        }
+        case 'radiation':
+          result.hullDamage += effects.hullDamage * hazard.intensity * strength;
+          result.shieldDrain += effects.shieldDrain * hazard.intensity * strength;
+          break;
+        case 'ion_storm':
+          result.energyDrain += effects.energyDrain * hazard.intensity * strength;
+          result.weaponInterference = Math.max(result.weaponInterference, effects.weaponInterference * strength);
+          result.shieldDisruption = Math.max(result.shieldDisruption, Math.min(1, hazard.intensity * strength * 2));
+          break;
+        case 'gravity_well': {
+          const dx = hazard.x - x;
+          const dy = hazard.y - y;
+          const distance = Math.sqrt(dx * dx + dy * dy) || 1;
+          const pull = effects.pullForce * hazard.strength * strength;
+          result.pullX += (dx / distance) * pull;
+          result.pullY += (dy / distance) * pull;
+          result.fuelMultiplier = Math.max(result.fuelMultiplier, 1 + (effects.fuelConsumption - 1) * strength);
+          break;
+        }
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Apply hazards to the player ship. Stores the modifiers on player.hazardEffects
+   * for PhysicsEngine (fuel, weapons, shields), AI detection and the HUD.
+   */
+  applyPlayerEffects(dt) {
+    const game = this.game;
+    const p = game.player;
+    const effects = this.getEffectsAt(p.x, p.y);
+    p.hazardEffects = effects;
+
+    this.notifyEnteredHazards(effects);
+
+    // Leaving the radiation publishes what is left of its damage
+    if (effects.hullDamage <= 0 && this.unreportedDamage > 0) this.reportRadiationDamage();
+
+    if (effects === AWAY_EFFECTS) {
+      if (game.shieldSystem) game.shieldSystem.setDisruption(0);
+      return effects;
+    }
+
+    // Radiation: hull damage passes through shields, shields drain, crew absorb a dose
+    if (effects.hullDamage > 0) {
+      const damage = effects.hullDamage * dt;
+      p.hull = Math.max(0, p.hull - damage);
+      p.lastDamageSource = 'radiation zone';
+      p.shields = Math.max(0, p.shields - effects.shieldDrain * dt);
+      this.unreportedDamage += damage;
+      this.damageReportTimer += dt;
+      if (this.damageReportTimer >= DAMAGE_REPORT_INTERVAL || p.hull <= 0) this.reportRadiationDamage();
+
+      this.radiationDose += damage;
+      if (this.radiationDose >= CREW_DOSE_THRESHOLD && game.crewSystem) {
+        this.radiationDose = 0;
+        const roles = Object.keys(game.crewSystem.crew);
+        if (roles.length > 0) {
+          game.crewSystem.injureMember(this.rng.choice(roles), CREW_DOSE_THRESHOLD);
+        }
+      }
+    }
+
+    // Ion storm: power drain, shield generators stall
+    p.power = Math.max(0, p.power - effects.energyDrain * dt);
+    if (game.shieldSystem) {
+      game.shieldSystem.setDisruption(effects.shieldDisruption);
+      if (effects.shieldDisruption >= 0.5) p.shieldActive = false;
+    }
+
+    // Gravity well pull
+    if (game.inertialSystem && (effects.pullX !== 0 || effects.pullY !== 0)) {
+      game.inertialSystem.applyGravityPull(effects.pullX, effects.pullY, dt);
+    }
+
+    return effects;
+  }
+
+  /**
+   * Publish the radiation damage taken since the last report as one playerDamaged event
+   */
+  reportRadiationDamage() {
+    this.game.events.emit('playerDamaged', { amount: this.unreportedDamage, source: HAZARD_NAMES.radiation });
+    this.unreportedDamage = 0;
+    this.damageReportTimer = 0;
+  }
+
+  /**
+   * Apply hazards to an AI ship (AlienShip reads ship.hazardEffects for shields,
+   * weapons and sensors)
+   */
+  applyShipEffects(ship, dt) {
+    const effects = this.getEffectsAt(ship.x, ship.y);
+    ship.hazardEffects = effects;
+    if (effects === AWAY_EFFECTS) return effects;
+
+    // Radiation burns through shields straight into the hull
+    if (effects.hullDamage > 0) {
+      ship.hp -= effects.hullDamage * dt;
+      ship.lastDamagedByPlayer = false;
+      ship.shields = Math.max(0, ship.shields - effects.shieldDrain * dt);
+    }
+
+    ship.vx += effects.pullX * dt;
+    ship.vy += effects.pullY * dt;
+    return effects;
+  }
+
+  /**
+   * Whether a ship is hidden from an observer at the given distance (nebulae)
+   */
+  isConcealed(ship, distance) {
+    const effects = ship.hazardEffects;
+    return !!effects && effects.concealment > 0.5 && distance > NEBULA_VISUAL_RANGE;
+  }
+
+  /**
+   * Notify the player when entering a hazard
+   */
+  notifyEnteredHazards(effects) {
+    const types = new Set(effects.active.map(effect => effect.type));
+    for (const type of types) {
+      if (!this.playerHazardTypes.has(type) && this.game.showNotification) {
+        const level = type === 'nebula' ? 'info' : 'warning';
+        this.game.showNotification(`Entering ${HAZARD_NAMES[type]}`, level);
+      }
+    }
+    this.playerHazardTypes = types;
+  }
+
+  /**
+   * Radiation zones the player is approaching (within warningDistance, outside the zone)
+   */
+  getNearbyRadiation(x, y) {
+    return this.hazards.find(hazard => {
+      if (hazard.type !== 'radiation') return false;
+      const distance = Math.sqrt((x - hazard.x) ** 2 + (y - hazard.y) ** 2);
+      return distance >= hazard.radius && distance < hazard.radius + hazard.effects.warningDistance;
+    }) || null;
+  }
+
   /**
    * Render environmental hazards
    */
@@ -225,6 +409,12 @@ export class EnvironmentalHazards {
       const screenX = hazard.x - camera.x;
       const screenY = hazard.y - camera.y;
 
+      // Skip hazards entirely off screen
+      if (camera.width && (screenX + hazard.radius < 0 || screenX - hazard.radius > camera.width ||
+          screenY + hazard.radius < 0 || screenY - hazard.radius > camera.height)) {
+        continue;
+      }
+
       switch (hazard.type) {
         case 'nebula':
           this.renderNebula(ctx, screenX, screenY, hazard, time);
@@ -305,7 +495,7 @@ export class EnvironmentalHazards {
     ctx.stroke();
 
     // Inner radiation field (pixelated grid)
-    const gridSize = 30;
+    const gridSize = Math.max(30, radiation.radius / 20);
     const gridCount = Math.floor((radiation.radius * 2) / gridSize);
 
     ctx.globalAlpha = 0.2 * pulse;
@@ -427,7 +617,7 @@ export class EnvironmentalHazards {
     // Concentric rings showing gravity field (heavily pixelated)
     const ringCount = 5;
     for (let i = 0; i < ringCount; i++) {
-      const ringRadius = well.visualRadius + (i * 80);
+      const ringRadius = well.visualRadius + i * (well.radius - well.visualRadius) / ringCount;
       const alpha = (ringCount - i) / ringCount * 0.3;
       const pulse = Math.sin(time * 0.002 + i * 0.5) * 0.2 + 0.8;
 
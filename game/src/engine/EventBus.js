@@ -0,0 +1,158 @@
+/**
+ * EventBus - Typed publish/subscribe bus for game domain events
+ *
+ * Features:
+ * - GAME_EVENTS declares every event type and its payload fields; emit() drops unknown
+ *   types and warns once per field when a payload does not match its declaration
+ * - on()/once()/off() per type, onAny() for every type; handlers run synchronously in
+ *   subscription order, so reactions stay deterministic for replays and the headless sim
+ * - A throwing handler is logged and does not stop the others
+ * - Recent events and per-type counts for the event inspector (F8)
+ */
+
+const HISTORY_SIZE = 100;
+
+/**
+ * Event types and their payload fields.
+ * Field types: 'number', 'string', 'boolean', 'object'; a trailing '?' also allows null/undefined.
+ */
+export const GAME_EVENTS = {
+  weaponFired: { weapon: 'string?' },
+  projectileHit: { target: 'object', damage: 'number' },
+  shipDestroyed: { ship: 'object', type: 'string', civilian: 'boolean', byPlayer: 'boolean', difficulty: 'string', x: 'number', y: 'number', size: 'number' },
+  shipSurrendered: { ship: 'object', type: 'string', ransom: 'number' },
+  playerDamaged: { amount: 'number', source: 'string' },
+  playerDestroyed: { cause: 'string', permadeath: 'boolean' },
+  sectionDamaged: { section: 'string', name: 'string', damage: 'number', healthPercent: 'number', critical: 'boolean', destroyed: 'boolean' },
+  systemEntered: { systemIndex: 'number', name: 'string', firstVisit: 'boolean' },
+  stationDocked: { station: 'object', name: 'string' },
+  commodityTraded: { commodityId: 'string', direction: 'string', quantity: 'number', credits: 'number', systemIndex: 'number?' },
+  asteroidMined: { asteroid: 'object', quantity: 'number' },
+  artifactFound: { artifact: 'object', name: 'string' },
+  missionCompleted: { missionId: 'string', title: 'string', reward: 'number' },
+  randomEventResolved: { eventId: 'string', success: 'boolean' },
+  achievementUnlocked: { id: 'string', name: 'string' }
+};
+
+const matchesType = (value, type) => {
+  if (type.endsWith('?')) {
+    return value === null || value === undefined || matchesType(value, type.slice(0, -1));
+  }
+  return type === 'object' ? value !== null && typeof value === 'object' : typeof value === type;
+};
+
+/**
+ * Short text for an event payload (inspector): objects by name, numbers rounded
+ */
+export const describePayload = (payload) =>
+  Object.entries(payload).map(([key, value]) => {
+    if (value && typeof value === 'object') {
+      return `${key}=${value.name || value.raceName || value.id || value.type || '{}'}`;
+    }
+    if (typeof value === 'number' && !Number.isInteger(value)) {
+      return `${key}=${value.toFixed(1)}`;
+    }
+    return `${key}=${value}`;
+  }).join(' ');
+
+export class EventBus {
+  constructor(game) {
+    this.game = game;
+    this.handlers = {}; // { type: [handler] }
+    this.anyHandlers = []; // Handlers for every type, called after the typed ones
+    this.history = []; // { type, payload, time } newest first
+    this.counts = {}; // { type: events emitted }
+    this.warned = new Set(); // 'type.field' mismatches already reported
+  }
+
+  /**
+   * Subscribe to one event type
+   * @returns {Function} Unsubscribe
+   */
+  on(type, handler) {
+    if (!(type in GAME_EVENTS)) {
+      console.warn(`[EventBus] Cannot subscribe to unknown event type: ${type}`);
+      return () => {};
+    }
+    (this.handlers[type] = this.handlers[type] || []).push(handler);
+    return () => this.off(type, handler);
+  }
+
+  /**
+   * Subscribe to the next event of a type only
+   */
+  once(type, handler) {
+    const unsubscribe = this.on(type, (payload, eventType) => {
+      unsubscribe();
+      handler(payload, eventType);
+    });
+    return unsubscribe;
+  }
+
+  off(type, handler) {
+    const handlers = this.handlers[type];
+    if (!handlers) return;
+    const index = handlers.indexOf(handler);
+    if (index !== -1) handlers.splice(index, 1);
+  }
+
+  /**
+   * Subscribe to every event type; handlers receive (payload, type)
+   */
+  onAny(handler) {
+    this.anyHandlers.push(handler);
+    return () => {
+      const index = this.anyHandlers.indexOf(handler);
+      if (index !== -1) this.anyHandlers.splice(index, 1);
+    };
+  }
+
+  /**
+   * Publish an event to its subscribers
+   * @returns {boolean} False when the type is unknown
+   */
+  emit(type, payload = {}) {
+    const fields = GAME_EVENTS[type];
+    if (!fields) {
+      console.warn(`[EventBus] Unknown event type: ${type}`);
+      return false;
+    }
+    this.validate(type, fields, payload);
+
+    this.counts[type] = (this.counts[type] || 0) + 1;
+    this.history.unshift({ type, payload, time: this.game.playtime || 0 });
+    if (this.history.length > HISTORY_SIZE) this.history.pop();
+
+    // Copies: handlers may unsubscribe (once) while the event is dispatched
+    const handlers = [...(this.handlers[type] || []), ...this.anyHandlers];
+    for (const handler of handlers) {
+      try {
+        handler(payload, type);
+      } catch (error) {
+        console.error(`[EventBus] ${type} handler failed:`, error);
+      }
+    }
+    return true;
+  }
+
+  validate(type, fields, payload) {
+    for (const field in fields) {
+      if (matchesType(payload[field], fields[field])) continue;
+      const key = `${type}.${field}`;
+      if (this.warned.has(key)) continue;
+      this.warned.add(key);
+      console.warn(`[EventBus] ${key} should be ${fields[field]}, got ${typeof payload[field]}`);
+    }
+  }
+
+  /**
+   * Event types by number of events emitted, most frequent first (inspector)
+   */
+  getCounts() {
+    return Object.entries(this.counts).sort((a, b) => b[1] - a[1]);
+  }
+
+  getSubscriberCount(type) {
+    return (this.handlers[type] || []).length + this.anyHandlers.length;
+  }
+}
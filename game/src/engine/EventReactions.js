@@ -0,0 +1,44 @@
+/**
+ * EventReactions - Notifications, effects and sounds in reaction to game events (EventBus)
+ *
+ * Features:
+ * - Explosions for destroyed ships, camera shake for destroyed ship sections
+ * - Toasts for discoveries, artifacts, achievements and critical section damage
+ * - Weapon and docking sounds (AudioSystem, absent in the headless sim)
+ */
+
+export class EventReactions {
+  constructor(game) {
+    this.game = game;
+
+    const events = game.events;
+    events.on('shipDestroyed', ({ x, y, size }) => game.createExplosion(x, y, size));
+    events.on('sectionDamaged', (event) => this.onSectionDamaged(event));
+
+    events.on('systemEntered', ({ name, firstVisit }) => {
+      if (firstVisit) game.showNotification(`Discovered: ${name}`, 'success');
+    });
+    events.on('artifactFound', ({ name }) => game.showNotification(`Artifact collected: ${name}`, 'success'));
+    events.on('achievementUnlocked', ({ name }) => game.showNotification(`Achievement unlocked: ${name}`, 'success'));
+
+    events.on('weaponFired', ({ weapon }) => {
+      if (game.audioSystem) game.audioSystem.playWeapon(weapon);
+    });
+    events.on('stationDocked', () => {
+      if (game.audioSystem) game.audioSystem.playDock();
+    });
+  }
+
+  onSectionDamaged({ name, healthPercent, critical, destroyed }) {
+    const game = this.game;
+    if (destroyed) {
+      game.showNotification(`⚠ ${name.toUpperCase()} DESTROYED! Seek station repairs immediately!`, 'critical');
+      // Camera shake for emphasis
+      if (game.camera) {
+        game.camera.shake = Math.max(game.camera.shake, 15);
+      }
+    } else if (critical) {
+      game.showNotification(`⚠ ${name.toUpperCase()} at ${Math.floor(healthPercent)}% - CRITICAL!`, 'warning');
+    }
+  }
+}
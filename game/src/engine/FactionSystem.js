@@ -1,5 +1,56 @@
+/**
+ * FactionSystem - Faction reputation, territory and the background war simulation
+ *
+ * Features:
+ * - Five factions with player reputation, trade bonus and owned systems (territory)
+ * - Starting borders around faction centers, the outer rim left unclaimed
+ * - Strategic ticks over game time: income from territory, border tension,
+ *   war declarations, battles for border systems, peace treaties and expansion
+ * - Player kills, trade and reputation changes support the faction they help
+ * - Ownership is mirrored into the galaxy (system.faction / system.factionData)
+ *   and into markets, wars raise prices through EconomySystem market events
+ */
+import { SeededRandom } from '../utils/SeededRandom.js';
+
+const STRATEGY_TICK_INTERVAL = 30; // Game seconds between strategic ticks
+const INITIAL_CLAIM_RADIUS = 5000; // Systems farther from the core start unclaimed
+export const BORDER_RANGE = 3000; // Galaxy distance at which two systems border each other
+const STARTING_STRENGTH = 40;
+export const MAX_STRENGTH = 150;
+const BASE_INCOME = 2; // Strength per tick for every faction
+const INCOME_PER_SYSTEM = 1.5; // Times sqrt(owned systems) - large empires stretch thin
+const WAR_UPKEEP = 2; // Strength per active war per tick
+const BORDER_TENSION = 2; // Relation lost per tick with a bordering faction
+const RELATION_DRIFT = 3; // Random relation change per tick (+/-)
+const WAR_THRESHOLD = -60; // Relation at which the stronger side declares war
+const PEACE_RELATION = -20; // Relation after a peace treaty
+const TRUCE_DURATION = 600; // Game seconds without border tension after peace
+const MIN_WAR_DURATION = 300; // Game seconds before peace talks
+const PEACE_CHANCE = 0.3; // Per tick, multiplied by war exhaustion
+const EXHAUSTION_PER_BATTLE = 0.1;
+const COLLAPSE_STRENGTH = 5; // A side this weak surrenders
+const DEFENSE_BONUS = 1.2;
+const BATTLE_LOSS = 0.15; // Share of strength the loser of a battle loses (winner: half)
+const EXPANSION_COST = 15;
+const EXPANSION_CHANCE = 0.25;
+const UNREST_SHARE = 1.5; // Empires above this multiple of a fair share of the galaxy suffer unrest
+const UNREST_CHANCE = 0.2; // Per tick: the system farthest from the capital breaks away
+const MAX_RECENT_CAPTURES = 10;
+
+// Player support (strength added at the next tick)
+const KILL_SUPPORT = 1;
+const TRADE_SUPPORT_PER_CREDIT = 1 / 2000;
+const REPUTATION_SUPPORT = 0.5;
+
+// Starting relations between factions (default 0)
+const HOSTILE_FACTION = 'hive_collective';
+const HOSTILE_RELATION = -40;
+const NEUTRAL_FACTION = 'free_traders';
+const NEUTRAL_RELATION = 20;
+
 export class FactionSystem {
-  constructor() {
+  constructor(game = null) {
+    this.game = game;
     this.factions = {
       terran_coalition: { name: 'United Terran Coalition', reputation: 50, color: '#4488ff', territory: [], attitude: 'neutral', tradeBonus: 0 },
       independent_worlds: { name: 'Independent Worlds Alliance', reputation: 50, color: '#44ff88', territory: [], attitude: 'neutral', tradeBonus: 0 },
@@ -7,6 +58,15 @@ export class FactionSystem {
       hive_collective: { name: 'Hive Collectives', reputation: 30, color: '#ff4444', territory: [], attitude: 'hostile', tradeBonus: -0.5 },
       free_traders: { name: 'Free Traders Guild', reputation: 60, color: '#ffdd44', territory: [], attitude: 'friendly', tradeBonus: 0.1 }
     };
+
+    // Strategic simulation
+    this.relations = this.createRelations(); // 'a|b' (sorted ids) -> { value, truceUntil }
+    this.wars = []; // { attacker, defender, startedAt, exhaustion, battles }
+    this.recentCaptures = []; // { systemIndex, from, to, time } newest first
+    this.playerSupport = {}; // factionId -> strength added at the next tick
+    this.strategyTimer = 0;
+    this.strategyTime = 0; // Game seconds simulated so far
+    this.strategyRng = game && game.rng ? game.rng.fork('factionStrategy') : new SeededRandom(0);
   }
 
   modifyReputation(factionId, amount) {
@@ -15,6 +75,7 @@ export class FactionSystem {
     faction.reputation = Math.max(0, Math.min(100, faction.reputation + amount));
     faction.attitude = faction.reputation < 20 ? 'hostile' : faction.reputation < 40 ? 'unfriendly' : faction.reputation < 70 ? 'neutral' : faction.reputation < 90 ? 'friendly' : 'allied';
     faction.tradeBonus = faction.reputation < 20 ? -0.5 : faction.reputation < 40 ? -0.2 : faction.reputation < 70 ? 0 : faction.reputation < 90 ? 0.15 : 0.25;
+    this.addPlayerSupport(factionId, amount * REPUTATION_SUPPORT);
     return { faction: faction.name, newRep: faction.reputation, attitude: faction.attitude };
   }
 
@@ -22,18 +83,76 @@ export class FactionSystem {
     return Object.entries(this.factions).map(([id, f]) => ({ id, name: f.name, reputation: Math.floor(f.reputation), attitude: f.attitude, color: f.color, tradeBonus: Math.floor(f.tradeBonus * 100) }));
   }
 
-  assignTerritories(galaxy) {
-    for (const f of Object.values(this.factions)) f.territory = [];
+  /**
+   * Player standing with a faction: 'friendly', 'neutral' or 'hostile'
+   */
+  getRelation(factionId) {
+    const faction = this.factions[factionId];
+    if (!faction) return 'neutral';
+    if (faction.attitude === 'friendly' || faction.attitude === 'allied') return 'friendly';
+    if (faction.attitude === 'hostile') return 'hostile';
+    return 'neutral';
+  }
+
+  getSystemFaction(systemIndex, system) {
+    if (system && system.faction && this.factions[system.faction]) return system.faction;
+    for (const [id, f] of Object.entries(this.factions)) if (f.territory.includes(systemIndex)) return id;
+    if (system && system.hasHiveAliens) return 'hive_collective';
+    return 'independent_worlds';
+  }
+
+  /**
+   * Owner of a system, or null while it is unclaimed
+   */
+  getSystemOwner(systemIndex) {
+    for (const [id, f] of Object.entries(this.factions)) if (f.territory.includes(systemIndex)) return id;
+    return null;
+  }
+
+  hasTerritories() {
+    return Object.values(this.factions).some(f => f.territory.length > 0);
+  }
+
+  /**
+   * Starting borders: systems near a faction center belong to it, the rim stays unclaimed
+   * @param {Array} galaxy - Star systems (placeholders included)
+   * @param {SeededRandom} rng - Galaxy substream (same galaxy seed, same borders)
+   */
+  assignTerritories(galaxy, rng) {
+    const centers = this.assignFactionsToGalaxy(galaxy, rng);
+
+    for (const [id, f] of Object.entries(this.factions)) {
+      f.territory = [];
+      f.capital = null;
+      f.strength = STARTING_STRENGTH;
+
+      // Capital: the system closest to the faction center
+      let closest = Infinity;
+      galaxy.forEach((sys, i) => {
+        if (!sys.position || sys.faction !== id) return;
+        const distance = Math.hypot(sys.position.x - centers[id].x, sys.position.y - centers[id].y);
+        if (distance < closest) {
+          closest = distance;
+          f.capital = i;
+        }
+      });
+    }
+
     galaxy.forEach((sys, i) => {
-      if (!sys.discovered) return;
-      if (sys.hasHiveAliens) this.factions.hive_collective.territory.push(i);
-      else if (sys.resourceRichness > 0.7 && (sys.stationCount || 0) > 5) this.factions.mining_consortium.territory.push(i);
-      else if (i === 0 || (sys.hasMegastructure && sys.visited)) this.factions.terran_coalition.territory.push(i);
-      else this.factions.independent_worlds.territory.push(i);
+      if (!sys.position || !sys.faction) return;
+      if (i !== this.factions[sys.faction].capital && Math.hypot(sys.position.x, sys.position.y) > INITIAL_CLAIM_RADIUS) return;
+      this.factions[sys.faction].territory.push(i);
     });
+
+    this.syncGalaxy(galaxy);
   }
 
-  assignFactionsToGalaxy(galaxy) {
+  /**
+   * Assign every system to the nearest faction center
+   * @param {Array} galaxy - Star systems
+   * @param {SeededRandom} rng - Galaxy substream (same galaxy seed, same borders)
+   */
+  assignFactionsToGalaxy(galaxy, rng) {
     // Assign each faction a center point in the galaxy
     const factionCenters = {};
     const factionIds = Object.keys(this.factions);
@@ -41,7 +160,7 @@ export class FactionSystem {
     // Distribute factions evenly across the galaxy
     factionIds.forEach((factionId, index) => {
       const angle = (index / factionIds.length) * Math.PI * 2;
-      const distance = 200 + Math.random() * 100;
+      const distance = rng.range(200, 300);
       factionCenters[factionId] = {
         x: Math.cos(angle) * distance,
         y: Math.sin(angle) * distance
@@ -78,4 +197,449 @@ export class FactionSystem {
 
     return factionCenters;
   }
+
+  /**
+   * Mirror territory into the galaxy (system.faction / system.factionData).
+   * Call after systems are replaced (lazy generation) or factions are loaded.
+   */
+  syncGalaxy(galaxy) {
+    const owners = new Map();
+    for (const [id, f] of Object.entries(this.factions)) {
+      for (const index of f.territory) owners.set(index, id);
+    }
+
+    galaxy.forEach((sys, i) => {
+      const owner = owners.get(i) || null;
+      sys.faction = owner;
+      sys.factionData = owner ? this.factions[owner] : null;
+    });
+  }
+
+  createRelations() {
+    const relations = {};
+    const ids = Object.keys(this.factions);
+    for (let i = 0; i < ids.length; i++) {
+      for (let j = i + 1; j < ids.length; j++) {
+        let value = 0;
+        if (ids[i] === HOSTILE_FACTION || ids[j] === HOSTILE_FACTION) value = HOSTILE_RELATION;
+        else if (ids[i] === NEUTRAL_FACTION || ids[j] === NEUTRAL_FACTION) value = NEUTRAL_RELATION;
+        relations[this.relationKey(ids[i], ids[j])] = { value, truceUntil: 0 };
+      }
+    }
+    return relations;
+  }
+
+  relationKey(a, b) {
+    return a < b ? `${a}|${b}` : `${b}|${a}`;
+  }
+
+  /**
+   * Relation between two factions (-100 to 100)
+   */
+  getFactionRelation(a, b) {
+    const relation = this.relations[this.relationKey(a, b)];
+    return relation ? relation.value : 0;
+  }
+
+  /**
+   * Active war between two factions (either side), or null
+   */
+  getWar(a, b) {
+    return this.wars.find(war => (war.attacker === a && war.defender === b) || (war.attacker === b && war.defender === a)) || null;
+  }
+
+  /**
+   * Factions at war with a faction
+   */
+  getEnemies(factionId) {
+    return this.wars
+      .filter(war => war.attacker === factionId || war.defender === factionId)
+      .map(war => (war.attacker === factionId ? war.defender : war.attacker));
+  }
+
+  /**
+   * Player action that helps a faction in the balance of power
+   * @param {string} type - 'kill' (hostile ship destroyed) or 'trade' (credits traded)
+   * @param {number} systemIndex - Where it happened (the owner benefits)
+   * @param {number} amount - Credits for 'trade'
+   */
+  recordPlayerAction(type, systemIndex, amount = 0) {
+    const owner = this.getSystemOwner(systemIndex);
+    if (!owner) return;
+
+    if (type === 'kill') {
+      this.addPlayerSupport(owner, KILL_SUPPORT);
+    } else if (type === 'trade') {
+      this.addPlayerSupport(owner, amount * TRADE_SUPPORT_PER_CREDIT);
+    }
+  }
+
+  addPlayerSupport(factionId, amount) {
+    if (!this.factions[factionId] || !amount) return;
+    this.playerSupport[factionId] = (this.playerSupport[factionId] || 0) + amount;
+  }
+
+  /**
+   * Advance the strategic simulation (called every frame with game time)
+   */
+  update(dt) {
+    const galaxy = this.game ? this.game.galaxy : null;
+    if (!galaxy || !this.game.galaxyInitialized) return;
+
+    this.strategyTimer += dt;
+    if (this.strategyTimer < STRATEGY_TICK_INTERVAL) return;
+
+    this.strategyTimer -= STRATEGY_TICK_INTERVAL;
+    this.strategyTime += STRATEGY_TICK_INTERVAL;
+    this.tickStrategy(galaxy);
+  }
+
+  /**
+   * One strategic tick: income, diplomacy, battles, expansion
+   */
+  tickStrategy(galaxy) {
+    const rng = this.strategyRng;
+    const ids = Object.keys(this.factions);
+
+    // Income, war upkeep and player support
+    for (const id of ids) {
+      const f = this.factions[id];
+      const income = BASE_INCOME + Math.sqrt(f.territory.length) * INCOME_PER_SYSTEM - this.getEnemies(id).length * WAR_UPKEEP;
+      f.strength = Math.max(0, Math.min(MAX_STRENGTH, (f.strength ?? STARTING_STRENGTH) + income + (this.playerSupport[id] || 0)));
+    }
+    this.playerSupport = {};
+
+    // Border tension and war declarations
+    const borders = this.getBorderPairs(galaxy);
+    for (let i = 0; i < ids.length; i++) {
+      for (let j = i + 1; j < ids.length; j++) {
+        const a = ids[i];
+        const b = ids[j];
+        const relation = this.relations[this.relationKey(a, b)];
+        const war = this.getWar(a, b);
+
+        if (war) {
+          this.tickWar(war, galaxy);
+          continue;
+        }
+
+        const bordering = borders.has(this.relationKey(a, b));
+        const drift = (rng.next() - 0.5) * 2 * RELATION_DRIFT;
+        if (bordering && this.strategyTime >= relation.truceUntil) {
+          relation.value = Math.max(-100, Math.min(100, relation.value - BORDER_TENSION + drift));
+        } else {
+          // Distant factions slowly forget their grudges
+          relation.value = Math.max(-100, Math.min(100, relation.value - Math.sign(relation.value) + drift));
+        }
+
+        if (bordering && relation.value <= WAR_THRESHOLD) {
+          const [attacker, defender] = this.factions[a].strength >= this.factions[b].strength ? [a, b] : [b, a];
+          this.declareWar(attacker, defender);
+        }
+      }
+    }
+
+    // Peaceful expansion into unclaimed systems
+    for (const id of ids) {
+      const f = this.factions[id];
+      if (f.territory.length === 0 || f.strength < EXPANSION_COST || this.getEnemies(id).length > 0) continue;
+      if (rng.next() > EXPANSION_CHANCE) continue;
+
+      const target = this.findNearestSystem(galaxy, f.territory, index => !this.getSystemOwner(index));
+      if (target !== null) {
+        f.strength -= EXPANSION_COST;
+        this.captureSystem(target, id, galaxy);
+      }
+    }
+
+    // Overextended empires lose their remote systems
+    const fairShare = galaxy.length / ids.length;
+    for (const id of ids) {
+      const f = this.factions[id];
+      if (f.territory.length > fairShare * UNREST_SHARE && rng.next() < UNREST_CHANCE) {
+        this.releaseRemoteSystem(id, galaxy);
+      }
+    }
+
+    this.keepWarMarketEvents();
+  }
+
+  /**
+   * Unrest: the system farthest from the capital declares independence (unclaimed)
+   */
+  releaseRemoteSystem(factionId, galaxy) {
+    const f = this.factions[factionId];
+    const capital = galaxy[f.capital];
+    if (!capital || !capital.position) return;
+
+    let farthest = null;
+    let farthestDistance = -1;
+    for (const index of f.territory) {
+      const sys = galaxy[index];
+      if (index === f.capital || !sys || !sys.position) continue;
+      const distance = Math.hypot(sys.position.x - capital.position.x, sys.position.y - capital.position.y);
+      if (distance > farthestDistance) {
+        farthestDistance = distance;
+        farthest = index;
+      }
+    }
+    if (farthest === null) return;
+
+    f.territory = f.territory.filter(index => index !== farthest);
+    const system = galaxy[farthest];
+    system.faction = null;
+    system.factionData = null;
+    this.recentCaptures.unshift({ systemIndex: farthest, from: factionId, to: null, time: this.strategyTime });
+    this.recentCaptures.length = Math.min(this.recentCaptures.length, MAX_RECENT_CAPTURES);
+
+    const economy = this.game ? this.game.economySystem : null;
+    const market = economy ? economy.systemMarkets.get(farthest) : null;
+    if (market) market.factionId = null;
+
+    const message = `${system.name} breaks away from ${f.name}`;
+    console.log(`[Factions] ${message}`);
+    if (this.game && this.game.showNotification && (system.discovered || farthest === this.game.currentSystemIndex)) {
+      this.game.showNotification(message, 'info');
+    }
+  }
+
+  /**
+   * Pairs of factions whose systems border each other
+   * @returns {Set} relationKey(a, b) of bordering pairs
+   */
+  getBorderPairs(galaxy) {
+    const pairs = new Set();
+    const owned = [];
+    for (const [id, f] of Object.entries(this.factions)) {
+      for (const index of f.territory) {
+        if (galaxy[index] && galaxy[index].position) owned.push({ id, position: galaxy[index].position });
+      }
+    }
+
+    for (let i = 0; i < owned.length; i++) {
+      for (let j = i + 1; j < owned.length; j++) {
+        if (owned[i].id === owned[j].id) continue;
+        const key = this.relationKey(owned[i].id, owned[j].id);
+        if (pairs.has(key)) continue;
+        const distance = Math.hypot(owned[i].position.x - owned[j].position.x, owned[i].position.y - owned[j].position.y);
+        if (distance <= BORDER_RANGE) pairs.add(key);
+      }
+    }
+    return pairs;
+  }
+
+  /**
+   * System closest to any of the given systems (within BORDER_RANGE) that passes the filter
+   * @returns {number|null} System index
+   */
+  findNearestSystem(galaxy, fromIndices, filter) {
+    let best = null;
+    let bestDistance = BORDER_RANGE;
+
+    galaxy.forEach((sys, index) => {
+      if (!sys.position || !filter(index)) return;
+      for (const from of fromIndices) {
+        const origin = galaxy[from];
+        if (!origin || !origin.position) continue;
+        const distance = Math.hypot(sys.position.x - origin.position.x, sys.position.y - origin.position.y);
+        if (distance <= bestDistance) {
+          bestDistance = distance;
+          best = index;
+        }
+      }
+    });
+    return best;
+  }
+
+  declareWar(attacker, defender) {
+    this.wars.push({ attacker, defender, startedAt: this.strategyTime, exhaustion: 0, battles: 0 });
+
+    const message = `${this.factions[attacker].name} declares war on ${this.factions[defender].name}!`;
+    console.log(`[Factions] ${message}`);
+    if (this.game && this.game.showNotification) this.game.showNotification(message, 'warning');
+
+    // War economy in both factions' markets
+    this.keepWarMarketEvents();
+  }
+
+  /**
+   * One tick of a war: a battle for a border system, then peace talks
+   */
+  tickWar(war, galaxy) {
+    const rng = this.strategyRng;
+    const attacker = this.factions[war.attacker];
+    const defender = this.factions[war.defender];
+
+    // The side with the upper hand is more likely to go on the offensive
+    const total = attacker.strength + defender.strength;
+    const [offenseId, defenseId] = total > 0 && rng.next() < attacker.strength / total
+      ? [war.attacker, war.defender]
+      : [war.defender, war.attacker];
+    const offense = this.factions[offenseId];
+    const defense = this.factions[defenseId];
+
+    // Capitals never fall - a beaten faction keeps its homeworld and surrenders
+    const target = this.findNearestSystem(galaxy, offense.territory, index => index !== defense.capital && defense.territory.includes(index));
+    if (target !== null) {
+      const attack = offense.strength * rng.range(0.6, 1.4);
+      const hold = defense.strength * DEFENSE_BONUS;
+      const [winner, loser] = attack > hold ? [offense, defense] : [defense, offense];
+      loser.strength *= 1 - BATTLE_LOSS;
+      winner.strength *= 1 - BATTLE_LOSS / 2;
+
+      if (attack > hold) this.captureSystem(target, offenseId, galaxy);
+      war.battles++;
+      war.exhaustion += EXHAUSTION_PER_BATTLE;
+    } else {
+      // No front: the war drags on without battles
+      war.exhaustion += EXHAUSTION_PER_BATTLE / 2;
+    }
+
+    const collapsed = [war.attacker, war.defender].find(id => {
+      const f = this.factions[id];
+      return f.strength < COLLAPSE_STRENGTH;
+    });
+    const talks = this.strategyTime - war.startedAt >= MIN_WAR_DURATION && rng.next() < war.exhaustion * PEACE_CHANCE;
+    if (collapsed || talks) {
+      this.makePeace(war, collapsed || null);
+    }
+  }
+
+  /**
+   * End a war (treaty, or surrender of a collapsed side)
+   */
+  makePeace(war, surrendered = null) {
+    this.wars = this.wars.filter(w => w !== war);
+    const relation = this.relations[this.relationKey(war.attacker, war.defender)];
+    relation.value = PEACE_RELATION;
+    relation.truceUntil = this.strategyTime + TRUCE_DURATION;
+
+    const a = this.factions[war.attacker].name;
+    const b = this.factions[war.defender].name;
+    const message = surrendered
+      ? `${this.factions[surrendered].name} surrenders - the war between ${a} and ${b} is over`
+      : `${a} and ${b} sign a peace treaty`;
+    console.log(`[Factions] ${message}`);
+    if (this.game && this.game.showNotification) this.game.showNotification(message, 'success');
+  }
+
+  /**
+   * Hand a system to a new owner (conquest or expansion)
+   */
+  captureSystem(systemIndex, factionId, galaxy) {
+    const from = this.getSystemOwner(systemIndex);
+    if (from) {
+      const previous = this.factions[from];
+      previous.territory = previous.territory.filter(index => index !== systemIndex);
+      if (previous.capital === systemIndex) previous.capital = previous.territory[0] ?? null;
+    }
+    this.factions[factionId].territory.push(systemIndex);
+
+    const system = galaxy[systemIndex];
+    if (system) {
+      system.faction = factionId;
+      system.factionData = this.factions[factionId];
+    }
+
+    this.recentCaptures.unshift({ systemIndex, from, to: factionId, time: this.strategyTime });
+    this.recentCaptures.length = Math.min(this.recentCaptures.length, MAX_RECENT_CAPTURES);
+
+    const game = this.game;
+    const economy = game ? game.economySystem : null;
+    const market = economy ? economy.systemMarkets.get(systemIndex) : null;
+    if (market) market.factionId = factionId;
+
+    const name = system ? system.name : `System ${systemIndex}`;
+    const message = from
+      ? `${name} has fallen to ${this.factions[factionId].name}`
+      : `${this.factions[factionId].name} claims ${name}`;
+    console.log(`[Factions] ${message}`);
+    if (game && game.showNotification && system && (system.discovered || systemIndex === game.currentSystemIndex)) {
+      game.showNotification(message, from ? 'warning' : 'info');
+    }
+  }
+
+  /**
+   * Wars outlast the market event preset - renew the war economy while fighting continues
+   */
+  keepWarMarketEvents() {
+    const economy = this.game ? this.game.economySystem : null;
+    if (!economy) return;
+
+    for (const war of this.wars) {
+      for (const factionId of [war.attacker, war.defender]) {
+        const active = economy.marketEvents.some(event => event.type === 'war' && event.factionId === factionId);
+        if (!active) economy.applyMarketEvent('war', { factionId });
+      }
+    }
+  }
+
+  /**
+   * Frontlines: pairs of bordering systems held by factions at war
+   * @returns {Array} { from, to, factions: [a, b] } system indices
+   */
+  getFrontlines(galaxy) {
+    const lines = [];
+    for (const war of this.wars) {
+      for (const a of this.factions[war.attacker].territory) {
+        for (const b of this.factions[war.defender].territory) {
+          const sa = galaxy[a];
+          const sb = galaxy[b];
+          if (!sa || !sb || !sa.position || !sb.position) continue;
+          if (Math.hypot(sa.position.x - sb.position.x, sa.position.y - sb.position.y) <= BORDER_RANGE) {
+            lines.push({ from: a, to: b, factions: [war.attacker, war.defender] });
+          }
+        }
+      }
+    }
+    return lines;
+  }
+
+  /**
+   * Territory overview for map overlays
+   * @returns {Array} { id, name, color, claim, capital, strength, enemies }
+   */
+  getTerritoryOverlay() {
+    return Object.entries(this.factions).map(([id, f]) => ({
+      id,
+      name: f.name,
+      color: f.color,
+      claim: [...f.territory],
+      capital: f.capital ?? null,
+      strength: Math.round(f.strength ?? STARTING_STRENGTH),
+      enemies: this.getEnemies(id)
+    }));
+  }
+
+  /**
+   * Strategic state for saving (faction objects are saved separately)
+   */
+  serialize() {
+    return {
+      relations: JSON.parse(JSON.stringify(this.relations)),
+      wars: JSON.parse(JSON.stringify(this.wars)),
+      recentCaptures: JSON.parse(JSON.stringify(this.recentCaptures)),
+      playerSupport: { ...this.playerSupport },
+      strategyTimer: this.strategyTimer,
+      strategyTime: this.strategyTime
+    };
+  }
+
+  /**
+   * Restore strategic state. Saves from before the war simulation get fresh borders.
+   */
+  deserialize(data, galaxy) {
+    if (!data) {
+      if (galaxy && this.game && this.game.rng) this.assignTerritories(galaxy, this.game.rng.fork('factions'));
+      return;
+    }
+
+    this.relations = { ...this.createRelations(), ...JSON.parse(JSON.stringify(data.relations || {})) };
+    this.wars = JSON.parse(JSON.stringify(data.wars || []));
+    this.recentCaptures = JSON.parse(JSON.stringify(data.recentCaptures || []));
+    this.playerSupport = { ...(data.playerSupport || {}) };
+    this.strategyTimer = data.strategyTimer || 0;
+    this.strategyTime = data.strategyTime || 0;
+    if (galaxy) this.syncGalaxy(galaxy);
+  }
 }
@@ -1,19 +1,44 @@
-import { SeededRandom } from '../utils/SeededRandom.js';
+import { SeededRandom, LegacySeededRandom } from '../utils/SeededRandom.js';
+
+// Random stream new galaxies are generated from. Saves from before format v3
+// use 'legacy' (the old LCG) so their galaxy stays the one they were played in
+export const GALAXY_STREAM = 'sfc32';
 
 /**
  * Galaxy Generator - Creates a procedural galaxy with 20-50 star systems
  * PERFORMANCE: Supports lazy generation - only generates systems on-demand
  */
 export class GalaxyGenerator {
-  constructor(seed) {
+  /**
+   * @param {number} seed - Galaxy seed
+   * @param {string} stream - GALAXY_STREAM, or 'legacy' for galaxies of older saves
+   */
+  constructor(seed, stream = GALAXY_STREAM) {
     this.seed = seed;
-    this.rng = new SeededRandom(seed);
+    this.stream = stream;
+    this.rng = stream === 'legacy' ? new LegacySeededRandom(seed) : new SeededRandom(seed).fork('galaxy');
     this.systems = [];
     this.generatedSystemIndices = new Set(); // Track which systems have been generated
     this.systemCount = this.rng.int(20, 50);
     this.galaxyRadius = 8000; // Compact galaxy for closer star systems (was 15000)
   }
 
+  /**
+   * Seed of a star system - hashed from the galaxy seed and index so
+   * neighbouring systems (and neighbouring galaxy seeds) never share sequences
+   */
+  getSystemSeed(index) {
+    if (this.stream === 'legacy') return this.seed + index * 1000;
+    return SeededRandom.deriveSeed(this.seed, 'system', index);
+  }
+
+  /**
+   * Generator for a system seed on this galaxy's stream (system layout and bodies)
+   */
+  createRandom(seed) {
+    return this.stream === 'legacy' ? new LegacySeededRandom(seed) : new SeededRandom(seed);
+  }
+
   /**
    * Generate the entire galaxy (legacy - slow, use generateLazy instead)
    */
@@ -49,7 +74,7 @@ export class GalaxyGenerator {
    * Generate minimal placeholder data for a system (for map display)
    */
   generateSystemPlaceholder(index) {
-    const sysRng = new SeededRandom(this.seed + index * 1000);
+    const sysRng = this.createRandom(this.getSystemSeed(index));
 
     // Position in galaxy (spiral distribution) - same as full generation
     const angle = sysRng.next() * Math.PI * 2;
@@ -62,7 +87,7 @@ export class GalaxyGenerator {
 
     return {
       id: index,
-      seed: this.seed + index * 1000,
+      seed: this.getSystemSeed(index),
       name: this.generateSystemName(index, sysRng),
       position: { x, y },
       isPlaceholder: true, // Flag to indicate this needs full generation
@@ -92,7 +117,7 @@ export class GalaxyGenerator {
    * Generate a single star system
    */
   generateStarSystem(index) {
-    const sysRng = new SeededRandom(this.seed + index * 1000);
+    const sysRng = this.createRandom(this.getSystemSeed(index));
 
     // Position in galaxy (spiral distribution)
     const angle = sysRng.next() * Math.PI * 2;
@@ -109,7 +134,7 @@ export class GalaxyGenerator {
 
     return {
       id: index,
-      seed: this.seed + index * 1000,
+      seed: this.getSystemSeed(index),
       name: this.generateSystemName(index, sysRng),
       position: { x, y },
       starType: starType,
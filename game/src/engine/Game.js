@@ -1,13 +1,15 @@
 import { RETRO_PALETTE } from './constants.js';
 import { SeededRandom } from '../utils/SeededRandom.js';
-import { GalaxyGenerator } from './GalaxyGenerator.js';
+import { GalaxyGenerator, GALAXY_STREAM } from './GalaxyGenerator.js';
 import { AdvancedPhysics } from './AdvancedPhysics.js';
 import { EnhancedSystemGenerator } from './EnhancedSystemGenerator.js';
 import { SCALE_SYSTEM, DISTANCE_SYSTEM, getSystemSize } from './ScaleSystem.js';
 import { Megastructure } from './Megastructure.js';
 import { AlienShip } from './AlienShip.js';
-import { WeaponSystem, updateProjectile } from './WeaponSystem.js';
+import { WeaponSystem, updateProjectile, isPlayerTarget } from './WeaponSystem.js';
 import { ShieldSystem } from './ShieldSystem.js';
+import { ArmorSystem } from './ArmorSystem.js';
+import { OutfittingSystem, getStarterLoadout } from './OutfittingSystem.js';
 import { InertialMovement } from './InertialMovement.js';
 import { BlackholeRenderer } from './BlackholeRenderer.js';
 import { BlackHoleWarpEffect } from './BlackHoleWarpEffect.js';
@@ -23,12 +25,31 @@ import { MiningSystem } from './MiningSystem.js';
 import { AlienRaceSystem } from './AlienRaceSystem.js';
 import { AlienShipRenderer } from './AlienShipRenderer.js';
 import { FactionSystem } from './FactionSystem.js';
+import { DiplomacySystem } from './DiplomacySystem.js';
 import { EconomySystem } from './EconomySystem.js';
 import { WarpGateSystem } from './WarpGateSystem.js';
 import { ArtifactSystem } from './ArtifactSystem.js';
+import { MissionSystem } from './MissionSystem.js';
+import { DialogueSystem } from './DialogueSystem.js';
+import { ShipAI } from './ShipAI.js';
+import { TrafficSystem } from './TrafficSystem.js';
+import { EncounterDirector } from './EncounterDirector.js';
+import { RandomEventSystem } from './RandomEventSystem.js';
+import { DifficultySystem } from './DifficultySystem.js';
+import { RunRulesSystem } from './RunRulesSystem.js';
+import { AchievementSystem } from './AchievementSystem.js';
+import { EventBus } from './EventBus.js';
+import { StatisticsTracker } from './StatisticsTracker.js';
+import { EventReactions } from './EventReactions.js';
+import { CrewSystem } from './CrewSystem.js';
+import { TradeRoutePlanner } from './TradeRoutePlanner.js';
+import { AudioSystem } from './AudioSystem.js';
 import { UIRenderer } from './UIRenderer.js';
 import { InteractionSystem } from './InteractionSystem.js';
+import { InputMapper } from './InputMapper.js';
+import { ReplayRecorder } from './ReplaySystem.js';
 import { SaveSystem } from './SaveSystem.js';
+import { migrateSave } from '../utils/SaveMigrations.js';
 // Enhanced systems
 import { PerformanceOptimizer } from './PerformanceOptimizer.js';
 import { EnhancedEffects } from './EnhancedEffects.js';
@@ -57,6 +78,9 @@ import { ShipRenderer } from './ShipRenderer.js';
 // PHYSICS ENGINE: Extracted from Game.js for better organization
 import { PhysicsEngine } from './PhysicsEngine.js';
 
+// Full-screen UI panels (only one open at a time)
+const UI_SCREENS = ['showInventory', 'showTrading', 'showDiplomacy', 'showGalaxyMap', 'showSaveScreen', 'showLoadScreen'];
+
 /**
  * Main Game class that handles the entire game loop, rendering, physics, and game state.
  * Manages player, enemies, celestial bodies, and all game entities.
@@ -109,25 +133,35 @@ export class Game {
   }
 
   constructor(canvas, config = {}) {
+    // HEADLESS: No DOM, input listeners or game loop - driven by HeadlessSimulation.
+    // The canvas is optional (e.g. @napi-rs/canvas in Node for snapshots).
+    this.headless = Boolean(config.headless);
+
     this.canvas = canvas;
-    const ctx = canvas.getContext('2d', { alpha: false });
-    if (!ctx) throw new Error('Could not get 2D context');
+    const ctx = canvas ? canvas.getContext('2d', { alpha: false }) : null;
+    if (!ctx && !this.headless) throw new Error('Could not get 2D context');
     this.ctx = ctx;
     // CRITICAL: Disable image smoothing for crisp pixelated graphics
     // Must be set every frame as canvas operations can reset it
-    this.ctx.imageSmoothingEnabled = false;
-    this.ctx.mozImageSmoothingEnabled = false;
-    this.ctx.webkitImageSmoothingEnabled = false;
-    this.ctx.msImageSmoothingEnabled = false;
+    if (ctx) {
+      this.ctx.imageSmoothingEnabled = false;
+      this.ctx.mozImageSmoothingEnabled = false;
+      this.ctx.webkitImageSmoothingEnabled = false;
+      this.ctx.msImageSmoothingEnabled = false;
+    }
 
     this.width = 1920;
     this.height = 1080;
-    this.scale = Math.min(window.innerWidth / this.width, window.innerHeight / this.height);
+    this.scale = this.headless ? 1 : Math.min(window.innerWidth / this.width, window.innerHeight / this.height);
 
-    canvas.width = this.width;
-    canvas.height = this.height;
-    canvas.style.width = `${this.width * this.scale}px`;
-    canvas.style.height = `${this.height * this.scale}px`;
+    if (canvas) {
+      canvas.width = this.width;
+      canvas.height = this.height;
+    }
+    if (!this.headless) {
+      canvas.style.width = `${this.width * this.scale}px`;
+      canvas.style.height = `${this.height * this.scale}px`;
+    }
 
     // Game version for save compatibility
     this.VERSION = '0.2.0';
@@ -198,6 +232,7 @@ export class Game {
     // Statistics tracking
     this.statistics = {
       enemiesDestroyed: 0,
+      civiliansDestroyed: 0,
       shotsFired: 0,
       shotsHit: 0,
       damageDealt: 0,
@@ -262,6 +297,7 @@ export class Game {
     // New galaxy and physics systems
     this.galaxy = [];
     this.galaxyGenerator = null;
+    this.destroyed = false; // Set by destroy() - stops background initialization
     this.advancedPhysics = null;
     this.currentSystemIndex = 0;
     this.currentSystemData = null;
@@ -290,7 +326,12 @@ export class Game {
       showPopup: false,
       popupType: null, // 'planet', 'station', 'convoy', 'asteroid', etc.
       popupTarget: null, // The celestial body/entity object
-      popupButtons: [] // Available action buttons
+      popupButtons: [], // Available action buttons
+      // Hail conversations (DialogueSystem)
+      showDialogue: false,
+      showEvent: false,
+      // Debug overlay of recent EventBus events (does not pause)
+      showEventInspector: false
     };
 
     // Autosave indicator
@@ -310,6 +351,12 @@ export class Game {
       touch: { active: false, startX: 0, startY: 0, currentX: 0, currentY: 0 }
     };
 
+    // Keyboard and gamepad bindings (rebindable in the settings CONTROLS tab)
+    this.inputMapper = new InputMapper(this);
+
+    // Session recording for deterministic replays (F10 exports the current recording)
+    this.replayRecorder = this.headless ? null : new ReplayRecorder(this);
+
     this.camera = { x: 0, y: 0, zoom: 1, shake: 0 };
     this.PALETTE = RETRO_PALETTE;
 
@@ -327,7 +374,9 @@ export class Game {
     this._starPosition = { x: 0, y: 0 };
 
     // Use configured seed for random generation
+    // Subsystems draw from named substreams: this.rng.fork('warpGates'), ...
     this.seed = startingSeed;
+    this.galaxyStream = GALAXY_STREAM;
     this.rng = new SeededRandom(this.seed);
 
     // Initialize with safe default values to prevent null reference errors
@@ -340,12 +389,14 @@ export class Game {
     };
     this.star = { x: 0, y: 0, radius: 400, mass: 10000 };
 
-    this.initInput();
+    if (!this.headless) {
+      this.initInput();
+    }
     this.initStarfield();
     this.initPlayer();
 
     // Initialize new galaxy and physics systems
-    this.galaxyGenerator = new GalaxyGenerator(this.seed);
+    this.galaxyGenerator = new GalaxyGenerator(this.seed, this.galaxyStream);
     this.advancedPhysics = new AdvancedPhysics();
     this.blackholeRenderer = new BlackholeRenderer();
     this.blackHoleWarpEffect = new BlackHoleWarpEffect();
@@ -360,11 +411,28 @@ export class Game {
     this.interstellarPlayerX = 0;
     this.interstellarPlayerY = 0;
 
+    // Domain events (shipDestroyed, commodityTraded, systemEntered, ...) - systems publish,
+    // statistics, notifications, effects, sounds and achievements subscribe
+    this.events = new EventBus(this);
+    this.statisticsTracker = new StatisticsTracker(this);
+    this.eventReactions = new EventReactions(this);
+
     // Initialize faction, economy, and other new systems
-    this.factionSystem = new FactionSystem();
+    this.difficultySystem = new DifficultySystem(this);
+    this.factionSystem = new FactionSystem(this);
+    this.diplomacySystem = new DiplomacySystem(this);
     this.economySystem = new EconomySystem(this);
     this.warpGateSystem = new WarpGateSystem();
     this.artifactSystem = new ArtifactSystem();
+    this.missionSystem = new MissionSystem(this);
+    this.dialogueSystem = new DialogueSystem(this);
+    this.shipAI = new ShipAI(this);
+    this.trafficSystem = new TrafficSystem(this);
+    this.encounterDirector = new EncounterDirector(this);
+    this.randomEventSystem = new RandomEventSystem(this);
+    this.crewSystem = new CrewSystem(this);
+    this.tradeRoutePlanner = new TradeRoutePlanner(this);
+    this.navigationRoute = null; // Waypoint route exported from the trade planner
 
     // Make enhanced items available to UI
     this.ENHANCED_ARTIFACTS = ENHANCED_ARTIFACTS;
@@ -380,7 +448,7 @@ export class Game {
     this.galaxyInitialized = false;
 
     // Initialize mobile controls
-    this.mobileControls = new MobileControls(canvas, this);
+    this.mobileControls = this.headless ? null : new MobileControls(canvas, this);
 
     // Initialize UI renderer
     this.uiRenderer = new UIRenderer(this);
@@ -392,7 +460,7 @@ export class Game {
     this.performanceOptimizer = new PerformanceOptimizer(this);
     this.enhancedEffects = new EnhancedEffects(this);
     this.enhancedEffectsSystem = new EnhancedEffectsSystem(this);
-    this.retroScreenEffects = new RetroScreenEffects(canvas, ctx);
+    this.retroScreenEffects = ctx ? new RetroScreenEffects(canvas, ctx) : null;
 
     // PERFORMANCE: Initialize optimized rendering and particle systems
     this.optimizedRenderer = new OptimizedRenderer(this);
@@ -401,9 +469,9 @@ export class Game {
     this.thrusterEffects = null;
 
     // SPRITES: Initialize sprite-based rendering system
-    this.spriteManager = new SpriteManager(this);
+    this.spriteManager = this.headless ? null : new SpriteManager(this);
     // PERFORMANCE FIX: Generate only star sprite initially, planets on-demand
-    this.useSpriteRendering = true; // ENABLED: Using optimized progressive generation
+    this.useSpriteRendering = !this.headless; // ENABLED: Using optimized progressive generation
     this.progressiveSpriteGeneration = true; // Generate sprites across multiple frames
 
     // HUD UI OVERHAUL: Initialize ship damage system
@@ -414,8 +482,8 @@ export class Game {
     this.celestialRotation = null;
     this.orbitalMechanics = null;
 
-    // LAZY LOAD: Environmental hazards - initialized only when needed
-    this.environmentalHazards = null;
+    // Environmental hazards (nebulae, radiation, ion storms, gravity wells) - regenerated per system
+    this.environmentalHazards = new EnvironmentalHazards(this);
 
     // PERFORMANCE OPTIMIZATION: LOD system and object pooling
     this.lodSystem = new LODSystem();
@@ -430,10 +498,17 @@ export class Game {
     // PHYSICS ENGINE: Extracted physics engine for better code organization
     this.physicsEngine = new PhysicsEngine(this);
 
-    // Initialize save system
+    // Procedural sound (AudioContext starts on first user gesture)
+    this.audioSystem = this.headless ? null : new AudioSystem(this);
+
+    // Initialize save system (ironman and permadeath rules decide what it may write)
     this.saveSystem = new SaveSystem(this);
+    this.runRulesSystem = new RunRulesSystem(this);
     this.lastSaveTime = 0;
 
+    // Achievements (unlocks persist across runs in the statistics record)
+    this.achievementSystem = new AchievementSystem(this);
+
     // Performance settings (can be modified by optimizer)
     // OPTIMIZED: Aggressively reduced for better startup FPS
     this.maxParticles = 150; // PERFORMANCE: Reduced from 200 to 150 for better FPS
@@ -457,7 +532,7 @@ export class Game {
     // FIXED: Load star system and ensure systemLoading is properly managed
     // Don't set systemLoading=false here, let loadStarSystem handle it completely
     console.log('[Game] Starting async star system load...');
-    this.loadStarSystem(0)
+    this.systemReady = this.loadStarSystem(0)
       .then(() => {
         console.log('[Game] ✓ Star system load promise resolved');
         // Don't set systemLoading here - sprite generation handles it
@@ -483,6 +558,11 @@ export class Game {
     // PERFORMANCE FIX: Initialize galaxy systems asynchronously (doesn't block first render)
     this.initializeGalaxySystemsAsync();
 
+    // Headless games are stepped manually (HeadlessSimulation)
+    if (this.headless) {
+      return;
+    }
+
     // FIX: Render initial frame immediately to prevent black screen flash
     // This ensures the canvas shows the game background before the first loop iteration
     try {
@@ -511,15 +591,19 @@ export class Game {
 
       // OPTIMIZED: Properly yield to event loop with setTimeout
       await new Promise(resolve => setTimeout(resolve, 0));
+      if (this.destroyed) return;
 
-      // Assign factions to galaxy systems
-      this.factionSystem.assignTerritories(this.galaxy);
+      // Assign starting faction borders (the war simulation moves them later, saves bring their own)
+      if (!this.factionSystem.hasTerritories()) {
+        this.factionSystem.assignTerritories(this.galaxy, this.rng.fork('factions'));
+      }
 
       // Yield again to prevent blocking
       await new Promise(resolve => setTimeout(resolve, 0));
+      if (this.destroyed) return;
 
       // Generate warp gate network
-      this.warpGateSystem.generateGateNetwork(this.galaxy);
+      this.warpGateSystem.generateGateNetwork(this.galaxy, this.rng.fork('warpGates'));
 
       this.galaxyInitialized = true;
       console.log('[Performance] Galaxy systems initialized');
@@ -542,196 +626,51 @@ export class Game {
       touchstart: null,
       touchmove: null,
       touchend: null,
-      visibilitychange: null
+      visibilitychange: null,
+      beforeunload: null
     };
 
     this.eventHandlers.keydown = (e) => {
+      if (this.audioSystem) this.audioSystem.unlock();
       this.input.keys.add(e.code);
-      if (e.code === 'Space') {
-        this.input.fire = true;
+      this.inputMapper.lastDevice = 'keyboard';
+
+      const actions = this.inputMapper.getActionsForKey(e.code);
+      if (actions.some(action => this.inputMapper.getAction(action).preventDefault)) {
         e.preventDefault();
       }
-      if (e.code === 'ShiftLeft' || e.code === 'ShiftRight') {
-        this.input.warp = true;
-      }
-      if (e.code === 'KeyX') {
-        this.input.brake = true;
-      }
-      if (e.code === 'KeyZ') {
-        this.input.shield = true;
-      }
-      // Weapon switching
-      if (e.code === 'KeyQ' && this.weaponSystem) {
-        this.weaponSystem.previousWeapon();
-      }
-      // 'E' key - prioritize interaction over weapon switching
-      if (e.code === 'KeyE') {
-        if (this.interactionSystem && this.uiState.showInteractionPrompt) {
-          // Activate full interaction popup when prompt is showing
-          this.interactionSystem.activateFullPopup();
-          e.preventDefault();
-        } else if (this.weaponSystem) {
-          // Weapon switching (only when not near interactive objects)
-          this.weaponSystem.nextWeapon();
-        }
-      }
-      // Inertial dampening toggle
-      if (e.code === 'KeyJ' && this.inertialSystem) {
-        this.inertialSystem.toggleInertialDampening();
-      }
-      // Mining
-      if (e.code === 'KeyF') {
-        this.input.mining = true;
-      }
 
-      // UI Screens (toggle on/off)
-      if (e.code === 'KeyI') {
-        // Inventory screen
-        this.uiState.showInventory = !this.uiState.showInventory;
-        if (this.uiState.showInventory) {
-          this.uiState.showTrading = false;
-          this.uiState.showDiplomacy = false;
-          this.uiState.showGalaxyMap = false;
-        }
-        this.updatePauseState();
-      }
-      if (e.code === 'KeyT') {
-        // Trading screen (only if near station)
-        this.uiState.showTrading = !this.uiState.showTrading;
-        if (this.uiState.showTrading) {
-          this.uiState.showInventory = false;
-          this.uiState.showDiplomacy = false;
-          this.uiState.showGalaxyMap = false;
-        }
-        this.updatePauseState();
-      }
-      if (e.code === 'KeyM') {
-        // Galaxy Map
-        this.uiState.showGalaxyMap = !this.uiState.showGalaxyMap;
-        if (this.uiState.showGalaxyMap) {
-          this.uiState.showInventory = false;
-          this.uiState.showTrading = false;
-          this.uiState.showDiplomacy = false;
-        }
-        this.updatePauseState();
-      }
-      if (e.code === 'KeyD') {
-        // Diplomacy/Factions screen (D for Diplomacy)
-        this.uiState.showDiplomacy = !this.uiState.showDiplomacy;
-        if (this.uiState.showDiplomacy) {
-          this.uiState.showInventory = false;
-          this.uiState.showTrading = false;
-          this.uiState.showGalaxyMap = false;
+      // Auto-repeat only reaches popup navigation (screens and weapons toggle once per press)
+      if (!e.repeat) {
+        for (const action of actions) {
+          if (action !== 'closeMenu' && this.handleActionPress(action)) break;
         }
-        this.updatePauseState();
       }
+
       // Let InteractionSystem handle popup navigation first
-      if (this.interactionSystem && this.interactionSystem.handleKeyDown(e.code)) {
+      if (this.handlePopupKey(e.code)) {
         e.preventDefault();
         return;
       }
 
-      if (e.code === 'Escape') {
-        // Close popup if showing
-        if (this.uiState.showPopup) {
-          this.uiState.showPopup = false;
-          this.uiState.popupTarget = null;
-          return;
-        }
-        // Close all UI screens
-        this.uiState.showInventory = false;
-        this.uiState.showTrading = false;
-        this.uiState.showDiplomacy = false;
-        this.uiState.showGalaxyMap = false;
-        this.uiState.showSaveScreen = false;
-        this.uiState.showLoadScreen = false;
-        this.updatePauseState();
-      }
-
-      // Save/Load shortcuts
-      if (e.code === 'F5') {
-        e.preventDefault();
-        // Quick save to slot 1
-        if (this.saveSystem) {
-          this.saveSystem.saveGame('save_1', 'Quick Save');
-        }
-      }
-      if (e.code === 'F6') {
-        e.preventDefault();
-        // Open save screen
-        this.uiState.showSaveScreen = !this.uiState.showSaveScreen;
-        if (this.uiState.showSaveScreen) {
-          // Close other UI screens
-          this.uiState.showLoadScreen = false;
-          this.uiState.showInventory = false;
-          this.uiState.showTrading = false;
-          this.uiState.showDiplomacy = false;
-          this.uiState.showGalaxyMap = false;
-        }
-        this.updatePauseState();
-      }
-      if (e.code === 'F7') {
-        e.preventDefault();
-        // Open load screen
-        this.uiState.showLoadScreen = !this.uiState.showLoadScreen;
-        if (this.uiState.showLoadScreen) {
-          // Close other UI screens
-          this.uiState.showSaveScreen = false;
-          this.uiState.showInventory = false;
-          this.uiState.showTrading = false;
-          this.uiState.showDiplomacy = false;
-          this.uiState.showGalaxyMap = false;
-        }
-        this.updatePauseState();
-      }
-      if (e.code === 'F9') {
-        e.preventDefault();
-        // Quick load from most recent save
-        if (this.saveSystem) {
-          const saves = this.saveSystem.getSaveList();
-          // Find most recent save
-          let mostRecent = null;
-          let latestTime = 0;
-          for (const save of saves) {
-            if (!save.empty && save.timestamp && save.timestamp > latestTime) {
-              latestTime = save.timestamp;
-              mostRecent = save;
-            }
-          }
-          if (mostRecent) {
-            this.saveSystem.loadGame(mostRecent.slot);
-          } else {
-            if (this.notificationSystem) {
-              this.notificationSystem.show('No saves found', 'warning');
-            }
-          }
-        }
+      if (!e.repeat && actions.includes('closeMenu')) {
+        this.handleActionPress('closeMenu');
       }
     };
     window.addEventListener('keydown', this.eventHandlers.keydown);
 
     this.eventHandlers.keyup = (e) => {
       this.input.keys.delete(e.code);
-      if (e.code === 'Space') {
-        this.input.fire = false;
-      }
-      if (e.code === 'ShiftLeft' || e.code === 'ShiftRight') {
-        this.input.warp = false;
-      }
-      if (e.code === 'KeyX') {
-        this.input.brake = false;
-      }
-      if (e.code === 'KeyZ') {
-        this.input.shield = false;
-      }
-      if (e.code === 'KeyF') {
-        this.input.mining = false;
+      for (const action of this.inputMapper.getActionsForKey(e.code)) {
+        this.handleActionRelease(action);
       }
     };
     window.addEventListener('keyup', this.eventHandlers.keyup);
 
     this.eventHandlers.mousedown = (e) => {
+      if (this.audioSystem) this.audioSystem.unlock();
       this.input.mouse.down = true;
+      this.inputMapper.lastDevice = 'keyboard';
 
       // Galaxy map drag-to-pan
       if (this.uiState.showGalaxyMap && this.galaxyMapState) {
@@ -802,11 +741,34 @@ export class Game {
 
     this.eventHandlers.touchstart = (e) => {
       e.preventDefault();
+      if (this.audioSystem) this.audioSystem.unlock();
       const touch = e.touches[0];
       const rect = this.canvas.getBoundingClientRect();
       const x = (touch.clientX - rect.left) / this.scale;
       const y = (touch.clientY - rect.top) / this.scale;
 
+      // Random event and dialogue options take touches first
+      if (this.uiState.showEvent && this.eventButtonBounds) {
+        for (const button of this.eventButtonBounds) {
+          if (x >= button.x && x <= button.x + button.w &&
+              y >= button.y && y <= button.y + button.h) {
+            button.action();
+            break;
+          }
+        }
+        return;
+      }
+      if (this.uiState.showDialogue && this.dialogueButtonBounds) {
+        for (const button of this.dialogueButtonBounds) {
+          if (x >= button.x && x <= button.x + button.w &&
+              y >= button.y && y <= button.y + button.h) {
+            button.action();
+            break;
+          }
+        }
+        return;
+      }
+
       // Check popup button touches first
       if (this.uiState.showPopup && this.popupButtonBounds) {
         for (const button of this.popupButtonBounds) {
@@ -868,6 +830,193 @@ export class Game {
       }
     };
     document.addEventListener('visibilitychange', this.eventHandlers.visibilitychange);
+
+    // Ironman runs save when the tab is closed
+    this.eventHandlers.beforeunload = () => {
+      if (this.runRulesSystem) this.runRulesSystem.onExit();
+    };
+    window.addEventListener('beforeunload', this.eventHandlers.beforeunload);
+  }
+
+  /**
+   * Run a bound action on key or gamepad button press (see InputMapper)
+   * @returns {boolean} True when the press was consumed and later actions on the same input should not run
+   */
+  handleActionPress(action) {
+    const binding = this.inputMapper.getAction(action);
+    if (binding && binding.flag) {
+      this.input[binding.flag] = true;
+      return false;
+    }
+    if (this.replayRecorder) this.replayRecorder.recordEvent('action', action);
+
+    switch (action) {
+      case 'previousWeapon':
+        if (this.weaponSystem) this.weaponSystem.previousWeapon();
+        break;
+      case 'interact':
+        // Prioritize interaction over weapon switching (shares E with nextWeapon)
+        if (this.interactionSystem && this.uiState.showInteractionPrompt) {
+          this.interactionSystem.activateFullPopup();
+          return true;
+        }
+        break;
+      case 'nextWeapon':
+        if (this.weaponSystem) this.weaponSystem.nextWeapon();
+        break;
+      case 'hail':
+        if (this.dialogueSystem && !this.dialogueSystem.isActive()) this.dialogueSystem.hailNearestShip();
+        break;
+      case 'toggleDampening':
+        if (this.inertialSystem) this.inertialSystem.toggleInertialDampening();
+        break;
+      case 'inventory':
+        this.toggleScreen('showInventory');
+        break;
+      case 'trading':
+        // Trading screen (only if near station)
+        this.toggleScreen('showTrading');
+        break;
+      case 'galaxyMap':
+        this.toggleScreen('showGalaxyMap');
+        break;
+      case 'diplomacy':
+        this.toggleScreen('showDiplomacy');
+        break;
+      case 'saveScreen':
+        this.toggleScreen('showSaveScreen');
+        break;
+      case 'loadScreen':
+        this.toggleScreen('showLoadScreen');
+        break;
+      case 'closeMenu':
+        // Close popup if showing
+        if (this.uiState.showPopup) {
+          this.uiState.showPopup = false;
+          this.uiState.popupTarget = null;
+          break;
+        }
+        // Close all UI screens
+        for (const screen of UI_SCREENS) {
+          this.uiState[screen] = false;
+        }
+        this.updatePauseState();
+        break;
+      case 'quickSave':
+        // Quick save to slot 1
+        if (this.saveSystem) {
+          this.saveSystem.saveGame('save_1', 'Quick Save');
+        }
+        break;
+      case 'quickLoad':
+        this.quickLoad();
+        break;
+      case 'exportReplay':
+        this.exportReplay();
+        break;
+      case 'eventInspector':
+        this.uiState.showEventInspector = !this.uiState.showEventInspector;
+        break;
+    }
+    return false;
+  }
+
+  /**
+   * Popup navigation key (keyboard or gamepad), recorded for replays
+   * @returns {boolean} Whether the popup handled the key
+   */
+  handlePopupKey(code) {
+    if (!this.interactionSystem || !this.interactionSystem.handleKeyDown(code)) return false;
+    if (this.replayRecorder) this.replayRecorder.recordEvent('popup', code);
+    return true;
+  }
+
+  /**
+   * Download the current session recording as a replay file
+   */
+  exportReplay() {
+    const json = this.replayRecorder ? this.replayRecorder.exportReplay() : null;
+    if (!json) {
+      this.showNotification('Nothing recorded yet', 'warning');
+      return;
+    }
+
+    const blob = new Blob([json], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `pixelversum_replay_${Date.now()}.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+
+    const frames = this.replayRecorder.replay.frames.length;
+    this.showNotification(`Replay exported (${frames} frames)`, 'success');
+  }
+
+  /**
+   * Key or gamepad button released
+   */
+  handleActionRelease(action) {
+    const binding = this.inputMapper.getAction(action);
+    if (binding && binding.flag) {
+      this.input[binding.flag] = false;
+    }
+  }
+
+  /**
+   * Toggle a UI screen, closing the others
+   * @param {string} screen - uiState flag, e.g. 'showInventory'
+   */
+  toggleScreen(screen) {
+    this.uiState[screen] = !this.uiState[screen];
+    if (this.uiState[screen]) {
+      for (const other of UI_SCREENS) {
+        if (other !== screen) this.uiState[other] = false;
+      }
+    }
+    this.updatePauseState();
+  }
+
+  /**
+   * Quick load from the most recent save
+   */
+  quickLoad() {
+    if (!this.saveSystem) return;
+
+    let mostRecent = null;
+    for (const save of this.saveSystem.getSaveList()) {
+      if (!save.empty && save.timestamp && (!mostRecent || save.timestamp > mostRecent.timestamp)) {
+        mostRecent = save;
+      }
+    }
+
+    if (mostRecent) {
+      this.saveSystem.loadGame(mostRecent.slot);
+    } else if (this.notificationSystem) {
+      this.notificationSystem.show('No saves found', 'warning');
+    }
+  }
+
+  /**
+   * Read the gamepad once per frame (also while paused, so screens can be closed)
+   */
+  pollGamepad() {
+    const events = this.inputMapper.pollGamepad();
+    if (!events) return;
+
+    // Popup navigation takes the D-pad, A and B while a popup is open
+    if ((this.uiState.showPopup || this.uiState.showDialogue || this.uiState.showEvent) && this.interactionSystem && events.menuKeys.length > 0) {
+      for (const code of events.menuKeys) {
+        this.handlePopupKey(code);
+      }
+    } else {
+      for (const action of events.pressed) {
+        if (this.handleActionPress(action)) break;
+      }
+    }
+    for (const action of events.released) {
+      this.handleActionRelease(action);
+    }
   }
 
   initStarfield() {
@@ -890,7 +1039,10 @@ export class Game {
     }
   }
 
-  initPlayer() {
+  /**
+   * @param {Object} loadout - Fit to install (OutfittingSystem.getLoadout); defaults to the class starter fit
+   */
+  initPlayer(loadout = null) {
     // Apply ship class bonuses
     const shipClassBonuses = {
       'scout': { hull: 0.7, shields: 0.8, speed: 1.4, fuel: 1.2, cargo: 0.6 },
@@ -929,6 +1081,8 @@ export class Game {
       shields: Math.floor(100 * bonuses.shields),
       maxShields: Math.floor(100 * bonuses.shields),
       shieldRecharge: 8,
+      baseMaxShields: Math.floor(100 * bonuses.shields), // Before shield generator fit
+      baseShieldRecharge: 8,
       shieldActive: false,
       shieldCooldown: 0,
       fuel: Math.floor(1000 * bonuses.fuel),
@@ -954,29 +1108,31 @@ export class Game {
       damageFlash: 0,
       kills: 0,
       score: 0,
-      isDying: false
+      isDying: false,
+      deathTimer: 0 // Seconds until respawn (or game over) once the ship is destroyed
     };
 
-    // Initialize new combat systems - Add ALL weapon types
+    // Initialize combat systems (modules are fitted by the OutfittingSystem below)
     this.weaponSystem = new WeaponSystem();
-    this.weaponSystem.addWeapon('plasma_cannon', 1);
-    this.weaponSystem.addWeapon('kinetic_cannon', 1);
-    this.weaponSystem.addWeapon('laser_beam', 1);
-    this.weaponSystem.addWeapon('missile_launcher', 1);
-    this.weaponSystem.addWeapon('railgun', 1);
-    this.weaponSystem.addWeapon('nuclear_missile', 1);
-    this.weaponSystem.addWeapon('mine_launcher', 1);
-    this.weaponSystem.addWeapon('point_defense', 1);
 
     // Assign weapon system to player for mobile controls access
     this.player.weaponSystem = this.weaponSystem;
 
     this.shieldSystem = new ShieldSystem();
-    this.shieldSystem.addShield('energy_shield', 1);
-    this.shieldSystem.addShield('kinetic_barrier', 1);
+    this.shieldSystem.onHit = (strengthRatio) => {
+      if (this.audioSystem) this.audioSystem.playShieldHit(strengthRatio);
+    };
+
+    this.armorSystem = new ArmorSystem();
 
     this.inertialSystem = new InertialMovement(this.player);
 
+    // Fit weapons, shields and armor into the ship class hardpoints
+    if (!this.outfittingSystem) {
+      this.outfittingSystem = new OutfittingSystem(this);
+    }
+    this.outfittingSystem.applyLoadout(loadout || getStarterLoadout(shipClass));
+
     // Initialize resource and cargo systems (cargo capacity modified by ship class)
     this.resourceSystem = new ResourceSystem();
     const cargoCapacity = Math.floor(100 * bonuses.cargo);
@@ -1034,6 +1190,7 @@ export class Game {
     if (systemData && systemData.isPlaceholder) {
       systemData = this.galaxyGenerator.generateSystemOnDemand(systemIndex);
       this.galaxy[systemIndex] = systemData; // Update galaxy array with full data
+      if (this.factionSystem) this.factionSystem.syncGalaxy(this.galaxy);
     }
 
     this.currentSystemIndex = systemIndex;
@@ -1043,7 +1200,7 @@ export class Game {
     this._missingMoonLogged = false;
     this._missingAsteroidLogged = false;
 
-    const generator = new EnhancedSystemGenerator(systemData);
+    const generator = new EnhancedSystemGenerator(systemData, this.galaxyGenerator.createRandom(systemData.seed));
     const system = generator.generate();
 
     this.star = system.star;
@@ -1142,8 +1299,7 @@ export class Game {
       this.megastructures.push(megastructure);
     }
 
-    // OPTIMIZED: Skip environmental hazards generation for better performance
-    // Lazy load only if needed
+    // Environmental hazards for this system
     if (this.environmentalHazards) {
       const systemRadius = systemData.systemSize || DISTANCE_SYSTEM.MEDIUM_SYSTEM_RADIUS;
       this.environmentalHazards.generateSystemHazards(
@@ -1381,85 +1537,20 @@ export class Game {
 
   spawnEnemies() {
     const systemData = this.currentSystemData;
-    const dangerLevel = systemData ? systemData.dangerLevel : 3;
-
-    // Apply difficulty and encounter rate modifiers
-    const difficultyMultipliers = {
-      'story': 0.5,
-      'explorer': 0.7,
-      'adventurer': 1.0,
-      'veteran': 1.3,
-      'hardcore': 1.6,
-      'nightmare': 2.0,
-    };
-    const encounterMultipliers = {
-      'low': 0.5,
-      'normal': 1.0,
-      'high': 1.5,
-      'extreme': 2.0,
-    };
-    const alienEncounterMultipliers = {
-      'rare': 0.3,
-      'low': 0.6,
-      'normal': 1.0,
-      'high': 1.4,
-      'maximum': 2.0,
-    };
-
-    const difficultyMult = difficultyMultipliers[this.gameConfig.difficulty] || 1.0;
-    const encounterMult = encounterMultipliers[this.gameConfig.encounterRate] || 1.0;
-    const alienMult = alienEncounterMultipliers[this.gameConfig.alienEncounters] || 1.0;
 
-    // OPTIMIZED: Reduce initial enemy count for better spawn performance
-    let baseCount = 1 + dangerLevel * 0.5; // Reduced from 2 + dangerLevel * 0.8
-    const enemyCount = Math.floor(baseCount * difficultyMult * encounterMult * alienMult);
-
-    // Ship type distribution based on danger level
-    const shipTypes = ['scout', 'fighter', 'bomber', 'frigate'];
-
-    for (let i = 0; i < enemyCount; i++) {
-      const angle = Math.random() * Math.PI * 2;
-      const distance = 600 + Math.random() * 1200;
-
-      // Select ship type based on danger level
-      let shipType;
-      const roll = Math.random();
-
-      if (dangerLevel <= 3) {
-        // Low danger: mostly scouts and fighters
-        shipType = roll < 0.6 ? 'scout' : 'fighter';
-      } else if (dangerLevel <= 6) {
-        // Medium danger: mix of all except frigates
-        if (roll < 0.3) shipType = 'scout';
-        else if (roll < 0.7) shipType = 'fighter';
-        else shipType = 'bomber';
-      } else {
-        // High danger: heavy ships, including frigates
-        if (roll < 0.2) shipType = 'scout';
-        else if (roll < 0.5) shipType = 'fighter';
-        else if (roll < 0.8) shipType = 'bomber';
-        else shipType = 'frigate';
-      }
-
-      // Select a random alien race for this ship
-      const race = this.alienRaceSystem.getRandomRace();
-      const isHostile = this.alienRaceSystem.willAttack(race.id);
-
-      const enemy = new AlienShip(
-        shipType,
-        this.player.x + Math.cos(angle) * distance,
-        this.player.y + Math.sin(angle) * distance,
-        isHostile,
-        race
-      );
-
-      this.enemies.push(enemy);
-    }
+    // System residents from the world settings, danger level, faction and player strength;
+    // later fights, ambushes and contacts follow the director's tension curve
+    this.encounterDirector.onSystemEntered();
 
     // Spawn hive drones if system has hive aliens
     if (systemData && systemData.hasHiveAliens) {
       this.spawnHiveDrones();
     }
+
+    // Mission targets (escort ambushes, arrival notices)
+    if (this.missionSystem) {
+      this.missionSystem.onSystemEntered(this.currentSystemIndex);
+    }
   }
 
   spawnHiveDrones() {
@@ -1509,11 +1600,17 @@ export class Game {
                           this.uiState.showGalaxyMap ||
                           this.uiState.showSaveScreen ||
                           this.uiState.showLoadScreen ||
-                          this.uiState.showPopup;
+                          this.uiState.showPopup ||
+                          this.uiState.showDialogue ||
+                          this.uiState.showEvent;
 
     // Pause game when UI screens are open
     this.paused = anyScreenOpen;
 
+    if (this.audioSystem) {
+      this.audioSystem.setPaused(this.paused);
+    }
+
     // Store orbital state when popup opens
     if (this.uiState.showPopup && !this.orbitalStateSaved) {
       this.saveOrbitalState();
@@ -1539,22 +1636,24 @@ export class Game {
   }
 
   processInput() {
-    // Keyboard thrust
-    if (this.input.keys.has('KeyW') || this.input.keys.has('ArrowUp')) {
+    const mapper = this.inputMapper;
+
+    // Keyboard thrust, otherwise analog gamepad thrust
+    if (mapper.isKeyHeld('thrustForward')) {
       this.input.thrust = 1;
-    } else if (this.input.keys.has('KeyS') || this.input.keys.has('ArrowDown')) {
+    } else if (mapper.isKeyHeld('thrustReverse')) {
       this.input.thrust = -0.5;
     } else {
-      this.input.thrust = 0;
+      this.input.thrust = mapper.axes.thrust;
     }
 
-    // Keyboard rotation
-    if (this.input.keys.has('KeyA') || this.input.keys.has('ArrowLeft')) {
+    // Keyboard rotation, otherwise analog gamepad rotation
+    if (mapper.isKeyHeld('rotateLeft')) {
       this.input.rotation = -1;
-    } else if (this.input.keys.has('KeyD') || this.input.keys.has('ArrowRight')) {
+    } else if (mapper.isKeyHeld('rotateRight')) {
       this.input.rotation = 1;
     } else {
-      this.input.rotation = 0;
+      this.input.rotation = mapper.axes.rotation;
     }
 
     // Touch joystick
@@ -1579,128 +1678,11 @@ export class Game {
     }
   }
 
-  updateEnemyAI(enemy, dt) {
-    const p = this.player;
-    const dx = p.x - enemy.x;
-    const dy = p.y - enemy.y;
-    const distToPlayer = Math.sqrt(dx * dx + dy * dy);
-
-    enemy.ai.thinkTimer -= dt;
-
-    if (enemy.ai.thinkTimer <= 0) {
-      enemy.ai.thinkTimer = 0.5;
-
-      // State transitions
-      if (enemy.hp < enemy.ai.fleeThreshold) {
-        enemy.ai.state = 'flee';
-      } else if (distToPlayer < enemy.ai.aggroRange) {
-        if (distToPlayer < enemy.ai.attackRange) {
-          enemy.ai.state = 'attack';
-        } else {
-          enemy.ai.state = 'pursue';
-        }
-      } else {
-        enemy.ai.state = 'patrol';
-      }
-
-      // Set target based on state
-      if (enemy.ai.state === 'patrol') {
-        if (Math.abs(enemy.x - enemy.ai.targetX) < 50 && Math.abs(enemy.y - enemy.ai.targetY) < 50) {
-          enemy.ai.targetX = this.star.x + (Math.random() - 0.5) * 1000;
-          enemy.ai.targetY = this.star.y + (Math.random() - 0.5) * 1000;
-        }
-      } else if (enemy.ai.state === 'flee') {
-        enemy.ai.targetX = enemy.x - dx * 2;
-        enemy.ai.targetY = enemy.y - dy * 2;
-      }
-    }
-
-    // Execute behavior
-    if (enemy.ai.state === 'attack') {
-      // Strafe and shoot
-      const angleToPlayer = Math.atan2(dy, dx);
-      enemy.rotation = angleToPlayer;
-
-      // Strafe movement
-      const strafeAngle = angleToPlayer + Math.PI / 2;
-      const strafeDir = Math.sin(this.time * 2) > 0 ? 1 : -1;
-      enemy.vx += Math.cos(strafeAngle) * strafeDir * 100 * dt;
-      enemy.vy += Math.sin(strafeAngle) * strafeDir * 100 * dt;
-
-      // Maintain distance
-      if (distToPlayer < 200) {
-        enemy.vx -= Math.cos(angleToPlayer) * 80 * dt;
-        enemy.vy -= Math.sin(angleToPlayer) * 80 * dt;
-      } else if (distToPlayer > 350) {
-        enemy.vx += Math.cos(angleToPlayer) * 60 * dt;
-        enemy.vy += Math.sin(angleToPlayer) * 60 * dt;
-      }
-
-      // Fire weapon
-      if (enemy.weapon.cooldown <= 0 && distToPlayer < enemy.ai.attackRange) {
-        enemy.weapon.cooldown = enemy.weapon.maxCooldown;
-
-        // Enemy fires laser
-        this.projectiles.push({
-          x: enemy.x + Math.cos(enemy.rotation) * 20,
-          y: enemy.y + Math.sin(enemy.rotation) * 20,
-          vx: Math.cos(enemy.rotation) * 450 + enemy.vx * 0.5,
-          vy: Math.sin(enemy.rotation) * 450 + enemy.vy * 0.5,
-          life: 2,
-          damage: enemy.weapon.damage,
-          size: 5,
-          color: this.PALETTE.laserRed,
-          friendly: false
-        });
-
-        // Muzzle flash
-        for (let i = 0; i < 6; i++) {
-          this.particles.push({
-            x: enemy.x + Math.cos(enemy.rotation) * 20,
-            y: enemy.y + Math.sin(enemy.rotation) * 20,
-            vx: Math.cos(enemy.rotation + (Math.random() - 0.5) * 0.4) * 180,
-            vy: Math.sin(enemy.rotation + (Math.random() - 0.5) * 0.4) * 180,
-            life: 1,
-            maxLife: 0.12,
-            size: 3,
-            color: this.PALETTE.laserRed,
-            type: 'flash'
-          });
-        }
-      }
-    } else {
-      // Move toward target
-      const targetDx = enemy.ai.targetX - enemy.x;
-      const targetDy = enemy.ai.targetY - enemy.y;
-      const targetDist = Math.sqrt(targetDx * targetDx + targetDy * targetDy);
-
-      if (targetDist > 20) {
-        const targetAngle = Math.atan2(targetDy, targetDx);
-        enemy.rotation = targetAngle;
-
-        const thrust = enemy.ai.state === 'flee' ? 150 : 80;
-        enemy.vx += Math.cos(targetAngle) * thrust * dt;
-        enemy.vy += Math.sin(targetAngle) * thrust * dt;
-      }
+  createExplosion(x, y, radius) {
+    if (this.audioSystem) {
+      this.audioSystem.playExplosion(x, y, radius);
     }
 
-    // Engine particles
-    if (Math.random() < 0.3) {
-      this.particles.push({
-        x: enemy.x - Math.cos(enemy.rotation) * 15,
-        y: enemy.y - Math.sin(enemy.rotation) * 15,
-        vx: -Math.cos(enemy.rotation) * 80 + (Math.random() - 0.5) * 30,
-        vy: -Math.sin(enemy.rotation) * 80 + (Math.random() - 0.5) * 30,
-        life: 1,
-        maxLife: 0.4,
-        size: 2,
-        color: this.PALETTE.enemyRed,
-        type: 'engine'
-      });
-    }
-  }
-
-  createExplosion(x, y, radius) {
     // ENHANCED: Use new enhanced effects system for multi-stage explosions
     if (this.enhancedEffectsSystem) {
       // Determine explosion type based on size
@@ -1824,6 +1806,7 @@ export class Game {
       // Damage all enemies in explosion radius
       for (let i = 0; i < this.enemies.length; i++) {
         const enemy = this.enemies[i];
+        if (!isPlayerTarget(enemy)) continue;
         const dx = enemy.x - x;
         const dy = enemy.y - y;
         const dist = Math.sqrt(dx * dx + dy * dy);
@@ -1834,10 +1817,11 @@ export class Game {
           const finalDamage = damage * falloff;
 
           // Apply damage using enemy's takeDamage method
+          enemy.lastDamagedByPlayer = true;
           if (enemy.takeDamage) {
             enemy.takeDamage(finalDamage);
             if (enemy.shields > 0) {
-              this.createShieldImpact(enemy.x, enemy.y);
+              this.createShieldImpact(enemy.x, enemy.y, enemy);
             } else {
               this.createHitSparks(enemy.x, enemy.y);
             }
@@ -1845,7 +1829,7 @@ export class Game {
             // Fallback for old enemy format
             if (enemy.shields > 0) {
               enemy.shields -= finalDamage * 0.5;
-              this.createShieldImpact(enemy.x, enemy.y);
+              this.createShieldImpact(enemy.x, enemy.y, enemy);
             } else {
               enemy.hp -= finalDamage;
               enemy.damageFlash = 1;
@@ -1927,7 +1911,14 @@ export class Game {
     // Could add enemy explosion damage to player here if needed
   }
 
-  createShieldImpact(x, y) {
+  /**
+   * Shield hit effect and sound on a ship (the player unless given)
+   */
+  createShieldImpact(x, y, ship = this.player) {
+    if (this.audioSystem) {
+      this.audioSystem.playShieldHit(ship.maxShields ? Math.max(0, ship.shields) / ship.maxShields : 1);
+    }
+
     // ENHANCED: Use new enhanced effects system for shield impacts
     if (this.enhancedEffectsSystem) {
       // Create shield hit effect at the impact point
@@ -2002,10 +1993,20 @@ export class Game {
     if (this.notifications.length > 5) {
       this.notifications.shift();
     }
+
+    // Ship computer chirp
+    if (this.audioSystem) {
+      this.audioSystem.playNotification(type);
+    }
   }
 
   resetGame() {
-    this.initPlayer();
+    // Permadeath runs end instead of restarting
+    if (this.gameOver || (this.runRulesSystem && this.runRulesSystem.dead)) return;
+
+    // The rebuilt ship keeps its fitted modules
+    this.initPlayer(this.outfittingSystem ? this.outfittingSystem.getLoadout() : null);
+    this.armorSystem.repair(Infinity);
     this.enemies = [];
     this.projectiles = [];
     this.particles = [];
@@ -2029,6 +2030,30 @@ export class Game {
     const clickX = (e.clientX - rect.left) / this.scale;
     const clickY = (e.clientY - rect.top) / this.scale;
 
+    // Random event choices
+    if (this.uiState.showEvent && this.eventButtonBounds) {
+      for (const button of this.eventButtonBounds) {
+        if (clickX >= button.x && clickX <= button.x + button.w &&
+            clickY >= button.y && clickY <= button.y + button.h) {
+          button.action();
+          return;
+        }
+      }
+      return; // The event waits for an answer
+    }
+
+    // Dialogue options
+    if (this.uiState.showDialogue && this.dialogueButtonBounds) {
+      for (const button of this.dialogueButtonBounds) {
+        if (clickX >= button.x && clickX <= button.x + button.w &&
+            clickY >= button.y && clickY <= button.y + button.h) {
+          button.action();
+          return;
+        }
+      }
+      return; // Click on dialogue but not on an option, ignore
+    }
+
     // Check if popup is showing and handle button clicks
     if (this.uiState.showPopup && this.popupButtonBounds) {
       for (const button of this.popupButtonBounds) {
@@ -2114,9 +2139,26 @@ export class Game {
       return; // Click on galaxy map but not on button, ignore
     }
 
+    // Save and load screens (slots, difficulty profile)
+    const slotScreenBounds = this.uiState.showSaveScreen ? this.saveScreenButtonBounds :
+                             this.uiState.showLoadScreen ? this.loadScreenButtonBounds : null;
+    if (slotScreenBounds) {
+      for (const button of slotScreenBounds) {
+        if (clickX >= button.x && clickX <= button.x + button.w &&
+            clickY >= button.y && clickY <= button.y + button.h) {
+          if (typeof button.action === 'function') {
+            button.action();
+          }
+          return;
+        }
+      }
+      return; // Click on save/load screen but not on button, ignore
+    }
+
     // Don't handle world clicks if UI screens are open
     if (this.uiState.showInventory || this.uiState.showTrading ||
-        this.uiState.showDiplomacy || this.uiState.showGalaxyMap) {
+        this.uiState.showDiplomacy || this.uiState.showGalaxyMap ||
+        this.uiState.showSaveScreen || this.uiState.showLoadScreen) {
       return;
     }
 
@@ -2996,6 +3038,11 @@ export class Game {
       }
     }
 
+    // Environmental hazards (behind bodies and ships)
+    if (this.scene === 'system' && this.environmentalHazards) {
+      this.environmentalHazards.render(ctx, { x: camX, y: camY, width: this.width, height: this.height }, this.time * 1000);
+    }
+
     // === INTERSTELLAR SCENE RENDERING ===
     if (this.scene === 'interstellar') {
       // Render interstellar space with star system bubbles
@@ -3109,7 +3156,7 @@ export class Game {
       }
 
       // Legacy touch controls (fallback)
-      if ('ontouchstart' in window && this.mobileControls && !this.mobileControls.isMobile) {
+      if (this.mobileControls && !this.mobileControls.isMobile && 'ontouchstart' in window) {
         this.renderTouchControls();
       }
 
@@ -4254,6 +4301,14 @@ export class Game {
 
       if (ex < -100 || ex > this.width + 100 || ey < -100 || ey > this.height + 100) continue;
 
+      // Ships inside a nebula are barely visible
+      const concealed = this.environmentalHazards &&
+        this.environmentalHazards.isConcealed(enemy, Math.hypot(enemy.x - this.player.x, enemy.y - this.player.y));
+      if (concealed) {
+        ctx.save();
+        ctx.globalAlpha = 0.25;
+      }
+
       // Use AlienShip's render method if available
       if (enemy.render) {
         enemy.render(ctx, { x: camX, y: camY });
@@ -4469,6 +4524,10 @@ export class Game {
         ctx.lineWidth = 1;
         ctx.strokeRect(barX, barY, barWidth, barHeight);
       }
+
+      if (concealed) {
+        ctx.restore();
+      }
     }
 
     // Player ship
@@ -4972,7 +5031,7 @@ export class Game {
     }
 
     // Legacy touch controls (fallback)
-    if ('ontouchstart' in window && this.mobileControls && !this.mobileControls.isMobile) {
+    if (this.mobileControls && !this.mobileControls.isMobile && 'ontouchstart' in window) {
       try {
         this.renderTouchControls();
       } catch (error) {
@@ -5913,6 +5972,11 @@ export class Game {
       // Frame budget: 16ms for 60fps, 33ms for 30fps
       const FRAME_BUDGET = 16; // Target 60fps
 
+      this.pollGamepad();
+
+      // Pauses that bypass updatePauseState (hidden tab) silence the sound loops too
+      if (this.audioSystem) this.audioSystem.setPaused(this.paused);
+
       // If paused (UI screens open), skip physics but still render
       if (this.paused) {
         // Still render to show UI screens
@@ -5921,39 +5985,8 @@ export class Game {
         return;
       }
 
-      this.time += dt;
-
-      // Update playtime
-      this.playtime += dt * 1000; // Convert to milliseconds
-      if (this.statistics) {
-        this.statistics.totalPlaytime = this.playtime;
-      }
-
       this.fps = this.fps * 0.9 + (1 / dt) * 0.1;
 
-      // PERFORMANCE FIX: Enforce array size limits to prevent memory leaks
-      if (this.particles && this.particles.length > this.maxParticles) {
-        this.particles = this.particles.slice(-this.maxParticles);  // Keep only newest
-      }
-      if (this.projectiles && this.projectiles.length > 100) {
-        this.projectiles = this.projectiles.slice(-100);  // Keep only newest 100
-      }
-      if (this.explosions && this.explosions.length > 50) {
-        this.explosions = this.explosions.slice(-50);  // Keep only newest 50
-      }
-      if (this.enemies && this.enemies.length > 50) {
-        // Remove enemies farthest from player to keep performance good
-        this.enemies.sort((a, b) => {
-          const distA = Math.hypot(a.x - this.player.x, a.y - this.player.y);
-          const distB = Math.hypot(b.x - this.player.x, b.y - this.player.y);
-          return distB - distA;  // Farthest first
-        });
-        this.enemies = this.enemies.slice(0, 50);
-      }
-      if (this.notifications && this.notifications.length > 10) {
-        this.notifications = this.notifications.slice(-10);  // Keep only newest 10
-      }
-
       // PERFORMANCE: Broadcast state disabled - no longer needed as GameContainer uses ref
       // State is accessed via gameInstanceRef.current.getGameState() when needed
       // This saves CPU cycles by not dispatching unused events every 2 seconds
@@ -6009,27 +6042,11 @@ export class Game {
         this.mobileControls.update();
       }
 
-      // OPTIMIZED: Update interaction system every other frame
-      if (this.interactionSystem) {
-        if (!this._interactionUpdateCounter) this._interactionUpdateCounter = 0;
-        this._interactionUpdateCounter++;
-        if (this._interactionUpdateCounter >= 2) {
-          this._interactionUpdateCounter = 0;
-          this.interactionSystem.update();
-        }
-      }
-
-      // CRASH FIX: Wrap critical operations in try-catch
-      try {
-        this.processInput();
-      } catch (error) {
-        console.error('[Game Loop] Input processing error:', error);
-      }
-
-      try {
-        this.physicsEngine.update(dt);
-      } catch (error) {
-        console.error('[Game Loop] Physics update error:', error);
+      // Simulation (input, interactions, physics) - recorded for replays
+      if (this.replayRecorder) {
+        this.replayRecorder.update(dt);
+      } else {
+        this.update(dt);
       }
 
       try {
@@ -6048,178 +6065,139 @@ export class Game {
   }
 
   /**
-   * Get current game state for saving
+   * Advance the simulation by dt seconds (no rendering).
+   * Called by loop() every frame and by HeadlessSimulation with a fixed timestep.
    */
-  getGameState() {
-    return {
-      // Version for save compatibility
-      version: this.VERSION,
-
-      // Player info
-      callsign: this.player.callsign || 'NOVA-7',
-      shipName: this.player.shipName || 'WANDERER',
-      shipColor: this.player.color || 'blue',
-
-      // Game progress
-      playtime: this.playtime || 0,
-      currentSystem: this.currentSystemSeed,
-      currentSystemIndex: this.currentSystemIndex,
-      systemsExplored: this.discoveredSystems.size,
-      galaxySize: this.galaxySize || 'medium',
-      difficulty: this.difficulty || 'adventurer',
-      seed: this.seed,
-
-      // Player state
-      player: {
-        x: this.player.x,
-        y: this.player.y,
-        vx: this.player.vx,
-        vy: this.player.vy,
-        rotation: this.player.rotation,
-        hp: this.player.hp,
-        maxHp: this.player.maxHp,
-        shield: this.player.shield,
-        maxShield: this.player.maxShield,
-        power: this.player.power,
-        maxPower: this.player.maxPower,
-        fuel: this.player.fuel,
-        maxFuel: this.player.maxFuel,
-        callsign: this.player.callsign || 'NOVA-7',
-        shipName: this.player.shipName || 'WANDERER',
-        color: this.player.color || 'blue',
-      },
-
-      // Camera position
-      camera: {
-        x: this.camera.x,
-        y: this.camera.y,
-        zoom: this.camera.zoom,
-      },
-
-      // Interstellar mode position
-      interstellarPlayerX: this.interstellarPlayerX,
-      interstellarPlayerY: this.interstellarPlayerY,
+  update(dt) {
+    this.time += dt;
 
-      // Economy
-      credits: this.credits || 0,
-      cargo: this.cargo || [],
-
-      // Discovered systems
-      discoveredSystems: Array.from(this.discoveredSystems),
-
-      // Scene
-      scene: this.scene,
-
-      // Statistics
-      statistics: this.statistics || {
-        enemiesDestroyed: 0,
-        shotsFired: 0,
-        shotsHit: 0,
-        damageDealt: 0,
-        damageTaken: 0,
-        resourcesMined: 0,
-        artifactsFound: 0,
-        jumpsExecuted: 0,
-      },
-
-      // Status flags
-      crewAlive: this.player.hp > 0,
-      gameOver: this.gameOver || false,
-    };
+    // Update playtime
+    this.playtime += dt * 1000; // Convert to milliseconds
+    if (this.statistics) {
+      this.statistics.totalPlaytime = this.playtime;
+    }
+
+    // PERFORMANCE FIX: Enforce array size limits to prevent memory leaks
+    if (this.particles && this.particles.length > this.maxParticles) {
+      this.particles = this.particles.slice(-this.maxParticles);  // Keep only newest
+    }
+    if (this.projectiles && this.projectiles.length > 100) {
+      this.projectiles = this.projectiles.slice(-100);  // Keep only newest 100
+    }
+    if (this.explosions && this.explosions.length > 50) {
+      this.explosions = this.explosions.slice(-50);  // Keep only newest 50
+    }
+    if (this.enemies && this.enemies.length > 50) {
+      // Remove enemies farthest from player to keep performance good
+      this.enemies.sort((a, b) => {
+        const distA = Math.hypot(a.x - this.player.x, a.y - this.player.y);
+        const distB = Math.hypot(b.x - this.player.x, b.y - this.player.y);
+        return distB - distA;  // Farthest first
+      });
+      this.enemies = this.enemies.slice(0, 50);
+    }
+    if (this.notifications && this.notifications.length > 10) {
+      this.notifications = this.notifications.slice(-10);  // Keep only newest 10
+    }
+
+    // OPTIMIZED: Update interaction system every other frame
+    if (this.interactionSystem) {
+      if (!this._interactionUpdateCounter) this._interactionUpdateCounter = 0;
+      this._interactionUpdateCounter++;
+      if (this._interactionUpdateCounter >= 2) {
+        this._interactionUpdateCounter = 0;
+        this.interactionSystem.update();
+      }
+    }
+
+    // CRASH FIX: Wrap critical operations in try-catch
+    try {
+      this.processInput();
+    } catch (error) {
+      console.error('[Game Loop] Input processing error:', error);
+    }
+
+    try {
+      this.physicsEngine.update(dt);
+    } catch (error) {
+      console.error('[Game Loop] Physics update error:', error);
+    }
+  }
+
+  /**
+   * Get current game state for saving (same unified format as SaveSystem)
+   */
+  getGameState(saveName = 'Game State') {
+    return this.saveSystem.gatherSaveData(saveName);
+  }
+
+  /**
+   * Restart this.rng and the subsystem substreams from this.seed (loaded saves).
+   * Subsystems fork the same names in their constructors.
+   */
+  reseedRandom() {
+    this.rng = new SeededRandom(this.seed);
+    if (this.factionSystem) this.factionSystem.strategyRng = this.rng.fork('factionStrategy');
+    if (this.economySystem) this.economySystem.marketRng = this.rng.fork('marketDrift');
+    if (this.trafficSystem) this.trafficSystem.rng = this.rng.fork('traffic');
+    if (this.encounterDirector) this.encounterDirector.rng = this.rng.fork('encounters');
+    if (this.environmentalHazards) this.environmentalHazards.rng = this.rng.fork('hazards');
+    if (this.randomEventSystem) this.randomEventSystem.rng = this.rng.fork('randomEvents');
+    if (this.dialogueSystem) this.dialogueSystem.rng = this.rng.fork('dialogue');
   }
 
   /**
-   * Load saved game state
+   * Load saved game state (any save format - migrated to the current one first)
+   * @returns {Object|null} Migration report, or null if the save could not be migrated
    */
   async loadState(state) {
     if (!state) {
       console.warn('No state provided to loadState, skipping');
-      return;
+      return null;
     }
 
-    // Don't load state for brand new games (no playtime)
-    if (!state.playtime || state.playtime === 0) {
-      return;
+    let migrated;
+    try {
+      migrated = migrateSave(state);
+    } catch (error) {
+      console.error('Cannot load game state:', error.message);
+      return null;
     }
+    const { save, report } = migrated;
 
+    // Don't load state for brand new games (no playtime)
+    if (!save.playtime) {
+      return report;
+    }
 
     try {
       // Check version compatibility
-      if (state.version && state.version !== this.VERSION) {
-        console.warn(`Save version mismatch: ${state.version} vs ${this.VERSION}`);
-      }
-
-      // Restore game progress
-      if (state.playtime !== undefined) this.playtime = state.playtime;
-      if (state.seed) this.seed = state.seed;
-      if (state.currentSystem) this.currentSystemSeed = state.currentSystem;
-      if (state.currentSystemIndex !== undefined) this.currentSystemIndex = state.currentSystemIndex;
-      if (state.galaxySize) this.galaxySize = state.galaxySize;
-      if (state.difficulty) this.difficulty = state.difficulty;
-
-      // Restore player state
-      if (state.player) {
-        Object.assign(this.player, {
-          x: state.player.x || 0,
-          y: state.player.y || 0,
-          vx: state.player.vx || 0,
-          vy: state.player.vy || 0,
-          rotation: state.player.rotation || 0,
-          hp: state.player.hp || 100,
-          maxHp: state.player.maxHp || 100,
-          shield: state.player.shield || 100,
-          maxShield: state.player.maxShield || 100,
-          power: state.player.power || 100,
-          maxPower: state.player.maxPower || 100,
-          fuel: state.player.fuel || 100,
-          maxFuel: state.player.maxFuel || 100,
-          callsign: state.player.callsign || state.callsign || 'NOVA-7',
-          shipName: state.player.shipName || state.shipName || 'WANDERER',
-          color: state.player.color || state.shipColor || 'blue',
-        });
-      }
-
-      // Restore camera
-      if (state.camera) {
-        this.camera.x = state.camera.x || 0;
-        this.camera.y = state.camera.y || 0;
-        this.camera.zoom = state.camera.zoom || 1;
+      if (save.version !== this.VERSION) {
+        console.warn(`Save version mismatch: ${save.version} vs ${this.VERSION}`);
       }
 
-      // Restore interstellar position
-      this.interstellarPlayerX = state.interstellarPlayerX || 0;
-      this.interstellarPlayerY = state.interstellarPlayerY || 0;
-
-      // Restore economy
-      this.credits = state.credits || 0;
-      this.cargo = state.cargo || [];
-
-      // Restore discovered systems
-      if (state.discoveredSystems) {
-        this.discoveredSystems = new Set(state.discoveredSystems);
-      }
+      // Restore player, galaxy, economy, systems and statistics
+      this.saveSystem.applySaveData(save);
 
-      // Restore scene
-      this.scene = state.scene || 'system';
-
-      // Restore statistics
-      if (state.statistics) {
-        this.statistics = { ...state.statistics };
-      }
-
-      // Regenerate galaxy with same seed if needed
-      if (this.seed && this.galaxyGenerator && this.seed !== this.galaxyGenerator.seed) {
+      // Regenerate galaxy with same seed (and stream) if needed
+      if (this.seed && this.galaxyGenerator && (this.seed !== this.galaxyGenerator.seed ||
+          this.galaxyStream !== this.galaxyGenerator.stream)) {
         try {
-          this.galaxyGenerator = new GalaxyGenerator(this.seed);
+          this.galaxyGenerator = new GalaxyGenerator(this.seed, this.galaxyStream);
           this.galaxy = this.galaxyGenerator.generate();
-          if (this.factionSystem) this.factionSystem.assignTerritories(this.galaxy);
-          if (this.warpGateSystem) this.warpGateSystem.generateGateNetwork(this.galaxy);
+          if (this.warpGateSystem) this.warpGateSystem.generateGateNetwork(this.galaxy, this.rng.fork('warpGates'));
           this.interstellarRenderer = new InterstellarRenderer(this.galaxy);
         } catch (error) {
           console.error('Error regenerating galaxy:', error);
         }
       }
 
+      // Faction borders and wars - saves from before the war simulation get fresh borders
+      // for this galaxy
+      if (this.factionSystem) {
+        this.factionSystem.deserialize(save.factionState, this.galaxy);
+      }
+
       // Load current system
       if (this.scene === 'system' && this.currentSystemIndex !== undefined) {
         try {
@@ -6241,6 +6219,8 @@ export class Game {
       console.error('Error loading game state:', error);
       // Don't throw - just log and continue with default state
     }
+
+    return report;
   }
 
   /**
@@ -6258,24 +6238,14 @@ export class Game {
         console.log('Resolution setting:', settings.resolution);
       }
 
-      if (settings.pixelPerfect !== undefined) {
+      // Headless games have no canvas context
+      if (settings.pixelPerfect !== undefined && this.ctx) {
         this.ctx.imageSmoothingEnabled = !settings.pixelPerfect;
       }
 
-      // Audio settings would be handled by a separate audio system
-      if (settings.masterVolume !== undefined) {
-        console.log('Master volume:', settings.masterVolume);
-        // TODO: Apply to audio system when implemented
-      }
-
-      if (settings.musicVolume !== undefined) {
-        console.log('Music volume:', settings.musicVolume);
-        // TODO: Apply to audio system when implemented
-      }
-
-      if (settings.sfxVolume !== undefined) {
-        console.log('SFX volume:', settings.sfxVolume);
-        // TODO: Apply to audio system when implemented
+      // Audio settings (master, music, SFX, ambient, voice)
+      if (this.audioSystem) {
+        this.audioSystem.applySettings(settings);
       }
 
       // Control settings
@@ -6291,6 +6261,9 @@ export class Game {
         this.edgeScroll = settings.edgeScroll;
       }
 
+      // Key bindings, gamepad buttons and dead zone
+      this.inputMapper.applySettings(settings);
+
       if (settings.keyboardSpeed !== undefined) {
         this.keyboardSpeed = settings.keyboardSpeed / 100;
       }
@@ -6352,7 +6325,16 @@ export class Game {
   }
 
   destroy() {
+    // Ironman runs save on the way out (before the game stops)
+    if (this.runRulesSystem && this.running) {
+      this.runRulesSystem.onExit();
+    }
     this.running = false;
+    this.destroyed = true;
+
+    if (this.audioSystem) {
+      this.audioSystem.destroy();
+    }
 
     // Clean up all event listeners to prevent memory leaks
     if (this.eventHandlers) {
@@ -6392,6 +6374,9 @@ export class Game {
       if (this.eventHandlers.visibilitychange) {
         document.removeEventListener('visibilitychange', this.eventHandlers.visibilitychange);
       }
+      if (this.eventHandlers.beforeunload) {
+        window.removeEventListener('beforeunload', this.eventHandlers.beforeunload);
+      }
     }
   }
 }
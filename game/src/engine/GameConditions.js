@@ -0,0 +1,15 @@
+/**
+ * GameConditions - `when` conditions on the player's ship shared by data-driven content
+ *
+ * Features:
+ * - credits, cargo (commodity id, or true for any cargo), cargoSpace and crew checks
+ * - Used by DialogueSystem options and RandomEventSystem choices
+ */
+
+export const GAME_CONDITIONS = {
+  credits: (value, game) => game.economySystem.credits >= value,
+  cargo: (value, game) => game.economySystem.cargo.some(item =>
+    item.quantity > 0 && (value === true || item.commodityId === value)),
+  cargoSpace: (value, game) => game.economySystem.getCargoSpaceRemaining() >= value,
+  crew: (value, game) => !!game.crewSystem && game.crewSystem.getEffectiveness(value) > 0
+};
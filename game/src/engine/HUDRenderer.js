@@ -33,6 +33,9 @@ export class HUDRenderer {
 
     // 6. CENTER WARNINGS & STATUS MESSAGES
     this.renderCenterWarnings();
+
+    // 7. ION STORM INTERFERENCE
+    this.renderHazardInterference();
   }
 
   // Helper: Draw CRT scanline effect
@@ -523,8 +526,8 @@ export class HUDRenderer {
     const accuracy = Math.floor((shotsHit / shotsFired) * 100);
     ctx.fillText(`ACC: ${accuracy}%`, xPos, yBase + 38);
 
-    // Threat level (BIGGER)
-    const threatLevel = this.game.enemies.length;
+    // Threat level (BIGGER) - peaceful civilian traffic is not a threat
+    const threatLevel = this.game.enemies.filter(enemy => !enemy.civilian || enemy.isHostile).length;
     ctx.fillStyle = threatLevel > 5 ? this.game.PALETTE.alertRed :
                     threatLevel > 2 ? this.game.PALETTE.cautionOrange :
                     this.game.PALETTE.statusGreen;
@@ -586,6 +589,13 @@ export class HUDRenderer {
     ctx.fillStyle = this.game.fps < 30 ? this.game.PALETTE.alertRed : this.game.PALETTE.mediumGray;
     ctx.fillText(`FPS: ${Math.floor(this.game.fps)}`, xPos, yBase + 52);
 
+    // Active difficulty profile
+    if (this.game.difficultySystem) {
+      const profile = this.game.difficultySystem.getProfile();
+      ctx.fillStyle = profile.color;
+      ctx.fillText(profile.shortName, xPos + 70, yBase + 52);
+    }
+
     // Status indicators (blinking LEDs)
     xPos += 130;
     const ledY = screenY + 8;
@@ -746,6 +756,9 @@ export class HUDRenderer {
       warningY += 30;
     }
 
+    // Environmental hazards
+    warningY = this.renderHazardWarnings(ctx, p, warningY);
+
     // Shield active indicator
     if (p.shieldActive) {
       ctx.fillStyle = this.game.PALETTE.shieldCyan;
@@ -768,6 +781,77 @@ export class HUDRenderer {
     }
   }
 
+  /**
+   * Hazard warnings (EnvironmentalHazards) below the center warnings
+   * @returns {number} Next warning Y
+   */
+  renderHazardWarnings(ctx, p, warningY) {
+    const palette = this.game.PALETTE;
+    const effects = p.hazardEffects;
+    const warnings = [];
+
+    if (effects) {
+      const types = new Set(effects.active.map(effect => effect.type));
+      if (types.has('radiation')) {
+        warnings.push({ text: `☢ RADIATION - HULL -${effects.hullDamage.toFixed(1)}/S`, color: palette.alertRed, flash: true });
+      }
+      if (types.has('ion_storm')) {
+        warnings.push({ text: `⚡ ION STORM - SHIELDS ${Math.round(effects.shieldDisruption * 100)}% DISRUPTED`, color: palette.warpBlue, flash: true });
+      }
+      if (types.has('gravity_well')) {
+        const pull = Math.round(Math.sqrt(effects.pullX * effects.pullX + effects.pullY * effects.pullY));
+        warnings.push({ text: `◉ GRAVITY WELL - PULL ${pull} | FUEL x${effects.fuelMultiplier.toFixed(1)}`, color: palette.warpPurple });
+      }
+      if (types.has('nebula')) {
+        warnings.push({ text: `◌ NEBULA - RADAR ${Math.round(effects.radarMultiplier * 100)}% | SENSORS MASKED`, color: palette.shieldCyan });
+      }
+    }
+
+    const hazards = this.game.environmentalHazards;
+    if (hazards && this.game.scene === 'system' && hazards.getNearbyRadiation(p.x, p.y)) {
+      warnings.push({ text: '☢ RADIATION ZONE AHEAD', color: palette.cautionOrange });
+    }
+
+    for (const warning of warnings) {
+      if (warning.flash && Math.floor(this.game.time * 3) % 2) {
+        warningY += 30;
+        continue;
+      }
+      ctx.fillStyle = warning.color;
+      ctx.font = 'bold 16px DigitalDisco, monospace';
+      ctx.shadowColor = warning.color;
+      ctx.shadowBlur = 8;
+      ctx.textAlign = 'center';
+      ctx.fillText(warning.text, this.game.width / 2, warningY);
+      ctx.shadowBlur = 0;
+      ctx.textAlign = 'left';
+      warningY += 30;
+    }
+
+    return warningY;
+  }
+
+  /**
+   * Ion storm static over the HUD (stronger deeper in the storm)
+   */
+  renderHazardInterference() {
+    const effects = this.game.player.hazardEffects;
+    if (!effects || effects.shieldDisruption <= 0) return;
+
+    const ctx = this.game.ctx;
+    const bands = Math.ceil(effects.shieldDisruption * 12);
+
+    ctx.save();
+    for (let i = 0; i < bands; i++) {
+      const y = Math.random() * this.game.height;
+      const h = 2 + Math.random() * 10;
+      ctx.globalAlpha = 0.08 + Math.random() * 0.2 * effects.shieldDisruption;
+      ctx.fillStyle = Math.random() < 0.5 ? this.game.PALETTE.warpBlue : this.game.PALETTE.starWhite;
+      ctx.fillRect(0, y, this.game.width, h);
+    }
+    ctx.restore();
+  }
+
   renderRadar() {
     const ctx = this.game.ctx;
     // RIGHT-MIDDLE POSITION (cockpit-integrated)
@@ -927,7 +1011,9 @@ export class HUDRenderer {
     // Medium system: 12000px radius → 6000px range
     // Large system: 20000px radius → 10000px range
     const systemRadius = this.game.currentSystemData ? getSystemSize(this.game.currentSystemData.starType) : 12000;
-    const radarRange = Math.floor(systemRadius * 0.5);
+    // Nebulae cut the radar range
+    const hazardEffects = this.game.player.hazardEffects;
+    const radarRange = Math.floor(systemRadius * 0.5 * (hazardEffects ? hazardEffects.radarMultiplier : 1));
 
     // Distance circles with labels
     ctx.strokeStyle = `${this.game.PALETTE.statusBlue}33`;
@@ -1148,17 +1234,48 @@ export class HUDRenderer {
       }
     }
 
-    // Enemies
+    // Environmental hazard zones
+    const hazards = this.game.environmentalHazards;
+    if (hazards) {
+      const scale = (radarRadius - 15) / radarRange;
+      ctx.save();
+      ctx.beginPath();
+      ctx.arc(radarX + radarRadius, radarY + radarRadius, radarRadius - 8, 0, Math.PI * 2);
+      ctx.clip();
+      for (const hazard of hazards.hazards) {
+        const dx = hazard.x - this.game.player.x;
+        const dy = hazard.y - this.game.player.y;
+        if (Math.sqrt(dx * dx + dy * dy) - hazard.radius > radarRange) continue;
+
+        ctx.strokeStyle = `${hazard.color}88`;
+        ctx.fillStyle = `${hazard.color}22`;
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.arc(radarX + radarRadius + dx * scale, radarY + radarRadius + dy * scale, Math.max(2, hazard.radius * scale), 0, Math.PI * 2);
+        ctx.fill();
+        ctx.stroke();
+      }
+      ctx.restore();
+    }
+
+    // Enemies (ships inside nebulae are hidden)
     for (const enemy of this.game.enemies) {
       const dx = enemy.x - this.game.player.x;
       const dy = enemy.y - this.game.player.y;
       const dist = Math.sqrt(dx * dx + dy * dy);
 
-      if (dist < radarRange) {
+      if (dist < radarRange && !(hazards && hazards.isConcealed(enemy, dist))) {
         const scale = (radarRadius - 15) / radarRange;
         const rx = radarX + radarRadius + dx * scale;
         const ry = radarY + radarRadius + dy * scale;
 
+        // Civilian traffic: steady blue dot
+        if (enemy.civilian && !enemy.isHostile) {
+          ctx.fillStyle = this.game.PALETTE.statusBlue;
+          ctx.fillRect(rx - 1.5, ry - 1.5, 3, 3);
+          continue;
+        }
+
         // Blinking effect
         if (Math.floor(this.game.time * 4) % 2 === 0) {
           ctx.fillStyle = this.game.PALETTE.alertRed;
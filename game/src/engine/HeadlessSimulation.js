@@ -0,0 +1,259 @@
+/**
+ * HeadlessSimulation - Runs the game simulation without a browser
+ *
+ * Features:
+ * - Game in headless mode: no DOM, input listeners, audio or requestAnimationFrame
+ * - Fixed timestep stepping through Game.update (physics, collisions, enemy AI, weapons)
+ * - Deterministic: Math.random is seeded while the simulation runs
+ * - Scripted input (keys, fire, shield) and enemy spawning for scenarios
+ * - Plain-object snapshots and checksums for assertions in Node (scripts/checkSimulation.mjs)
+ * - Session recording and replay playback (ReplaySystem)
+ * - Optional canvas (e.g. @napi-rs/canvas) to render frames
+ */
+import { Game } from './Game.js';
+import { AlienShip } from './AlienShip.js';
+import { SeededRandom } from '../utils/SeededRandom.js';
+import { ReplayRecorder, ReplayPlayer } from './ReplaySystem.js';
+
+const DEFAULT_TIMESTEP = 1 / 60;
+
+export class HeadlessSimulation {
+  /**
+   * @param {Object} config - Game config (same options as the new game setup)
+   * @param {Object} options - { timestep, randomSeed, canvas }
+   */
+  constructor(config = {}, options = {}) {
+    this.config = { seed: 12345, ...config, headless: true };
+    this.timestep = options.timestep || DEFAULT_TIMESTEP;
+    this.canvas = options.canvas || null;
+    this.random = new SeededRandom(options.randomSeed ?? this.config.seed).fork('simulation');
+
+    this.game = null;
+    this.frame = 0;
+    this.recorder = null;
+    this.replayPlayer = null;
+  }
+
+  /**
+   * Create and initialize a simulation (waits for the starting system to load)
+   */
+  static async create(config = {}, options = {}) {
+    const sim = new HeadlessSimulation(config, options);
+    await sim.init();
+    return sim;
+  }
+
+  /**
+   * Create a simulation that plays back a replay (same seed and gameConfig as the recording)
+   * @param {Object|string} replay - Replay file contents
+   */
+  static async fromReplay(replay, options = {}) {
+    const data = typeof replay === 'string' ? JSON.parse(replay) : replay;
+    const sim = await HeadlessSimulation.create({ ...data.gameConfig, seed: data.seed }, options);
+    sim.replayPlayer = new ReplayPlayer(sim.game, data);
+
+    const original = Math.random;
+    Math.random = () => sim.random.next();
+    try {
+      await sim.replayPlayer.start();
+    } finally {
+      Math.random = original;
+    }
+    return sim;
+  }
+
+  async init() {
+    const original = Math.random;
+    Math.random = () => this.random.next();
+    try {
+      this.game = new Game(this.canvas, this.config);
+      await this.game.systemReady;
+    } finally {
+      Math.random = original;
+    }
+    return this;
+  }
+
+  /**
+   * Run fn with Math.random replaced by the simulation's seeded generator
+   */
+  withSeededRandom(fn) {
+    const original = Math.random;
+    Math.random = () => this.random.next();
+    try {
+      return fn();
+    } finally {
+      Math.random = original;
+    }
+  }
+
+  /**
+   * Advance the simulation by a number of fixed timesteps
+   */
+  step(frames = 1) {
+    this.withSeededRandom(() => {
+      for (let i = 0; i < frames; i++) {
+        if (this.replayPlayer) {
+          if (!this.replayPlayer.stepFrame()) break;
+        } else if (this.recorder) {
+          this.recorder.update(this.timestep);
+        } else {
+          this.game.update(this.timestep);
+        }
+        this.frame++;
+      }
+    });
+    return this;
+  }
+
+  /**
+   * Record the following steps as a replay (see stopRecording)
+   */
+  startRecording() {
+    this.recorder = new ReplayRecorder(this.game);
+    this.recorder.start();
+    this.game.replayRecorder = this.recorder;
+    return this;
+  }
+
+  /**
+   * @returns {string|null} The recording as a replay file (JSON text)
+   */
+  stopRecording() {
+    if (!this.recorder) return null;
+    const replay = this.recorder.exportReplay();
+    this.recorder = null;
+    this.game.replayRecorder = null;
+    return replay;
+  }
+
+  /**
+   * Advance the simulation by (at least) the given number of seconds
+   */
+  runFor(seconds) {
+    return this.step(Math.ceil(seconds / this.timestep));
+  }
+
+  /**
+   * Step until predicate(game) is true or maxSeconds have passed
+   * @returns {boolean} Whether the predicate was met
+   */
+  runUntil(predicate, maxSeconds = 60) {
+    const maxFrames = Math.ceil(maxSeconds / this.timestep);
+    for (let i = 0; i < maxFrames; i++) {
+      if (predicate(this.game)) return true;
+      this.step(1);
+    }
+    return predicate(this.game);
+  }
+
+  /**
+   * Set scripted input. Keys replace the currently held keys (e.g. ['KeyW', 'KeyA']).
+   * @param {Object} input - { keys, fire, brake, shield, mining }
+   */
+  setInput({ keys, fire, brake, shield, mining } = {}) {
+    const input = this.game.input;
+    if (keys) input.keys = new Set(keys);
+    if (fire !== undefined) input.fire = fire;
+    if (brake !== undefined) input.brake = brake;
+    if (shield !== undefined) input.shield = shield;
+    if (mining !== undefined) input.mining = mining;
+    return this;
+  }
+
+  /**
+   * Remove all current enemies (for isolated scenarios)
+   */
+  clearEnemies() {
+    this.game.enemies = [];
+    return this;
+  }
+
+  /**
+   * Spawn an enemy ship relative to the player
+   * @param {string} type - 'scout', 'fighter', 'bomber', 'frigate'
+   * @param {Object} options - { dx, dy, hostile, raceId }
+   */
+  spawnEnemy(type = 'fighter', { dx = 400, dy = 0, hostile = true, raceId = null } = {}) {
+    const game = this.game;
+    return this.withSeededRandom(() => {
+      const race = raceId ? game.alienRaceSystem.getRace(raceId) : game.alienRaceSystem.getRandomRace();
+      const enemy = new AlienShip(type, game.player.x + dx, game.player.y + dy, hostile, race);
+      game.enemies.push(enemy);
+      return enemy;
+    });
+  }
+
+  /**
+   * Plain-object view of the simulation state for assertions
+   */
+  snapshot() {
+    const game = this.game;
+    const p = game.player;
+
+    return {
+      frame: this.frame,
+      time: game.time,
+      scene: game.scene,
+      currentSystemIndex: game.currentSystemIndex,
+      player: {
+        x: p.x,
+        y: p.y,
+        vx: p.vx,
+        vy: p.vy,
+        rotation: p.rotation,
+        hull: p.hull,
+        shields: p.shields,
+        fuel: p.fuel,
+        power: p.power,
+        docked: p.docked,
+        landed: p.landed,
+        isDying: !!p.isDying
+      },
+      enemies: (game.enemies || []).map(enemy => ({
+        type: enemy.type,
+        x: enemy.x,
+        y: enemy.y,
+        hp: enemy.hp,
+        shields: enemy.shields,
+        hostile: enemy.isHostile,
+        aiState: enemy.aiState
+      })),
+      projectiles: (game.projectiles || []).length,
+      credits: game.economySystem ? game.economySystem.credits : game.credits,
+      cargo: game.economySystem ? game.economySystem.cargo.map(item => ({ ...item })) : [],
+      statistics: { ...game.statistics },
+      gameOver: game.gameOver || false
+    };
+  }
+
+  /**
+   * FNV-1a hash of the snapshot - equal checksums mean identical runs
+   */
+  checksum() {
+    const json = JSON.stringify(this.snapshot());
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < json.length; i++) {
+      hash ^= json.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193) >>> 0;
+    }
+    return hash.toString(16).padStart(8, '0');
+  }
+
+  /**
+   * Render the current frame (only when a canvas was provided)
+   * @returns {boolean} Whether a frame was rendered
+   */
+  render() {
+    if (!this.game.ctx) return false;
+    this.withSeededRandom(() => this.game.render());
+    return true;
+  }
+
+  destroy() {
+    if (this.game) {
+      this.game.destroy();
+      this.game = null;
+    }
+  }
+}
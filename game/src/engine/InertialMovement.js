@@ -8,13 +8,16 @@
  * - Gravity well interactions
  */
 
+const CARGO_KG_PER_MASS_UNIT = 10; // Cargo (kg) that weighs as much as one unit of ship mass
+const MAX_CARGO_MASS = 1500; // kg
+
 export class InertialMovement {
   constructor(ship) {
     this.ship = ship;
 
     // Physics properties
     this.mass = ship.mass || 100;
-    this.cargoMass = ship.cargoMass || 0; // NEW: Cargo weight system (0-500 kg)
+    this.cargoMass = ship.cargoMass || 0; // NEW: Cargo weight system (0-1500 kg, fitted modules)
     this.momentOfInertia = this.mass * 2; // Rotational resistance
 
     // Movement state
@@ -43,6 +46,9 @@ export class InertialMovement {
 
     // Gravity effects
     this.gravityMultiplier = 1.0;
+
+    // Crew pilot skill (set by CrewSystem)
+    this.handlingModifier = 1.0;
   }
 
   /**
@@ -78,8 +84,8 @@ export class InertialMovement {
 
     if (force > 0) {
       // NEW: Effective mass includes cargo
-      const effectiveMass = this.mass + this.cargoMass;
-      const acceleration = (force * this.damageMultiplier) / effectiveMass;
+      const effectiveMass = this.getEffectiveMass();
+      const acceleration = (force * this.damageMultiplier * this.handlingModifier) / effectiveMass;
       this.velocity.x += Math.cos(angle) * acceleration * dt;
       this.velocity.y += Math.sin(angle) * acceleration * dt;
 
@@ -99,7 +105,7 @@ export class InertialMovement {
    */
   applyRotationalThrust(direction, dt) {
     // direction: 1 for CW, -1 for CCW
-    const torque = this.rotationalThrusterTorque * direction;
+    const torque = this.rotationalThrusterTorque * this.handlingModifier * direction;
     const angularAcceleration = torque / this.momentOfInertia;
     this.angularVelocity += angularAcceleration * dt;
   }
@@ -245,14 +251,37 @@ export class InertialMovement {
     this.angularVelocity = 0;
   }
 
+  /**
+   * Pull from an external gravity source such as a gravity well hazard.
+   * Acceleration is mass-independent; heavy ships just struggle more to thrust out.
+   */
+  applyGravityPull(accelX, accelY, dt) {
+    this.ship.vx += accelX * this.gravityMultiplier * dt;
+    this.ship.vy += accelY * this.gravityMultiplier * dt;
+  }
+
   /**
    * Set cargo mass (NEW: affects ship performance)
    */
   setCargoMass(cargoMass) {
-    this.cargoMass = Math.max(0, Math.min(cargoMass, 500)); // Clamp 0-500 kg
+    this.cargoMass = Math.max(0, Math.min(cargoMass, MAX_CARGO_MASS));
     this.ship.cargoMass = this.cargoMass;
   }
 
+  /**
+   * Ship mass including cargo (in ship mass units)
+   */
+  getEffectiveMass() {
+    return this.mass + this.cargoMass / CARGO_KG_PER_MASS_UNIT;
+  }
+
+  /**
+   * Acceleration and turn multiplier from cargo (1.0 when empty)
+   */
+  getMassModifier() {
+    return this.mass / this.getEffectiveMass();
+  }
+
   /**
    * Get flight information for HUD (ENHANCED: includes cargo and damage info)
    */
@@ -268,7 +297,7 @@ export class InertialMovement {
       inertialDampeningActive: this.inertialDampeningActive,
       mass: this.mass,
       cargoMass: this.cargoMass, // NEW
-      effectiveMass: this.mass + this.cargoMass, // NEW
+      effectiveMass: this.getEffectiveMass(), // NEW
       thrusterEfficiency: Math.floor(this.thrusterEfficiency * 100), // NEW
       damageMultiplier: this.damageMultiplier.toFixed(2) // NEW
     };
@@ -370,7 +399,7 @@ export class InertialMovement {
     const burnAngle = Math.atan2(orbitalVel.vy, orbitalVel.vx);
     const burnForce = this.mainThrusterForce * burnStrength * this.thrusterEfficiency;
 
-    const effectiveMass = this.mass + this.cargoMass;
+    const effectiveMass = this.getEffectiveMass();
     const acceleration = burnForce / effectiveMass;
 
     this.velocity.x += Math.cos(burnAngle) * acceleration * dt;
@@ -394,7 +423,7 @@ export class InertialMovement {
     const burnAngle = Math.atan2(orbitalVel.vy, orbitalVel.vx) + Math.PI;
     const burnForce = this.mainThrusterForce * burnStrength * this.thrusterEfficiency;
 
-    const effectiveMass = this.mass + this.cargoMass;
+    const effectiveMass = this.getEffectiveMass();
     const acceleration = burnForce / effectiveMass;
 
     this.velocity.x += Math.cos(burnAngle) * acceleration * dt;
@@ -443,7 +472,7 @@ export class InertialMovement {
     const insertion = this.calculateOrbitalInsertion(bodyX, bodyY, bodyMass, G);
 
     const burnForce = this.mainThrusterForce * burnStrength * this.thrusterEfficiency;
-    const effectiveMass = this.mass + this.cargoMass;
+    const effectiveMass = this.getEffectiveMass();
     const acceleration = burnForce / effectiveMass;
 
     this.velocity.x += Math.cos(insertion.angle) * acceleration * dt;
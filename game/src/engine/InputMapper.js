@@ -0,0 +1,350 @@
+/**
+ * InputMapper - Action mapping layer for keyboard and gamepad
+ *
+ * Features:
+ * - Every game action is bound through a keymap (up to two keys per action)
+ * - Keymap, gamepad buttons and dead zone are stored with the settings (GameStateManager)
+ * - Conflict detection between actions that are active at the same time (contexts)
+ * - Gamepad API polling: analog thrust/rotation with a radial dead zone, button press/release edges
+ * - Key and button glyphs for on-screen hints, following the last used device
+ */
+import { loadSettings } from '../utils/GameStateManager.js';
+
+export const KEYS_PER_ACTION = 2;
+export const DEFAULT_DEAD_ZONE = 20; // Percent of stick travel
+
+/**
+ * Bindable actions, in dispatch order.
+ * context: actions in the same context (or 'global') must not share a key.
+ * flag: held actions mirrored into game.input (true while pressed).
+ * button: default gamepad button (standard mapping), null for keyboard only.
+ */
+export const INPUT_ACTIONS = [
+  { id: 'thrustForward', label: 'Thrust', category: 'FLIGHT', context: 'flight', keys: ['KeyW', 'ArrowUp'], button: 7 },
+  { id: 'thrustReverse', label: 'Reverse Thrust', category: 'FLIGHT', context: 'flight', keys: ['KeyS', 'ArrowDown'], button: 6 },
+  { id: 'rotateLeft', label: 'Rotate Left', category: 'FLIGHT', context: 'flight', keys: ['KeyA', 'ArrowLeft'], button: null },
+  { id: 'rotateRight', label: 'Rotate Right', category: 'FLIGHT', context: 'flight', keys: ['KeyD', 'ArrowRight'], button: null },
+  { id: 'brake', label: 'Brake', category: 'FLIGHT', context: 'flight', flag: 'brake', keys: ['KeyX'], button: 4 },
+  { id: 'warp', label: 'Warp Drive', category: 'FLIGHT', context: 'flight', flag: 'warp', keys: ['ShiftLeft', 'ShiftRight'], button: 10 },
+  { id: 'toggleDampening', label: 'Inertial Dampening', category: 'FLIGHT', context: 'flight', keys: ['KeyJ'], button: 11 },
+  { id: 'fire', label: 'Fire Weapons', category: 'COMBAT', context: 'flight', flag: 'fire', preventDefault: true, keys: ['Space'], button: 5 },
+  { id: 'shield', label: 'Shields', category: 'COMBAT', context: 'flight', flag: 'shield', keys: ['KeyZ'], button: 1 },
+  { id: 'previousWeapon', label: 'Previous Weapon', category: 'COMBAT', context: 'flight', keys: ['KeyQ'], button: 14 },
+  { id: 'interact', label: 'Interact', category: 'COMBAT', context: 'flight', preventDefault: true, keys: ['KeyE'], button: 0 },
+  { id: 'nextWeapon', label: 'Next Weapon', category: 'COMBAT', context: 'flight', keys: ['KeyE'], button: 15 },
+  { id: 'mining', label: 'Mining Laser', category: 'COMBAT', context: 'flight', flag: 'mining', keys: ['KeyF'], button: 3 },
+  { id: 'hail', label: 'Hail Ship', category: 'COMBAT', context: 'flight', keys: ['KeyH'], button: null },
+  { id: 'launch', label: 'Launch From Surface', category: 'SURFACE', context: 'landed', keys: ['Space', 'KeyL'], button: 0 },
+  { id: 'collect', label: 'Collect Resources', category: 'SURFACE', context: 'landed', keys: ['KeyC', 'KeyE'], button: 2 },
+  { id: 'inventory', label: 'Inventory', category: 'SCREENS', context: 'global', keys: ['KeyI'], button: 8 },
+  { id: 'trading', label: 'Trading', category: 'SCREENS', context: 'global', keys: ['KeyT'], button: 13 },
+  { id: 'galaxyMap', label: 'Galaxy Map', category: 'SCREENS', context: 'global', keys: ['KeyM'], button: 12 },
+  { id: 'diplomacy', label: 'Diplomacy', category: 'SCREENS', context: 'global', keys: ['KeyR'], button: null },
+  { id: 'closeMenu', label: 'Close / Back', category: 'SCREENS', context: 'global', keys: ['Escape'], button: 9 },
+  { id: 'quickSave', label: 'Quick Save', category: 'SAVE & LOAD', context: 'global', preventDefault: true, keys: ['F5'], button: null },
+  { id: 'saveScreen', label: 'Save Game', category: 'SAVE & LOAD', context: 'global', preventDefault: true, keys: ['F6'], button: null },
+  { id: 'loadScreen', label: 'Load Game', category: 'SAVE & LOAD', context: 'global', preventDefault: true, keys: ['F7'], button: null },
+  { id: 'quickLoad', label: 'Quick Load', category: 'SAVE & LOAD', context: 'global', preventDefault: true, keys: ['F9'], button: null },
+  { id: 'exportReplay', label: 'Export Replay', category: 'SAVE & LOAD', context: 'global', preventDefault: true, keys: ['F10'], button: null },
+  { id: 'eventInspector', label: 'Event Inspector', category: 'DEBUG', context: 'global', preventDefault: true, keys: ['F8'], button: null }
+];
+
+const ACTIONS_BY_ID = new Map(INPUT_ACTIONS.map(action => [action.id, action]));
+
+// Pairs allowed to share a key: E interacts when a prompt is showing, otherwise switches weapon
+const SHARED_BINDINGS = [['interact', 'nextWeapon']];
+
+// Popup navigation from the gamepad (passed to InteractionSystem.handleKeyDown)
+const GAMEPAD_MENU_KEYS = { 12: 'ArrowUp', 13: 'ArrowDown', 0: 'Enter', 1: 'Escape' };
+
+// Standard gamepad mapping
+export const GAMEPAD_GLYPHS = [
+  'A', 'B', 'X', 'Y', 'LB', 'RB', 'LT', 'RT', 'BACK', 'START', 'L3', 'R3', 'D-UP', 'D-DOWN', 'D-LEFT', 'D-RIGHT', 'HOME'
+];
+
+const KEY_LABELS = {
+  Space: 'SPACE',
+  Escape: 'ESC',
+  Enter: 'ENTER',
+  Backspace: 'BKSP',
+  Tab: 'TAB',
+  ShiftLeft: 'L-SHIFT',
+  ShiftRight: 'R-SHIFT',
+  ControlLeft: 'L-CTRL',
+  ControlRight: 'R-CTRL',
+  AltLeft: 'L-ALT',
+  AltRight: 'R-ALT',
+  ArrowUp: '↑',
+  ArrowDown: '↓',
+  ArrowLeft: '←',
+  ArrowRight: '→'
+};
+
+/**
+ * Short label for a KeyboardEvent.code ('KeyE' -> 'E', 'Digit1' -> '1')
+ */
+export const getKeyLabel = (code) => {
+  if (!code) return '---';
+  if (KEY_LABELS[code]) return KEY_LABELS[code];
+  if (code.startsWith('Key')) return code.slice(3);
+  if (code.startsWith('Digit')) return code.slice(5);
+  if (code.startsWith('Numpad')) return `NUM ${code.slice(6).toUpperCase()}`;
+  return code.toUpperCase();
+};
+
+/**
+ * Label for a gamepad button index
+ */
+export const getButtonLabel = (button) => {
+  if (button === null || button === undefined) return '---';
+  return GAMEPAD_GLYPHS[button] || `BTN ${button}`;
+};
+
+export const getDefaultKeymap = () => Object.fromEntries(INPUT_ACTIONS.map(action => [action.id, [...action.keys]]));
+
+export const getDefaultGamepadButtons = () => Object.fromEntries(INPUT_ACTIONS.map(action => [action.id, action.button]));
+
+const contextsOverlap = (a, b) => a === b || a === 'global' || b === 'global';
+
+const isSharedPair = (a, b) => SHARED_BINDINGS.some(([x, y]) => (x === a && y === b) || (x === b && y === a));
+
+/**
+ * Inputs (key codes or button indices) bound to more than one action that can be active at once
+ * @param {Object} bindings - actionId -> [codes] (keymap) or actionId -> button
+ * @returns {Map} input -> [actionIds]
+ */
+export const findConflicts = (bindings) => {
+  const byInput = new Map();
+  for (const [actionId, bound] of Object.entries(bindings)) {
+    if (!ACTIONS_BY_ID.has(actionId)) continue;
+    const inputs = Array.isArray(bound) ? bound : [bound];
+    for (const input of inputs) {
+      if (input === null || input === undefined) continue;
+      if (!byInput.has(input)) byInput.set(input, []);
+      byInput.get(input).push(actionId);
+    }
+  }
+
+  const conflicts = new Map();
+  for (const [input, actionIds] of byInput) {
+    const clashing = actionIds.filter(a => actionIds.some(b => a !== b &&
+      contextsOverlap(ACTIONS_BY_ID.get(a).context, ACTIONS_BY_ID.get(b).context) &&
+      !isSharedPair(a, b)));
+    if (clashing.length > 0) conflicts.set(input, clashing);
+  }
+  return conflicts;
+};
+
+export class InputMapper {
+  constructor(game = null) {
+    this.game = game;
+
+    this.keymap = getDefaultKeymap();
+    this.gamepadButtons = getDefaultGamepadButtons();
+    this.deadZone = DEFAULT_DEAD_ZONE / 100;
+    this.rebuildLookup();
+
+    // Gamepad state
+    this.gamepadIndex = null;
+    this.buttonsDown = new Set();
+    this.consumedButtons = new Set(); // Held buttons ignored until released (see release)
+    this.axes = { thrust: 0, rotation: 0 };
+    this.lastDevice = 'keyboard';
+
+    // Headless runs always use the default bindings
+    if (!game || !game.headless) {
+      this.loadSavedBindings();
+    }
+  }
+
+  /**
+   * Read stored bindings so the keymap matches the settings screen from the start
+   */
+  loadSavedBindings() {
+    try {
+      const result = loadSettings();
+      if (result && result.settings) {
+        this.applySettings(result.settings);
+      }
+    } catch (error) {
+      console.warn('[InputMapper] Could not load saved key bindings:', error);
+    }
+  }
+
+  /**
+   * Apply binding settings (keymap, gamepadButtons, gamepadDeadZone 0-100)
+   */
+  applySettings(settings) {
+    if (!settings) return;
+
+    if (settings.keymap) {
+      const keymap = getDefaultKeymap();
+      for (const [actionId, codes] of Object.entries(settings.keymap)) {
+        if (!ACTIONS_BY_ID.has(actionId) || !Array.isArray(codes)) continue;
+        keymap[actionId] = codes.filter(code => typeof code === 'string').slice(0, KEYS_PER_ACTION);
+      }
+      this.keymap = keymap;
+    }
+
+    if (settings.gamepadButtons) {
+      const buttons = getDefaultGamepadButtons();
+      for (const [actionId, button] of Object.entries(settings.gamepadButtons)) {
+        if (!ACTIONS_BY_ID.has(actionId)) continue;
+        buttons[actionId] = Number.isInteger(button) ? button : null;
+      }
+      this.gamepadButtons = buttons;
+    }
+
+    if (settings.gamepadDeadZone !== undefined) {
+      this.deadZone = Math.max(0, Math.min(0.9, settings.gamepadDeadZone / 100));
+    }
+
+    this.rebuildLookup();
+  }
+
+  rebuildLookup() {
+    this.actionsByKey = new Map();
+    for (const action of INPUT_ACTIONS) {
+      for (const code of this.keymap[action.id] || []) {
+        if (!this.actionsByKey.has(code)) this.actionsByKey.set(code, []);
+        this.actionsByKey.get(code).push(action.id);
+      }
+    }
+  }
+
+  getAction(actionId) {
+    return ACTIONS_BY_ID.get(actionId) || null;
+  }
+
+  /**
+   * Actions bound to a key code, in dispatch order
+   */
+  getActionsForKey(code) {
+    return this.actionsByKey.get(code) || [];
+  }
+
+  /**
+   * Whether an action's key or gamepad button is currently held
+   */
+  isHeld(actionId) {
+    if (this.isKeyHeld(actionId)) return true;
+
+    const button = this.gamepadButtons[actionId];
+    return button !== null && button !== undefined &&
+      this.buttonsDown.has(button) && !this.consumedButtons.has(button);
+  }
+
+  /**
+   * Whether one of an action's keys is held (analog gamepad input is read from axes)
+   */
+  isKeyHeld(actionId) {
+    const keys = this.game ? this.game.input.keys : null;
+    return !!keys && (this.keymap[actionId] || []).some(code => keys.has(code));
+  }
+
+  /**
+   * Treat an action as released until its inputs are pressed again (one-shot actions)
+   */
+  release(actionId) {
+    if (this.game) {
+      for (const code of this.keymap[actionId] || []) {
+        this.game.input.keys.delete(code);
+      }
+    }
+    const button = this.gamepadButtons[actionId];
+    if (button !== null && button !== undefined && this.buttonsDown.has(button)) {
+      this.consumedButtons.add(button);
+    }
+  }
+
+  /**
+   * Hint label for an action on the last used device ('E' or 'A')
+   */
+  getPromptLabel(actionId) {
+    const button = this.gamepadButtons[actionId];
+    if (this.lastDevice === 'gamepad' && button !== null && button !== undefined) {
+      return getButtonLabel(button);
+    }
+    return getKeyLabel((this.keymap[actionId] || [])[0]);
+  }
+
+  /**
+   * All hint labels for an action on the last used device ('SPACE/L')
+   */
+  getPromptLabels(actionId) {
+    if (this.lastDevice === 'gamepad') return this.getPromptLabel(actionId);
+    const codes = this.keymap[actionId] || [];
+    return codes.length > 0 ? codes.map(getKeyLabel).join('/') : '---';
+  }
+
+  /**
+   * Read the first connected gamepad (call once per frame)
+   * @returns {Object|null} { pressed: [actionIds], released: [actionIds], menuKeys: [codes] }
+   */
+  pollGamepad() {
+    if (typeof navigator === 'undefined' || !navigator.getGamepads) return null;
+
+    const pads = navigator.getGamepads();
+    let pad = this.gamepadIndex !== null ? pads[this.gamepadIndex] : null;
+    if (!pad || !pad.connected) {
+      pad = Array.from(pads).find(candidate => candidate && candidate.connected) || null;
+      this.gamepadIndex = pad ? pad.index : null;
+    }
+
+    if (!pad) {
+      this.buttonsDown.clear();
+      this.consumedButtons.clear();
+      this.axes.thrust = 0;
+      this.axes.rotation = 0;
+      return null;
+    }
+
+    const events = { pressed: [], released: [], menuKeys: [] };
+    const down = new Set();
+    pad.buttons.forEach((button, index) => {
+      if (button.pressed) down.add(index);
+    });
+
+    for (const index of down) {
+      if (this.buttonsDown.has(index)) continue;
+      if (GAMEPAD_MENU_KEYS[index]) events.menuKeys.push(GAMEPAD_MENU_KEYS[index]);
+      for (const action of INPUT_ACTIONS) {
+        if (this.gamepadButtons[action.id] === index) events.pressed.push(action.id);
+      }
+    }
+    for (const index of this.buttonsDown) {
+      if (down.has(index)) continue;
+      this.consumedButtons.delete(index);
+      for (const action of INPUT_ACTIONS) {
+        if (this.gamepadButtons[action.id] === index) events.released.push(action.id);
+      }
+    }
+    this.buttonsDown = down;
+
+    // Left stick: up thrusts, sideways rotates (radial dead zone, rescaled to 0-1)
+    const [stickX = 0, stickY = 0] = pad.axes;
+    const magnitude = Math.sqrt(stickX * stickX + stickY * stickY);
+    const scale = magnitude > this.deadZone ? (magnitude - this.deadZone) / (1 - this.deadZone) / magnitude : 0;
+    const stickThrust = -stickY * scale;
+
+    // Bound thrust buttons are analog on triggers (value 0-1)
+    const buttonValue = (actionId) => {
+      const index = this.gamepadButtons[actionId];
+      const button = index !== null && index !== undefined ? pad.buttons[index] : null;
+      if (!button) return 0;
+      return button.value > this.deadZone ? button.value : (button.pressed ? 1 : 0);
+    };
+    const forward = Math.max(buttonValue('thrustForward'), stickThrust > 0 ? stickThrust : 0);
+    const reverse = Math.max(buttonValue('thrustReverse'), stickThrust < 0 ? -stickThrust : 0);
+    const digitalRotation = buttonValue('rotateRight') - buttonValue('rotateLeft');
+
+    this.axes.thrust = Math.min(1, forward) - Math.min(1, reverse) * 0.5;
+    this.axes.rotation = Math.max(-1, Math.min(1, stickX * scale + digitalRotation));
+
+    if (down.size > 0 || this.axes.thrust !== 0 || this.axes.rotation !== 0) {
+      this.lastDevice = 'gamepad';
+    }
+
+    return events;
+  }
+}
@@ -5,7 +5,7 @@
  * - Proximity detection for interactive objects
  * - Context-aware popup windows with options
  * - Keyboard and mobile touch controls
- * - Actions: Land, Mine, Orbit, Interact, Pick Up, Inspect
+ * - Actions: Land, Mine, Orbit, Interact, Pick Up, Inspect, Hail (DialogueSystem)
  * - OPTIMIZED: Uses spatial partitioning for O(1) lookups instead of O(n²)
  */
 import { SpatialGrid } from './SpatialGrid.js';
@@ -436,6 +436,14 @@ export class InteractionSystem {
    * Handle keyboard input for popup navigation
    */
   handleKeyDown(keyCode) {
+    // An open random event or conversation takes all popup navigation
+    if (this.game.randomEventSystem && this.game.randomEventSystem.isActive()) {
+      return this.game.randomEventSystem.handleKeyDown(keyCode);
+    }
+    if (this.game.dialogueSystem && this.game.dialogueSystem.isActive()) {
+      return this.game.dialogueSystem.handleKeyDown(keyCode);
+    }
+
     if (!this.game.uiState.showPopup || !this.keyboardControlsEnabled) {
       return false;
     }
@@ -507,7 +515,8 @@ export class InteractionSystem {
     // Use the proper landing function from Game.js
     game.performLanding(obj, targetData.x, targetData.y);
 
-    game.showNotification(`Landed on ${obj.name || targetData.type}. Press SPACE or L to launch, C or E to collect resources.`, 'success');
+    const mapper = game.inputMapper;
+    game.showNotification(`Landed on ${obj.name || targetData.type}. Press ${mapper.getPromptLabels('launch')} to launch, ${mapper.getPromptLabels('collect')} to collect resources.`, 'success');
 
     this.closePopup();
   }
@@ -546,6 +555,7 @@ export class InteractionSystem {
     const game = this.game;
 
     // Mark as scanned
+    const firstScan = !obj.scanned;
     obj.scanned = true;
 
     // Reveal additional information
@@ -555,17 +565,23 @@ export class InteractionSystem {
       details: []
     };
 
+    // Science officer skill sets scan depth (0 = sensors only, 3 = full analysis)
+    const scanLevel = game.crewSystem ? game.crewSystem.getScanDetailLevel() : 1;
+
     if (targetData.type === 'planet' || targetData.type === 'moon') {
       scanData.details.push(`Type: ${obj.planetType || obj.type || 'Unknown'}`);
       scanData.details.push(`Radius: ${Math.floor(obj.radius)} km`);
-      scanData.details.push(`Mass: ${(obj.mass || 1000).toFixed(2)} Earth masses`);
 
-      if (obj.atmosphere) {
-        scanData.details.push(`Atmosphere: ${obj.atmosphere}`);
-      }
+      if (scanLevel >= 1) {
+        scanData.details.push(`Mass: ${(obj.mass || 1000).toFixed(2)} Earth masses`);
 
-      if (obj.temperature) {
-        scanData.details.push(`Surface Temp: ${obj.temperature}°C`);
+        if (obj.atmosphere) {
+          scanData.details.push(`Atmosphere: ${obj.atmosphere}`);
+        }
+
+        if (obj.temperature) {
+          scanData.details.push(`Surface Temp: ${obj.temperature}°C`);
+        }
       }
 
       // Discover resources
@@ -575,7 +591,19 @@ export class InteractionSystem {
       }
 
       if (obj.resources && obj.resources.length > 0) {
-        scanData.details.push(`Resources: ${obj.resources.join(', ')}`);
+        // Without a science officer only the primary deposit is identified
+        const shown = scanLevel >= 1 ? obj.resources : obj.resources.slice(0, 1);
+        scanData.details.push(`Resources: ${shown.join(', ')}`);
+      }
+
+      const systemData = game.currentSystemData;
+      if (scanLevel >= 2 && systemData && systemData.resourceRichness !== undefined) {
+        const richness = systemData.resourceRichness;
+        scanData.details.push(`Deposit Yield: ${richness > 0.7 ? 'HIGH' : richness > 0.4 ? 'MODERATE' : 'LOW'}`);
+      }
+
+      if (scanLevel >= 3 && systemData) {
+        scanData.details.push(`Trace Elements: ${systemData.rareElements ? 'Rare isotopes detected' : 'None detected'}`);
       }
 
       // Add to scanned database
@@ -585,6 +613,11 @@ export class InteractionSystem {
 
     game.showNotification(`Scan complete: ${scanData.details.length} data points recorded`, 'success');
 
+    // Survey / salvage contract progress (each object counts once)
+    if (firstScan && game.missionSystem) {
+      game.missionSystem.onObjectScanned(targetData);
+    }
+
     // Update popup to show new info
     this.game.uiState.popupInfo.details = scanData.details;
 
@@ -641,6 +674,16 @@ export class InteractionSystem {
     const game = this.game;
     const player = game.player;
 
+    // Treaty breaches, wars of a sworn faction and low reputation close the docking bay
+    if (game.diplomacySystem) {
+      const permission = game.diplomacySystem.canDock(game.currentSystemIndex);
+      if (!permission.allowed) {
+        game.showNotification(`Docking denied: ${permission.reason}`, 'error');
+        this.closePopup();
+        return;
+      }
+    }
+
     // Stop player movement
     player.vx = 0;
     player.vy = 0;
@@ -652,13 +695,32 @@ export class InteractionSystem {
     // Mark as docked
     player.docked = true;
     player.dockedStation = station;
+    game.events.emit('stationDocked', { station, name: station.name || station.stationType });
 
     // Full repairs and refuel at station
     player.hull = player.maxHull;
     player.shields = player.maxShields;
 
+    // Station medical bay treats injured crew
+    if (game.crewSystem) {
+      game.crewSystem.healAll();
+    }
+
     game.showNotification(`Docked at ${station.name || station.stationType}. Repairs complete.`, 'success');
 
+    // Ironman runs save at every dock
+    if (game.runRulesSystem) {
+      game.runRulesSystem.onKeyEvent('docked');
+    }
+
+    // Station contract board
+    if (game.missionSystem) {
+      const contracts = game.missionSystem.getContractBoard(station);
+      if (contracts.length > 0) {
+        game.showNotification(`${contracts.length} contracts available on the station board`, 'info');
+      }
+    }
+
     // Open trading UI
     game.uiState.showTrading = true;
     game.uiState.selectedStation = station;
@@ -674,29 +736,12 @@ export class InteractionSystem {
   }
 
   actionHail(targetData) {
-    const station = targetData.object;
-    const game = this.game;
-
-    // Get faction info
-    const faction = station.faction || 'Independent';
-    const factionRelation = game.factionSystem ? game.factionSystem.getRelation(faction) : 'neutral';
+    this.closePopup();
 
-    let message = '';
-    switch (factionRelation) {
-      case 'friendly':
-        message = `${station.name || station.stationType}: "Welcome, friend! Docking clearance granted."`;
-        break;
-      case 'hostile':
-        message = `${station.name || station.stationType}: "You are not welcome here! Leave immediately!"`;
-        break;
-      case 'neutral':
-      default:
-        message = `${station.name || station.stationType}: "State your business, traveler."`;
+    // Conversation with station control (DialogueSystem)
+    if (this.game.dialogueSystem) {
+      this.game.dialogueSystem.startConversation({ kind: 'station', station: targetData.object, targetData });
     }
-
-    game.showNotification(message, 'info');
-
-    this.closePopup();
   }
 
   actionPickUp(targetData) {
@@ -708,8 +753,7 @@ export class InteractionSystem {
       if (this.game.artifactSystem) {
         this.game.artifactSystem.collectArtifact(targetData.object);
       }
-
-      this.game.showNotification(`Artifact collected: ${targetData.object.name || 'Unknown'}`, 'success');
+      this.game.events.emit('artifactFound', { artifact: targetData.object, name: targetData.object.name || 'Unknown' });
     }
 
     this.closePopup();
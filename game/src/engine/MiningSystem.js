@@ -179,8 +179,14 @@ export class MiningSystem {
       }
     }
 
+    const asteroid = this.miningTarget;
     this.stopMining();
 
+    this.game.events.emit('asteroidMined', {
+      asteroid,
+      quantity: results.reduce((sum, r) => sum + r.quantity, 0)
+    });
+
     return {
       success: true,
       resources: results,
@@ -193,7 +199,8 @@ export class MiningSystem {
    */
   extractResources(asteroid) {
     const resources = [];
-    const baseYield = 5 + Math.floor(Math.random() * 10); // 5-15 units
+    const yieldMultiplier = this.game.difficultySystem ? this.game.difficultySystem.getMiningYield() : 1;
+    const baseYield = Math.max(1, Math.round((5 + Math.floor(Math.random() * 10)) * yieldMultiplier)); // 5-15 units at normal yield
 
     // Determine resource type based on asteroid size and random chance
     const roll = Math.random();
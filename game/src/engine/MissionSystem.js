@@ -0,0 +1,470 @@
+/**
+ * MissionSystem - Station contract board and active mission log
+ *
+ * Features:
+ * - Procedurally seeded contracts per station (same station + board cycle = same offers)
+ * - Contract types: cargo delivery, bounty, survey, escort, salvage
+ * - Targets are real GalaxyGenerator systems near the issuing station
+ * - Issuing faction comes from FactionSystem; reputation gates and rewards contracts
+ * - Progress driven by existing actions (scans, commodity sales, enemy kills)
+ * - Playtime deadlines with reputation penalties on failure
+ * - serialize()/deserialize() for SaveSystem
+ */
+
+import { SeededRandom } from '../utils/SeededRandom.js';
+import { AlienShip } from './AlienShip.js';
+
+export const MISSION_TYPES = {
+  delivery: { name: 'CARGO DELIVERY', icon: '▣', baseReward: 900, minReputation: 0 },
+  bounty: { name: 'BOUNTY', icon: '✖', baseReward: 1400, minReputation: 20 },
+  survey: { name: 'SURVEY', icon: '◎', baseReward: 700, minReputation: 0 },
+  escort: { name: 'ESCORT', icon: '◆', baseReward: 1800, minReputation: 40 },
+  salvage: { name: 'SALVAGE', icon: '⚙', baseReward: 800, minReputation: 20 }
+};
+
+export class MissionSystem {
+  constructor(game) {
+    this.game = game;
+
+    this.activeMissions = [];
+    this.completedMissionIds = [];
+    this.failedMissionIds = [];
+
+    // Board cache: `${systemIndex}_${stationName}_${cycle}` -> contracts
+    this.boards = new Map();
+
+    this.MAX_ACTIVE = 5;
+    this.BOARD_CYCLE_MS = 10 * 60 * 1000; // Boards refresh every 10 minutes of playtime
+    this.CONTRACTS_PER_BOARD = 4;
+    this.TARGET_RADIUS = 3000; // Galaxy units from issuing system
+  }
+
+  /**
+   * Get the contract board for a station in the current system
+   */
+  getContractBoard(station, systemIndex = this.game.currentSystemIndex) {
+    if (!station) return [];
+
+    const cycle = Math.floor((this.game.playtime || 0) / this.BOARD_CYCLE_MS);
+    const key = `${systemIndex}_${station.name || station.stationType}_${cycle}`;
+
+    if (!this.boards.has(key)) {
+      this.boards.set(key, this.generateBoard(station, systemIndex, cycle));
+    }
+
+    const taken = new Set([
+      ...this.activeMissions.map(m => m.id),
+      ...this.completedMissionIds,
+      ...this.failedMissionIds
+    ]);
+
+    return this.boards.get(key).filter(m => !taken.has(m.id));
+  }
+
+  /**
+   * Generate seeded contracts for a station
+   */
+  generateBoard(station, systemIndex, cycle) {
+    const galaxy = this.game.galaxy || [];
+    const system = galaxy[systemIndex];
+    if (!system) return [];
+
+    const stationName = station.name || station.stationType || 'Station';
+    const rng = new SeededRandom(SeededRandom.deriveSeed(system.seed ?? systemIndex, 'contracts', stationName, cycle));
+    const factionId = this.getSystemFaction(systemIndex);
+
+    const targets = this.getTargetSystems(system);
+    if (targets.length === 0) return [];
+
+    const types = Object.keys(MISSION_TYPES);
+    const contracts = [];
+
+    for (let i = 0; i < this.CONTRACTS_PER_BOARD; i++) {
+      const type = rng.choice(types);
+      const target = rng.choice(targets);
+      const contract = this.createContract(type, target, rng);
+      if (!contract) continue;
+
+      const dx = target.position.x - system.position.x;
+      const dy = target.position.y - system.position.y;
+      const distance = Math.sqrt(dx * dx + dy * dy);
+      const distanceFactor = 1 + distance / this.TARGET_RADIUS;
+      const dangerFactor = 1 + (target.dangerLevel || 0) * 0.1;
+
+      contracts.push({
+        ...contract,
+        id: `m_${systemIndex}_${nameHash}_${cycle}_${i}`,
+        type,
+        status: 'available',
+        factionId,
+        issuerSystemIndex: systemIndex,
+        issuerSystemName: system.name,
+        issuerStation: stationName,
+        targetSystemIndex: target.id,
+        targetSystemName: target.name,
+        progress: 0,
+        baseReward: Math.round(MISSION_TYPES[type].baseReward * distanceFactor * dangerFactor * rng.range(0.85, 1.15)),
+        reputationReward: rng.int(3, 8),
+        reputationPenalty: rng.int(4, 10),
+        minReputation: MISSION_TYPES[type].minReputation,
+        timeLimit: Math.round(rng.range(15, 30)) * 60 * 1000
+      });
+    }
+
+    return contracts;
+  }
+
+  /**
+   * Build the type-specific part of a contract
+   */
+  createContract(type, target, rng) {
+    switch (type) {
+      case 'delivery': {
+        const economy = this.game.economySystem;
+        if (!economy) return null;
+        const legal = Object.entries(economy.commodities).filter(([, c]) => !c.illegal);
+        const [commodityId, commodity] = rng.choice(legal);
+        const required = rng.int(3, 12);
+        return {
+          title: `Deliver ${commodity.name}`,
+          description: `Sell ${required} units of ${commodity.name} at ${target.name}.`,
+          commodityId,
+          required
+        };
+      }
+
+      case 'bounty': {
+        const required = rng.int(2, 5);
+        return {
+          title: `Bounty: ${target.name} raiders`,
+          description: `Destroy ${required} hostile ships in the ${target.name} system.`,
+          required
+        };
+      }
+
+      case 'survey': {
+        const required = rng.int(2, 4);
+        return {
+          title: `Survey ${target.name}`,
+          description: `Scan ${required} planets or moons in the ${target.name} system.`,
+          required
+        };
+      }
+
+      case 'escort': {
+        const required = rng.int(2, 4);
+        return {
+          title: `Escort convoy to ${target.name}`,
+          description: `Meet the convoy at ${target.name} and destroy the ${required} raiders waiting to ambush it.`,
+          required,
+          ambushSpawned: false
+        };
+      }
+
+      case 'salvage': {
+        const required = rng.int(2, 5);
+        return {
+          title: `Salvage survey at ${target.name}`,
+          description: `Scan ${required} asteroids or derelict debris fields in the ${target.name} system.`,
+          required
+        };
+      }
+
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Pick nearby systems as contract targets (excluding the issuing system)
+   */
+  getTargetSystems(system) {
+    const galaxy = this.game.galaxy || [];
+    const nearby = galaxy.filter(s => {
+      if (!s || s.id === system.id || !s.position) return false;
+      const dx = s.position.x - system.position.x;
+      const dy = s.position.y - system.position.y;
+      return Math.sqrt(dx * dx + dy * dy) <= this.TARGET_RADIUS;
+    });
+
+    if (nearby.length > 0) return nearby;
+
+    // Sparse region: fall back to the closest few systems
+    return galaxy
+      .filter(s => s && s.id !== system.id && s.position)
+      .map(s => ({ s, d: Math.hypot(s.position.x - system.position.x, s.position.y - system.position.y) }))
+      .sort((a, b) => a.d - b.d)
+      .slice(0, 5)
+      .map(entry => entry.s);
+  }
+
+  /**
+   * Faction that controls a system
+   */
+  getSystemFaction(systemIndex) {
+    const factionSystem = this.game.factionSystem;
+    if (!factionSystem) return 'independent_worlds';
+    return factionSystem.getSystemFaction(systemIndex, (this.game.galaxy || [])[systemIndex]);
+  }
+
+  /**
+   * Reward after faction trade bonus and rank perks
+   */
+  getReward(mission) {
+    const faction = this.game.factionSystem ? this.game.factionSystem.factions[mission.factionId] : null;
+    const rankBonus = this.game.diplomacySystem ? this.game.diplomacySystem.getMissionBonus(mission.factionId) : 0;
+    const bonus = (faction ? faction.tradeBonus : 0) + rankBonus;
+    return Math.max(50, Math.round(mission.baseReward * (1 + bonus)));
+  }
+
+  /**
+   * Check whether the player may take a contract
+   */
+  canAccept(mission) {
+    const faction = this.game.factionSystem ? this.game.factionSystem.factions[mission.factionId] : null;
+    if (faction && faction.reputation < mission.minReputation) {
+      return { allowed: false, reason: `Requires ${mission.minReputation} reputation with ${faction.name}` };
+    }
+    if (this.activeMissions.length >= this.MAX_ACTIVE) {
+      return { allowed: false, reason: `Mission log full (${this.MAX_ACTIVE} active)` };
+    }
+    return { allowed: true };
+  }
+
+  /**
+   * Accept a contract from a station board
+   */
+  acceptContract(mission) {
+    const check = this.canAccept(mission);
+    if (!check.allowed) {
+      this.game.showNotification(check.reason, 'warning');
+      return false;
+    }
+
+    const active = {
+      ...mission,
+      status: 'active',
+      progress: 0,
+      acceptedAt: this.game.playtime || 0,
+      deadline: (this.game.playtime || 0) + mission.timeLimit
+    };
+
+    this.activeMissions.push(active);
+    this.game.showNotification(`Contract accepted: ${active.title}`, 'success');
+    console.log(`[MissionSystem] Accepted ${active.id} (${active.type} -> ${active.targetSystemName})`);
+    return true;
+  }
+
+  /**
+   * Abandon an active mission (counts as failure)
+   */
+  abandonMission(missionId) {
+    const mission = this.activeMissions.find(m => m.id === missionId);
+    if (!mission) return;
+    this.failMission(mission, 'abandoned');
+  }
+
+  /**
+   * Update deadlines
+   */
+  update(dt) {
+    if (this.activeMissions.length === 0) return;
+
+    const now = this.game.playtime || 0;
+    for (const mission of [...this.activeMissions]) {
+      if (now > mission.deadline) {
+        this.failMission(mission, 'deadline expired');
+      }
+    }
+  }
+
+  /**
+   * Hook: object scanned via InteractionSystem.actionScan
+   */
+  onObjectScanned(targetData) {
+    const systemIndex = this.game.currentSystemIndex;
+
+    for (const mission of this.getActiveInSystem(systemIndex)) {
+      if (mission.type === 'survey' && (targetData.type === 'planet' || targetData.type === 'moon')) {
+        this.advanceMission(mission, 1);
+      } else if (mission.type === 'salvage' && targetData.type === 'asteroid') {
+        this.advanceMission(mission, 1);
+      }
+    }
+  }
+
+  /**
+   * Hook: commodity sold via EconomySystem.sellCommodity
+   */
+  onCommoditySold(commodityId, quantity, systemIndex) {
+    for (const mission of this.getActiveInSystem(systemIndex)) {
+      if (mission.type === 'delivery' && mission.commodityId === commodityId) {
+        this.advanceMission(mission, quantity);
+      }
+    }
+  }
+
+  /**
+   * Hook: enemy ship destroyed (PhysicsEngine)
+   */
+  onEnemyDestroyed(enemy) {
+    const systemIndex = this.game.currentSystemIndex;
+    if (this.game.scene && this.game.scene !== 'system') return;
+
+    for (const mission of this.getActiveInSystem(systemIndex)) {
+      if (mission.type === 'escort' && enemy.missionId === mission.id) {
+        this.advanceMission(mission, 1);
+      } else if (mission.type === 'bounty' && enemy.isHostile && !enemy.missionId && !enemy.civilian) {
+        this.advanceMission(mission, 1);
+      }
+    }
+  }
+
+  /**
+   * Hook: player arrived in a system (called after enemies are spawned)
+   */
+  onSystemEntered(systemIndex) {
+    for (const mission of this.getActiveInSystem(systemIndex)) {
+      if (mission.type === 'escort') {
+        this.spawnAmbush(mission);
+      }
+      this.game.showNotification(`Mission target reached: ${mission.title}`, 'info');
+    }
+  }
+
+  /**
+   * Spawn the raiders for an escort contract
+   */
+  spawnAmbush(mission) {
+    const game = this.game;
+    if (!game.player || !game.enemies || !game.alienRaceSystem) return;
+
+    const alreadyPresent = game.enemies.filter(e => e.missionId === mission.id).length;
+    const remaining = mission.required - mission.progress - alreadyPresent;
+
+    for (let i = 0; i < remaining; i++) {
+      const angle = (i / Math.max(1, remaining)) * Math.PI * 2;
+      const distance = 700 + i * 80;
+      const race = game.alienRaceSystem.getRandomRace();
+      const raider = new AlienShip(
+        i === 0 && mission.required >= 4 ? 'bomber' : 'fighter',
+        game.player.x + Math.cos(angle) * distance,
+        game.player.y + Math.sin(angle) * distance,
+        true,
+        race
+      );
+      raider.missionId = mission.id;
+      game.enemies.push(raider);
+    }
+
+    if (remaining > 0) {
+      mission.ambushSpawned = true;
+      game.showNotification(`Convoy under attack! ${remaining} raiders inbound`, 'warning');
+    }
+  }
+
+  getActiveInSystem(systemIndex) {
+    return this.activeMissions.filter(m => m.status === 'active' && m.targetSystemIndex === systemIndex);
+  }
+
+  /**
+   * Add progress and complete when the objective is met
+   */
+  advanceMission(mission, amount) {
+    mission.progress = Math.min(mission.required, mission.progress + amount);
+
+    if (mission.progress >= mission.required) {
+      this.completeMission(mission);
+    } else {
+      this.game.showNotification(`${mission.title}: ${mission.progress}/${mission.required}`, 'info');
+    }
+  }
+
+  /**
+   * Pay out a finished mission
+   */
+  completeMission(mission) {
+    const game = this.game;
+    const reward = this.getReward(mission);
+
+    mission.status = 'completed';
+    this.activeMissions = this.activeMissions.filter(m => m.id !== mission.id);
+    this.completedMissionIds.push(mission.id);
+
+    if (game.economySystem) {
+      game.economySystem.credits += reward;
+    }
+    if (game.factionSystem) {
+      game.factionSystem.modifyReputation(mission.factionId, mission.reputationReward);
+    }
+    game.events.emit('missionCompleted', { missionId: mission.id, title: mission.title, reward });
+
+    const factionName = game.factionSystem && game.factionSystem.factions[mission.factionId]
+      ? game.factionSystem.factions[mission.factionId].name
+      : 'Issuer';
+    game.showNotification(`Mission complete: ${mission.title} (+${reward.toLocaleString()} CR, +${mission.reputationReward} ${factionName})`, 'success');
+    console.log(`[MissionSystem] Completed ${mission.id}, paid ${reward} CR`);
+
+    if (game.runRulesSystem) {
+      game.runRulesSystem.onKeyEvent('mission complete');
+    }
+  }
+
+  /**
+   * Fail a mission and apply the reputation penalty
+   */
+  failMission(mission, reason) {
+    const game = this.game;
+
+    mission.status = 'failed';
+    this.activeMissions = this.activeMissions.filter(m => m.id !== mission.id);
+    this.failedMissionIds.push(mission.id);
+
+    if (game.factionSystem) {
+      game.factionSystem.modifyReputation(mission.factionId, -mission.reputationPenalty);
+    }
+
+    // Escort raiders stand down and leave once the contract is gone
+    if (game.enemies) {
+      for (let i = game.enemies.length - 1; i >= 0; i--) {
+        const enemy = game.enemies[i];
+        if (enemy.missionId !== mission.id) continue;
+        enemy.isHostile = false;
+        enemy.missionId = null;
+        game.enemies.splice(i, 1);
+      }
+    }
+
+    game.showNotification(`Mission failed (${reason}): ${mission.title}`, 'error');
+    console.log(`[MissionSystem] Failed ${mission.id}: ${reason}`);
+  }
+
+  /**
+   * Remaining time for a mission in milliseconds
+   */
+  getTimeRemaining(mission) {
+    return Math.max(0, mission.deadline - (this.game.playtime || 0));
+  }
+
+  /**
+   * Serialize for saving
+   */
+  serialize() {
+    return {
+      activeMissions: this.activeMissions.map(m => ({ ...m })),
+      completedMissionIds: [...this.completedMissionIds],
+      failedMissionIds: [...this.failedMissionIds]
+    };
+  }
+
+  /**
+   * Deserialize from saved data
+   */
+  deserialize(data) {
+    if (!data) return;
+    this.activeMissions = (data.activeMissions || []).map(m => ({ ...m }));
+    this.completedMissionIds = data.completedMissionIds || [];
+    this.failedMissionIds = data.failedMissionIds || [];
+    this.boards.clear();
+  }
+}
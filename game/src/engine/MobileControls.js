@@ -14,6 +14,8 @@
  * Designed to be small and non-intrusive on mobile screens
  */
 
+import { isPlayerTarget } from './WeaponSystem.js';
+
 export class MobileControls {
   constructor(canvas, game) {
     this.canvas = canvas;
@@ -556,7 +558,7 @@ export class MobileControls {
   }
 
   /**
-   * Target nearest enemy
+   * Target the nearest hostile ship (peaceful traffic is skipped)
    */
   targetNearestEnemy() {
     // Find nearest enemy and set as target
@@ -567,6 +569,7 @@ export class MobileControls {
     let minDist = Infinity;
 
     for (const enemy of this.game.enemies) {
+      if (!isPlayerTarget(enemy)) continue;
       const dx = enemy.x - player.x;
       const dy = enemy.y - player.y;
       const dist = Math.sqrt(dx * dx + dy * dy);
@@ -0,0 +1,400 @@
+/**
+ * OutfittingSystem - Station shipyard for weapons, shield generators and armor plating
+ *
+ * Features:
+ * - Limited hardpoints per ship class (weapon hardpoints, shield and armor slots)
+ * - Seeded station stock (same station = same modules for sale)
+ * - Buy, sell, fit and unfit modules; unfitted modules wait in the module locker
+ * - Fitted modules drive WeaponSystem, ShieldSystem and ArmorSystem
+ * - Module and armor weight feeds InertialMovement.setCargoMass (heavy fits fly worse)
+ * - serialize()/deserialize() for SaveSystem
+ */
+
+import { SeededRandom } from '../utils/SeededRandom.js';
+
+export const SLOT_TYPES = ['weapons', 'shields', 'armor'];
+
+export const SHIP_HARDPOINTS = {
+  scout: { weapons: 2, shields: 1, armor: 1 },
+  explorer: { weapons: 3, shields: 2, armor: 2 },
+  fighter: { weapons: 4, shields: 2, armor: 2 },
+  trader: { weapons: 2, shields: 2, armor: 3 },
+  research: { weapons: 2, shields: 2, armor: 1 },
+  military: { weapons: 5, shields: 2, armor: 4 }
+};
+
+// Base prices (Mk1) and weights in kg. Armor plates carry their own weight (ArmorSystem).
+export const MODULE_CATALOG = {
+  weapons: {
+    plasma_cannon: { price: 1200, weight: 14 },
+    kinetic_cannon: { price: 1000, weight: 18 },
+    laser_beam: { price: 1500, weight: 12 },
+    point_defense: { price: 900, weight: 10 },
+    missile_launcher: { price: 2200, weight: 26 },
+    mine_launcher: { price: 1800, weight: 22 },
+    railgun: { price: 3000, weight: 34 },
+    nuclear_missile: { price: 6000, weight: 40 }
+  },
+  shields: {
+    energy_shield: { price: 1500, weight: 16 },
+    kinetic_barrier: { price: 1600, weight: 22 },
+    regenerative_shield: { price: 3500, weight: 20 },
+    adaptive_shield: { price: 4000, weight: 20 },
+    phase_shield: { price: 5000, weight: 18 }
+  },
+  armor: {
+    composite: { price: 1600 },
+    ablative: { price: 1400 },
+    reactive: { price: 2000 },
+    kinetic_plating: { price: 1800 },
+    energy_diffuser: { price: 1900 },
+    reflective: { price: 2400 },
+    regenerative: { price: 3200 }
+  }
+};
+
+const TIER_PRICE_MULTIPLIERS = { 1: 1, 2: 2.2, 3: 4 };
+const SELL_RATIO = 0.5; // Stations buy modules back at half price
+const LOCKER_CAPACITY = 6; // Unfitted modules kept aboard
+const STOCK_SIZE = 7;
+
+// Default fit for a new ship, trimmed to the class hardpoints
+const STARTER_WEAPONS = ['plasma_cannon', 'kinetic_cannon', 'laser_beam', 'missile_launcher', 'railgun'];
+const STARTER_SHIELDS = ['energy_shield', 'kinetic_barrier'];
+
+/**
+ * Starting loadout for a ship class
+ */
+export const getStarterLoadout = (shipClass) => {
+  const hardpoints = SHIP_HARDPOINTS[shipClass] || SHIP_HARDPOINTS.explorer;
+  return {
+    weapons: STARTER_WEAPONS.slice(0, hardpoints.weapons).map(type => ({ type, tier: 1 })),
+    shields: STARTER_SHIELDS.slice(0, hardpoints.shields).map(type => ({ type, tier: 1 })),
+    armor: []
+  };
+};
+
+export class OutfittingSystem {
+  constructor(game) {
+    this.game = game;
+
+    // Unfitted modules: { slot, type, tier, hp? }
+    this.locker = [];
+
+    // Station stock cache: `${systemIndex}_${stationName}` -> modules for sale
+    this.stock = new Map();
+  }
+
+  /**
+   * Hardpoints of the player's ship class
+   */
+  getHardpoints() {
+    const shipClass = this.game.player ? this.game.player.shipClass : 'explorer';
+    return SHIP_HARDPOINTS[shipClass] || SHIP_HARDPOINTS.explorer;
+  }
+
+  /**
+   * Modules currently fitted in a slot type
+   */
+  getFitted(slot) {
+    const game = this.game;
+    if (slot === 'weapons') return game.weaponSystem ? game.weaponSystem.weapons : [];
+    if (slot === 'shields') return game.shieldSystem ? game.shieldSystem.shields : [];
+    if (slot === 'armor') return game.armorSystem ? game.armorSystem.plates : [];
+    return [];
+  }
+
+  /**
+   * Current loadout as plain data
+   */
+  getLoadout() {
+    return {
+      weapons: this.getFitted('weapons').map(({ type, tier }) => ({ type, tier })),
+      shields: this.getFitted('shields').map(({ type, tier }) => ({ type, tier })),
+      armor: this.getFitted('armor').map(({ type, tier, hp }) => ({ type, tier, hp }))
+    };
+  }
+
+  /**
+   * Rebuild the ship systems from a loadout
+   */
+  applyLoadout(loadout) {
+    const game = this.game;
+    const hardpoints = this.getHardpoints();
+
+    game.weaponSystem.weapons = [];
+    game.weaponSystem.activeWeaponIndex = 0;
+    game.shieldSystem.shields = [];
+    game.shieldSystem.activeShieldIndex = 0;
+    game.armorSystem.plates = [];
+
+    for (const slot of SLOT_TYPES) {
+      (loadout[slot] || []).slice(0, hardpoints[slot]).forEach(module => this.installModule(slot, module));
+    }
+
+    this.refreshShip();
+  }
+
+  /**
+   * Add a module to its ship system (no slot checks)
+   */
+  installModule(slot, { type, tier, hp }) {
+    const game = this.game;
+    if (slot === 'weapons') {
+      game.weaponSystem.addWeapon(type, tier);
+    } else if (slot === 'shields') {
+      game.shieldSystem.addShield(type, tier);
+    } else if (slot === 'armor') {
+      const plate = game.armorSystem.addArmorPlate(type, tier);
+      if (hp !== undefined) {
+        plate.hp = Math.min(plate.maxHp, hp);
+        game.armorSystem.recalculateArmorStats();
+      }
+    }
+  }
+
+  /**
+   * Recalculate player stats that depend on the fit
+   */
+  refreshShip() {
+    const game = this.game;
+    const p = game.player;
+
+    game.shieldSystem.updateTotalStrength();
+    game.armorSystem.recalculateArmorStats();
+
+    // Shield generators scale the class shield capacity, relative to the starting fit
+    const starter = getStarterLoadout(p.shipClass).shields.map(({ type, tier }) => game.shieldSystem.createShield(type, tier));
+    const shields = game.shieldSystem.shields;
+    const sum = (list, key) => list.reduce((total, shield) => total + shield[key], 0);
+
+    p.maxShields = Math.round(p.baseMaxShields * sum(shields, 'maxStrength') / Math.max(1, sum(starter, 'maxStrength')));
+    p.shieldRecharge = p.baseShieldRecharge * sum(shields, 'rechargeRate') / Math.max(1, sum(starter, 'rechargeRate'));
+    p.shields = Math.min(p.shields, p.maxShields);
+
+    if (game.weaponSystem.activeWeaponIndex >= game.weaponSystem.weapons.length) {
+      game.weaponSystem.activeWeaponIndex = 0;
+    }
+
+    if (game.inertialSystem) {
+      game.inertialSystem.setCargoMass(this.getFitWeight());
+    }
+  }
+
+  /**
+   * Weight of a module in kg
+   */
+  getModuleWeight(slot, module) {
+    if (slot === 'armor') {
+      return module.weight ?? this.game.armorSystem.createArmorPlate(module.type, module.tier).weight;
+    }
+    const entry = MODULE_CATALOG[slot][module.type];
+    return entry ? Math.round(entry.weight * (1 + (module.tier - 1) * 0.25)) : 0;
+  }
+
+  /**
+   * Total weight of fitted modules in kg
+   */
+  getFitWeight() {
+    return SLOT_TYPES.reduce((total, slot) => (
+      total + this.getFitted(slot).reduce((sum, module) => sum + this.getModuleWeight(slot, module), 0)
+    ), 0);
+  }
+
+  /**
+   * Station price of a module (new)
+   */
+  getPrice(slot, type, tier) {
+    const entry = MODULE_CATALOG[slot] && MODULE_CATALOG[slot][type];
+    if (!entry) return 0;
+    return Math.round(entry.price * (TIER_PRICE_MULTIPLIERS[tier] || 1));
+  }
+
+  /**
+   * What the station pays for a module (damaged armor is worth less)
+   */
+  getSellPrice(slot, module) {
+    let condition = 1;
+    if (slot === 'armor' && module.maxHp) {
+      condition = module.hp / module.maxHp;
+    } else if (slot === 'armor' && module.hp !== undefined) {
+      condition = module.hp / this.game.armorSystem.createArmorPlate(module.type, module.tier).maxHp;
+    }
+    return Math.round(this.getPrice(slot, module.type, module.tier) * SELL_RATIO * condition);
+  }
+
+  /**
+   * Display name of a module (uses the owning system's naming)
+   */
+  getModuleName(slot, { type, tier }) {
+    const game = this.game;
+    if (slot === 'weapons') return game.weaponSystem.createWeapon(type, tier).name;
+    if (slot === 'shields') return game.shieldSystem.createShield(type, tier).name;
+    return game.armorSystem.createArmorPlate(type, tier).name;
+  }
+
+  /**
+   * Whether outfitting is available (docked at a station)
+   */
+  canOutfit() {
+    const game = this.game;
+    return !!(game.player && game.player.docked && game.uiState && game.uiState.selectedStation);
+  }
+
+  /**
+   * Modules for sale at a station in the current system
+   */
+  getStationStock(station, systemIndex = this.game.currentSystemIndex) {
+    if (!station) return [];
+
+    const stationName = station.name || station.stationType || 'Station';
+    const key = `${systemIndex}_${stationName}`;
+    if (!this.stock.has(key)) {
+      this.stock.set(key, this.generateStock(stationName, systemIndex));
+    }
+    return this.stock.get(key);
+  }
+
+  /**
+   * Generate seeded station stock. Dangerous systems carry better military hardware.
+   */
+  generateStock(stationName, systemIndex) {
+    const system = (this.game.galaxy || [])[systemIndex];
+    const seed = system ? (system.seed ?? systemIndex) : systemIndex;
+    const rng = new SeededRandom(SeededRandom.deriveSeed(seed, 'outfitting', stationName));
+    const maxTier = Math.min(3, 1 + Math.floor(((system && system.dangerLevel) || 1) / 2));
+
+    const stock = [];
+    for (let i = 0; i < STOCK_SIZE; i++) {
+      // Every station has at least one of each slot type
+      const slot = i < SLOT_TYPES.length ? SLOT_TYPES[i] : rng.choice(SLOT_TYPES);
+      const type = rng.choice(Object.keys(MODULE_CATALOG[slot]));
+      const tier = rng.int(1, maxTier);
+      if (stock.some(item => item.slot === slot && item.type === type && item.tier === tier)) continue;
+
+      stock.push({
+        id: `${slot}_${type}_${tier}`,
+        slot,
+        type,
+        tier,
+        price: this.getPrice(slot, type, tier)
+      });
+    }
+
+    return stock;
+  }
+
+  /**
+   * Buy a module from station stock. It is fitted if a slot is free, otherwise stored.
+   */
+  buyModule(item) {
+    const economy = this.game.economySystem;
+    if (!this.canOutfit()) {
+      return { success: false, message: 'Dock at a station to buy modules' };
+    }
+    if (economy.credits < item.price) {
+      return { success: false, message: 'Insufficient credits' };
+    }
+
+    const slotFree = this.getFitted(item.slot).length < this.getHardpoints()[item.slot];
+    if (!slotFree && this.locker.length >= LOCKER_CAPACITY) {
+      return { success: false, message: 'No free hardpoint and module locker full' };
+    }
+
+    economy.credits -= item.price;
+    const module = { slot: item.slot, type: item.type, tier: item.tier };
+    if (slotFree) {
+      this.installModule(item.slot, module);
+      this.refreshShip();
+    } else {
+      this.locker.push(module);
+    }
+
+    const name = this.getModuleName(item.slot, item);
+    console.log(`[OutfittingSystem] Bought ${name} for ${item.price} CR (${slotFree ? 'fitted' : 'stored'})`);
+    return { success: true, message: `${name} ${slotFree ? 'fitted' : 'moved to module locker'}` };
+  }
+
+  /**
+   * Move a fitted module to the module locker
+   */
+  unfitModule(slot, index) {
+    const fitted = this.getFitted(slot);
+    const module = fitted[index];
+    if (!module) return { success: false, message: 'No module in that slot' };
+    if (!this.canOutfit()) return { success: false, message: 'Dock at a station to refit' };
+    if (this.locker.length >= LOCKER_CAPACITY) return { success: false, message: 'Module locker full' };
+
+    fitted.splice(index, 1);
+    this.locker.push({ slot, type: module.type, tier: module.tier, ...(slot === 'armor' ? { hp: module.hp } : {}) });
+    this.refreshShip();
+    return { success: true, message: `${module.name} unfitted` };
+  }
+
+  /**
+   * Fit a module from the module locker
+   */
+  fitModule(lockerIndex) {
+    const module = this.locker[lockerIndex];
+    if (!module) return { success: false, message: 'No module in locker' };
+    if (!this.canOutfit()) return { success: false, message: 'Dock at a station to refit' };
+    if (this.getFitted(module.slot).length >= this.getHardpoints()[module.slot]) {
+      return { success: false, message: 'No free hardpoint' };
+    }
+
+    this.locker.splice(lockerIndex, 1);
+    this.installModule(module.slot, module);
+    this.refreshShip();
+    return { success: true, message: `${this.getModuleName(module.slot, module)} fitted` };
+  }
+
+  /**
+   * Sell a fitted module (source 'fitted') or a locker module (source 'locker')
+   */
+  sellModule(source, slot, index) {
+    if (!this.canOutfit()) return { success: false, message: 'Dock at a station to sell modules' };
+
+    const list = source === 'locker' ? this.locker : this.getFitted(slot);
+    const module = list[index];
+    if (!module) return { success: false, message: 'Module not found' };
+
+    const moduleSlot = source === 'locker' ? module.slot : slot;
+    const price = this.getSellPrice(moduleSlot, module);
+    const name = this.getModuleName(moduleSlot, module);
+
+    list.splice(index, 1);
+    this.game.economySystem.credits += price;
+    if (source !== 'locker') this.refreshShip();
+
+    console.log(`[OutfittingSystem] Sold ${name} for ${price} CR`);
+    return { success: true, message: `Sold ${name} for ${price} CR` };
+  }
+
+  /**
+   * Show a result object as a notification
+   */
+  notify(result) {
+    this.game.showNotification(result.message, result.success ? 'success' : 'warning');
+    return result.success;
+  }
+
+  /**
+   * Serialize for saving
+   */
+  serialize() {
+    return {
+      loadout: this.getLoadout(),
+      locker: JSON.parse(JSON.stringify(this.locker))
+    };
+  }
+
+  /**
+   * Deserialize from saved data (saves from before outfitting fly the class starter loadout)
+   */
+  deserialize(data) {
+    data = data || {};
+    this.locker = JSON.parse(JSON.stringify(data.locker || []));
+    const shipClass = this.game.player ? this.game.player.shipClass : 'explorer';
+    this.applyLoadout(data.loadout || getStarterLoadout(shipClass));
+  }
+}
@@ -7,6 +7,8 @@ import { getSystemSize } from './ScaleSystem.js';
 import { ThrusterEffects } from './ThrusterEffects.js';
 import { updateProjectile } from './WeaponSystem.js';
 
+const DEATH_DELAY = 2.0; // Seconds between the player's explosion and the respawn or game over
+
 export class PhysicsEngine {
   constructor(game) {
     this.game = game;
@@ -51,26 +53,31 @@ export class PhysicsEngine {
 
     // Handle landed state (surface operations)
     if (p.landed) {
-      // Launch with Space key
-      if (this.game.input.keys.has('Space') || this.game.input.keys.has('KeyL')) {
+      const mapper = this.game.inputMapper;
+
+      // Launch (Space / L)
+      if (mapper.isHeld('launch')) {
         this.game.launchFromSurface();
       }
 
-      // Collect resources with C or E key
-      if (this.game.input.keys.has('KeyC') || this.game.input.keys.has('KeyE')) {
+      // Collect resources (C / E)
+      if (mapper.isHeld('collect')) {
         this.game.collectSurfaceResources();
-        // Remove key to prevent repeated collection
-        this.game.input.keys.delete('KeyC');
-        this.game.input.keys.delete('KeyE');
+        // Release the inputs to prevent repeated collection
+        mapper.release('collect');
       }
 
       // Skip normal movement physics when landed
       return;
     }
 
+    // Crew pilot handling (set by CrewSystem) and fitted module weight (set by OutfittingSystem)
+    const inertial = this.game.inertialSystem;
+    const handling = inertial ? inertial.handlingModifier * inertial.getMassModifier() : 1.0;
+
     // Rotation with momentum (RCS thruster effects now handled by ThrusterEffects system)
     if (this.game.input.rotation !== 0) {
-      p.rotationVel += this.game.input.rotation * 10 * dt;
+      p.rotationVel += this.game.input.rotation * 10 * dt * handling;
 
       // PERFORMANCE: Legacy RCS particles disabled - using ThrusterEffects system instead
       // (Old code removed to eliminate duplicate particle generation)
@@ -109,12 +116,13 @@ export class PhysicsEngine {
 
     // Forward thrust (main engine)
     if (this.game.input.thrust > 0 && p.fuel > 0 && p.power > 5) {
-      const force = this.game.input.thrust * 300;
+      const force = this.game.input.thrust * 300 * handling;
       p.vx += Math.cos(p.rotation) * force * dt;
       p.vy += Math.sin(p.rotation) * force * dt;
       // REALISTIC MECHANICS: Fuel consumption scales with ship mass
-      const massFactor = (p.mass || 100) / 100; // Normalized to base mass
-      p.fuel -= Math.abs(this.game.input.thrust) * 12 * dt * massFactor;
+      const massFactor = (inertial ? inertial.getEffectiveMass() : (p.mass || 100)) / 100; // Normalized to base mass
+      const hazardFuel = p.hazardEffects ? p.hazardEffects.fuelMultiplier : 1.0; // Escaping gravity wells
+      p.fuel -= Math.abs(this.game.input.thrust) * 12 * dt * massFactor * hazardFuel;
       p.power -= Math.abs(this.game.input.thrust) * 2.5 * dt;
 
       // FIXED: Set thrust on player object so ThrusterEffects can see it
@@ -460,6 +468,7 @@ export class PhysicsEngine {
         const tidalInfo = this.game.advancedPhysics.calculateTidalForces(p, gravityInfo.closestBody);
         if (tidalInfo.isDestroying) {
           p.hull -= 50 * dt; // Ship being torn apart!
+          p.lastDamageSource = 'tidal forces';
         }
         this.game.tidalWarning = tidalInfo.warningLevel;
       }
@@ -595,26 +604,58 @@ export class PhysicsEngine {
       p.vy = 0;
     }
 
+    // Environmental hazards (radiation, ion storms, nebulae, gravity wells)
+    const hazards = this.game.scene === 'system' ? this.game.environmentalHazards : null;
+    if (hazards && !p.docked) {
+      hazards.update(dt);
+      hazards.applyPlayerEffects(dt);
+    } else {
+      p.hazardEffects = null;
+      if (this.game.shieldSystem) this.game.shieldSystem.setDisruption(0);
+    }
+
     // Systems
     p.power = Math.min(p.power + p.powerRegen * dt, p.maxPower);
 
     // REALISTIC MECHANICS: Shield regeneration slower when heavily damaged
     if (p.shields < p.maxShields && !p.shieldActive) {
       const shieldPercent = p.shields / p.maxShields;
-      // Slower regen when shields below 30% (damaged systems)
-      const regenMultiplier = shieldPercent < 0.3 ? 0.5 : 1.0;
+      // Slower regen when shields below 30% (damaged systems), stalled by ion storms
+      const disruption = this.game.shieldSystem ? this.game.shieldSystem.getRechargeMultiplier() : 1.0;
+      const regenMultiplier = (shieldPercent < 0.3 ? 0.5 : 1.0) * disruption;
       p.shields = Math.min(p.shields + p.shieldRecharge * dt * regenMultiplier, p.maxShields);
     }
 
     p.damageFlash *= 0.85;
 
-    // Enemy AI and physics
+    // Encounter pacing (fights, ambushes, contacts), then civilian traffic, before the AI plans this frame
+    if (this.game.encounterDirector) {
+      this.game.encounterDirector.update(dt);
+    }
+    if (this.game.trafficSystem) {
+      this.game.trafficSystem.update(dt);
+    }
+
+    // Difficulty profile: player modifiers and ships spawned under another profile
+    if (this.game.difficultySystem) {
+      this.game.difficultySystem.update();
+    }
+
+    // Enemy AI and physics (squads are planned first: leaders, focus targets, reinforcements)
+    if (this.game.shipAI) {
+      this.game.shipAI.update(dt);
+    }
     for (let i = this.game.enemies.length - 1; i >= 0; i--) {
       const enemy = this.game.enemies[i];
 
+      // Hazards affect AI ships too (AlienShip reads enemy.hazardEffects)
+      if (hazards) {
+        hazards.applyShipEffects(enemy, dt);
+      }
+
       // Update using AlienShip class (all enemies should be AlienShip instances)
       if (enemy.update) {
-        enemy.update(dt, p, this.game.enemies, this.game.projectiles);
+        enemy.update(dt, p, this.game.enemies, this.game.projectiles, this.game.shipAI);
       } else {
         // SAFETY: Minimal fallback for any non-AlienShip enemies
         console.warn('[PhysicsEngine] Enemy without update method detected - skipping AI');
@@ -626,18 +667,54 @@ export class PhysicsEngine {
 
       // Remove dead enemies
       if (enemy.isDead || enemy.hp <= 0) {
-        this.game.createExplosion(enemy.x, enemy.y, enemy.size || 30);
+        // Ships lost to hazards are neither credited to nor held against the player
+        const byPlayer = !!enemy.lastDamagedByPlayer;
+
+        // Explosion, statistics and achievements subscribe to the event
+        this.game.events.emit('shipDestroyed', {
+          ship: enemy,
+          type: enemy.type,
+          civilian: !!enemy.civilian,
+          byPlayer,
+          difficulty: this.game.difficulty,
+          x: enemy.x,
+          y: enemy.y,
+          size: enemy.size || 30
+        });
         this.game.enemies.splice(i, 1);
+        // Surrendered ships were credited when they yielded (DialogueSystem)
+        if (!byPlayer || enemy.surrendered) continue;
+
         p.kills++;
         p.score += enemy.scoreValue || 100;
 
-        // Track statistics
-        if (this.game.statistics) {
-          this.game.statistics.enemiesDestroyed++;
+        // Bounty / escort contract progress
+        if (this.game.missionSystem) {
+          this.game.missionSystem.onEnemyDestroyed(enemy);
+        }
+
+        // Destroying neutral ships breaks non-aggression pacts
+        if (this.game.diplomacySystem) {
+          this.game.diplomacySystem.onEnemyDestroyed(enemy);
+        }
+
+        // Killing civilians costs standing and alerts the local patrols
+        if (this.game.trafficSystem) {
+          this.game.trafficSystem.onShipDestroyed(enemy);
+        }
+
+        // Clearing raiders supports the faction that owns the system
+        if (this.game.factionSystem && !enemy.civilian) {
+          this.game.factionSystem.recordPlayerAction('kill', this.game.currentSystemIndex);
         }
       }
     }
 
+    // Achievement conditions on statistics and derived values
+    if (this.game.achievementSystem) {
+      this.game.achievementSystem.update(dt);
+    }
+
     // PERFORMANCE: Update thruster effects system
     if (this.game.thrusterEffects) {
       this.game.thrusterEffects.update(dt, this.game.particles);
@@ -748,10 +825,8 @@ export class PhysicsEngine {
           const hitRadiusSq = hitRadius * hitRadius;
 
           if (distSq < hitRadiusSq) {
-            // Track hit statistics
-            if (this.game.statistics && proj.owner === 'player') {
-              this.game.statistics.shotsHit++;
-              this.game.statistics.damageDealt += proj.damage || 0;
+            if (proj.owner === 'player') {
+              this.game.events.emit('projectileHit', { target: enemy, damage: proj.damage || 0 });
             }
 
             // Check if projectile is explosive (e.g., nuclear missile)
@@ -776,10 +851,11 @@ export class PhysicsEngine {
               break; // Break from enemy loop
             } else {
               // Non-explosive projectiles: apply direct damage
+              enemy.lastDamagedByPlayer = true;
               if (enemy.takeDamage) {
                 enemy.takeDamage(proj.damage);
                 if (enemy.shields > 0) {
-                  this.game.createShieldImpact(enemy.x, enemy.y);
+                  this.game.createShieldImpact(enemy.x, enemy.y, enemy);
                 } else {
                   this.game.createHitSparks(proj.x, proj.y);
                 }
@@ -787,7 +863,7 @@ export class PhysicsEngine {
                 // Fallback for old enemy format
                 if (enemy.shields > 0) {
                   enemy.shields -= proj.damage * 0.5;
-                  this.game.createShieldImpact(enemy.x, enemy.y);
+                  this.game.createShieldImpact(enemy.x, enemy.y, enemy);
                 } else {
                   enemy.hp -= proj.damage;
                   enemy.damageFlash = 1;
@@ -957,37 +1033,28 @@ export class PhysicsEngine {
             this.game.createShieldImpact(p.x, p.y);
           } else if (p.shields > 10) {
             // Apply difficulty modifier to damage
-            const difficultyDamageMultipliers = {
-              'story': 0.5,
-              'explorer': 0.7,
-              'adventurer': 1.0,
-              'veteran': 1.3,
-              'hardcore': 1.6,
-              'nightmare': 2.0,
-            };
-            const damageMult = difficultyDamageMultipliers[this.game.gameConfig.difficulty] || 1.0;
+            const damageMult = this.game.difficultySystem ? this.game.difficultySystem.get('incomingDamage') : 1.0;
             const modifiedDamage = proj.damage * damageMult;
 
             p.shields -= modifiedDamage * 0.7;
             this.game.createShieldImpact(p.x, p.y);
           } else {
             // Apply difficulty modifier to damage
-            const difficultyDamageMultipliers = {
-              'story': 0.5,
-              'explorer': 0.7,
-              'adventurer': 1.0,
-              'veteran': 1.3,
-              'hardcore': 1.6,
-              'nightmare': 2.0,
-            };
-            const damageMult = difficultyDamageMultipliers[this.game.gameConfig.difficulty] || 1.0;
-            const modifiedDamage = proj.damage * damageMult;
+            const damageMult = this.game.difficultySystem ? this.game.difficultySystem.get('incomingDamage') : 1.0;
+            let modifiedDamage = proj.damage * damageMult;
+
+            // Fitted armor plates absorb part of the hit before the hull
+            if (this.game.armorSystem) {
+              modifiedDamage = this.game.armorSystem.processDamage(modifiedDamage, proj.damageType || 'plasma', proj.armorPenetration ?? 0.5);
+            }
 
             // HUD UI OVERHAUL: Apply damage to ship sections
             if (this.game.shipDamageSystem) {
               this.game.shipDamageSystem.applyDamage(modifiedDamage);
             }
             p.hull -= modifiedDamage;
+            p.lastDamageSource = proj.source ? `fire from the ${proj.source}` : 'enemy fire';
+            this.game.events.emit('playerDamaged', { amount: modifiedDamage, source: p.lastDamageSource });
             p.damageFlash = 1;
             this.game.createHitSparks(proj.x, proj.y);
           }
@@ -1017,11 +1084,51 @@ export class PhysicsEngine {
       this.game.weaponSystem.update(dt);
     }
 
+    // Armor - regenerative plates and reactive charges
+    if (this.game.armorSystem) {
+      this.game.armorSystem.update(dt);
+    }
+
     // HUD UI OVERHAUL: Update ship damage system (repairs, performance modifiers)
     if (this.game.shipDamageSystem) {
       this.game.shipDamageSystem.update(dt);
     }
 
+    // Sound loops (thrusters, mining, warp phases, music)
+    if (this.game.audioSystem) {
+      this.game.audioSystem.update(dt);
+    }
+
+    // Crew recovery and role modifiers
+    if (this.game.crewSystem) {
+      this.game.crewSystem.update(dt);
+    }
+
+    // Mission deadlines
+    if (this.game.missionSystem) {
+      this.game.missionSystem.update(dt);
+    }
+
+    // Derelicts, distress calls, flares and other random events
+    if (this.game.randomEventSystem) {
+      this.game.randomEventSystem.update(dt);
+    }
+
+    // Market supply recovery, demand drift and price history
+    if (this.game.economySystem) {
+      this.game.economySystem.update(dt);
+    }
+
+    // Faction wars, border changes and expansion
+    if (this.game.factionSystem) {
+      this.game.factionSystem.update(dt);
+    }
+
+    // Treaty expiry
+    if (this.game.diplomacySystem) {
+      this.game.diplomacySystem.update(dt);
+    }
+
     // Legacy weapon cooldowns (for old system if still needed)
     for (const weapon of p.weapons) {
       if (weapon.cooldown > 0) {
@@ -1031,13 +1138,20 @@ export class PhysicsEngine {
 
     // Fire weapon using WeaponSystem
     if (this.game.input.fire && this.game.weaponSystem) {
-      const fired = this.game.weaponSystem.fire(p, p.rotation, this.game.projectiles, this.game.enemies);
+      // Ion storms make weapons misfire (shot lost, cooldown still spent)
+      const interference = p.hazardEffects ? p.hazardEffects.weaponInterference : 0;
+      const readyWeapon = this.game.weaponSystem.getActiveWeapon();
+      let fired = false;
+      if (interference > 0 && readyWeapon && readyWeapon.cooldown <= 0 && Math.random() < interference) {
+        readyWeapon.cooldown = readyWeapon.maxCooldown;
+        this.game.createHitSparks(p.x + Math.cos(p.rotation) * 25, p.y + Math.sin(p.rotation) * 25);
+      } else {
+        fired = this.game.weaponSystem.fire(p, p.rotation, this.game.projectiles, this.game.enemies);
+      }
 
       if (fired) {
-        // Track shot statistics
-        if (this.game.statistics) {
-          this.game.statistics.shotsFired++;
-        }
+        const weapon = this.game.weaponSystem.getActiveWeapon();
+        this.game.events.emit('weaponFired', { weapon: weapon ? weapon.type : null });
 
         this.game.camera.shake = 0.25;
 
@@ -1100,6 +1214,7 @@ export class PhysicsEngine {
       // Apply radiation damage if shields are down
       if (p.radiationLevel > 20 && p.shields <= 0) {
         p.hull -= (p.radiationLevel - 20) * 0.01 * dt;
+        p.lastDamageSource = 'stellar radiation';
       }
 
       // Radiation increases heat even with shields
@@ -1166,10 +1281,9 @@ export class PhysicsEngine {
           const newSystem = this.game.galaxy[enteredSystemIndex];
 
           // Mark system as discovered
-          if (!newSystem.discovered) {
-            newSystem.discovered = true;
-            this.game.showNotification(`Discovered: ${newSystem.name}`, 'success');
-          }
+          const firstVisit = !newSystem.discovered;
+          newSystem.discovered = true;
+          this.game.events.emit('systemEntered', { systemIndex: enteredSystemIndex, name: newSystem.name, firstVisit });
 
           // Calculate entry angle from interstellar position
           const dx = this.game.interstellarPlayerX - newSystem.position.x;
@@ -1212,21 +1326,31 @@ export class PhysicsEngine {
     // Check player death (only trigger once)
     if (p.hull <= 0 && !p.isDying) {
       p.isDying = true;
+      p.deathTimer = DEATH_DELAY;
       this.game.createExplosion(p.x, p.y, 50);
 
-      // PERMADEATH MODE: Game over on death (no respawn)
-      if (this.game.gameConfig.permadeath) {
-        setTimeout(() => {
+      // PERMADEATH MODE: Game over on death (no respawn) - the run goes to the Hall of the Fallen
+      if (this.game.gameConfig.permadeath && this.game.runRulesSystem) {
+        this.game.runRulesSystem.onPlayerDeath();
+      }
+    }
+
+    // Respawn (or game over) once the explosion has played out - counted in simulation
+    // time so the headless sim and replays see it too
+    if (p.isDying && p.deathTimer > 0) {
+      p.deathTimer -= dt;
+      if (p.deathTimer <= 0) {
+        // Deaths count once the ship is gone for good (respawn or game over)
+        this.game.events.emit('playerDestroyed', {
+          cause: p.lastDamageSource || 'unknown causes',
+          permadeath: !!this.game.gameConfig.permadeath
+        });
+        if (this.game.gameConfig.permadeath) {
           this.game.gameOver = true;
-          this.game.statistics.deaths++;
           console.log('[Game] PERMADEATH: Game Over');
-        }, 2000);
-      } else {
-        // Normal mode: respawn after delay
-        setTimeout(() => {
+        } else {
           this.game.resetGame();
-          this.game.statistics.deaths++;
-        }, 2000);
+        }
       }
     }
   }
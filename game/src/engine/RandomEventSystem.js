@@ -0,0 +1,393 @@
+/**
+ * RandomEventSystem - Random events while travelling and inside star systems
+ *
+ * Features:
+ * - Data-driven events (RandomEvents.js): derelicts, distress calls, solar flares,
+ *   cargo pods, stowaways, anomalies and merchant convoys
+ * - Frequency follows the randomEvents world setting (off disables events)
+ * - Seeded from the galaxy seed: the same game rolls the same events and outcomes
+ * - Choices gated by credits, cargo and crew; gambles improve with crew skill
+ * - Outcomes touch credits, cargo, race and faction reputation, crew and hull,
+ *   and can start an encounter (EncounterDirector)
+ * - Event panel with keyboard (1-9, arrows, Enter), gamepad and mouse control
+ * - serialize()/deserialize() for SaveSystem
+ */
+import { SeededRandom } from '../utils/SeededRandom.js';
+import { RANDOM_EVENTS } from './RandomEvents.js';
+import { CREW_ROLES } from './CrewSystem.js';
+import { getWorldSetting } from './EncounterDirector.js';
+import { GAME_CONDITIONS } from './GameConditions.js';
+
+const BASE_INTERVAL = 240; // Mean seconds between events at the normal setting
+const MIN_INTERVAL = 60;
+const RETRY_DELAY = 10; // Busy (combat, menus, jumps): try again shortly
+const SAFE_RANGE = 2500; // No events while hostiles are this close
+const SKILL_BONUS = 0.3; // Chance added by a fully effective crew member
+const MAX_HISTORY = 20;
+
+export class RandomEventSystem {
+  constructor(game) {
+    this.game = game;
+    this.rng = game && game.rng ? game.rng.fork('randomEvents') : new SeededRandom(0);
+    this.timer = this.rollInterval();
+    this.active = null; // { eventId, raceId, stage: 'choice'|'result', result, summary: [{ text, loss }] }
+    this.selectedIndex = 0;
+
+    // Saved event state
+    this.history = []; // { eventId, choice, success, time } newest first
+    this.counts = {}; // eventId -> times seen
+  }
+
+  getFrequency() {
+    return getWorldSetting(this.game.gameConfig, 'randomEvents');
+  }
+
+  rollInterval() {
+    const frequency = Math.max(0.25, this.getFrequency());
+    return Math.max(MIN_INTERVAL, BASE_INTERVAL / frequency * this.rng.range(0.5, 1.5));
+  }
+
+  isActive() {
+    return this.active !== null;
+  }
+
+  /**
+   * Count down to the next event (PhysicsEngine)
+   */
+  update(dt) {
+    const game = this.game;
+    const p = game.player;
+    if (this.active || this.getFrequency() <= 0) return;
+    if (!p || p.isDying || p.landed || (game.scene !== 'system' && game.scene !== 'interstellar')) return;
+
+    this.timer -= dt;
+    if (this.timer > 0) return;
+
+    if (this.isBusy()) {
+      this.timer = RETRY_DELAY;
+      return;
+    }
+    this.timer = this.rollInterval();
+
+    const eventId = this.pickEvent();
+    if (eventId) this.trigger(eventId);
+  }
+
+  /**
+   * Events wait for a calm moment
+   */
+  isBusy() {
+    const game = this.game;
+    const p = game.player;
+    if (game.systemLoading || game.sceneTransitionCooldown > 0) return true;
+    if (game.dialogueSystem && game.dialogueSystem.isActive()) return true;
+    if (game.scene !== 'system') return false;
+    return (game.enemies || []).some(ship =>
+      ship.isHostile && !ship.surrendered && Math.hypot(ship.x - p.x, ship.y - p.y) < SAFE_RANGE);
+  }
+
+  pickEvent() {
+    const game = this.game;
+    const danger = game.currentSystemData ? game.currentSystemData.dangerLevel || 0 : 0;
+    const candidates = Object.entries(RANDOM_EVENTS).filter(([, event]) =>
+      event.scenes.includes(game.scene) && (game.scene !== 'system' || danger >= (event.minDanger || 0)));
+    return this.rng.pickWeighted(Object.fromEntries(candidates.map(([eventId, event]) => [eventId, event.weight])));
+  }
+
+  /**
+   * Start an event and open the event panel
+   */
+  trigger(eventId) {
+    const game = this.game;
+    if (!RANDOM_EVENTS[eventId] || this.active) return false;
+
+    const races = game.alienRaceSystem ? Object.keys(game.alienRaceSystem.races) : [];
+    this.active = {
+      eventId,
+      raceId: this.rng.choice(races),
+      stage: 'choice',
+      result: '',
+      summary: []
+    };
+    this.selectedIndex = 0;
+    this.counts[eventId] = (this.counts[eventId] || 0) + 1;
+
+    game.uiState.showEvent = true;
+    game.updatePauseState();
+    console.log(`[RandomEventSystem] ${eventId} (${game.scene})`);
+    return true;
+  }
+
+  getEvent() {
+    return this.active ? RANDOM_EVENTS[this.active.eventId] : null;
+  }
+
+  getText() {
+    const event = this.getEvent();
+    if (!event) return '';
+    return this.format(this.active.stage === 'result' ? this.active.result : event.text);
+  }
+
+  /**
+   * Choices whose conditions hold (a single Continue once the outcome is shown)
+   * @returns {Array<{choice: Object, text: string}>}
+   */
+  getOptions() {
+    const event = this.getEvent();
+    if (!event) return [];
+    if (this.active.stage === 'result') return [{ choice: null, text: 'Continue' }];
+
+    return event.choices
+      .filter(choice => this.checkConditions(choice.when))
+      .map(choice => ({ choice, text: this.format(choice.text) }));
+  }
+
+  checkConditions(when) {
+    if (!when) return true;
+    return Object.entries(when).every(([key, value]) => {
+      const check = GAME_CONDITIONS[key];
+      if (!check) {
+        console.warn(`[RandomEventSystem] Unknown condition: ${key}`);
+        return false;
+      }
+      return check(value, this.game);
+    });
+  }
+
+  /**
+   * Success chance of a gamble, with the crew skill bonus
+   */
+  getChance(choice) {
+    if (choice.chance === undefined) return 1;
+    const skill = choice.skill && this.game.crewSystem ? this.game.crewSystem.getEffectiveness(choice.skill) : 0;
+    return Math.min(0.95, choice.chance + skill * SKILL_BONUS);
+  }
+
+  /**
+   * Pick a choice: roll gambles, apply the outcomes and show the result
+   */
+  choose(index) {
+    const option = this.getOptions()[index];
+    if (!option) return false;
+    if (!option.choice) {
+      this.end();
+      return true;
+    }
+
+    const { choice } = option;
+    let branch = choice;
+    let success = true;
+    if (choice.chance !== undefined) {
+      success = this.rng.next() < this.getChance(choice);
+      branch = success ? choice.success : choice.failure;
+    }
+
+    this.active.stage = 'result';
+    this.active.result = branch.result || '';
+    this.active.summary = (branch.outcomes || []).map(outcome => this.applyOutcome(outcome)).filter(Boolean);
+    this.selectedIndex = 0;
+
+    this.history.unshift({ eventId: this.active.eventId, choice: option.text, success, time: this.game.playtime || 0 });
+    this.history.length = Math.min(this.history.length, MAX_HISTORY);
+
+    this.game.events.emit('randomEventResolved', { eventId: this.history[0].eventId, success });
+    return true;
+  }
+
+  roll(value) {
+    return Array.isArray(value) ? this.rng.int(value[0], value[1]) : value;
+  }
+
+  /**
+   * Apply one outcome
+   * @returns {{text: string, loss: boolean}|null} Summary line for the event panel
+   */
+  applyOutcome(outcome) {
+    const game = this.game;
+    const economy = game.economySystem;
+    const p = game.player;
+
+    switch (outcome.type) {
+      case 'credits': {
+        const amount = this.roll(outcome.amount);
+        const change = Math.max(-economy.credits, amount);
+        economy.credits += change;
+        return { text: `${change >= 0 ? '+' : ''}${change.toLocaleString()} CR`, loss: change < 0 };
+      }
+
+      case 'cargo': {
+        const quantity = this.roll(outcome.quantity);
+        const commodityId = this.resolveCommodity(outcome.commodity);
+        const commodity = commodityId ? economy.commodities[commodityId] : null;
+        if (!commodity) return null;
+
+        if (quantity < 0) {
+          const removed = economy.removeCargo(commodityId, -quantity);
+          return removed > 0 ? { text: `-${removed} ${commodity.name}`, loss: true } : null;
+        }
+        const fits = Math.min(quantity, Math.floor(economy.getCargoSpaceRemaining() / commodity.volume));
+        if (fits <= 0) return { text: 'Cargo hold full', loss: true };
+        economy.addCargo(commodityId, fits, 0);
+        return { text: `+${fits} ${commodity.name}`, loss: false };
+      }
+
+      case 'reputation': {
+        const amount = this.roll(outcome.amount);
+        if (outcome.target === 'race') {
+          if (!game.alienRaceSystem || !this.active.raceId) return null;
+          game.alienRaceSystem.modifyReputation(this.active.raceId, amount);
+          return { text: `${game.alienRaceSystem.getRace(this.active.raceId).name} standing ${amount >= 0 ? '+' : ''}${amount}`, loss: amount < 0 };
+        }
+        const owner = this.getOwner();
+        if (!owner) return null;
+        game.factionSystem.modifyReputation(owner, amount);
+        return { text: `${game.factionSystem.factions[owner].name} standing ${amount >= 0 ? '+' : ''}${amount}`, loss: amount < 0 };
+      }
+
+      case 'crew': {
+        const crew = game.crewSystem;
+        if (!crew) return null;
+        const living = Object.keys(crew.crew).filter(role => crew.crew[role].status !== 'dead');
+        const role = outcome.role === 'random' ? this.rng.choice(living) : outcome.role;
+        if (!role || !crew.crew[role]) return null;
+        crew.injureMember(role, this.roll(outcome.injury));
+        return { text: `${CREW_ROLES[role].name} injured`, loss: true };
+      }
+
+      case 'recruit': {
+        if (!game.crewSystem) return null;
+        const member = game.crewSystem.recruit({ seed: this.rng.int(1, 999999) });
+        return { text: `${member.name} joins the crew`, loss: false };
+      }
+
+      case 'hull': {
+        const amount = this.roll(outcome.amount);
+        const before = p.hull;
+        p.hull = Math.max(1, Math.min(p.maxHull, p.hull + amount)); // Events never destroy the ship
+        return { text: `Hull ${p.hull >= before ? '+' : ''}${Math.round(p.hull - before)}`, loss: p.hull < before };
+      }
+
+      case 'shields': {
+        const amount = this.roll(outcome.amount);
+        p.shields = Math.max(0, Math.min(p.maxShields, p.shields + amount));
+        return { text: amount < 0 ? 'Shields drained' : 'Shields restored', loss: amount < 0 };
+      }
+
+      case 'trade': {
+        if (!game.dialogueSystem) return null;
+        const result = game.dialogueSystem.trade(outcome);
+        return { text: result.message, loss: !result.success };
+      }
+
+      case 'encounter': {
+        if (game.scene !== 'system' || !game.encounterDirector) return null;
+        game.encounterDirector.startEncounter(outcome.kind);
+        return { text: 'Contacts on sensors!', loss: true };
+      }
+
+      default:
+        console.warn(`[RandomEventSystem] Unknown outcome: ${outcome.type}`);
+        return null;
+    }
+  }
+
+  /**
+   * Commodity id from an outcome: an id, a list to pick from, or 'any' held cargo
+   */
+  resolveCommodity(commodity) {
+    if (commodity === 'any') {
+      const held = this.game.economySystem.cargo.filter(item => item.quantity > 0);
+      const item = this.rng.choice(held);
+      return item ? item.commodityId : null;
+    }
+    return Array.isArray(commodity) ? this.rng.choice(commodity) : commodity;
+  }
+
+  getOwner() {
+    const game = this.game;
+    if (game.scene !== 'system' || !game.factionSystem) return null;
+    return game.factionSystem.getSystemOwner(game.currentSystemIndex);
+  }
+
+  /**
+   * Fill text placeholders ({race}, {faction}, {system})
+   */
+  format(text) {
+    const game = this.game;
+    const race = this.active && this.active.raceId && game.alienRaceSystem ? game.alienRaceSystem.getRace(this.active.raceId) : null;
+    const owner = this.getOwner();
+    const values = {
+      race: race ? race.name : 'alien',
+      faction: owner ? game.factionSystem.factions[owner].name : 'local',
+      system: game.scene === 'system' && game.currentSystemData ? game.currentSystemData.name : 'deep space'
+    };
+    return text.replace(/\{(\w+)\}/g, (match, key) => (key in values ? values[key] : match));
+  }
+
+  /**
+   * Keyboard and gamepad input while the event panel is open (via InteractionSystem.handleKeyDown)
+   * @returns {boolean} Whether the key was consumed
+   */
+  handleKeyDown(code) {
+    if (!this.active) return false;
+    const count = this.getOptions().length;
+
+    if (code.startsWith('Digit')) {
+      this.choose(parseInt(code.slice(5), 10) - 1);
+      return true;
+    }
+
+    switch (code) {
+      case 'ArrowUp':
+      case 'KeyW':
+        this.selectedIndex = Math.max(0, this.selectedIndex - 1);
+        return true;
+      case 'ArrowDown':
+      case 'KeyS':
+        this.selectedIndex = Math.min(count - 1, this.selectedIndex + 1);
+        return true;
+      case 'Enter':
+      case 'Space':
+        this.choose(this.selectedIndex);
+        return true;
+      case 'Escape':
+        // The event needs an answer; Esc only closes the outcome
+        if (this.active.stage === 'result') this.end();
+        return true;
+      default:
+        return true;
+    }
+  }
+
+  end() {
+    if (!this.active) return;
+    this.active = null;
+    this.game.uiState.showEvent = false;
+    this.game.updatePauseState();
+  }
+
+  /**
+   * Serialize for saving
+   */
+  serialize() {
+    const { a, b, c, d } = this.rng;
+    return {
+      rng: { a, b, c, d },
+      timer: this.timer,
+      history: JSON.parse(JSON.stringify(this.history)),
+      counts: { ...this.counts }
+    };
+  }
+
+  /**
+   * Deserialize from saved data (older saves keep the fresh event stream)
+   */
+  deserialize(data) {
+    data = data || {};
+    this.end();
+    if (data.rng) Object.assign(this.rng, data.rng);
+    if (typeof data.timer === 'number') this.timer = data.timer;
+    this.history = JSON.parse(JSON.stringify(data.history || []));
+    this.counts = { ...(data.counts || {}) };
+  }
+}
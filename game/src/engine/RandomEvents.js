@@ -0,0 +1,227 @@
+/**
+ * RandomEvents - Event definitions for travel and in-system random events (RandomEventSystem)
+ *
+ * Event:   { name, scenes: ['system'|'interstellar'], weight, minDanger, text, choices }
+ * Choice:  { text, when, outcomes, result }
+ *          or a gamble: { text, when, chance, skill, success: { outcomes, result }, failure: { outcomes, result } }
+ *          (skill: crew role whose effectiveness adds up to +0.3 to the chance)
+ * when:    credits, cargo (commodity id or true for any), cargoSpace, crew (role)
+ * outcome: { type: 'credits', amount }            { type: 'cargo', commodity, quantity }
+ *          { type: 'reputation', target: 'race'|'faction', amount }
+ *          { type: 'crew', role, injury }  (role 'random' for anyone aboard)
+ *          { type: 'recruit' }             { type: 'hull', amount }  { type: 'shields', amount }
+ *          { type: 'trade', buy|sell, quantity, priceFactor }
+ *          { type: 'encounter', kind: 'ambush'|'fight'|'contact' }  (in-system only)
+ * Amounts and quantities are a number or a [min, max] range rolled when applied;
+ * commodity may be a list to pick from. Negative cargo quantities take goods away.
+ * Text placeholders: {race} {faction} {system}
+ */
+
+export const RANDOM_EVENTS = {
+  derelict_ship: {
+    name: 'Derelict Ship',
+    scenes: ['system', 'interstellar'],
+    weight: 3,
+    text: 'Sensors pick up a freighter of the {race} drifting without power. No life signs, but the cargo bay reads intact.',
+    choices: [
+      {
+        text: 'Send a salvage team aboard',
+        chance: 0.65,
+        skill: 'engineer',
+        success: {
+          result: 'The team cuts into the hold and hauls out everything that is not bolted down.',
+          outcomes: [{ type: 'cargo', commodity: ['metals', 'machinery', 'electronics'], quantity: [3, 8] }, { type: 'credits', amount: [100, 400] }]
+        },
+        failure: {
+          result: 'The reactor was not as dead as it looked. The blast rocks the ship and injures the boarding party.',
+          outcomes: [{ type: 'hull', amount: -15 }, { type: 'crew', role: 'engineer', injury: 30 }]
+        }
+      },
+      {
+        text: 'Scan it from a safe distance',
+        when: { crew: 'scientist' },
+        result: 'The logs show where it was headed. The {race} are grateful to learn what became of their crew.',
+        outcomes: [{ type: 'reputation', target: 'race', amount: 5 }, { type: 'credits', amount: 150 }]
+      },
+      { text: 'Leave it be', result: 'You log the coordinates and fly on.', outcomes: [] }
+    ]
+  },
+
+  distress_call: {
+    name: 'Distress Call',
+    scenes: ['system'],
+    weight: 3,
+    text: 'A weak distress signal on {race} frequencies: "Life support failing... anyone... please respond!"',
+    choices: [
+      {
+        text: 'Answer the call',
+        chance: 0.7,
+        success: {
+          result: 'You find a crippled shuttle and patch its life support. The {race} will not forget this.',
+          outcomes: [{ type: 'reputation', target: 'race', amount: 10 }, { type: 'credits', amount: [200, 500] }]
+        },
+        failure: {
+          result: 'It was a trap. Raiders power up around the empty shuttle!',
+          outcomes: [{ type: 'encounter', kind: 'ambush' }]
+        }
+      },
+      {
+        text: 'Send medical supplies by drone',
+        when: { cargo: 'medicine' },
+        result: 'The drone delivers the medicine. A grateful voice thanks you over the comm.',
+        outcomes: [{ type: 'cargo', commodity: 'medicine', quantity: -3 }, { type: 'reputation', target: 'race', amount: 8 }, { type: 'reputation', target: 'faction', amount: 3 }]
+      },
+      {
+        text: 'Ignore it',
+        result: 'The signal fades behind you. Word gets around.',
+        outcomes: [{ type: 'reputation', target: 'race', amount: -3 }]
+      }
+    ]
+  },
+
+  solar_flare: {
+    name: 'Solar Flare',
+    scenes: ['system'],
+    weight: 2,
+    minDanger: 2,
+    text: 'The star erupts. A wall of charged particles will wash over the ship in seconds.',
+    choices: [
+      {
+        text: 'Divert all power to shields',
+        result: 'The shields buckle but hold. The hull takes some of the heat.',
+        outcomes: [{ type: 'shields', amount: -1000 }, { type: 'hull', amount: -8 }]
+      },
+      {
+        text: 'Outrun the front',
+        chance: 0.5,
+        skill: 'pilot',
+        success: { result: 'You burn hard and slip out of the flare\'s path.', outcomes: [] },
+        failure: {
+          result: 'Too slow. The flare fries the outer systems and the bridge crew takes a beating.',
+          outcomes: [{ type: 'hull', amount: -25 }, { type: 'crew', role: 'pilot', injury: 25 }]
+        }
+      }
+    ]
+  },
+
+  cargo_pods: {
+    name: 'Cargo Pod Field',
+    scenes: ['system', 'interstellar'],
+    weight: 3,
+    text: 'Jettisoned cargo pods tumble across your course, the remains of some hauler\'s bad day.',
+    choices: [
+      {
+        text: 'Scoop them up',
+        when: { cargoSpace: 5 },
+        chance: 0.8,
+        skill: 'pilot',
+        success: {
+          result: 'The pods are sealed and full.',
+          outcomes: [{ type: 'cargo', commodity: ['food', 'water', 'luxuries', 'fuel_cells'], quantity: [4, 10] }]
+        },
+        failure: {
+          result: 'A pod breaks open against the hull. Whatever was inside is now scratching the paint.',
+          outcomes: [{ type: 'hull', amount: -10 }]
+        }
+      },
+      {
+        text: 'Report them to the system authorities',
+        result: 'The owner posts a finder\'s fee.',
+        outcomes: [{ type: 'credits', amount: [100, 250] }, { type: 'reputation', target: 'faction', amount: 2 }]
+      },
+      { text: 'Steer around them', result: 'Not your cargo, not your problem.', outcomes: [] }
+    ]
+  },
+
+  stowaway: {
+    name: 'Stowaway',
+    scenes: ['system', 'interstellar'],
+    weight: 2,
+    text: 'A half-starved stowaway from the {race} crawls out of the cargo bay. They beg to join your crew.',
+    choices: [
+      {
+        text: 'Sign them on',
+        result: 'They turn out to be handy with a spanner. Welcome aboard.',
+        outcomes: [{ type: 'recruit' }, { type: 'reputation', target: 'race', amount: 3 }]
+      },
+      {
+        text: 'Hand them over at the next station',
+        result: 'The authorities pay a small reward for the stowaway.',
+        outcomes: [{ type: 'credits', amount: 100 }, { type: 'reputation', target: 'race', amount: -5 }]
+      },
+      {
+        text: 'Search the hold first',
+        chance: 0.5,
+        success: { result: 'Nothing missing. They really were just hungry.', outcomes: [{ type: 'recruit' }] },
+        failure: {
+          result: 'Some of your cargo went missing, and so has the stowaway.',
+          outcomes: [{ type: 'cargo', commodity: 'any', quantity: -5 }]
+        }
+      }
+    ]
+  },
+
+  anomaly: {
+    name: 'Scientific Anomaly',
+    scenes: ['system', 'interstellar'],
+    weight: 2,
+    text: 'A shimmering distortion hangs in space. Instruments disagree about what it is, or whether it is there at all.',
+    choices: [
+      {
+        text: 'Run a full sensor sweep',
+        when: { crew: 'scientist' },
+        chance: 0.75,
+        skill: 'scientist',
+        success: {
+          result: 'The data is priceless. Research institutes will pay well for it.',
+          outcomes: [{ type: 'credits', amount: [400, 900] }]
+        },
+        failure: {
+          result: 'The sweep feeds back through the sensor array. The science station sparks and smokes.',
+          outcomes: [{ type: 'crew', role: 'scientist', injury: 35 }]
+        }
+      },
+      {
+        text: 'Fly through it',
+        chance: 0.35,
+        success: {
+          result: 'You emerge with traces of exotic matter clinging to the hull.',
+          outcomes: [{ type: 'cargo', commodity: 'exotic_matter', quantity: [1, 3] }]
+        },
+        failure: {
+          result: 'Space folds around the ship. Everyone aboard is shaken, and the hull groans.',
+          outcomes: [{ type: 'hull', amount: -20 }, { type: 'crew', role: 'random', injury: 20 }]
+        }
+      },
+      { text: 'Keep your distance', result: 'Some mysteries are best left alone.', outcomes: [] }
+    ]
+  },
+
+  merchant_convoy: {
+    name: 'Merchant Convoy',
+    scenes: ['system', 'interstellar'],
+    weight: 2,
+    text: 'A merchant convoy of the {race} hails you: "Trading on the move, Captain. Fair prices, no station fees."',
+    choices: [
+      {
+        text: 'Buy 5 fuel cells',
+        when: { credits: 100, cargoSpace: 5 },
+        result: 'The convoy transfers the goods.',
+        outcomes: [{ type: 'trade', buy: 'fuel_cells', quantity: 5, priceFactor: 0.8 }]
+      },
+      {
+        text: 'Buy 5 luxuries',
+        when: { credits: 200, cargoSpace: 5 },
+        result: 'The convoy transfers the goods.',
+        outcomes: [{ type: 'trade', buy: 'luxuries', quantity: 5, priceFactor: 0.85 }]
+      },
+      {
+        text: 'Sell them 5 food',
+        when: { cargo: 'food' },
+        result: 'The convoy quartermaster pays on the spot.',
+        outcomes: [{ type: 'trade', sell: 'food', quantity: 5, priceFactor: 1.25 }, { type: 'reputation', target: 'race', amount: 2 }]
+      },
+      { text: 'No thanks', result: 'The convoy moves on.', outcomes: [] }
+    ]
+  }
+};
@@ -0,0 +1,518 @@
+/**
+ * ReplaySystem - Input recording and deterministic replay of play sessions
+ *
+ * Features:
+ * - Records seed, gameConfig, a start snapshot and the per-frame timestep/input stream
+ * - Math.random is seeded during recorded updates, so playback draws the same numbers
+ * - Compact replay files: input is only stored on frames where it changed
+ * - Per-frame state checksums: playback reports the first frame where state diverges
+ * - Playback through Game.processInput / PhysicsEngine.update (Game.update) with pause,
+ *   stepping and scrubbing to checkpoints taken while playing
+ *
+ * Not recorded: mouse clicks on canvas UI (their hit areas come from rendering).
+ * Recording restarts after every star system load (the new system is the new start).
+ */
+import { AlienShip } from './AlienShip.js';
+import { SeededRandom } from '../utils/SeededRandom.js';
+
+export const REPLAY_FORMAT = 1;
+
+const MAX_RECORDED_FRAMES = 60 * 60 * 30; // ~30 minutes at 60fps, then recording restarts
+const CHECKPOINT_INTERVAL = 300; // Frames between playback checkpoints (~5s)
+
+// Held input flags, stored as a bitmask
+const INPUT_FLAGS = ['fire', 'warp', 'brake', 'shield', 'mining'];
+
+// Game state restored in place (numbers, strings and booleans, recursively).
+// asteroidBelts share their asteroid objects with the flattened asteroids list.
+const STATE_FIELDS = [
+  'player', 'camera', 'statistics', 'star', 'planets', 'stations', 'asteroids', 'comets',
+  'weaponSystem', 'shieldSystem', 'armorSystem', 'inertialSystem', 'shipDamageSystem', 'environmentalHazards',
+  'trafficSystem', 'encounterDirector', 'randomEventSystem', 'difficultySystem', 'dialogueSystem'
+];
+
+// Visual effects: their particle caps decide whether effects draw random numbers
+const EFFECT_FIELDS = ['particles', 'explosions', 'shockwaves'];
+const ENHANCED_EFFECT_FIELDS = ['particles', 'shieldEffects', 'explosions', 'debrisParticles', 'weaponEffects'];
+
+// Actions with effects outside the simulation (saves, files) are not replayed
+const UNREPLAYED_ACTIONS = new Set(['quickSave', 'quickLoad', 'saveScreen', 'loadScreen', 'exportReplay']);
+
+// References to other objects and shape data generated with the star system, never copied
+const SKIP_KEYS = new Set(['game', 'ship', 'weaponSystem', 'sprite', 'canvas', 'image', 'vertices', 'trailPixels']);
+
+/**
+ * Plain copy of the simulation values of an object (references and functions dropped)
+ */
+const captureValues = (value, depth = 0) => {
+  if (value === null || typeof value !== 'object') {
+    return typeof value === 'function' ? undefined : value;
+  }
+  if (depth > 6) return undefined;
+  if (Array.isArray(value)) {
+    return value.map(item => {
+      const copy = captureValues(item, depth + 1);
+      return copy === undefined ? null : copy;
+    });
+  }
+  // Only plain data and class instances; skip Maps, Sets, canvases and other host objects
+  if (value instanceof Map || value instanceof Set || (typeof value.getContext === 'function')) return undefined;
+
+  const copy = {};
+  for (const [key, item] of Object.entries(value)) {
+    if (SKIP_KEYS.has(key)) continue;
+    const itemCopy = captureValues(item, depth + 1);
+    if (itemCopy !== undefined) copy[key] = itemCopy;
+  }
+  return copy;
+};
+
+/**
+ * Write captured values back into an existing object (keeps references and prototypes)
+ */
+const restoreValues = (target, values) => {
+  if (Array.isArray(values)) {
+    if (!Array.isArray(target)) return;
+    target.length = Math.min(target.length, values.length);
+    values.forEach((item, index) => {
+      if (item !== null && typeof item === 'object' && target[index] && typeof target[index] === 'object') {
+        restoreValues(target[index], item);
+      } else {
+        target[index] = item !== null && typeof item === 'object' ? JSON.parse(JSON.stringify(item)) : item;
+      }
+    });
+    return;
+  }
+
+  for (const [key, item] of Object.entries(values)) {
+    if (item !== null && typeof item === 'object' && target[key] && typeof target[key] === 'object' && !Object.isFrozen(target[key])) {
+      restoreValues(target[key], item);
+    } else {
+      target[key] = item !== null && typeof item === 'object' ? JSON.parse(JSON.stringify(item)) : item;
+    }
+  }
+};
+
+/**
+ * Snapshot of the simulation state (JSON-safe)
+ */
+export const captureState = (game) => {
+  const state = {
+    time: game.time,
+    playtime: game.playtime,
+    scene: game.scene,
+    currentSystemIndex: game.currentSystemIndex,
+    sceneTransitionCooldown: game.sceneTransitionCooldown,
+    interactionUpdateCounter: game._interactionUpdateCounter || 0,
+    credits: game.economySystem ? game.economySystem.credits : game.credits,
+    marketTimer: game.economySystem ? game.economySystem.marketTimer : 0,
+    enemies: captureValues(game.enemies || []),
+    projectiles: captureValues(game.projectiles || []),
+    crew: game.crewSystem ? game.crewSystem.serialize() : null,
+    effects: {},
+    // Background meteors respawn at random positions
+    meteors: game.spaceEnvironmentRenderer ? captureValues(game.spaceEnvironmentRenderer.meteors) : null
+  };
+  for (const field of EFFECT_FIELDS) {
+    state.effects[field] = captureValues(game[field] || []);
+  }
+  if (game.enhancedEffectsSystem) {
+    state.enhancedEffects = {};
+    for (const field of ENHANCED_EFFECT_FIELDS) {
+      state.enhancedEffects[field] = captureValues(game.enhancedEffectsSystem[field]);
+    }
+  }
+  for (const field of STATE_FIELDS) {
+    if (game[field]) state[field] = captureValues(game[field]);
+  }
+  return JSON.parse(JSON.stringify(state));
+};
+
+/**
+ * Restore a captureState snapshot into a game in the same star system
+ */
+export const restoreState = (game, state) => {
+  game.time = state.time;
+  game.playtime = state.playtime;
+  game.scene = state.scene;
+  game.sceneTransitionCooldown = state.sceneTransitionCooldown;
+  game._interactionUpdateCounter = state.interactionUpdateCounter;
+  if (game.economySystem) {
+    game.economySystem.credits = state.credits;
+    game.economySystem.marketTimer = state.marketTimer;
+  }
+
+  // Crew first: deserialize pushes crew modifiers into the ship systems restored below
+  if (game.crewSystem && state.crew) game.crewSystem.deserialize(state.crew);
+  for (const field of STATE_FIELDS) {
+    if (state[field] && game[field]) restoreValues(game[field], state[field]);
+  }
+
+  game.enemies = state.enemies.map(data => {
+    const enemy = Object.create(AlienShip.prototype);
+    restoreValues(enemy, data);
+    return enemy;
+  });
+  game.projectiles = JSON.parse(JSON.stringify(state.projectiles));
+  if (game.spaceEnvironmentRenderer && state.meteors) restoreValues(game.spaceEnvironmentRenderer.meteors, state.meteors);
+
+  for (const field of EFFECT_FIELDS) {
+    game[field] = JSON.parse(JSON.stringify(state.effects[field]));
+  }
+  if (game.enhancedEffectsSystem && state.enhancedEffects) {
+    for (const field of ENHANCED_EFFECT_FIELDS) {
+      game.enhancedEffectsSystem[field] = JSON.parse(JSON.stringify(state.enhancedEffects[field]));
+    }
+  }
+};
+
+/**
+ * Drop running visual effects (keeps the recorded start state small)
+ */
+const clearEffects = (game) => {
+  for (const field of EFFECT_FIELDS) game[field] = [];
+  if (game.enhancedEffectsSystem) {
+    for (const field of ENHANCED_EFFECT_FIELDS) game.enhancedEffectsSystem[field] = [];
+  }
+};
+
+/**
+ * FNV-1a hash of the state that matters for divergence (player, enemies, projectiles)
+ */
+export const stateChecksum = (game) => {
+  const p = game.player;
+  const values = [
+    game.time, p.x, p.y, p.vx, p.vy, p.rotation, p.hull, p.shields, p.fuel, p.power,
+    (game.projectiles || []).length
+  ];
+  for (const enemy of game.enemies || []) {
+    values.push(enemy.x, enemy.y, enemy.hp);
+  }
+
+  const json = JSON.stringify(values);
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < json.length; i++) {
+    hash ^= json.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return hash.toString(36);
+};
+
+/**
+ * Current input state (what Game.update reads)
+ */
+const captureInput = (game) => {
+  const input = game.input;
+  const mapper = game.inputMapper;
+  let flags = 0;
+  INPUT_FLAGS.forEach((flag, bit) => {
+    if (input[flag]) flags |= 1 << bit;
+  });
+
+  const frameInput = { k: [...input.keys].sort(), f: flags };
+  if (mapper && (mapper.axes.thrust || mapper.axes.rotation)) frameInput.a = [mapper.axes.thrust, mapper.axes.rotation];
+  if (mapper && mapper.buttonsDown.size > 0) frameInput.b = [...mapper.buttonsDown].filter(b => !mapper.consumedButtons.has(b));
+  if (input.touch.active) frameInput.t = [input.touch.startX, input.touch.startY, input.touch.currentX, input.touch.currentY];
+  return frameInput;
+};
+
+const applyInput = (game, frameInput) => {
+  const input = game.input;
+  const mapper = game.inputMapper;
+  input.keys = new Set(frameInput.k);
+  INPUT_FLAGS.forEach((flag, bit) => {
+    input[flag] = (frameInput.f & (1 << bit)) !== 0;
+  });
+
+  mapper.axes.thrust = frameInput.a ? frameInput.a[0] : 0;
+  mapper.axes.rotation = frameInput.a ? frameInput.a[1] : 0;
+  mapper.buttonsDown = new Set(frameInput.b || []);
+  mapper.consumedButtons = new Set();
+
+  input.touch.active = Boolean(frameInput.t);
+  if (frameInput.t) {
+    [input.touch.startX, input.touch.startY, input.touch.currentX, input.touch.currentY] = frameInput.t;
+  }
+};
+
+/**
+ * Run fn with Math.random drawing from rng
+ */
+const withRandom = (rng, fn) => {
+  const original = Math.random;
+  Math.random = () => rng.next();
+  try {
+    return fn();
+  } finally {
+    Math.random = original;
+  }
+};
+
+export class ReplayRecorder {
+  /**
+   * @param {Game} game - Game to record
+   * @param {Object} options - { randomSeed } (default: derived from the game seed, star system and
+   *   recording count)
+   */
+  constructor(game, options = {}) {
+    this.game = game;
+    this.randomSeed = options.randomSeed ?? null;
+    this.recording = false;
+    this.replay = null;
+    this.rng = null;
+    // Recordings started so far - every recording draws a fresh random stream
+    this.recordings = 0;
+
+    this.lastInputKey = null;
+    this.pendingEvents = [];
+    this.recordedSystem = null;
+  }
+
+  /**
+   * Start a new recording from the current state
+   */
+  start() {
+    const game = this.game;
+    // Same seed, same recording: the wall clock only goes into createdAt. The
+    // recording count keeps revisits and rollovers from repeating the last stream
+    const randomSeed = SeededRandom.deriveSeed(this.randomSeed ?? game.seed, 'replay',
+      game.currentSystemIndex, this.recordings++);
+    clearEffects(game);
+
+    this.replay = {
+      format: REPLAY_FORMAT,
+      version: game.VERSION || '0.2.0',
+      createdAt: Date.now(),
+      seed: game.seed,
+      gameConfig: { ...game.gameConfig },
+      randomSeed,
+      start: captureState(game),
+      frames: [],
+      checksums: []
+    };
+    this.rng = new SeededRandom(randomSeed).fork('replay');
+    this.lastInputKey = null;
+    this.pendingEvents = [];
+    this.recordedSystem = game.currentSystemIndex;
+    this.recording = true;
+  }
+
+  stop() {
+    this.recording = false;
+  }
+
+  /**
+   * Note a discrete input between frames (applied before the next update)
+   * @param {string} type - 'action' (InputMapper action) or 'popup' (popup navigation key)
+   */
+  recordEvent(type, value) {
+    if (!this.recording || (type === 'action' && UNREPLAYED_ACTIONS.has(value))) return;
+    this.pendingEvents.push([type, value]);
+  }
+
+  /**
+   * Run one recorded frame: store the timestep and input, update, store the checksum
+   */
+  update(dt) {
+    const game = this.game;
+
+    // System loads are asynchronous - start over once the new system is in place
+    if (game.systemLoading) {
+      game.update(dt);
+      this.pendingEvents = [];
+      this.recordedSystem = null;
+      return;
+    }
+    if (!this.recording || this.recordedSystem !== game.currentSystemIndex ||
+        this.replay.frames.length >= MAX_RECORDED_FRAMES) {
+      this.start();
+    }
+
+    const frameInput = captureInput(game);
+    const inputKey = JSON.stringify(frameInput);
+    const frame = [dt];
+    if (inputKey !== this.lastInputKey || this.pendingEvents.length > 0) {
+      frame.push(inputKey !== this.lastInputKey ? frameInput : 0);
+      this.lastInputKey = inputKey;
+    }
+    if (this.pendingEvents.length > 0) {
+      frame.push(this.pendingEvents);
+      this.pendingEvents = [];
+    }
+    this.replay.frames.push(frame);
+
+    withRandom(this.rng, () => game.update(dt));
+    this.replay.checksums.push(stateChecksum(game));
+  }
+
+  /**
+   * The recording as a replay file (JSON text)
+   */
+  exportReplay() {
+    if (!this.replay) return null;
+    return JSON.stringify(this.replay);
+  }
+}
+
+export class ReplayPlayer {
+  /**
+   * @param {Game} game - Game to drive (usually headless, same seed and gameConfig)
+   * @param {Object|string} replay - Replay file contents
+   */
+  constructor(game, replay) {
+    this.game = game;
+    this.replay = typeof replay === 'string' ? JSON.parse(replay) : replay;
+    if (!this.replay || this.replay.format !== REPLAY_FORMAT) {
+      throw new Error(`Unsupported replay format: ${this.replay ? this.replay.format : 'none'}`);
+    }
+
+    this.frame = 0;
+    this.paused = false;
+    this.input = null;
+    this.rng = null;
+    this.checkpoints = [];
+    this.mismatch = null;
+  }
+
+  get frameCount() {
+    return this.replay.frames.length;
+  }
+
+  get finished() {
+    return this.frame >= this.frameCount;
+  }
+
+  /**
+   * Put the game in the recorded start state (loads the recorded star system if needed)
+   */
+  async start() {
+    const game = this.game;
+    const start = this.replay.start;
+    if (start.currentSystemIndex !== game.currentSystemIndex) {
+      await game.loadStarSystem(start.currentSystemIndex);
+    }
+
+    restoreState(game, start);
+    this.rng = new SeededRandom(this.replay.randomSeed).fork('replay');
+    this.frame = 0;
+    this.input = null;
+    this.checkpoints = [this.createCheckpoint()];
+    this.mismatch = null;
+    return this;
+  }
+
+  createCheckpoint() {
+    const { a, b, c, d } = this.rng;
+    return {
+      frame: this.frame,
+      state: captureState(this.game),
+      rng: { a, b, c, d },
+      input: this.input
+    };
+  }
+
+  pause() {
+    this.paused = true;
+  }
+
+  resume() {
+    this.paused = false;
+  }
+
+  togglePause() {
+    this.paused = !this.paused;
+  }
+
+  /**
+   * Play the next frame unless paused (call once per rendered frame)
+   * @returns {boolean} Whether a frame was played
+   */
+  advance() {
+    if (this.paused) return false;
+    return this.stepFrame();
+  }
+
+  /**
+   * Play exactly one frame (also while paused)
+   */
+  stepFrame() {
+    if (this.finished) return false;
+
+    const game = this.game;
+    const [dt, frameInput, events] = this.replay.frames[this.frame];
+    if (frameInput) this.input = frameInput;
+    if (this.input) applyInput(game, this.input);
+
+    for (const [type, value] of events || []) {
+      if (type === 'action') {
+        game.handleActionPress(value);
+      } else if (type === 'popup' && game.interactionSystem) {
+        game.interactionSystem.handleKeyDown(value);
+      }
+    }
+
+    withRandom(this.rng, () => game.update(dt));
+    this.frame++;
+
+    const expected = this.replay.checksums[this.frame - 1];
+    if (!this.mismatch && expected !== undefined) {
+      const actual = stateChecksum(game);
+      if (actual !== expected) {
+        this.mismatch = { frame: this.frame - 1, time: game.time, expected, actual };
+      }
+    }
+
+    const latest = this.checkpoints[this.checkpoints.length - 1];
+    if (this.frame % CHECKPOINT_INTERVAL === 0 && this.frame > latest.frame) {
+      this.checkpoints.push(this.createCheckpoint());
+    }
+    return true;
+  }
+
+  /**
+   * Play until frame (or the end) without stopping for pause
+   */
+  runTo(frame) {
+    const target = Math.min(frame, this.frameCount);
+    while (this.frame < target) this.stepFrame();
+    return this;
+  }
+
+  /**
+   * Scrub to a frame: restore the closest checkpoint at or before it, then play forward
+   */
+  seek(frame) {
+    const target = Math.max(0, Math.min(frame, this.frameCount));
+    let checkpoint = this.checkpoints[0];
+    for (const candidate of this.checkpoints) {
+      if (candidate.frame <= target) checkpoint = candidate;
+    }
+
+    if (checkpoint.frame > this.frame || target < this.frame) {
+      restoreState(this.game, checkpoint.state);
+      Object.assign(this.rng, checkpoint.rng);
+      this.input = checkpoint.input;
+      this.frame = checkpoint.frame;
+    }
+    return this.runTo(target);
+  }
+
+  /**
+   * Checkpoint frames reached so far
+   */
+  getCheckpoints() {
+    return this.checkpoints.map(checkpoint => checkpoint.frame);
+  }
+
+  /**
+   * Jump to the previous (-1) or next (+1) checkpoint
+   */
+  seekCheckpoint(direction) {
+    if (direction < 0) {
+      const earlier = this.getCheckpoints().filter(frame => frame < this.frame);
+      return this.seek(earlier.length > 0 ? earlier[earlier.length - 1] : 0);
+    }
+    const next = (Math.floor(this.frame / CHECKPOINT_INTERVAL) + 1) * CHECKPOINT_INTERVAL;
+    return this.seek(next);
+  }
+}
@@ -0,0 +1,160 @@
+/**
+ * RunRulesSystem - Ironman and permadeath rules, and the Hall of the Fallen
+ *
+ * Features:
+ * - Ironman (gameConfig.ironman): the run keeps exactly one save slot, written on exit and
+ *   at key events (system entry, docking, completed missions); manual saves, quick loads
+ *   and reloading are blocked
+ * - Permadeath (gameConfig.permadeath): death ends the run and deletes every save of it
+ *   instead of respawning
+ * - Hall of the Fallen: local record of dead permadeath runs (stats, cause of death, seed)
+ * - serialize()/deserialize() for SaveSystem (saves carry the run id so they can be removed)
+ */
+
+const HALL_KEY = 'pixelversum_hall_of_the_fallen';
+const HALL_SIZE = 50;
+
+/**
+ * Fallen runs, newest first
+ */
+export const getHallOfTheFallen = () => {
+  try {
+    const json = localStorage.getItem(HALL_KEY);
+    return json ? JSON.parse(json) : [];
+  } catch (error) {
+    return [];
+  }
+};
+
+export class RunRulesSystem {
+  constructor(game) {
+    this.game = game;
+    const config = game.gameConfig || {};
+    this.ironman = !!config.ironman;
+    this.permadeath = !!config.permadeath;
+    this.runId = `${config.seed || game.seed || 0}-${Date.now().toString(36)}`;
+    this.dead = false;
+    this.fallen = null; // Hall of the Fallen entry of this run once it ends
+    this.hall = []; // Hall of the Fallen as recorded when this run ended
+  }
+
+  /**
+   * The run's only save slot (SaveSystem slot; listed by GameStateManager as ironman_<runId>)
+   */
+  getSaveSlot() {
+    return `save_ironman_${this.runId}`;
+  }
+
+  /**
+   * Whether SaveSystem may write a slot; ironman autosaves are redirected to the run's slot
+   * @returns {{allowed: boolean, slot?: string, message?: string}}
+   */
+  checkSave(slot) {
+    if (this.dead) {
+      return { allowed: false, message: 'This run has ended' };
+    }
+    if (!this.ironman || slot === this.getSaveSlot()) {
+      return { allowed: true, slot };
+    }
+    if (slot === 'autosave') {
+      return { allowed: true, slot: this.getSaveSlot() };
+    }
+    return { allowed: false, message: 'Ironman: the run saves itself on exit and at key events' };
+  }
+
+  /**
+   * Whether SaveSystem may load a save into this run
+   */
+  checkLoad() {
+    if (this.ironman) {
+      return { allowed: false, message: 'Ironman: there is no going back' };
+    }
+    return { allowed: true };
+  }
+
+  /**
+   * Key moment of an ironman run: write its save
+   */
+  onKeyEvent(reason) {
+    if (!this.ironman || this.dead || !this.game.saveSystem) return;
+    console.log(`[RunRulesSystem] Ironman save (${reason})`);
+    this.game.saveSystem.saveGame(this.getSaveSlot(), 'Ironman');
+  }
+
+  /**
+   * Leaving the game (menu, closed tab): ironman runs save on the way out
+   */
+  onExit() {
+    this.onKeyEvent('exit');
+  }
+
+  /**
+   * The player's ship was destroyed on a permadeath run: record it and delete its saves
+   */
+  onPlayerDeath() {
+    if (!this.permadeath || this.dead) return;
+    this.dead = true;
+
+    const game = this.game;
+    const player = game.player || {};
+    const statistics = game.statistics || {};
+    this.fallen = {
+      runId: this.runId,
+      callsign: player.callsign || 'NOVA-7',
+      shipName: player.shipName || 'WANDERER',
+      seed: game.seed || (game.gameConfig && game.gameConfig.seed) || 0,
+      difficulty: game.difficulty || 'adventurer',
+      ironman: this.ironman,
+      cause: player.lastDamageSource || 'unknown causes',
+      system: game.currentSystemData ? game.currentSystemData.name : 'Deep space',
+      playtime: game.playtime || 0,
+      date: Date.now(),
+      stats: {
+        kills: player.kills || 0,
+        score: player.score || 0,
+        credits: game.economySystem ? game.economySystem.credits : 0,
+        systemsExplored: game.discoveredSystems ? game.discoveredSystems.size : 0,
+        missionsCompleted: statistics.missionsCompleted || 0,
+        jumpsExecuted: statistics.jumpsExecuted || 0
+      }
+    };
+
+    this.hall = [this.fallen, ...getHallOfTheFallen()].slice(0, HALL_SIZE);
+    try {
+      localStorage.setItem(HALL_KEY, JSON.stringify(this.hall));
+    } catch (error) {
+      console.warn('[RunRulesSystem] Could not record the Hall of the Fallen:', error.message);
+    }
+
+    const deleted = game.saveSystem ? game.saveSystem.deleteRunSaves(this.runId) : 0;
+    console.log(`[RunRulesSystem] Run ${this.runId} ended (${this.fallen.cause}), ${deleted} save(s) deleted`);
+  }
+
+  /**
+   * Serialize for saving
+   */
+  serialize() {
+    return {
+      runId: this.runId,
+      ironman: this.ironman,
+      permadeath: this.permadeath,
+      dead: this.dead
+    };
+  }
+
+  /**
+   * Deserialize from saved data (older saves keep the rules of the new game they load into)
+   */
+  deserialize(data) {
+    if (!data) return;
+    this.runId = data.runId || this.runId;
+    this.ironman = !!data.ironman;
+    this.permadeath = !!data.permadeath;
+    this.dead = false;
+    this.fallen = null;
+    if (this.game.gameConfig) {
+      this.game.gameConfig.ironman = this.ironman;
+      this.game.gameConfig.permadeath = this.permadeath;
+    }
+  }
+}
@@ -6,9 +6,20 @@
  * - Autosave system with configurable interval
  * - Save data validation and error recovery
  * - Export/import save files
- * - Version compatibility checking
+ * - Save format migrations (older saves upgraded step by step, repairs reported)
+ * - Cloud sync: saves are mirrored to the API server (queued while offline)
  */
 
+import { uploadSave, queueUpload, deleteRemoteSave, initCloudSync, keyToSlot } from '../utils/CloudSaveSync.js';
+import { migrateSave, CURRENT_SAVE_FORMAT } from '../utils/SaveMigrations.js';
+
+// Player fields restored from a save
+const PLAYER_FIELDS = [
+  'x', 'y', 'vx', 'vy', 'rotation',
+  'hull', 'maxHull', 'shields', 'maxShields', 'power', 'maxPower', 'fuel', 'maxFuel',
+  'callsign', 'shipName', 'color', 'kills', 'score', 'level', 'experience'
+];
+
 export class SaveSystem {
   constructor(game) {
     this.game = game;
@@ -18,11 +29,12 @@ export class SaveSystem {
     this.autosaveTimer = null;
     this.lastAutosaveTime = 0;
 
-    // Save format version for compatibility
-    this.SAVE_FORMAT_VERSION = 1;
-
     // Maximum number of save slots
     this.MAX_SAVE_SLOTS = 10;
+
+    // Mirror saves to the API server
+    this.cloudSyncEnabled = true;
+    initCloudSync();
   }
 
   /**
@@ -59,6 +71,17 @@ export class SaveSystem {
    * @returns {boolean} Success status
    */
   saveGame(slot, saveName) {
+    // Ironman runs keep a single save; ended runs are not saved
+    const rules = this.game.runRulesSystem ? this.game.runRulesSystem.checkSave(slot) : { allowed: true, slot };
+    if (!rules.allowed) {
+      this.game.showNotification(rules.message, 'warning');
+      return false;
+    }
+    if (rules.slot !== slot) {
+      slot = rules.slot;
+      saveName = 'Ironman';
+    }
+
     try {
       console.log(`[SaveSystem] Saving to ${slot}: ${saveName}`);
 
@@ -87,6 +110,11 @@ export class SaveSystem {
       const key = slot === 'autosave' ? 'pixelversum_autosave' : `pixelversum_${slot}`;
       localStorage.setItem(key, json);
 
+      // Upload in the background (queued if the server is unreachable)
+      if (this.cloudSyncEnabled) {
+        uploadSave(slot, saveData).catch(error => queueUpload(slot, error));
+      }
+
       // Update last save timestamp
       if (this.game.lastSaveTime !== undefined) {
         this.game.lastSaveTime = Date.now();
@@ -124,6 +152,13 @@ export class SaveSystem {
    * @returns {boolean} Success status
    */
   loadGame(slot) {
+    // Ironman runs cannot reload
+    const rules = this.game.runRulesSystem ? this.game.runRulesSystem.checkLoad() : { allowed: true };
+    if (!rules.allowed) {
+      this.game.showNotification(rules.message, 'warning');
+      return false;
+    }
+
     try {
       console.log(`[SaveSystem] Loading from ${slot}`);
 
@@ -139,23 +174,30 @@ export class SaveSystem {
       }
 
       // Parse JSON
-      const saveData = JSON.parse(json);
+      const rawData = JSON.parse(json);
 
-      // Validate save data
-      if (!this.validateSaveData(saveData)) {
-        console.error('[SaveSystem] Save data validation failed');
+      // Upgrade older formats to the current one (repairs are reported, not hidden)
+      let migrated;
+      try {
+        migrated = migrateSave(rawData);
+      } catch (error) {
+        console.error('[SaveSystem] Save data migration failed:', error.message);
         if (this.game.notificationSystem) {
           this.game.notificationSystem.show('Save data corrupted!', 'error');
         }
         return false;
       }
+      const { save: saveData, report } = migrated;
 
-      // Apply save data to game
-      this.applySaveData(saveData);
+      // Apply save data to game (galaxy/system reload continues asynchronously)
+      this.game.loadState(saveData);
 
       // Show notification
       if (this.game.notificationSystem) {
         this.game.notificationSystem.show(`Game loaded: ${saveData.saveName}`, 'success');
+        if (report.repairs.length > 0) {
+          this.game.notificationSystem.show(`Save upgraded: ${report.repairs.length} field(s) repaired`, 'warning');
+        }
       }
 
       console.log(`[SaveSystem] Load successful: ${slot}`);
@@ -179,26 +221,41 @@ export class SaveSystem {
   }
 
   /**
-   * Gather all game state into save data object
+   * Gather all game state into save data object (current unified format,
+   * also returned by Game.getGameState for the React save path)
    */
   gatherSaveData(saveName) {
     const game = this.game;
     const player = game.player;
+    const economy = game.economySystem;
+    const camera = game.camera || {};
+
+    const credits = economy ? economy.credits : (game.credits || 0);
+    const discoveredSystems = Array.from(game.discoveredSystems || []);
 
     return {
       // === METADATA ===
       version: game.VERSION || '0.2.0',
-      saveFormatVersion: this.SAVE_FORMAT_VERSION,
+      saveFormatVersion: CURRENT_SAVE_FORMAT,
       saveName: saveName,
       timestamp: Date.now(),
       playtime: game.playtime || 0,
       saveType: 'manual',
+      difficulty: game.difficulty || game.gameConfig?.difficulty || 'adventurer',
+      galaxySize: game.galaxySize || game.gameConfig?.galaxySize || 'medium',
+
+      // === SUMMARY (save lists, API server) ===
+      callsign: player.callsign || 'NOVA-7',
+      shipName: player.shipName || 'WANDERER',
+      credits: credits,
+      systemsExplored: discoveredSystems.length,
+      crewAlive: player.hull > 0,
 
       // === PLAYER DATA ===
       player: {
-        callsign: player.callsign || 'PILOT',
+        callsign: player.callsign || 'NOVA-7',
         shipName: player.shipName || 'WANDERER',
-        shipColor: player.shipColor || game.playerShipColor || 'purple',
+        color: player.color || 'blue',
 
         // Position & Movement
         x: player.x,
@@ -213,10 +270,9 @@ export class SaveSystem {
         shields: player.shields,
         maxShields: player.maxShields,
         power: player.power,
-        maxPower: player.maxPower,
-        fuel: player.fuel || 100,
+        maxPower: player.maxPower || 100,
+        fuel: player.fuel,
         maxFuel: player.maxFuel || 100,
-        credits: player.credits || 0,
 
         // Stats
         kills: player.kills || 0,
@@ -228,20 +284,37 @@ export class SaveSystem {
       // === GALAXY STATE ===
       galaxy: {
         seed: game.seed,
+        stream: game.galaxyStream,
         currentSystemIndex: game.currentSystemIndex,
-        exploredSystems: game.exploredSystems || [],
-        discoveredSystems: game.discoveredSystems || []
+        currentSystemSeed: game.currentSystemSeed ?? null,
+        discoveredSystems: discoveredSystems,
+        exploredSystems: Array.from(game.exploredSystems || [])
+      },
+
+      // === VIEW ===
+      view: {
+        scene: game.scene || 'system',
+        camera: { x: camera.x || 0, y: camera.y || 0, zoom: camera.zoom || 1 },
+        interstellarX: game.interstellarPlayerX || 0,
+        interstellarY: game.interstellarPlayerY || 0
       },
 
       // === ECONOMY & CARGO ===
       economy: {
-        cargo: game.economySystem ? game.economySystem.cargo : [],
-        cargoCapacity: game.economySystem ? game.economySystem.cargoCapacity : 50,
-        credits: player.credits || 0
+        credits: credits,
+        cargo: economy ? economy.cargo : (game.cargo || []),
+        cargoCapacity: economy ? economy.cargoCapacity : 50
       },
 
       // === FACTION RELATIONSHIPS ===
-      factions: game.factionSystem ? game.factionSystem.factions : {},
+      factions: game.factionSystem ? game.factionSystem.factions : null,
+      factionState: game.factionSystem ? game.factionSystem.serialize() : null,
+      diplomacy: game.diplomacySystem ? game.diplomacySystem.serialize() : null,
+      dialogue: game.dialogueSystem ? game.dialogueSystem.serialize() : null,
+      randomEvents: game.randomEventSystem ? game.randomEventSystem.serialize() : null,
+      difficultyState: game.difficultySystem ? game.difficultySystem.serialize() : null,
+      rules: game.runRulesSystem ? game.runRulesSystem.serialize() : null,
+      achievements: game.achievementSystem ? game.achievementSystem.serialize() : null,
 
       // === ARTIFACTS ===
       artifacts: {
@@ -249,61 +322,46 @@ export class SaveSystem {
         assembled: game.artifactSystem ? game.artifactSystem.assembledArtifacts : []
       },
 
+      // === MISSIONS ===
+      missions: game.missionSystem ? game.missionSystem.serialize() : null,
+
+      // === CREW ===
+      crew: game.crewSystem ? game.crewSystem.serialize() : null,
+
+      // === SHIP LOADOUT ===
+      outfitting: game.outfittingSystem ? game.outfittingSystem.serialize() : null,
+
       // === STATISTICS ===
-      stats: {
-        systemsVisited: game.exploredSystems ? game.exploredSystems.length : 0,
-        warpJumps: game.warpJumps || 0,
-        totalDistance: game.totalDistance || 0,
-        enemiesDestroyed: player.kills || 0,
-        creditsEarned: game.creditsEarned || 0
+      statistics: {
+        ...game.statistics,
+        achievements: game.achievementSystem ? game.achievementSystem.getAchievementList() : []
       },
 
       // === FLAGS & PROGRESS ===
       flags: {
         tutorialCompleted: game.tutorialCompleted || false,
         firstWarpGateUsed: game.firstWarpGateUsed || false
-      }
+      },
+      gameOver: game.gameOver || false
     };
   }
 
   /**
-   * Validate save data structure and integrity
+   * Check that save data can be migrated to the current format
    */
   validateSaveData(saveData) {
-    // Check required fields
-    if (!saveData.version || !saveData.player || !saveData.galaxy) {
-      console.error('[SaveSystem] Missing required fields');
-      return false;
-    }
-
-    // Check player position
-    if (typeof saveData.player.x !== 'number' ||
-        typeof saveData.player.y !== 'number' ||
-        isNaN(saveData.player.x) ||
-        isNaN(saveData.player.y)) {
-      console.error('[SaveSystem] Invalid player position');
-      return false;
-    }
-
-    // Check galaxy seed
-    if (typeof saveData.galaxy.seed !== 'number') {
-      console.error('[SaveSystem] Invalid galaxy seed');
+    try {
+      migrateSave(saveData);
+      return true;
+    } catch (error) {
+      console.error('[SaveSystem] Invalid save data:', error.message);
       return false;
     }
-
-    // Version compatibility check (warn if newer version)
-    const saveVersion = saveData.version.split('.')[0];
-    const gameVersion = (this.game.VERSION || '0.2.0').split('.')[0];
-
-    if (parseInt(saveVersion) > parseInt(gameVersion)) {
-      console.warn('[SaveSystem] Save from newer game version, may have compatibility issues');
-    }
-
-    return true;
   }
 
   /**
-   * Apply loaded save data to game
+   * Apply migrated save data (current format) to the game.
+   * Galaxy regeneration and system loading happen in Game.loadState.
    */
   applySaveData(saveData) {
     const game = this.game;
@@ -312,68 +370,104 @@ export class SaveSystem {
 
     // Apply player data
     const p = game.player;
-    p.x = saveData.player.x;
-    p.y = saveData.player.y;
-    p.vx = saveData.player.vx;
-    p.vy = saveData.player.vy;
-    p.rotation = saveData.player.rotation;
-    p.hull = saveData.player.hull;
-    p.maxHull = saveData.player.maxHull;
-    p.shields = saveData.player.shields;
-    p.maxShields = saveData.player.maxShields;
-    p.power = saveData.player.power;
-    p.maxPower = saveData.player.maxPower;
-    p.fuel = saveData.player.fuel;
-    p.maxFuel = saveData.player.maxFuel;
-    p.credits = saveData.player.credits;
-    p.kills = saveData.player.kills;
-    p.score = saveData.player.score;
-    p.level = saveData.player.level || 1;
-    p.experience = saveData.player.experience || 0;
-    p.callsign = saveData.player.callsign || 'PILOT';
-    p.shipName = saveData.player.shipName || 'WANDERER';
-
-    // Apply galaxy state
-    game.seed = saveData.galaxy.seed;
-    game.currentSystemIndex = saveData.galaxy.currentSystemIndex;
-    game.exploredSystems = saveData.galaxy.exploredSystems || [];
-    game.discoveredSystems = saveData.galaxy.discoveredSystems || [];
-
-    // Regenerate galaxy from seed (if galaxy generator exists)
-    if (game.galaxyGenerator && typeof game.galaxyGenerator.setSeed === 'function') {
-      game.galaxyGenerator.setSeed(saveData.galaxy.seed);
-      game.galaxy = game.galaxyGenerator.generate();
+    const saved = saveData.player;
+    for (const field of PLAYER_FIELDS) {
+      p[field] = saved[field];
     }
 
-    // Load current star system
-    if (typeof game.loadStarSystem === 'function') {
-      game.loadStarSystem(saveData.galaxy.currentSystemIndex);
+    // Apply galaxy state (no seed means the save predates seeded galaxies - keep ours)
+    if (saveData.galaxy.seed !== null) {
+      game.seed = saveData.galaxy.seed;
+      game.galaxyStream = saveData.galaxy.stream;
+    }
+    // Random streams follow the loaded seed (before systems restore their own saved stream state)
+    game.reseedRandom();
+    if (saveData.galaxy.currentSystemSeed !== null) {
+      game.currentSystemSeed = saveData.galaxy.currentSystemSeed;
     }
+    game.currentSystemIndex = saveData.galaxy.currentSystemIndex;
+    game.discoveredSystems = new Set(saveData.galaxy.discoveredSystems);
+    game.exploredSystems = saveData.galaxy.exploredSystems;
+    game.difficulty = saveData.difficulty;
+    game.galaxySize = saveData.galaxySize;
+
+    // Apply view
+    game.scene = saveData.view.scene;
+    if (game.camera) {
+      game.camera.x = saveData.view.camera.x;
+      game.camera.y = saveData.view.camera.y;
+      game.camera.zoom = saveData.view.camera.zoom;
+    }
+    game.interstellarPlayerX = saveData.view.interstellarX;
+    game.interstellarPlayerY = saveData.view.interstellarY;
 
     // Apply economy data
-    if (game.economySystem && saveData.economy) {
-      game.economySystem.cargo = saveData.economy.cargo || [];
-      game.economySystem.cargoCapacity = saveData.economy.cargoCapacity || 50;
+    game.credits = saveData.economy.credits;
+    game.cargo = saveData.economy.cargo;
+    if (game.economySystem) {
+      game.economySystem.credits = saveData.economy.credits;
+      game.economySystem.cargo = saveData.economy.cargo;
+      game.economySystem.cargoCapacity = saveData.economy.cargoCapacity;
     }
 
-    // Apply faction data
+    // Apply faction data (borders are restored in Game.loadState, on the save's galaxy)
     if (game.factionSystem && saveData.factions) {
       game.factionSystem.factions = saveData.factions;
     }
+    if (game.diplomacySystem) {
+      game.diplomacySystem.deserialize(saveData.diplomacy);
+    }
+    if (game.dialogueSystem) {
+      game.dialogueSystem.deserialize(saveData.dialogue);
+    }
+    if (game.randomEventSystem) {
+      game.randomEventSystem.deserialize(saveData.randomEvents);
+    }
+    if (game.difficultySystem) {
+      game.difficultySystem.deserialize(saveData.difficultyState, saveData.difficulty);
+    }
+    if (game.runRulesSystem) {
+      game.runRulesSystem.deserialize(saveData.rules);
+    }
+    if (game.achievementSystem) {
+      game.achievementSystem.deserialize(saveData.achievements);
+    }
 
     // Apply artifact data
-    if (game.artifactSystem && saveData.artifacts) {
-      game.artifactSystem.inventory = saveData.artifacts.inventory || [];
-      game.artifactSystem.assembledArtifacts = saveData.artifacts.assembled || [];
+    if (game.artifactSystem) {
+      game.artifactSystem.inventory = saveData.artifacts.inventory;
+      game.artifactSystem.assembledArtifacts = saveData.artifacts.assembled;
+    }
+
+    // Apply playtime & statistics
+    game.playtime = saveData.playtime;
+    // (the achievement list is a snapshot for the statistics screen, not a statistic)
+    const { achievements, ...statistics } = saveData.statistics || {};
+    game.statistics = { ...game.statistics, ...statistics };
+
+    // Apply missions (after playtime so deadlines line up)
+    if (game.missionSystem && saveData.missions) {
+      game.missionSystem.deserialize(saveData.missions);
+    }
+
+    // Apply crew roster
+    if (game.crewSystem && saveData.crew) {
+      game.crewSystem.deserialize(saveData.crew);
     }
 
-    // Apply playtime
-    game.playtime = saveData.playtime || 0;
+    // Apply fitted modules (after player stats so shield capacity is rescaled)
+    if (game.outfittingSystem) {
+      game.outfittingSystem.deserialize(saveData.outfitting);
+    }
 
     // Apply flags
-    if (saveData.flags) {
-      game.tutorialCompleted = saveData.flags.tutorialCompleted || false;
-      game.firstWarpGateUsed = saveData.flags.firstWarpGateUsed || false;
+    game.tutorialCompleted = saveData.flags.tutorialCompleted || false;
+    game.firstWarpGateUsed = saveData.flags.firstWarpGateUsed || false;
+    game.gameOver = saveData.gameOver;
+
+    // A loaded save is a new starting point - the replay recording starts over
+    if (game.replayRecorder) {
+      game.replayRecorder.stop();
     }
 
     console.log('[SaveSystem] Save data applied successfully');
@@ -419,17 +513,20 @@ export class SaveSystem {
 
       const saveData = JSON.parse(json);
 
-      // Extract only metadata
+      // Extract only metadata (any save format - no migration needed for listing)
+      const player = saveData.player || {};
       return {
-        saveName: saveData.saveName,
+        saveName: saveData.saveName || saveData.name,
         timestamp: saveData.timestamp,
         playtime: saveData.playtime,
-        callsign: saveData.player.callsign,
-        shipName: saveData.player.shipName,
-        level: saveData.player.level || 1,
-        credits: saveData.player.credits || 0,
-        currentSystem: saveData.galaxy.currentSystemIndex,
-        systemsVisited: saveData.stats ? saveData.stats.systemsVisited : 0
+        callsign: saveData.callsign || player.callsign,
+        shipName: saveData.shipName || player.shipName,
+        difficulty: saveData.difficulty,
+        ironman: !!(saveData.rules && saveData.rules.ironman),
+        level: player.level || 1,
+        credits: saveData.credits ?? saveData.economy?.credits ?? player.credits ?? 0,
+        currentSystem: saveData.galaxy ? saveData.galaxy.currentSystemIndex : saveData.currentSystemIndex,
+        systemsVisited: saveData.systemsExplored ?? saveData.stats?.systemsVisited ?? 0
       };
 
     } catch (error) {
@@ -447,6 +544,10 @@ export class SaveSystem {
       const key = slot === 'autosave' ? 'pixelversum_autosave' : `pixelversum_${slot}`;
       localStorage.removeItem(key);
 
+      if (this.cloudSyncEnabled) {
+        deleteRemoteSave(slot);
+      }
+
       if (this.game.notificationSystem) {
         this.game.notificationSystem.show('Save deleted', 'success');
       }
@@ -460,6 +561,38 @@ export class SaveSystem {
     }
   }
 
+  /**
+   * Delete every save of a run (permadeath), whichever path wrote it
+   * @param {string} runId - RunRulesSystem run id stored in the save
+   * @returns {number} Number of saves deleted
+   */
+  deleteRunSaves(runId) {
+    let deleted = 0;
+    try {
+      const keys = [];
+      for (let i = 0; i < localStorage.length; i++) {
+        const key = localStorage.key(i);
+        if (key && (key.startsWith('pixelversum_save_') || key === 'pixelversum_autosave')) {
+          keys.push(key);
+        }
+      }
+
+      for (const key of keys) {
+        const saveData = JSON.parse(localStorage.getItem(key));
+        if (saveData && saveData.rules && saveData.rules.runId === runId) {
+          localStorage.removeItem(key);
+          if (this.cloudSyncEnabled) {
+            deleteRemoteSave(keyToSlot(key));
+          }
+          deleted++;
+        }
+      }
+    } catch (error) {
+      console.error('[SaveSystem] Deleting run saves failed:', error);
+    }
+    return deleted;
+  }
+
   /**
    * Export save to downloadable file
    * @param {string} slot - Save slot name
@@ -15,6 +15,12 @@ export class ShieldSystem {
     this.totalShieldStrength = 0;
     this.maxTotalShieldStrength = 0;
 
+    // Optional hit listener (strengthRatio) - used for impact sounds
+    this.onHit = null;
+
+    // Ion storm interference (0-1), set by EnvironmentalHazards
+    this.disruption = 0;
+
     // Advanced shield mechanics
     this.overloadActive = false;
     this.overloadTimer = 0;
@@ -280,9 +286,33 @@ export class ShieldSystem {
     }
 
     this.updateTotalStrength();
+
+    if (this.onHit && remainingDamage < damage) {
+      this.onHit(this.maxTotalShieldStrength ? this.totalShieldStrength / this.maxTotalShieldStrength : 1);
+    }
+
     return Math.max(0, remainingDamage);
   }
 
+  /**
+   * Ion storm interference: stalls generator recharge while disrupted
+   */
+  setDisruption(level) {
+    this.disruption = Math.max(0, Math.min(1, level));
+    if (this.disruption > 0) {
+      for (const shield of this.shields) {
+        shield.timeSinceHit = 0;
+      }
+    }
+  }
+
+  /**
+   * Recharge rate multiplier (reduced by disruption)
+   */
+  getRechargeMultiplier() {
+    return 1 - this.disruption;
+  }
+
   /**
    * Update shield recharge and effects
    */
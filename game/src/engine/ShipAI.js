@@ -0,0 +1,765 @@
+/**
+ * ShipAI - Shared behaviour tree and utility AI for every AI ship, with squad tactics
+ *
+ * Features:
+ * - One behaviour tree for all ship types (surrender, repair, evade, engage, approach,
+ *   formation, patrol), run from AlienShip.update
+ * - Utility scoring picks the engagement tactic: attack run, flank, hold formation or swarm
+ * - A tuned profile per ship type (AI_PROFILES); race traits.aggression scales sensor
+ *   range, retreat threshold and tactic weights
+ * - Squads: nearby ships of one race fly under their strongest ship in a wedge, line
+ *   or swarm formation, share sensor contacts and focus fire on one target
+ * - Losing squads call reinforcements once
+ * - Damaged ships retreat to a friendly station to repair, then rejoin the fight
+ * - Neutral ships only fight when they (or their squad) have been shot at
+ * - Civilian traffic (TrafficSystem) travels between stops and flees when attacked;
+ *   faction patrols fly their beat and fight like any squad
+ *
+ * AI state is plain data on the ships (squadId, aiState, ai), so replay checkpoints
+ * capture it with the rest of the ship. Squads are rebuilt from it every frame.
+ */
+import { AlienShip } from './AlienShip.js';
+
+const THINK_INTERVAL = 0.5; // Seconds between tactic re-evaluations
+const TACTIC_HYSTERESIS = 0.15; // Utility bonus for keeping the current tactic
+const SQUAD_JOIN_RANGE = 1200; // Unassigned ships join a compatible squad this close
+const CONTACT_SHARE_RANGE = 2500; // Squad-mates further from the target ignore shared contacts
+const SLOT_TOLERANCE = 40; // Close enough to a formation slot to match the leader
+const REPAIR_RATE = 0.05; // Fraction of max hull repaired per second at a friendly station
+const REPAIR_SHIELD_RATE = 10; // Shield points per second at a friendly station
+const REFUGE_MARGIN = 80; // Distance from a station's hull that counts as docked for repairs
+const REINFORCEMENT_DISTANCE = 1600; // Reinforcements arrive this far behind the squad
+const MAX_SHIPS = 30; // No reinforcements above this many AI ships in the system
+const BOIDS_RANGE = 200;
+const BOIDS_SEPARATION = 50;
+
+// Formation slots: distance behind the leader and to its side, by follower slot (1, 2, ...)
+const FORMATIONS = {
+  wedge: (slot) => {
+    const rank = Math.ceil(slot / 2);
+    return { back: rank * 90, side: (slot % 2 ? 1 : -1) * rank * 80 };
+  },
+  line: (slot) => {
+    const rank = Math.ceil(slot / 2);
+    return { back: 20, side: (slot % 2 ? 1 : -1) * rank * 120 };
+  },
+  swarm: () => ({ back: 0, side: 0 }) // Boids around the leader instead of slots
+};
+
+/**
+ * Per ship type tuning
+ * rank: leadership order within a squad; preferredRange: fraction of engageRange to hold;
+ * strafe: sideways speed while attacking; tactics: base utility of each engagement tactic;
+ * rejoinHealth: hull fraction at which a repaired ship returns; reinforcements: called by a
+ * losing squad led by this type
+ */
+export const AI_PROFILES = {
+  scout: {
+    rank: 1,
+    formation: 'wedge',
+    maxSquadSize: 4,
+    preferredRange: 0.6,
+    strafe: 0.5,
+    approachSpeed: 0.8,
+    fires: true,
+    focusFire: false, // Scouts harass whoever is closest
+    tactics: { attack: 0.7, flank: 1.2, hold: 0.2 },
+    rejoinHealth: 0.8,
+    reinforcements: { type: 'fighter', count: 2 } // Scouts report contacts to the fleet
+  },
+  fighter: {
+    rank: 2,
+    formation: 'wedge',
+    maxSquadSize: 5,
+    preferredRange: 0.7,
+    strafe: 0.4,
+    approachSpeed: 0.6,
+    fires: true,
+    focusFire: true,
+    tactics: { attack: 1.0, flank: 0.9, hold: 0.5 },
+    rejoinHealth: 0.7,
+    reinforcements: { type: 'fighter', count: 1 }
+  },
+  bomber: {
+    rank: 3,
+    formation: 'line',
+    maxSquadSize: 5,
+    preferredRange: 0.85,
+    strafe: 0,
+    approachSpeed: 0.6,
+    fires: true,
+    focusFire: true,
+    tactics: { attack: 0.8, flank: 0.3, hold: 1.0 },
+    rejoinHealth: 0.6,
+    reinforcements: { type: 'fighter', count: 2 }
+  },
+  frigate: {
+    rank: 4,
+    formation: 'line',
+    maxSquadSize: 6,
+    preferredRange: 0.8,
+    strafe: 0,
+    approachSpeed: 0.5,
+    fires: true,
+    focusFire: true,
+    tactics: { attack: 1.0, flank: 0, hold: 1.2 },
+    rejoinHealth: 0.5,
+    reinforcements: { type: 'bomber', count: 1 }
+  },
+  // Civilian hulls (TrafficSystem) never pick a fight; they flee and travel
+  trader: {
+    rank: 0,
+    formation: 'wedge',
+    maxSquadSize: 1,
+    preferredRange: 0,
+    strafe: 0,
+    approachSpeed: 0.5,
+    fires: false,
+    focusFire: false,
+    tactics: {},
+    rejoinHealth: 1,
+    reinforcements: null
+  },
+  courier: {
+    rank: 0,
+    formation: 'wedge',
+    maxSquadSize: 1,
+    preferredRange: 0,
+    strafe: 0,
+    approachSpeed: 0.8,
+    fires: false,
+    focusFire: false,
+    tactics: {},
+    rejoinHealth: 1,
+    reinforcements: null
+  },
+  miner: {
+    rank: 0,
+    formation: 'wedge',
+    maxSquadSize: 1,
+    preferredRange: 0,
+    strafe: 0,
+    approachSpeed: 0.4,
+    fires: false,
+    focusFire: false,
+    tactics: {},
+    rejoinHealth: 1,
+    reinforcements: null
+  },
+  hive_drone: {
+    rank: 0,
+    formation: 'swarm',
+    maxSquadSize: 12,
+    preferredRange: 0,
+    strafe: 0,
+    approachSpeed: 0.5,
+    fires: false, // Drones ram their target
+    focusFire: true,
+    tactics: { swarm: 1.0 },
+    rejoinHealth: 1,
+    reinforcements: { type: 'hive_drone', count: 4 }
+  }
+};
+
+// Behaviour tree nodes: functions (ship, ctx) -> true when they succeed
+const selector = (...children) => (ship, ctx) => children.some(child => child(ship, ctx));
+const sequence = (...children) => (ship, ctx) => children.every(child => child(ship, ctx));
+const action = (state, run) => (ship, ctx) => {
+  if (ship.aiState !== state) ship.ai.stateTime = 0;
+  ship.aiState = state;
+  run(ship, ctx);
+  return true;
+};
+
+// Conditions
+const isSurrendered = (ship) => ship.surrendered;
+const needsRepair = (ship, ctx) => {
+  const health = ship.hp / ship.maxHp;
+  if (ship.ai.repairing && health >= ctx.profile.rejoinHealth) ship.ai.repairing = false;
+  else if (!ship.ai.repairing && health < ctx.retreatHealth) ship.ai.repairing = true;
+  return ship.ai.repairing;
+};
+const hasRefuge = (ship, ctx) => ctx.refuge !== null;
+const targetNearby = (ship, ctx) => !!ctx.target && ctx.targetDist < ship.detectionRange * ctx.sensorScale;
+const isCombatant = (ship, ctx) => !!ctx.target && (ship.isHostile || ship.provoked || (!!ctx.squad && ctx.squad.provoked));
+const inEngageRange = (ship, ctx) => ctx.targetDist < ship.engageRange * ctx.concealmentScale;
+// Seen by this ship, reported by the squad, or the ship was shot at by it
+const hasContact = (ship, ctx) => ctx.targetDist < ship.detectionRange * ctx.sensorScale ||
+  ((ship.provoked || (!!ctx.squad && ctx.squad.contact)) && ctx.targetDist < CONTACT_SHARE_RANGE);
+const isFollower = (ship, ctx) => !!ctx.squad && ctx.squad.leader !== ship;
+const isCivilian = (ship) => !!ship.civilian;
+const isUnarmed = (ship) => !!ship.civilian && ship.civilian.role !== 'patrol';
+const isThreatened = (ship, ctx) => (ship.provoked || ship.isHostile) && ctx.targetDist < CONTACT_SHARE_RANGE;
+const leaderApproaching = (ship, ctx) => ctx.squad.leader.aiState === 'approach';
+
+// Actions
+const flee = (ship, ctx) => {
+  const away = ctx.target || ctx.player;
+  ship.moveToward(ship.x * 2 - away.x, ship.y * 2 - away.y, ship.speed * 0.5 * ctx.dt);
+};
+
+const retreatToRefuge = (ship, ctx) => {
+  const station = ctx.refuge;
+  const dx = station.x - ship.x;
+  const dy = station.y - ship.y;
+  const dist = Math.sqrt(dx * dx + dy * dy);
+
+  if (dist > station.size + REFUGE_MARGIN) {
+    ship.moveToward(station.x, station.y, ship.speed * ctx.dt);
+    return;
+  }
+
+  // Hold at the station and repair
+  ship.vx *= 0.9;
+  ship.vy *= 0.9;
+  ship.hp = Math.min(ship.maxHp, ship.hp + ship.maxHp * REPAIR_RATE * ctx.dt);
+  ship.shields = Math.min(ship.maxShields, ship.shields + REPAIR_SHIELD_RATE * ctx.dt);
+};
+
+const evade = (ship, ctx) => {
+  const dx = ctx.target.x - ship.x;
+  const dy = ctx.target.y - ship.y;
+  const angleAway = Math.atan2(-dy, -dx);
+
+  // Run at full speed with evasive weaving
+  ship.vx += Math.cos(angleAway) * ship.speed * ctx.dt;
+  ship.vy += Math.sin(angleAway) * ship.speed * ctx.dt;
+  const weaveAngle = angleAway + Math.sin(ship.aiTimer * 5) * 0.8;
+  ship.vx += Math.cos(weaveAngle) * ship.speed * 0.5 * ctx.dt;
+  ship.vy += Math.sin(weaveAngle) * ship.speed * 0.5 * ctx.dt;
+
+  ship.rotation = ship.turnToward(angleAway, ctx.dt);
+};
+
+const approach = (ship, ctx) => {
+  ship.moveToward(ctx.target.x, ctx.target.y, ship.speed * ctx.profile.approachSpeed * ctx.dt);
+};
+
+// Civilians: fly to the stop TrafficSystem picked, then dock, trade or mine there
+const travel = (ship, ctx) => {
+  const traffic = ctx.traffic;
+  const point = traffic ? traffic.getDestination(ship) : null;
+  if (!point) {
+    patrol(ship, ctx);
+    return;
+  }
+
+  const dx = point.x - ship.x;
+  const dy = point.y - ship.y;
+  if (dx * dx + dy * dy > point.radius * point.radius) {
+    ship.moveToward(point.x, point.y, ship.speed * ctx.profile.approachSpeed * ctx.dt);
+    return;
+  }
+
+  ship.vx *= 0.9;
+  ship.vy *= 0.9;
+  ship.aiState = ship.civilian.role === 'miner' && ship.civilian.destination.kind === 'asteroid' ? 'mining' : 'docked';
+  traffic.arrive(ship, ctx.dt);
+};
+
+const patrol = (ship, ctx) => {
+  const angle = ship.aiTimer * 0.5;
+  ship.moveToward(ship.x + Math.cos(angle) * 300, ship.y + Math.sin(angle) * 300, ship.speed * 0.3 * ctx.dt);
+};
+
+const keepFormation = (ship, ctx) => {
+  const leader = ctx.squad.leader;
+  if (ctx.profile.formation === 'swarm') {
+    applyBoids(ship, ctx);
+    const dx = leader.x - ship.x;
+    const dy = leader.y - ship.y;
+    const dist = Math.sqrt(dx * dx + dy * dy);
+    if (dist > 100) {
+      ship.vx += (dx / dist) * ship.speed * 0.4 * ctx.dt;
+      ship.vy += (dy / dist) * ship.speed * 0.4 * ctx.dt;
+    }
+    return;
+  }
+
+  const slot = getSlotPosition(leader, ship.ai.slot, ctx.profile.formation);
+  const dx = slot.x - ship.x;
+  const dy = slot.y - ship.y;
+  if (dx * dx + dy * dy > SLOT_TOLERANCE * SLOT_TOLERANCE) {
+    ship.moveToward(slot.x, slot.y, ship.speed * 0.7 * ctx.dt);
+  } else {
+    // In position: match the leader
+    ship.vx += (leader.vx - ship.vx) * 2 * ctx.dt;
+    ship.vy += (leader.vy - ship.vy) * 2 * ctx.dt;
+    ship.rotation = ship.turnToward(leader.rotation, ctx.dt);
+  }
+};
+
+const fight = (ship, ctx) => {
+  if (ship.ai.thinkTimer <= 0) {
+    ship.ai.tactic = chooseTactic(ship, ctx);
+    ship.ai.thinkTimer = THINK_INTERVAL;
+  }
+  TACTICS[ship.ai.tactic](ship, ctx);
+
+  if (ctx.profile.fires && ship.weaponCooldown <= 0 && ctx.targetDist < ship.engageRange) {
+    ship.fireWeapon(ctx.projectiles, ctx.target);
+  }
+};
+
+// Engagement tactics (chosen by utility in chooseTactic)
+const TACTICS = {
+  // Strafing run at the preferred range
+  attack: (ship, ctx) => {
+    holdRange(ship, ctx, ctx.profile.preferredRange, ctx.profile.strafe);
+  },
+
+  // Swing around to the target's rear quarter on this ship's side of the squad
+  flank: (ship, ctx) => {
+    const target = ctx.target;
+    const angle = (target.rotation || 0) + Math.PI + ship.ai.flankSide * Math.PI / 3;
+    const range = ship.engageRange * ctx.profile.preferredRange;
+    ship.moveToward(target.x + Math.cos(angle) * range, target.y + Math.sin(angle) * range, ship.speed * 0.6 * ctx.dt);
+    ship.rotation = ship.turnToward(Math.atan2(target.y - ship.y, target.x - ship.x), ctx.dt);
+  },
+
+  // Followers keep their formation slot and fire from it; leaders stand off without strafing
+  hold: (ship, ctx) => {
+    if (isFollower(ship, ctx)) {
+      keepFormation(ship, ctx);
+      ship.rotation = ship.turnToward(Math.atan2(ctx.target.y - ship.y, ctx.target.x - ship.x), ctx.dt);
+    } else {
+      holdRange(ship, ctx, Math.min(1, ctx.profile.preferredRange * 1.1), 0);
+    }
+  },
+
+  // Hive drones: flock and close in
+  swarm: (ship, ctx) => {
+    applyBoids(ship, ctx);
+    const dx = ctx.target.x - ship.x;
+    const dy = ctx.target.y - ship.y;
+    if (ctx.targetDist > 100) {
+      ship.vx += (dx / ctx.targetDist) * ship.speed * 0.5 * ctx.dt;
+      ship.vy += (dy / ctx.targetDist) * ship.speed * 0.5 * ctx.dt;
+    }
+    ship.rotation = ship.turnToward(Math.atan2(dy, dx), ctx.dt);
+  }
+};
+
+/**
+ * Keep a fraction of the engage range from the target while strafing
+ */
+const holdRange = (ship, ctx, rangeFraction, strafe) => {
+  const { dt, target, targetDist } = ctx;
+  const angleToTarget = Math.atan2(target.y - ship.y, target.x - ship.x);
+
+  if (strafe > 0) {
+    const strafeAngle = angleToTarget + Math.PI / 2;
+    const strafeDir = Math.sin(ship.aiTimer * 2) > 0 ? 1 : -1;
+    ship.vx += Math.cos(strafeAngle) * ship.speed * strafe * strafeDir * dt;
+    ship.vy += Math.sin(strafeAngle) * ship.speed * strafe * strafeDir * dt;
+  }
+
+  const optimalDist = ship.engageRange * rangeFraction;
+  if (targetDist < optimalDist) {
+    ship.vx -= Math.cos(angleToTarget) * ship.speed * 0.3 * dt;
+    ship.vy -= Math.sin(angleToTarget) * ship.speed * 0.3 * dt;
+  } else if (targetDist > optimalDist * 1.3) {
+    ship.vx += Math.cos(angleToTarget) * ship.speed * 0.5 * dt;
+    ship.vy += Math.sin(angleToTarget) * ship.speed * 0.5 * dt;
+  }
+
+  ship.rotation = ship.turnToward(angleToTarget, dt);
+};
+
+/**
+ * Cohesion, separation and alignment with nearby ships of the same type
+ */
+const applyBoids = (ship, ctx) => {
+  let cohesionX = 0, cohesionY = 0;
+  let separationX = 0, separationY = 0;
+  let alignmentVx = 0, alignmentVy = 0;
+  let nearbyCount = 0;
+
+  for (const other of ctx.ships) {
+    if (other === ship || other.type !== ship.type) continue;
+    const dx = other.x - ship.x;
+    const dy = other.y - ship.y;
+    const dist = Math.sqrt(dx * dx + dy * dy);
+    if (dist >= BOIDS_RANGE) continue;
+
+    nearbyCount++;
+    cohesionX += other.x;
+    cohesionY += other.y;
+    if (dist < BOIDS_SEPARATION && dist > 0) {
+      separationX -= dx / dist;
+      separationY -= dy / dist;
+    }
+    alignmentVx += other.vx;
+    alignmentVy += other.vy;
+  }
+
+  if (nearbyCount === 0) return;
+  const { dt } = ctx;
+  ship.vx += (cohesionX / nearbyCount - ship.x) * 0.5 * dt + separationX * 100 * dt + (alignmentVx / nearbyCount) * 0.3 * dt;
+  ship.vy += (cohesionY / nearbyCount - ship.y) * 0.5 * dt + separationY * 100 * dt + (alignmentVy / nearbyCount) * 0.3 * dt;
+};
+
+/**
+ * World position of a formation slot behind the leader
+ */
+const getSlotPosition = (leader, slot, formation) => {
+  const offset = (FORMATIONS[formation] || FORMATIONS.wedge)(slot);
+  const cos = Math.cos(leader.rotation);
+  const sin = Math.sin(leader.rotation);
+  return {
+    x: leader.x - cos * offset.back - sin * offset.side,
+    y: leader.y - sin * offset.back + cos * offset.side
+  };
+};
+
+/**
+ * Utility scoring of the engagement tactics allowed by the ship's profile
+ */
+const chooseTactic = (ship, ctx) => {
+  const { profile, aggression, target } = ctx;
+  const health = ship.hp / ship.maxHp;
+  const inSquad = !!ctx.squad && ctx.squad.members.length > 1;
+
+  // Is the target pointing its guns at this ship?
+  const angleFromTarget = Math.atan2(ship.y - target.y, ship.x - target.x);
+  const facing = Math.cos(angleFromTarget - (target.rotation || 0)) > 0.7;
+
+  const utility = {
+    attack: (0.6 + 0.8 * aggression) * (0.5 + health * 0.5),
+    flank: (inSquad ? 1 : 0.5) * (facing ? 1.3 : 0.8),
+    hold: (1.4 - 0.8 * aggression) * (isFollower(ship, ctx) ? 1 : 0.5) * (1.5 - health),
+    swarm: 1
+  };
+
+  let best = null;
+  let bestScore = -Infinity;
+  for (const [tactic, weight] of Object.entries(profile.tactics)) {
+    if (weight <= 0) continue;
+    const score = weight * utility[tactic] + (tactic === ship.ai.tactic ? TACTIC_HYSTERESIS : 0);
+    if (score > bestScore) {
+      best = tactic;
+      bestScore = score;
+    }
+  }
+  return best || 'attack';
+};
+
+// The tree every AI ship runs, highest priority first
+const SHIP_BEHAVIOUR = selector(
+  sequence(isSurrendered, action('retreat', flee)),
+  sequence(isUnarmed, selector(
+    sequence(isThreatened, action('evade', evade)),
+    action('travel', travel)
+  )),
+  sequence(needsRepair, hasRefuge, action('repair', retreatToRefuge)),
+  sequence(needsRepair, targetNearby, action('evade', evade)),
+  sequence(isCombatant, inEngageRange, action('engage', fight)),
+  sequence(isCombatant, hasContact, selector(
+    sequence(isFollower, leaderApproaching, action('formation', keepFormation)),
+    action('approach', approach)
+  )),
+  sequence(isFollower, action('formation', keepFormation)),
+  sequence(isCivilian, action('travel', travel)),
+  action('patrol', patrol)
+);
+
+export class ShipAI {
+  constructor(game) {
+    this.game = game;
+    this.squads = new Map(); // squadId -> { id, members, leader, target, contact, provoked } (rebuilt every frame)
+  }
+
+  getProfile(ship) {
+    return AI_PROFILES[ship.type] || AI_PROFILES.fighter;
+  }
+
+  getAggression(ship) {
+    const traits = ship.raceData && ship.raceData.traits;
+    return traits && typeof traits.aggression === 'number' ? traits.aggression : 0.5;
+  }
+
+  /**
+   * Plain AI memory kept on the ship
+   */
+  ensureState(ship) {
+    if (!ship.ai) {
+      ship.ai = {
+        tactic: null,
+        thinkTimer: 0,
+        stateTime: 0,
+        slot: 0,
+        flankSide: 1,
+        peakSquadSize: 1,
+        reinforced: false,
+        repairing: false
+      };
+    }
+    return ship.ai;
+  }
+
+  /**
+   * Squad planning, once per frame before the ships update (PhysicsEngine)
+   */
+  update(dt) {
+    const game = this.game;
+    const ships = game.enemies || [];
+    this.squads.clear();
+
+    // Rebuild squads from the ships; surrendered ships and changed sides drop out
+    for (const ship of ships) {
+      this.ensureState(ship);
+      if (ship.squadId === null || ship.squadId === undefined) continue;
+      if (ship.surrendered) {
+        ship.squadId = null;
+        continue;
+      }
+      let squad = this.squads.get(ship.squadId);
+      if (!squad) {
+        squad = { id: ship.squadId, members: [], leader: null, target: null, contact: false, provoked: false };
+        this.squads.set(ship.squadId, squad);
+      }
+      if (squad.members.length > 0 && squad.members[0].isHostile !== ship.isHostile) {
+        ship.squadId = null;
+        continue;
+      }
+      squad.members.push(ship);
+    }
+
+    for (const ship of ships) {
+      if ((ship.squadId === null || ship.squadId === undefined) && !ship.surrendered && !isUnarmed(ship)) {
+        this.joinSquad(ship);
+      }
+    }
+
+    for (const squad of this.squads.values()) {
+      this.planSquad(squad);
+    }
+  }
+
+  /**
+   * Join the nearest compatible squad in range, or found a new one
+   */
+  joinSquad(ship) {
+    let best = null;
+    let bestDist = SQUAD_JOIN_RANGE;
+
+    for (const squad of this.squads.values()) {
+      const first = squad.members[0];
+      if (first.race !== ship.race || first.isHostile !== ship.isHostile) continue;
+      // Hive drones only swarm with drones, faction patrols only fly with patrols
+      if ((first.type === 'hive_drone') !== (ship.type === 'hive_drone')) continue;
+      if (!!first.civilian !== !!ship.civilian) continue;
+      const limit = Math.max(...squad.members.map(member => this.getProfile(member).maxSquadSize));
+      if (squad.members.length >= limit) continue;
+
+      const dist = Math.sqrt((first.x - ship.x) ** 2 + (first.y - ship.y) ** 2);
+      if (dist < bestDist) {
+        best = squad;
+        bestDist = dist;
+      }
+    }
+
+    if (!best) {
+      let id = 1;
+      for (const squadId of this.squads.keys()) id = Math.max(id, squadId + 1);
+      best = { id, members: [], leader: null, target: null, contact: false, provoked: false };
+      this.squads.set(id, best);
+    }
+
+    ship.squadId = best.id;
+    best.members.push(ship);
+  }
+
+  /**
+   * Leader, formation slots, focus target, shared contact and reinforcements
+   */
+  planSquad(squad) {
+    const members = squad.members;
+
+    // The highest ranked (then toughest) ship leads
+    squad.leader = members.reduce((leader, ship) => {
+      const rank = this.getProfile(ship).rank;
+      const leaderRank = this.getProfile(leader).rank;
+      return rank > leaderRank || (rank === leaderRank && ship.maxHp > leader.maxHp) ? ship : leader;
+    });
+
+    let slot = 1;
+    for (const ship of members) {
+      const ai = ship.ai;
+      ai.peakSquadSize = Math.max(ai.peakSquadSize, members.length);
+      if (ship === squad.leader) {
+        ai.slot = 0;
+        ai.flankSide = 1;
+      } else {
+        ai.slot = slot++;
+        ai.flankSide = ai.slot % 2 ? 1 : -1;
+      }
+    }
+
+    squad.target = this.chooseTarget(squad);
+    squad.provoked = members.some(ship => ship.provoked);
+    if (!squad.target) return;
+
+    // Any member that detects the target reports it to the squad
+    squad.contact = members.some(ship => {
+      const dist = Math.sqrt((squad.target.x - ship.x) ** 2 + (squad.target.y - ship.y) ** 2);
+      return dist < ship.detectionRange * this.getSensorScale(ship, squad.target);
+    });
+
+    const leader = squad.leader;
+    const fighting = leader.isHostile || squad.provoked;
+    if (fighting && squad.contact && !leader.ai.reinforced && this.isLosing(squad)) {
+      this.callReinforcements(squad);
+    }
+  }
+
+  /**
+   * Focus target: the closest, weakest candidate to the leader
+   */
+  chooseTarget(squad) {
+    const leader = squad.leader;
+    let best = null;
+    let bestScore = Infinity;
+
+    for (const candidate of this.getTargets()) {
+      const dist = Math.sqrt((candidate.x - leader.x) ** 2 + (candidate.y - leader.y) ** 2);
+      const health = candidate.maxHull ? candidate.hull / candidate.maxHull : 1;
+      const score = dist * (0.5 + health * 0.5);
+      if (score < bestScore) {
+        best = candidate;
+        bestScore = score;
+      }
+    }
+    return best;
+  }
+
+  /**
+   * Ships and objects AI squads can attack
+   */
+  getTargets() {
+    const player = this.game.player;
+    return player ? [player] : [];
+  }
+
+  /**
+   * Lost a ship, or the leader is badly damaged
+   */
+  isLosing(squad) {
+    const leader = squad.leader;
+    return squad.members.length < leader.ai.peakSquadSize || leader.hp < leader.maxHp * 0.5;
+  }
+
+  /**
+   * Bring in the leader's reinforcements from behind the squad (once per squad)
+   */
+  callReinforcements(squad) {
+    const game = this.game;
+    const leader = squad.leader;
+    const orders = this.getProfile(leader).reinforcements;
+    for (const ship of squad.members) ship.ai.reinforced = true;
+    if (!orders || game.scene !== 'system' || game.enemies.length >= MAX_SHIPS) return;
+
+    const target = squad.target;
+    const angle = Math.atan2(leader.y - target.y, leader.x - target.x);
+    const count = Math.min(orders.count, MAX_SHIPS - game.enemies.length);
+
+    for (let i = 0; i < count; i++) {
+      const spread = (i - (count - 1) / 2) * 0.3;
+      const ship = new AlienShip(
+        orders.type,
+        target.x + Math.cos(angle + spread) * REINFORCEMENT_DISTANCE,
+        target.y + Math.sin(angle + spread) * REINFORCEMENT_DISTANCE,
+        leader.isHostile,
+        leader.raceData
+      );
+      ship.provoked = leader.provoked;
+      ship.squadId = squad.id;
+      if (leader.civilian) ship.civilian = { ...leader.civilian, destination: null, dwell: 0 };
+      this.ensureState(ship).reinforced = true;
+      game.enemies.push(ship);
+      squad.members.push(ship);
+    }
+
+    if (game.showNotification) {
+      game.showNotification(`${leader.raceName} ${leader.type.replace('_', ' ')} called reinforcements!`, 'warning');
+    }
+    console.log(`[ShipAI] Squad ${squad.id} (${leader.raceName}) called ${count} ${orders.type} reinforcements`);
+  }
+
+  /**
+   * Position of the nearest station that shelters the ship: hostile ships only use
+   * stations hostile to the player, or any station in a system owned by a faction
+   * hostile to the player
+   */
+  findRefuge(ship) {
+    const game = this.game;
+    if (game.scene !== 'system' || !game.stations) return null;
+
+    let ownerHostile = false;
+    if (ship.isHostile && game.factionSystem) {
+      const owner = game.factionSystem.getSystemOwner(game.currentSystemIndex);
+      ownerHostile = !!owner && game.factionSystem.getRelation(owner) === 'hostile';
+    }
+
+    const star = game.star || { x: 0, y: 0 };
+    let best = null;
+    let bestDist = Infinity;
+    for (const station of game.stations) {
+      if (!station) continue;
+      if (ship.isHostile && !station.hostile && !ownerHostile) continue;
+      // Stations orbit the star
+      const x = star.x + Math.cos(station.angle || 0) * (station.distance || 0);
+      const y = star.y + Math.sin(station.angle || 0) * (station.distance || 0);
+      const dist = (x - ship.x) ** 2 + (y - ship.y) ** 2;
+      if (dist < bestDist) {
+        best = { x, y, size: station.size || 40 };
+        bestDist = dist;
+      }
+    }
+    return best;
+  }
+
+  getSensorScale(ship, target) {
+    // A target hidden in a nebula is only noticed up close
+    const concealment = target.hazardEffects ? target.hazardEffects.concealment : 0;
+    return (0.8 + 0.4 * this.getAggression(ship)) * (1 - concealment * 0.7);
+  }
+
+  /**
+   * Run the behaviour tree for one ship (AlienShip.update)
+   */
+  updateShip(ship, dt, player, ships, projectiles) {
+    if (!player) return;
+    const ai = this.ensureState(ship);
+    ai.thinkTimer -= dt;
+    ai.stateTime += dt;
+
+    const squad = ship.squadId !== null && ship.squadId !== undefined ? this.squads.get(ship.squadId) || null : null;
+    const profile = this.getProfile(ship);
+    const aggression = this.getAggression(ship);
+    const target = (profile.focusFire && squad && squad.target) || player;
+    const dx = target.x - ship.x;
+    const dy = target.y - ship.y;
+    const concealment = target.hazardEffects ? target.hazardEffects.concealment : 0;
+
+    const ctx = {
+      dt,
+      player,
+      ships,
+      projectiles,
+      profile,
+      aggression,
+      squad: squad && squad.leader && squad.members.length > 1 ? squad : null,
+      target,
+      targetDist: Math.sqrt(dx * dx + dy * dy),
+      sensorScale: this.getSensorScale(ship, target),
+      concealmentScale: 1 - concealment * 0.7,
+      traffic: this.game.trafficSystem || null,
+      // Aggressive races fight on longer before breaking off
+      retreatHealth: ship.evadeThreshold * (1.5 - aggression),
+      refuge: ai.repairing || ship.hp / ship.maxHp < ship.evadeThreshold * 1.5 ? this.findRefuge(ship) : null
+    };
+
+    SHIP_BEHAVIOUR(ship, ctx);
+  }
+}
@@ -110,6 +110,12 @@ export class ShipDamageSystem {
       }
     };
 
+    // Crew engineer skill (set by CrewSystem)
+    this.repairSpeedModifier = 1.0;
+
+    // Difficulty profile (set by DifficultySystem)
+    this.difficultyRepairModifier = 1.0;
+
     // Active repair queue
     this.repairQueue = [];
     this.activeRepair = null;
@@ -144,23 +150,21 @@ export class ShipDamageSystem {
       section.repairing = false;
       section.repairProgress = 0;
       this.sectionsDestroyed++;
+    }
 
-      // Trigger visual feedback and notification
-      this.game.showNotification(
-        `⚠ ${section.name.toUpperCase()} DESTROYED! Seek station repairs immediately!`,
-        'critical'
-      );
-
-      // Camera shake for emphasis
-      if (this.game.camera) {
-        this.game.camera.shake = Math.max(this.game.camera.shake, 15);
-      }
-    } else if (section.currentHealth < section.criticalThreshold) {
-      // Critical damage warning
-      this.game.showNotification(
-        `⚠ ${section.name.toUpperCase()} at ${Math.floor(this.getHealthPercent(sectionName))}% - CRITICAL!`,
-        'warning'
-      );
+    // Warnings and camera shake subscribe to the event
+    this.game.events.emit('sectionDamaged', {
+      section: sectionName,
+      name: section.name,
+      damage: actualDamage,
+      healthPercent: this.getHealthPercent(sectionName),
+      critical: section.currentHealth < section.criticalThreshold,
+      destroyed: section.destroyed
+    });
+
+    // Crew stationed in this section may be injured
+    if (this.game.crewSystem) {
+      this.game.crewSystem.onSectionDamaged(sectionName, actualDamage, section.destroyed);
     }
 
     // Apply performance penalties
@@ -277,7 +281,7 @@ export class ShipDamageSystem {
     }
 
     // Update repair progress
-    section.repairProgress += dt / repairTime;
+    section.repairProgress += dt * this.repairSpeedModifier * this.difficultyRepairModifier / repairTime;
 
     // Complete repair
     if (section.repairProgress >= 1.0) {
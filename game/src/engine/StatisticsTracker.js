@@ -0,0 +1,60 @@
+/**
+ * StatisticsTracker - Keeps Game.statistics up to date from game events (EventBus)
+ *
+ * Features:
+ * - Combat: shots fired and hit, damage dealt and taken, kills (civilian traffic apart), deaths
+ * - Travel: jumps, discovered systems, station visits, artifacts
+ * - Economy: items bought and sold, credits spent and earned (trades and missions), mining
+ */
+
+export class StatisticsTracker {
+  constructor(game) {
+    this.game = game;
+
+    const events = game.events;
+    events.on('weaponFired', () => this.add('shotsFired'));
+    events.on('projectileHit', ({ damage }) => {
+      this.add('shotsHit');
+      this.add('damageDealt', damage);
+    });
+    events.on('shipDestroyed', ({ civilian, byPlayer }) => {
+      if (byPlayer) this.add(civilian ? 'civiliansDestroyed' : 'enemiesDestroyed');
+    });
+    events.on('playerDamaged', ({ amount }) => this.add('damageTaken', amount));
+    events.on('playerDestroyed', () => this.add('deaths'));
+
+    events.on('systemEntered', ({ firstVisit }) => {
+      this.add('jumpsExecuted');
+      if (firstVisit) this.add('systemsExplored');
+    });
+    events.on('stationDocked', () => this.add('stationsVisited'));
+    events.on('artifactFound', () => this.add('artifactsFound'));
+
+    events.on('commodityTraded', ({ direction, quantity, credits }) => {
+      if (direction === 'buy') {
+        this.add('itemsPurchased', quantity);
+        this.add('totalCreditsSpent', credits);
+      } else {
+        this.add('itemsSold', quantity);
+        this.add('totalCreditsEarned', credits);
+      }
+    });
+    events.on('asteroidMined', ({ quantity }) => {
+      this.add('asteroidsMined');
+      this.add('resourcesMined', quantity);
+    });
+    events.on('missionCompleted', ({ reward }) => {
+      this.add('missionsCompleted');
+      this.add('totalCreditsEarned', reward);
+    });
+  }
+
+  /**
+   * Add to a statistic (game.statistics is replaced when a save is loaded, so it is looked up each time)
+   */
+  add(stat, amount = 1) {
+    const statistics = this.game.statistics;
+    if (!statistics) return;
+    statistics[stat] = (statistics[stat] || 0) + amount;
+  }
+}
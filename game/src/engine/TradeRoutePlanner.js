@@ -0,0 +1,241 @@
+/**
+ * TradeRoutePlanner - Finds profitable buy/sell loops between known markets
+ *
+ * Features:
+ * - Uses only markets the player has seen (EconomySystem.systemMarkets)
+ * - Loads limited by cargo capacity, credits and market stock
+ * - Travel over warp gate links (cheap) or direct warps, fuel priced with calculateFuelPrice
+ * - Cheapest multi-hop paths between markets (Dijkstra over gates + warps)
+ * - Ranks A -> B -> A loops by net profit, exports a plan as a waypoint route
+ */
+
+const FUEL_PER_LIGHT_UNIT = 0.01; // Fuel units per galaxy distance unit of direct warp
+const MIN_WARP_FUEL = 5; // Fuel units for the shortest warp
+const GATE_FUEL = 5; // Fuel units to activate a warp gate (as much as the shortest warp)
+const MAX_PLANS = 5;
+
+export class TradeRoutePlanner {
+  constructor(game) {
+    this.game = game;
+
+    // Plans are cached until markets tick, a market is discovered or credits change
+    this.cacheKey = null;
+    this.cachedPlans = [];
+  }
+
+  /**
+   * Best trade loops, most profitable first (cached)
+   * @returns {Array} Plans (see planLoop)
+   */
+  getPlans() {
+    const economy = this.game.economySystem;
+    if (!economy) return [];
+
+    const key = `${economy.marketTime}|${economy.systemMarkets.size}|${economy.credits}|${economy.cargoCapacity}|${this.game.galaxyInitialized}`;
+    if (key !== this.cacheKey) {
+      this.cacheKey = key;
+      this.cachedPlans = this.planRoutes();
+    }
+    return this.cachedPlans;
+  }
+
+  /**
+   * Evaluate every pair of known markets
+   */
+  planRoutes() {
+    const economy = this.game.economySystem;
+    const indices = [...economy.systemMarkets.keys()];
+    const plans = [];
+
+    const paths = new Map(indices.map(index => [index, this.findCheapestPaths(index)]));
+
+    for (const from of indices) {
+      for (const to of indices) {
+        if (from === to) continue;
+        const plan = this.planLoop(from, to, paths);
+        if (plan && plan.profit > 0) plans.push(plan);
+      }
+    }
+
+    // A -> B -> A and B -> A -> B are the same loop; keep the better direction
+    const seen = new Set();
+    return plans
+      .sort((a, b) => b.profit - a.profit)
+      .filter(plan => {
+        const loopKey = [plan.from, plan.to].sort((a, b) => a - b).join('-');
+        if (seen.has(loopKey)) return false;
+        seen.add(loopKey);
+        return true;
+      })
+      .slice(0, MAX_PLANS);
+  }
+
+  /**
+   * Plan a loop: buy at `from`, sell at `to`, buy there, sell back at `from`
+   * @param {Map} paths - systemIndex -> findCheapestPaths(systemIndex)
+   */
+  planLoop(from, to, paths) {
+    const economy = this.game.economySystem;
+    const outboundPath = paths.get(from).get(to);
+    const returnPath = paths.get(to).get(from);
+    if (!outboundPath || !returnPath) return null;
+
+    const outbound = this.bestTrade(economy.systemMarkets.get(from), economy.systemMarkets.get(to), economy.credits);
+    const budgetAfter = economy.credits + (outbound ? outbound.profit : 0);
+    const inbound = this.bestTrade(economy.systemMarkets.get(to), economy.systemMarkets.get(from), budgetAfter);
+    if (!outbound && !inbound) return null;
+
+    const fuelCost = outboundPath.cost + returnPath.cost;
+    const tradeProfit = (outbound ? outbound.profit : 0) + (inbound ? inbound.profit : 0);
+    const jumps = outboundPath.systems.length + returnPath.systems.length - 2;
+
+    return {
+      id: `${from}-${to}`,
+      from,
+      to,
+      outbound,
+      inbound,
+      path: outboundPath.systems,
+      returnPath: returnPath.systems,
+      gateHops: outboundPath.gateHops + returnPath.gateHops,
+      jumps,
+      fuelCost: Math.round(fuelCost),
+      profit: Math.round(tradeProfit - fuelCost),
+      profitPerJump: Math.round((tradeProfit - fuelCost) / Math.max(1, jumps))
+    };
+  }
+
+  /**
+   * Most profitable single-commodity load from one market to another
+   * @returns {Object|null} { commodityId, name, quantity, buyPrice, sellPrice, profit }
+   */
+  bestTrade(buyMarket, sellMarket, budget) {
+    const economy = this.game.economySystem;
+    let best = null;
+
+    for (const [commodityId, commodity] of Object.entries(economy.commodities)) {
+      const buyPrice = buyMarket.prices[commodityId];
+      const sellPrice = sellMarket.prices[commodityId];
+      if (!buyPrice || !sellPrice || sellPrice <= buyPrice) continue;
+
+      const quantity = Math.min(
+        buyMarket.supply[commodityId] || 0,
+        Math.floor(economy.cargoCapacity / commodity.volume),
+        Math.floor(budget / buyPrice)
+      );
+      if (quantity <= 0) continue;
+
+      const profit = (sellPrice - buyPrice) * quantity;
+      if (!best || profit > best.profit) {
+        best = { commodityId, name: commodity.name, quantity, buyPrice, sellPrice, profit };
+      }
+    }
+
+    return best;
+  }
+
+  /**
+   * Cheapest travel from a system to every other system.
+   * Edges: warp gate links (GATE_FUEL) and direct warps (distance-based fuel),
+   * priced at the departure system's fuel price.
+   * @returns {Map} systemIndex -> { cost, systems: [from, ..., to], gateHops }
+   */
+  findCheapestPaths(start) {
+    const galaxy = this.game.galaxy || [];
+    const gates = this.game.warpGateSystem;
+    const results = new Map([[start, { cost: 0, systems: [start], gateHops: 0 }]]);
+    const done = new Set();
+
+    while (done.size < galaxy.length) {
+      // Closest unfinished system (galaxies are small, a linear scan is enough)
+      let current = null;
+      for (const [index, entry] of results) {
+        if (!done.has(index) && (current === null || entry.cost < results.get(current).cost)) {
+          current = index;
+        }
+      }
+      if (current === null) break;
+      done.add(current);
+
+      const here = results.get(current);
+      const fuelPrice = this.getFuelPrice(current);
+      const linked = new Set(gates ? gates.getConnectedSystems(current) : []);
+
+      for (let next = 0; next < galaxy.length; next++) {
+        if (done.has(next)) continue;
+        const viaGate = linked.has(next);
+        const fuel = viaGate ? GATE_FUEL : this.getWarpFuel(galaxy[current], galaxy[next]);
+        const cost = here.cost + fuel * fuelPrice;
+
+        const known = results.get(next);
+        if (!known || cost < known.cost) {
+          results.set(next, {
+            cost,
+            systems: [...here.systems, next],
+            gateHops: here.gateHops + (viaGate ? 1 : 0)
+          });
+        }
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Fuel units for a direct warp between two systems
+   */
+  getWarpFuel(a, b) {
+    const dx = b.position.x - a.position.x;
+    const dy = b.position.y - a.position.y;
+    return Math.max(MIN_WARP_FUEL, Math.sqrt(dx * dx + dy * dy) * FUEL_PER_LIGHT_UNIT);
+  }
+
+  /**
+   * Fuel price per unit when departing a system (calculateFuelPrice)
+   */
+  getFuelPrice(systemIndex) {
+    const economy = this.game.economySystem;
+    const system = this.game.galaxy[systemIndex];
+    const market = economy.systemMarkets.get(systemIndex);
+    if (market) return market.fuelPrice;
+    // Unexplored systems: assume remote (expensive) fuel
+    if (!system || system.isPlaceholder) return economy.calculateFuelPrice({ dangerLevel: 5 }, null);
+    return economy.calculateFuelPrice(system, system.factionData);
+  }
+
+  /**
+   * Export a plan as an ordered waypoint route
+   * @returns {Object} { name, profit, waypoints: [{ systemIndex, systemName, action, commodityId, quantity, price }] }
+   */
+  toWaypointRoute(plan) {
+    const galaxy = this.game.galaxy;
+    const waypoint = (systemIndex, action, trade, price) => ({
+      systemIndex,
+      systemName: galaxy[systemIndex] ? galaxy[systemIndex].name : `System ${systemIndex}`,
+      action,
+      commodityId: trade ? trade.commodityId : null,
+      quantity: trade ? trade.quantity : 0,
+      price: trade ? trade[price] : null
+    });
+
+    const waypoints = [];
+    const addLeg = (path, sold, bought) => {
+      path.slice(1, -1).forEach(index => waypoints.push(waypoint(index, 'transit')));
+      const end = path[path.length - 1];
+      if (sold) waypoints.push(waypoint(end, 'sell', sold, 'sellPrice'));
+      if (bought) waypoints.push(waypoint(end, 'buy', bought, 'buyPrice'));
+    };
+
+    if (plan.outbound) waypoints.push(waypoint(plan.from, 'buy', plan.outbound, 'buyPrice'));
+    addLeg(plan.path, plan.outbound, plan.inbound);
+    addLeg(plan.returnPath, plan.inbound, null);
+
+    return {
+      name: `${galaxy[plan.from].name} ⇄ ${galaxy[plan.to].name}`,
+      profit: plan.profit,
+      fuelCost: plan.fuelCost,
+      createdAt: Date.now(),
+      waypoints
+    };
+  }
+}
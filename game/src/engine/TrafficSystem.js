@@ -0,0 +1,344 @@
+/**
+ * TrafficSystem - Ambient civilian traffic inside star systems
+ *
+ * Features:
+ * - Traders flying between stations and planets, miners working asteroid belts,
+ *   couriers passing through and faction patrols flying their beat
+ * - Density follows the system's population (stations, megastructures, danger level)
+ *   and the owning faction's traffic mix; unclaimed space sees little traffic
+ * - Traffic lives around the player: arrivals fly in from beyond the screen and
+ *   ships that leave the area continue their journey off the map
+ * - Civilians are AlienShips in game.enemies (hailable, attackable) with a `civilian`
+ *   record; ShipAI flies them, this system picks their destinations
+ * - Firing on civilians costs race and faction reputation and puts the local patrols
+ *   on the player; destroying them costs more
+ */
+import { AlienShip } from './AlienShip.js';
+import { SeededRandom } from '../utils/SeededRandom.js';
+
+const SPAWN_INTERVAL = 12; // Seconds between arrivals while below the target density
+const MAX_TRAFFIC = 8;
+const ARRIVAL_MIN_DISTANCE = 2500; // Arrivals appear this far from the player (off screen)
+const ARRIVAL_MAX_DISTANCE = 4000;
+const DESTINATION_RANGE = 12000; // Stations and planets this close to the player are visited
+const MINING_RANGE = 6000; // Asteroids this close to the player are mined
+const DESPAWN_DISTANCE = 7000; // Ships leaving the area vanish beyond this distance
+const ARRIVAL_RADIUS = 60; // Added to the destination's size
+const PATROL_SIZE = 2;
+
+// Reputation consequences
+const ATTACK_RACE_REPUTATION = -5;
+const ATTACK_FACTION_REPUTATION = -5;
+const KILL_RACE_REPUTATION = -15;
+const KILL_FACTION_REPUTATION = -10;
+
+export const TRAFFIC_ROLES = {
+  trader: { name: 'Freighter', shipType: 'trader', dwell: [6, 12], stops: [2, 4] },
+  courier: { name: 'Courier', shipType: 'courier', dwell: [2, 4], stops: [1, 2] },
+  miner: { name: 'Mining Barge', shipType: 'miner', dwell: [15, 25], stops: [3, 5] },
+  patrol: { name: 'Patrol', shipType: 'fighter', dwell: [3, 6], stops: [3, 6] }
+};
+
+// Traffic mix, density and crews per owning faction ('unclaimed' for systems without owner)
+const FACTION_TRAFFIC = {
+  terran_coalition: { density: 1.0, roles: { trader: 3, courier: 2, miner: 1, patrol: 2 }, races: ['zenari', 'technocratic', 'avian'] },
+  independent_worlds: { density: 0.8, roles: { trader: 3, courier: 1, miner: 2, patrol: 1 }, races: ['nomadic', 'aquatic', 'crystalline'] },
+  mining_consortium: { density: 0.9, roles: { trader: 2, courier: 1, miner: 4, patrol: 1 }, races: ['rocky', 'synthetics'] },
+  hive_collective: { density: 0.5, roles: { trader: 1, miner: 2, patrol: 3 }, races: ['mycelians', 'fungal'] },
+  free_traders: { density: 1.2, roles: { trader: 5, courier: 2, miner: 1, patrol: 1 }, races: ['zenari', 'nomadic'] },
+  unclaimed: { density: 0.4, roles: { trader: 2, courier: 1, miner: 2 }, races: ['nomadic', 'rocky', 'ethereal'] }
+};
+
+export class TrafficSystem {
+  constructor(game) {
+    this.game = game;
+    this.rng = game && game.rng ? game.rng.fork('traffic') : new SeededRandom(0);
+    this.systemIndex = null; // System the current traffic belongs to
+    this.spawnTimer = 0;
+  }
+
+  getCivilians() {
+    return (this.game.enemies || []).filter(ship => ship.civilian);
+  }
+
+  getOwner() {
+    const game = this.game;
+    return game.factionSystem ? game.factionSystem.getSystemOwner(game.currentSystemIndex) : null;
+  }
+
+  getTrafficProfile() {
+    return FACTION_TRAFFIC[this.getOwner()] || FACTION_TRAFFIC.unclaimed;
+  }
+
+  /**
+   * Civilian ships the system supports: stations and megastructures bring people,
+   * danger keeps them away
+   */
+  getTargetDensity() {
+    const systemData = this.game.currentSystemData;
+    if (!systemData) return 0;
+
+    const population = (systemData.stationCount || 0) + (systemData.hasMegastructure ? 3 : 0);
+    const safety = Math.max(0.2, 1 - (systemData.dangerLevel || 0) * 0.08);
+    return Math.min(MAX_TRAFFIC, Math.round(population * this.getTrafficProfile().density * safety));
+  }
+
+  /**
+   * Spawn arrivals and remove departed ships (PhysicsEngine, before the ship AI runs)
+   */
+  update(dt) {
+    const game = this.game;
+    if (game.scene !== 'system' || !game.player || !game.stations || game.stations.length === 0) return;
+
+    // New system: start with the traffic already under way
+    if (this.systemIndex !== game.currentSystemIndex) {
+      this.systemIndex = game.currentSystemIndex;
+      this.spawnTimer = SPAWN_INTERVAL;
+      const target = this.getTargetDensity();
+      for (let i = this.getCivilians().length; i < target; i++) {
+        this.spawnTraffic(true);
+      }
+      return;
+    }
+
+    this.checkAttacks();
+    this.removeDeparted();
+
+    this.spawnTimer -= dt;
+    if (this.spawnTimer <= 0) {
+      this.spawnTimer = SPAWN_INTERVAL;
+      if (this.getCivilians().length < this.getTargetDensity()) {
+        this.spawnTraffic(false);
+      }
+    }
+  }
+
+  /**
+   * Spawn one trader, miner, courier or patrol
+   * @param {boolean} underway - Already busy near the player (system entry) instead of arriving
+   */
+  spawnTraffic(underway) {
+    const game = this.game;
+    const profile = this.getTrafficProfile();
+    const factionId = this.getOwner();
+
+    let role = this.rng.pickWeighted(profile.roles);
+    if (role === 'miner' && this.getNearbyAsteroids().length === 0) role = 'trader';
+    if (!role) return;
+
+    const raceId = this.rng.choice(profile.races);
+    const race = game.alienRaceSystem ? game.alienRaceSystem.getRace(raceId) : null;
+    const angle = this.rng.next() * Math.PI * 2;
+    const distance = underway
+      ? this.rng.range(600, ARRIVAL_MAX_DISTANCE)
+      : this.rng.range(ARRIVAL_MIN_DISTANCE, ARRIVAL_MAX_DISTANCE);
+    const x = game.player.x + Math.cos(angle) * distance;
+    const y = game.player.y + Math.sin(angle) * distance;
+
+    // Patrols are hostile to players their faction hunts or despises
+    let hostile = false;
+    if (role === 'patrol' && factionId) {
+      const hunted = game.diplomacySystem && game.diplomacySystem.isHunted(factionId);
+      hostile = !!hunted || (!!game.factionSystem && game.factionSystem.getRelation(factionId) === 'hostile');
+    }
+
+    const count = role === 'patrol' ? PATROL_SIZE : 1;
+    for (let i = 0; i < count; i++) {
+      const ship = new AlienShip(TRAFFIC_ROLES[role].shipType, x + i * 60, y + i * 60, hostile, race);
+      ship.civilian = {
+        role,
+        factionId,
+        destination: null,
+        dwell: 0,
+        stops: Math.round(this.rng.randomRange(TRAFFIC_ROLES[role].stops)),
+        leaving: false,
+        attacked: false
+      };
+      game.enemies.push(ship);
+    }
+  }
+
+  getNearbyAsteroids() {
+    const player = this.game.player;
+    return (this.game.asteroids || []).filter(asteroid =>
+      asteroid && !asteroid.destroyed && Math.hypot(asteroid.x - player.x, asteroid.y - player.y) < MINING_RANGE);
+  }
+
+  /**
+   * World position of a destination (stations and planets move along their orbits)
+   */
+  resolveDestination(destination) {
+    const game = this.game;
+    switch (destination.kind) {
+      case 'station': {
+        const station = game.stations[destination.index];
+        if (!station) return null;
+        const star = game.star || { x: 0, y: 0 };
+        return {
+          x: star.x + Math.cos(station.angle || 0) * (station.distance || 0),
+          y: star.y + Math.sin(station.angle || 0) * (station.distance || 0),
+          radius: (station.size || 40) + ARRIVAL_RADIUS
+        };
+      }
+      case 'planet': {
+        const planet = game.planets[destination.index];
+        return planet ? { x: planet.x, y: planet.y, radius: (planet.radius || 100) + ARRIVAL_RADIUS } : null;
+      }
+      case 'asteroid': {
+        const asteroid = game.asteroids[destination.index];
+        return asteroid && !asteroid.destroyed ? { x: asteroid.x, y: asteroid.y, radius: (asteroid.size || 20) + ARRIVAL_RADIUS } : null;
+      }
+      default:
+        return { x: destination.x, y: destination.y, radius: ARRIVAL_RADIUS };
+    }
+  }
+
+  /**
+   * Next stop for a ship: a station or planet near the player, an asteroid for miners,
+   * or a point beyond the area once its stops are done
+   */
+  chooseDestination(ship) {
+    const game = this.game;
+    const civilian = ship.civilian;
+    const player = game.player;
+
+    const candidates = [];
+    if (!civilian.leaving) {
+      if (civilian.role === 'miner' && !(civilian.destination && civilian.destination.kind === 'asteroid')) {
+        // Miners alternate between the belt and a station to sell the ore
+        for (const asteroid of this.getNearbyAsteroids()) {
+          candidates.push({ kind: 'asteroid', index: game.asteroids.indexOf(asteroid) });
+        }
+      }
+      if (candidates.length === 0) {
+        game.stations.forEach((station, index) => candidates.push({ kind: 'station', index }));
+        if (civilian.role !== 'miner') {
+          (game.planets || []).forEach((planet, index) => candidates.push({ kind: 'planet', index }));
+        }
+      }
+    }
+
+    const current = civilian.destination;
+    const nearby = candidates.filter(candidate => {
+      if (current && candidate.kind === current.kind && candidate.index === current.index) return false;
+      const point = this.resolveDestination(candidate);
+      return point && Math.hypot(point.x - player.x, point.y - player.y) < DESTINATION_RANGE;
+    });
+
+    if (nearby.length > 0) {
+      return this.rng.choice(nearby);
+    }
+
+    // Nothing left to visit here: fly on through the area and leave
+    civilian.leaving = true;
+    const angle = Math.atan2(ship.y - player.y, ship.x - player.x) + (this.rng.next() - 0.5) * Math.PI;
+    return {
+      kind: 'point',
+      x: player.x + Math.cos(angle) * DESPAWN_DISTANCE * 1.2,
+      y: player.y + Math.sin(angle) * DESPAWN_DISTANCE * 1.2
+    };
+  }
+
+  /**
+   * Where the ship is heading (ShipAI travel), choosing a new stop when needed
+   * @returns {{x, y, radius}|null}
+   */
+  getDestination(ship) {
+    const civilian = ship.civilian;
+    let point = civilian.destination ? this.resolveDestination(civilian.destination) : null;
+    if (!point) {
+      civilian.destination = this.chooseDestination(ship);
+      point = this.resolveDestination(civilian.destination);
+    }
+    return point;
+  }
+
+  /**
+   * Ship is at its stop (ShipAI travel): dock, trade or mine for a while, then move on
+   */
+  arrive(ship, dt) {
+    const civilian = ship.civilian;
+    if (civilian.destination.kind === 'point') return;
+
+    if (civilian.dwell <= 0) {
+      civilian.dwell = this.rng.randomRange(TRAFFIC_ROLES[civilian.role].dwell);
+    }
+    civilian.dwell -= dt;
+    if (civilian.dwell > 0) return;
+
+    civilian.dwell = 0;
+    civilian.stops--;
+    if (civilian.stops <= 0) civilian.leaving = true;
+    civilian.destination = this.chooseDestination(ship);
+  }
+
+  /**
+   * Remove ships that flew out of the area (not kills)
+   */
+  removeDeparted() {
+    const game = this.game;
+    const player = game.player;
+    for (let i = game.enemies.length - 1; i >= 0; i--) {
+      const ship = game.enemies[i];
+      if (!ship.civilian) continue;
+      const distance = Math.hypot(ship.x - player.x, ship.y - player.y);
+      if (distance > DESPAWN_DISTANCE * (ship.civilian.leaving ? 1 : 1.5)) {
+        game.enemies.splice(i, 1);
+      }
+    }
+  }
+
+  /**
+   * First shots at a peaceful ship: reputation loss and the patrols respond
+   */
+  checkAttacks() {
+    for (const ship of this.game.enemies) {
+      const civilian = ship.civilian;
+      if (!civilian || civilian.attacked || !ship.provoked) continue;
+      civilian.attacked = true;
+
+      // Shooting back at a patrol that is already hunting the player is fair game
+      if (ship.isHostile) continue;
+      this.applyReputation(ship, ATTACK_RACE_REPUTATION, ATTACK_FACTION_REPUTATION);
+      this.alertPatrols(civilian.factionId);
+      this.game.showNotification(`You fired on the ${ship.raceName} ${TRAFFIC_ROLES[civilian.role].name.toLowerCase()}!`, 'warning');
+      console.log(`[TrafficSystem] Player attacked a ${civilian.role} (${ship.race}, ${civilian.factionId || 'unclaimed'})`);
+    }
+  }
+
+  /**
+   * Hook: civilian ship destroyed (PhysicsEngine)
+   */
+  onShipDestroyed(ship) {
+    const civilian = ship.civilian;
+    if (!civilian || ship.isHostile) return;
+
+    this.applyReputation(ship, KILL_RACE_REPUTATION, KILL_FACTION_REPUTATION);
+    this.alertPatrols(civilian.factionId);
+    const faction = civilian.factionId && this.game.factionSystem
+      ? this.game.factionSystem.factions[civilian.factionId]
+      : null;
+    const standing = faction ? `${ship.raceName} and ${faction.name}` : ship.raceName;
+    this.game.showNotification(`${ship.raceName} ${TRAFFIC_ROLES[civilian.role].name.toLowerCase()} destroyed - ${standing} standing lost`, 'error');
+  }
+
+  applyReputation(ship, raceAmount, factionAmount) {
+    const game = this.game;
+    if (game.alienRaceSystem) game.alienRaceSystem.modifyReputation(ship.race, raceAmount);
+    if (game.factionSystem && ship.civilian.factionId) {
+      game.factionSystem.modifyReputation(ship.civilian.factionId, factionAmount);
+    }
+  }
+
+  /**
+   * The faction's patrols in the system turn on the player
+   */
+  alertPatrols(factionId) {
+    for (const ship of this.game.enemies) {
+      if (ship.civilian && ship.civilian.role === 'patrol' && ship.civilian.factionId === factionId) {
+        ship.provoked = true;
+        ship.civilian.attacked = true; // Already answering, no second penalty
+      }
+    }
+  }
+}
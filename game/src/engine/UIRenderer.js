@@ -9,6 +9,12 @@
  * Uses DigitalDisco custom font throughout
  */
 
+import { MISSION_TYPES } from './MissionSystem.js';
+import { SLOT_TYPES } from './OutfittingSystem.js';
+import { BORDER_RANGE, MAX_STRENGTH } from './FactionSystem.js';
+import { TREATY_TYPES, TRIBUTE_OFFER } from './DiplomacySystem.js';
+import { describePayload } from './EventBus.js';
+
 export class UIRenderer {
   constructor(game) {
     this.game = game;
@@ -98,8 +104,28 @@ export class UIRenderer {
       this.renderPopupWindow(ctx);
     }
 
+    // Hail conversation
+    if (this.game.uiState.showDialogue) {
+      this.renderDialoguePanel(ctx);
+    }
+
+    // Random event
+    if (this.game.uiState.showEvent) {
+      this.renderEventPanel(ctx);
+    }
+
+    // Permadeath: the run is over
+    if (this.game.gameOver) {
+      this.renderGameOverPanel(ctx);
+    }
+
+    // Debug overlay (F8)
+    if (this.game.uiState.showEventInspector) {
+      this.renderEventInspector(ctx);
+    }
+
     // Render small interaction prompt (NEW - two-stage system)
-    if (this.game.uiState.showInteractionPrompt && !this.game.uiState.showPopup) {
+    if (this.game.uiState.showInteractionPrompt && !this.game.uiState.showPopup && !this.game.uiState.showDialogue && !this.game.uiState.showEvent) {
       this.renderInteractionPrompt(ctx);
     }
 
@@ -173,14 +199,16 @@ export class UIRenderer {
     const objName = target.object?.name || target.type.toUpperCase();
     ctx.fillText(objName, x + w / 2, y + 45);
 
-    // "Press E" prompt
+    // "Press E" prompt (key or gamepad button, whichever was used last)
     ctx.font = 'bold 12px DigitalDisco, monospace';
     ctx.fillStyle = palette.statusBlue;
 
     // Pulsing effect
     const pulse = Math.sin(this.time * 3) * 0.3 + 0.7;
     ctx.globalAlpha = pulse;
-    ctx.fillText('[E] INTERACT', x + w / 2, y + 60);
+    const mapper = this.game.inputMapper;
+    const glyph = mapper.getPromptLabel('interact');
+    ctx.fillText(mapper.lastDevice === 'gamepad' ? `(${glyph}) INTERACT` : `[${glyph}] INTERACT`, x + w / 2, y + 60);
 
     ctx.restore();
   }
@@ -974,8 +1002,8 @@ export class UIRenderer {
     });
 
     // Tab buttons
-    const tabs = ['CARGO', 'ARTIFACTS', 'SHIP STATUS'];
-    const tabNames = ['cargo', 'artifacts', 'ship'];
+    const tabs = ['CARGO', 'ARTIFACTS', 'SHIP STATUS', 'CREW', 'MISSIONS'];
+    const tabNames = ['cargo', 'artifacts', 'ship', 'crew', 'missions'];
     const tabW = 200;
     const tabH = 40;
     const tabY = y + 80;
@@ -1006,6 +1034,10 @@ export class UIRenderer {
       this.renderCargoTab(ctx, x + 25, contentY, w - 50, contentH, palette);
     } else if (this.game.uiState.selectedTab === 'artifacts') {
       this.renderArtifactsTab(ctx, x + 25, contentY, w - 50, contentH, palette);
+    } else if (this.game.uiState.selectedTab === 'crew') {
+      this.renderCrewTab(ctx, x + 25, contentY, w - 50, contentH, palette);
+    } else if (this.game.uiState.selectedTab === 'missions') {
+      this.renderMissionsTab(ctx, x + 25, contentY, w - 50, contentH, palette);
     } else {
       this.renderShipStatusTab(ctx, x + 25, contentY, w - 50, contentH, palette);
     }
@@ -1021,7 +1053,7 @@ export class UIRenderer {
     ctx.fillStyle = '#88aacc';
     ctx.font = '12px DigitalDisco, monospace';
     ctx.textAlign = 'center';
-    ctx.fillText('[I] Close Inventory | [ESC] Close All UI | [1-3] Switch Tabs', x + w / 2, y + h - 25);
+    ctx.fillText('[I] Close Inventory | [ESC] Close All UI | [1-5] Switch Tabs', x + w / 2, y + h - 25);
     ctx.restore();
   }
 
@@ -1150,6 +1182,229 @@ export class UIRenderer {
     return colors[category] || palette.statusBlue;
   }
 
+  /**
+   * Price trend sparkline (rising = red for buyers, falling = green)
+   */
+  renderSparkline(ctx, values, x, y, w, h, palette) {
+    ctx.strokeStyle = '#223344';
+    ctx.lineWidth = 1;
+    ctx.strokeRect(x, y, w, h);
+    if (!values || values.length < 2) return;
+
+    const min = Math.min(...values);
+    const max = Math.max(...values);
+    const span = max - min || 1;
+    const first = values[0];
+    const last = values[values.length - 1];
+    const color = last > first ? palette.alertRed : last < first ? palette.statusGreen : '#88aacc';
+
+    ctx.strokeStyle = color;
+    ctx.lineWidth = 1.5;
+    ctx.beginPath();
+    values.forEach((value, i) => {
+      const px = x + 2 + (i / (values.length - 1)) * (w - 4);
+      const py = y + h - 2 - ((value - min) / span) * (h - 4);
+      if (i === 0) ctx.moveTo(px, py);
+      else ctx.lineTo(px, py);
+    });
+    ctx.stroke();
+  }
+
+  renderCrewTab(ctx, x, y, w, h, palette) {
+    const crewSystem = this.game.crewSystem;
+
+    this.drawDataPanel(ctx, x, y, w, h, palette);
+
+    ctx.save();
+    ctx.shadowBlur = 5;
+    ctx.shadowColor = palette.statusBlue;
+    ctx.fillStyle = palette.statusBlue;
+    ctx.font = 'bold 15px DigitalDisco, monospace';
+    ctx.textAlign = 'left';
+    ctx.fillText('CREW ROSTER', x + 15, y + 30);
+    ctx.shadowBlur = 0;
+
+    if (!crewSystem) {
+      ctx.restore();
+      return;
+    }
+
+    ctx.fillStyle = crewSystem.permadeath ? palette.alertRed : '#88aacc';
+    ctx.font = '12px DigitalDisco, monospace';
+    ctx.textAlign = 'right';
+    ctx.fillText(crewSystem.permadeath ? 'CREW PERMADEATH: ON' : 'CREW PERMADEATH: OFF', x + w - 20, y + 30);
+    ctx.textAlign = 'left';
+
+    const statusColors = {
+      active: palette.statusGreen,
+      injured: palette.cautionOrange,
+      incapacitated: palette.alertRed,
+      dead: '#556677'
+    };
+
+    let rowY = y + 60;
+    const rowH = 90;
+
+    for (const entry of crewSystem.getRoster()) {
+      const member = entry.member;
+
+      ctx.fillStyle = '#0f0f18';
+      ctx.fillRect(x + 10, rowY, w - 20, rowH - 10);
+      ctx.strokeStyle = '#334455';
+      ctx.lineWidth = 1;
+      ctx.strokeRect(x + 10, rowY, w - 20, rowH - 10);
+
+      ctx.fillStyle = palette.warpBlue;
+      ctx.font = 'bold 13px DigitalDisco, monospace';
+      ctx.fillText(`[${entry.roleName.toUpperCase()}]`, x + 25, rowY + 22);
+
+      if (!member) {
+        ctx.fillStyle = palette.alertRed;
+        ctx.font = '12px DigitalDisco, monospace';
+        ctx.fillText('POST VACANT', x + 25, rowY + 46);
+        ctx.fillStyle = '#778899';
+        ctx.fillText(`${entry.effect}: NO BONUS`, x + 25, rowY + 66);
+        rowY += rowH;
+        continue;
+      }
+
+      ctx.fillStyle = '#aabbcc';
+      ctx.font = '12px DigitalDisco, monospace';
+      ctx.fillText(member.name, x + 25, rowY + 44);
+      ctx.fillStyle = '#778899';
+      ctx.font = '11px DigitalDisco, monospace';
+      ctx.fillText(`${member.race.toUpperCase()} / ${member.gender.toUpperCase()}`, x + 25, rowY + 62);
+
+      // Skill and health
+      ctx.fillStyle = '#88aacc';
+      ctx.font = '11px DigitalDisco, monospace';
+      ctx.fillText('SKILL', x + 330, rowY + 22);
+      this.drawTerminalProgressBar(ctx, x + 400, rowY + 8, 220, 20, member.skill, 1, palette.statusBlue, palette);
+      ctx.fillText('HEALTH', x + 330, rowY + 56);
+      this.drawTerminalProgressBar(ctx, x + 400, rowY + 42, 220, 20, member.health, 100, statusColors[member.status] || palette.statusGreen, palette);
+
+      // Status and effect
+      ctx.shadowBlur = 6;
+      ctx.shadowColor = statusColors[member.status];
+      ctx.fillStyle = statusColors[member.status];
+      ctx.font = 'bold 12px DigitalDisco, monospace';
+      ctx.fillText(member.status.toUpperCase(), x + 660, rowY + 22);
+      ctx.shadowBlur = 0;
+
+      ctx.fillStyle = '#aabbcc';
+      ctx.font = '12px DigitalDisco, monospace';
+      ctx.fillText(`${entry.effect}: ${Math.round(entry.effectiveness * 100)}%`, x + 660, rowY + 56);
+
+      rowY += rowH;
+      if (rowY > y + h - rowH) break;
+    }
+
+    if (crewSystem.reserve.length > 0 || crewSystem.memorial.length > 0) {
+      ctx.fillStyle = '#778899';
+      ctx.font = '11px DigitalDisco, monospace';
+      ctx.fillText(`RESERVE: ${crewSystem.reserve.length} | LOST: ${crewSystem.memorial.map(m => m.name).join(', ') || 'NONE'}`, x + 25, y + h - 15);
+    }
+
+    ctx.restore();
+  }
+
+  renderMissionsTab(ctx, x, y, w, h, palette) {
+    const missionSystem = this.game.missionSystem;
+    const missions = missionSystem ? missionSystem.activeMissions : [];
+
+    this.drawDataPanel(ctx, x, y, w, h, palette);
+
+    ctx.save();
+    ctx.shadowBlur = 5;
+    ctx.shadowColor = palette.statusBlue;
+    ctx.fillStyle = palette.statusBlue;
+    ctx.font = 'bold 15px DigitalDisco, monospace';
+    ctx.textAlign = 'left';
+    ctx.fillText('ACTIVE MISSION LOG', x + 15, y + 30);
+    ctx.shadowBlur = 0;
+
+    ctx.fillStyle = '#88aacc';
+    ctx.font = '12px DigitalDisco, monospace';
+    ctx.textAlign = 'right';
+    ctx.fillText(`COMPLETED: ${this.game.statistics ? this.game.statistics.missionsCompleted : 0}`, x + w - 20, y + 30);
+    ctx.textAlign = 'left';
+
+    if (missions.length === 0) {
+      ctx.fillStyle = '#556677';
+      ctx.font = '18px DigitalDisco, monospace';
+      ctx.textAlign = 'center';
+      ctx.fillText('NO ACTIVE MISSIONS', x + w / 2, y + 120);
+      ctx.font = '13px DigitalDisco, monospace';
+      ctx.fillStyle = '#445566';
+      ctx.fillText('Dock at a station and check the CONTRACTS board', x + w / 2, y + 150);
+      ctx.restore();
+      return;
+    }
+
+    let rowY = y + 60;
+    const rowH = 95;
+
+    for (const mission of missions) {
+      const typeInfo = MISSION_TYPES[mission.type];
+      const remaining = missionSystem.getTimeRemaining(mission);
+      const minutes = Math.floor(remaining / 60000);
+      const seconds = Math.floor((remaining % 60000) / 1000);
+      const inTarget = mission.targetSystemIndex === this.game.currentSystemIndex;
+
+      ctx.fillStyle = '#0f0f18';
+      ctx.fillRect(x + 10, rowY, w - 20, rowH - 10);
+      ctx.strokeStyle = inTarget ? palette.statusGreen : '#334455';
+      ctx.lineWidth = 1;
+      ctx.strokeRect(x + 10, rowY, w - 20, rowH - 10);
+
+      ctx.fillStyle = palette.cautionOrange;
+      ctx.font = 'bold 13px DigitalDisco, monospace';
+      ctx.fillText(`${typeInfo.icon} ${mission.title}`, x + 25, rowY + 22);
+
+      ctx.fillStyle = '#778899';
+      ctx.font = '11px DigitalDisco, monospace';
+      ctx.fillText(mission.description, x + 25, rowY + 42);
+      ctx.fillText(`Issued by ${mission.issuerStation} (${mission.issuerSystemName})`, x + 25, rowY + 60);
+
+      ctx.fillStyle = inTarget ? palette.statusGreen : '#88aacc';
+      ctx.fillText(inTarget ? 'TARGET SYSTEM: CURRENT' : `TARGET SYSTEM: ${mission.targetSystemName}`, x + 25, rowY + 76);
+
+      // Progress
+      this.drawTerminalProgressBar(ctx, x + 620, rowY + 12, 300, 22, mission.progress, mission.required, palette.statusGreen, palette);
+      ctx.fillStyle = '#aabbcc';
+      ctx.font = 'bold 12px DigitalDisco, monospace';
+      ctx.fillText(`${mission.progress}/${mission.required}`, x + 935, rowY + 28);
+
+      // Deadline and reward
+      ctx.fillStyle = remaining < 120000 ? palette.alertRed : '#88aacc';
+      ctx.font = '12px DigitalDisco, monospace';
+      ctx.fillText(`TIME LEFT: ${minutes}:${seconds.toString().padStart(2, '0')}`, x + 620, rowY + 58);
+      ctx.fillStyle = '#ffaa00';
+      ctx.fillText(`REWARD: ${missionSystem.getReward(mission).toLocaleString()} CR`, x + 800, rowY + 58);
+
+      // Abandon button
+      const btnW = 120;
+      const btnH = 30;
+      const btnX = x + w - btnW - 25;
+      const btnY = rowY + 12;
+      this.drawTerminalButton(ctx, btnX, btnY, btnW, btnH, 'ABANDON', false, palette);
+      this.game.inventoryButtonBounds.push({
+        x: btnX,
+        y: btnY,
+        w: btnW,
+        h: btnH,
+        action: () => {
+          missionSystem.abandonMission(mission.id);
+        }
+      });
+
+      rowY += rowH;
+      if (rowY > y + h - rowH) break;
+    }
+
+    ctx.restore();
+  }
+
   renderArtifactsTab(ctx, x, y, w, h, palette) {
     // Import items from EnhancedItems - in real implementation this would be player's inventory
     const ENHANCED_ARTIFACTS = this.game.ENHANCED_ARTIFACTS || {};
@@ -1571,7 +1826,20 @@ export class UIRenderer {
     ctx.fillStyle = '#aabbcc';
     ctx.font = '20px DigitalDisco, monospace';
     ctx.fillText(`${p.mass || 100} TONS`, rightPanel.x + 20, yPos + 35);
-    yPos += 75;
+    ctx.fillStyle = '#88aacc';
+    ctx.font = '11px DigitalDisco, monospace';
+    ctx.fillText(`+${Math.round(p.cargoMass || 0)} KG FITTED MODULES`, rightPanel.x + 20, yPos + 55);
+    yPos += 85;
+
+    // Armor plating
+    const armor = this.game.armorSystem ? this.game.armorSystem.getArmorInfo() : null;
+    if (armor && armor.plates > 0) {
+      ctx.fillStyle = palette.cautionOrange;
+      ctx.font = 'bold 14px DigitalDisco, monospace';
+      ctx.fillText(`ARMOR PLATING (${armor.plates})`, rightPanel.x + 15, yPos);
+      this.drawTerminalProgressBar(ctx, rightPanel.x + 15, yPos + 10, rightPanel.w - 30, 28, armor.hp, armor.maxHp, palette.cautionOrange, palette);
+      yPos += 60;
+    }
 
     // Kills and score
     ctx.shadowBlur = 5;
@@ -1647,18 +1915,27 @@ export class UIRenderer {
     ctx.restore();
 
     // Tab buttons
-    const tabs = ['BUY', 'SELL', 'REFUEL'];
+    const tabs = ['BUY', 'SELL', 'REFUEL', 'CONTRACTS', 'OUTFITTING'];
+    const tabNames = ['buy', 'sell', 'refuel', 'contracts', 'outfitting'];
     const tabW = 170;
     const tabH = 42;
     const tabY = y + 145;
 
     for (let i = 0; i < tabs.length; i++) {
       const tabX = x + 25 + i * (tabW + 15);
-      const isSelected = (i === 0 && this.game.uiState.selectedTradeTab === 'buy') ||
-                         (i === 1 && this.game.uiState.selectedTradeTab === 'sell') ||
-                         (i === 2 && this.game.uiState.selectedTradeTab === 'refuel');
+      const isSelected = this.game.uiState.selectedTradeTab === tabNames[i];
 
       this.drawTerminalButton(ctx, tabX, tabY, tabW, tabH, tabs[i], isSelected, palette);
+
+      this.game.tradingButtonBounds.push({
+        x: tabX,
+        y: tabY,
+        w: tabW,
+        h: tabH,
+        action: () => {
+          this.game.uiState.selectedTradeTab = tabNames[i];
+        }
+      });
     }
 
     // Content area
@@ -1669,6 +1946,10 @@ export class UIRenderer {
       this.renderBuyTab(ctx, x + 25, contentY, w - 50, contentH, palette);
     } else if (this.game.uiState.selectedTradeTab === 'sell') {
       this.renderSellTab(ctx, x + 25, contentY, w - 50, contentH, palette);
+    } else if (this.game.uiState.selectedTradeTab === 'contracts') {
+      this.renderContractsTab(ctx, x + 25, contentY, w - 50, contentH, palette);
+    } else if (this.game.uiState.selectedTradeTab === 'outfitting') {
+      this.renderOutfittingTab(ctx, x + 25, contentY, w - 50, contentH, palette);
     } else {
       this.renderRefuelTab(ctx, x + 25, contentY, w - 50, contentH, palette);
     }
@@ -1684,7 +1965,7 @@ export class UIRenderer {
     ctx.fillStyle = '#88aacc';
     ctx.font = '12px DigitalDisco, monospace';
     ctx.textAlign = 'center';
-    ctx.fillText('[T] Close Trading | [ESC] Close All UI | [1-3] Switch Tabs', x + w / 2, y + h - 25);
+    ctx.fillText('[T] Close Trading | [ESC] Close All UI | [1-5] Switch Tabs', x + w / 2, y + h - 25);
     ctx.restore();
   }
 
@@ -1812,6 +2093,16 @@ export class UIRenderer {
     ctx.fillText('◆ AVAILABLE COMMODITIES ◆', x + 15, y + 25);
     ctx.shadowBlur = 0;
 
+    // Active market events (wars, blockades) shifting prices here
+    const events = this.game.economySystem.getMarketEvents(market.systemIndex);
+    if (events.length > 0) {
+      ctx.fillStyle = palette.cautionOrange;
+      ctx.font = 'bold 11px DigitalDisco, monospace';
+      ctx.textAlign = 'right';
+      ctx.fillText(`⚠ ${events.map(event => event.name.toUpperCase()).join(' · ')}`, x + w - 15, y + 25);
+      ctx.textAlign = 'left';
+    }
+
     // Table header
     const headerY = y + 45;
     ctx.fillStyle = '#0a0a0f';
@@ -1826,6 +2117,7 @@ export class UIRenderer {
     ctx.fillText('COMMODITY', x + 25, headerY + 20);
     ctx.fillText('CATEGORY', x + 270, headerY + 20);
     ctx.fillText('PRICE', x + 430, headerY + 20);
+    ctx.fillText('TREND', x + 505, headerY + 20);
     ctx.fillText('STOCK', x + 590, headerY + 20);
     ctx.fillText('SPACE', x + 750, headerY + 20);
     ctx.fillText('BUY', x + 890, headerY + 20);
@@ -1835,7 +2127,7 @@ export class UIRenderer {
     const commodities = this.game.economySystem.commodities;
 
     for (const [commodityId, commodity] of Object.entries(commodities)) {
-      const price = market.prices[commodityId];
+      const price = this.game.economySystem.getPlayerPrice(market, commodityId, 'buy');
       const stock = market.supply[commodityId];
 
       if (stock <= 0) continue;
@@ -1868,6 +2160,9 @@ export class UIRenderer {
       ctx.fillText(`${price} CR`, x + 430, rowY + 10);
       ctx.shadowBlur = 0;
 
+      // Price trend
+      this.renderSparkline(ctx, market.history && market.history[commodityId], x + 505, rowY - 4, 70, 18, palette);
+
       // Stock
       ctx.fillStyle = stock < 20 ? palette.alertRed : palette.statusGreen;
       ctx.font = '11px DigitalDisco, monospace';
@@ -1900,8 +2195,8 @@ export class UIRenderer {
         w: btnW,
         h: btnH,
         action: () => {
-          console.log('Buy commodity:', commodity.name);
-          // Future: Implement buy logic
+          const result = this.game.economySystem.buyCommodity(commodityId, 1, this.game.currentSystemIndex);
+          this.game.showNotification(result.message, result.success ? 'success' : 'warning');
         }
       });
 
@@ -2091,7 +2386,7 @@ export class UIRenderer {
     let rowY = headerY + 50;
 
     for (const cargoItem of cargo) {
-      const sellPrice = market.prices[cargoItem.commodityId];
+      const sellPrice = this.game.economySystem.getPlayerPrice(market, cargoItem.commodityId, 'sell');
       const profit = (sellPrice - cargoItem.purchasePrice) * cargoItem.quantity;
 
       // Row background
@@ -2130,6 +2425,40 @@ export class UIRenderer {
       ctx.fillText(`${profit >= 0 ? '+' : ''}${profit} CR`, x + 750, rowY + 12);
       ctx.shadowBlur = 0;
 
+      // Sell buttons
+      const sellOptions = [['SELL 1', 1], ['SELL ALL', cargoItem.quantity]];
+      for (let b = 0; b < sellOptions.length; b++) {
+        const [label, quantity] = sellOptions[b];
+        const btnW = 90;
+        const btnH = 24;
+        const btnX = x + 910 + b * (btnW + 10);
+        const btnY = rowY - 6;
+
+        ctx.fillStyle = 'rgba(68, 136, 255, 0.2)';
+        ctx.fillRect(btnX, btnY, btnW, btnH);
+        ctx.strokeStyle = palette.statusBlue;
+        ctx.lineWidth = 1;
+        ctx.strokeRect(btnX, btnY, btnW, btnH);
+
+        ctx.fillStyle = palette.statusBlue;
+        ctx.font = 'bold 10px DigitalDisco, monospace';
+        ctx.textAlign = 'center';
+        ctx.fillText(label, btnX + btnW / 2, btnY + btnH / 2 + 4);
+        ctx.textAlign = 'left';
+
+        const commodityId = cargoItem.commodityId;
+        this.game.tradingButtonBounds.push({
+          x: btnX,
+          y: btnY,
+          w: btnW,
+          h: btnH,
+          action: () => {
+            const result = this.game.economySystem.sellCommodity(commodityId, quantity, this.game.currentSystemIndex);
+            this.game.showNotification(result.message, result.success ? 'success' : 'warning');
+          }
+        });
+      }
+
       rowY += 38;
     }
     ctx.restore();
@@ -2216,111 +2545,411 @@ export class UIRenderer {
     ctx.restore();
   }
 
-  /**
-   * DIPLOMACY SCREEN - Enhanced Terminal Style
-   */
-  renderDiplomacyScreen(ctx) {
-    const palette = this.game.PALETTE;
-    const w = 1400;
-    const h = 880;
-    const x = (this.game.width - w) / 2;
-    const y = (this.game.height - h) / 2;
-
-    // Clear and initialize button bounds for touch interaction
-    this.game.diplomacyButtonBounds = [];
-
-    // Main panel
-    this.drawTerminalPanel(ctx, x, y, w, h, '[DIP] GALACTIC DIPLOMACY & FACTION RELATIONS', palette);
-
-    // Close button (X) in top-right corner
-    const closeButtonSize = 40;
-    const closeX = x + w - closeButtonSize - 20;
-    const closeY = y + 20;
-    this.drawTerminalButton(ctx, closeX, closeY, closeButtonSize, closeButtonSize, 'X', false, palette);
-    this.game.diplomacyButtonBounds.push({
-      x: closeX,
-      y: closeY,
-      w: closeButtonSize,
-      h: closeButtonSize,
-      action: () => {
-        this.game.uiState.showDiplomacy = false;
-        if (this.game.mobileControls) {
-          this.game.mobileControls.buttons.diplomacy.active = false;
-        }
-      }
-    });
+  renderContractsTab(ctx, x, y, w, h, palette) {
+    const missionSystem = this.game.missionSystem;
+    const station = this.game.uiState.selectedStation;
+    const contracts = missionSystem && station ? missionSystem.getContractBoard(station) : [];
 
-    // Current system faction info panel
-    this.drawDataPanel(ctx, x + 20, y + 75, w - 40, 50, palette);
+    this.drawDataPanel(ctx, x, y, w, h, palette);
 
-    const currentFaction = this.game.currentSystemData ? this.game.currentSystemData.faction : null;
-    if (currentFaction) {
-      const factionData = this.game.factionSystem.getFaction(currentFaction);
-      const factionColor = this.game.factionSystem.getFactionColor(currentFaction);
+    ctx.save();
+    ctx.shadowBlur = 5;
+    ctx.shadowColor = palette.statusBlue;
+    ctx.fillStyle = palette.statusBlue;
+    ctx.font = 'bold 15px DigitalDisco, monospace';
+    ctx.textAlign = 'left';
+    ctx.fillText('STATION CONTRACT BOARD', x + 15, y + 30);
+    ctx.shadowBlur = 0;
 
-      ctx.save();
-      ctx.shadowBlur = 6;
-      ctx.shadowColor = factionColor;
-      ctx.fillStyle = factionColor;
-      ctx.font = '15px DigitalDisco, monospace';
+    if (missionSystem) {
+      ctx.fillStyle = '#88aacc';
+      ctx.font = '12px DigitalDisco, monospace';
+      ctx.textAlign = 'right';
+      ctx.fillText(`ACTIVE MISSIONS: ${missionSystem.activeMissions.length}/${missionSystem.MAX_ACTIVE}`, x + w - 20, y + 30);
       ctx.textAlign = 'left';
-      ctx.fillText(`CURRENT TERRITORY: ${factionData.name}`, x + 35, y + 105);
-      ctx.shadowBlur = 0;
-      ctx.restore();
     }
 
-    // Faction list (left side)
-    const factions = this.game.factionSystem.factions;
-    const factionList = Object.values(factions);
+    if (contracts.length === 0) {
+      ctx.fillStyle = '#556677';
+      ctx.font = '18px DigitalDisco, monospace';
+      ctx.textAlign = 'center';
+      ctx.fillText(station ? 'NO CONTRACTS POSTED' : 'DOCK AT A STATION TO VIEW CONTRACTS', x + w / 2, y + 120);
+      ctx.restore();
+      return;
+    }
 
-    const listX = x + 20;
-    const listY = y + 145;
-    const listW = 400;
+    // Table header
+    const headerY = y + 55;
+    ctx.fillStyle = '#0a0a0f';
+    ctx.fillRect(x + 10, headerY, w - 20, 35);
+    ctx.strokeStyle = palette.statusBlue;
+    ctx.lineWidth = 2;
+    ctx.strokeRect(x + 10, headerY, w - 20, 35);
 
-    // List panel
-    this.drawDataPanel(ctx, listX, listY, listW, h - 220, palette);
+    ctx.fillStyle = palette.warpBlue;
+    ctx.font = 'bold 12px DigitalDisco, monospace';
+    ctx.fillText('TYPE', x + 25, headerY + 22);
+    ctx.fillText('CONTRACT', x + 200, headerY + 22);
+    ctx.fillText('ISSUER', x + 620, headerY + 22);
+    ctx.fillText('REWARD', x + 860, headerY + 22);
+    ctx.fillText('TIME', x + 990, headerY + 22);
 
-    ctx.save();
-    ctx.shadowBlur = 5;
-    ctx.shadowColor = palette.statusBlue;
-    ctx.fillStyle = palette.statusBlue;
-    ctx.font = 'bold 15px DigitalDisco, monospace';
-    ctx.fillText('KNOWN FACTIONS', listX + 15, listY + 30);
-    ctx.shadowBlur = 0;
+    let rowY = headerY + 50;
+    const rowH = 70;
 
-    let factionY = listY + 55;
-    for (const faction of factionList) {
-      const isSelected = this.game.uiState.selectedFaction === faction.id;
+    for (let i = 0; i < contracts.length; i++) {
+      const contract = contracts[i];
+      const typeInfo = MISSION_TYPES[contract.type];
+      const faction = this.game.factionSystem ? this.game.factionSystem.factions[contract.factionId] : null;
+      const check = missionSystem.canAccept(contract);
 
-      // Faction button with depth
-      if (isSelected) {
-        ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
-        ctx.fillRect(listX + 17, listY + 3, listW - 30, 55);
+      if (i % 2 === 0) {
+        ctx.fillStyle = '#0f0f18';
+        ctx.fillRect(x + 10, rowY - 12, w - 20, rowH);
       }
 
-      ctx.fillStyle = isSelected ? `${faction.color}33` : '#0a0a0f';
-      ctx.fillRect(listX + 15, factionY, listW - 30, 55);
-
-      ctx.shadowBlur = isSelected ? 10 : 0;
-      ctx.shadowColor = faction.color;
-      ctx.strokeStyle = isSelected ? faction.color : '#334455';
-      ctx.lineWidth = isSelected ? 3 : 2;
-      ctx.strokeRect(listX + 15, factionY, listW - 30, 55);
+      // Type
+      ctx.shadowBlur = 4;
+      ctx.shadowColor = palette.cautionOrange;
+      ctx.fillStyle = palette.cautionOrange;
+      ctx.font = 'bold 12px DigitalDisco, monospace';
+      ctx.fillText(`${typeInfo.icon} ${typeInfo.name}`, x + 25, rowY + 12);
       ctx.shadowBlur = 0;
 
-      // Faction name and flag
+      // Title and description
+      ctx.fillStyle = '#aabbcc';
+      ctx.font = 'bold 12px DigitalDisco, monospace';
+      ctx.fillText(contract.title, x + 200, rowY + 12);
+      ctx.fillStyle = '#778899';
+      ctx.font = '11px DigitalDisco, monospace';
+      ctx.fillText(contract.description, x + 200, rowY + 32);
+
+      // Issuer faction
+      ctx.fillStyle = faction ? faction.color : '#88aacc';
+      ctx.font = '12px DigitalDisco, monospace';
+      ctx.fillText(faction ? faction.name : 'Independent', x + 620, rowY + 12);
+      if (!check.allowed) {
+        ctx.fillStyle = palette.alertRed;
+        ctx.font = '10px DigitalDisco, monospace';
+        ctx.fillText(check.reason, x + 620, rowY + 32);
+      }
+
+      // Reward
+      ctx.shadowBlur = 6;
+      ctx.shadowColor = '#ffaa00';
+      ctx.fillStyle = '#ffaa00';
+      ctx.font = 'bold 12px DigitalDisco, monospace';
+      ctx.fillText(`${missionSystem.getReward(contract).toLocaleString()} CR`, x + 860, rowY + 12);
+      ctx.shadowBlur = 0;
+      ctx.fillStyle = palette.statusGreen;
+      ctx.font = '11px DigitalDisco, monospace';
+      ctx.fillText(`+${contract.reputationReward} REP`, x + 860, rowY + 32);
+
+      // Time limit
+      ctx.fillStyle = '#88aacc';
+      ctx.font = '12px DigitalDisco, monospace';
+      ctx.fillText(`${Math.round(contract.timeLimit / 60000)} MIN`, x + 990, rowY + 12);
+
+      // Accept button
+      const btnW = 120;
+      const btnH = 32;
+      const btnX = x + w - btnW - 25;
+      const btnY = rowY - 4;
+      this.drawTerminalButton(ctx, btnX, btnY, btnW, btnH, check.allowed ? 'ACCEPT' : 'LOCKED', false, palette);
+
+      if (check.allowed) {
+        this.game.tradingButtonBounds.push({
+          x: btnX,
+          y: btnY,
+          w: btnW,
+          h: btnH,
+          action: () => {
+            missionSystem.acceptContract(contract);
+          }
+        });
+      }
+
+      rowY += rowH;
+      if (rowY > y + h - rowH) break;
+    }
+
+    ctx.restore();
+  }
+
+  renderOutfittingTab(ctx, x, y, w, h, palette) {
+    const outfitting = this.game.outfittingSystem;
+    const station = this.game.uiState.selectedStation;
+
+    this.drawDataPanel(ctx, x, y, w, h, palette);
+
+    ctx.save();
+    ctx.shadowBlur = 5;
+    ctx.shadowColor = palette.statusBlue;
+    ctx.fillStyle = palette.statusBlue;
+    ctx.font = 'bold 15px DigitalDisco, monospace';
+    ctx.textAlign = 'left';
+    ctx.fillText('STATION SHIPYARD', x + 15, y + 30);
+    ctx.shadowBlur = 0;
+
+    if (!outfitting || !outfitting.canOutfit()) {
+      ctx.fillStyle = '#556677';
+      ctx.font = '18px DigitalDisco, monospace';
+      ctx.textAlign = 'center';
+      ctx.fillText('DOCK AT A STATION TO REFIT YOUR SHIP', x + w / 2, y + 120);
+      ctx.restore();
+      return;
+    }
+
+    const slotLabels = { weapons: 'WEAPON HARDPOINTS', shields: 'SHIELD GENERATORS', armor: 'ARMOR PLATING' };
+    const slotColors = { weapons: palette.plasmaGreen, shields: palette.shieldCyan, armor: palette.cautionOrange };
+    const rowH = 30;
+    const btnW = 80;
+    const btnH = 24;
+
+    const addButton = (bx, by, label, onClick) => {
+      this.drawTerminalButton(ctx, bx, by, btnW, btnH, label, false, palette);
+      this.game.tradingButtonBounds.push({
+        x: bx,
+        y: by,
+        w: btnW,
+        h: btnH,
+        action: () => outfitting.notify(onClick())
+      });
+    };
+
+    const drawRow = (rowX, rowY, rowW, index, color, name, detail, price) => {
+      if (index % 2 === 0) {
+        ctx.fillStyle = '#0f0f18';
+        ctx.fillRect(rowX, rowY - 18, rowW, rowH - 2);
+      }
+      ctx.textAlign = 'left';
+      ctx.fillStyle = color;
+      ctx.font = 'bold 12px DigitalDisco, monospace';
+      ctx.fillText(name, rowX + 10, rowY);
+      ctx.fillStyle = '#778899';
+      ctx.font = '11px DigitalDisco, monospace';
+      ctx.fillText(detail, rowX + 230, rowY);
+      if (price !== null) {
+        ctx.fillStyle = '#ffaa00';
+        ctx.fillText(`${price.toLocaleString()} CR`, rowX + 350, rowY);
+      }
+    };
+
+    const drawHeader = (text, hx, hy, color) => {
+      ctx.textAlign = 'left';
+      ctx.fillStyle = color;
+      ctx.font = 'bold 13px DigitalDisco, monospace';
+      ctx.fillText(text, hx, hy);
+    };
+
+    const leftX = x + 15;
+    const colW = (w - 45) / 2;
+    const rightX = leftX + colW + 15;
+
+    // Left column - station stock
+    let rowY = y + 70;
+    drawHeader('FOR SALE', leftX, rowY, palette.warpBlue);
+    rowY += rowH;
+    outfitting.getStationStock(station).forEach((item, i) => {
+      const weight = outfitting.getModuleWeight(item.slot, item);
+      drawRow(leftX, rowY, colW, i, slotColors[item.slot], outfitting.getModuleName(item.slot, item), `${weight} KG`, item.price);
+      addButton(leftX + colW - btnW - 5, rowY - 17, 'BUY', () => outfitting.buyModule(item));
+      rowY += rowH;
+    });
+
+    // Left column - module locker
+    rowY += 20;
+    drawHeader(`MODULE LOCKER (${outfitting.locker.length})`, leftX, rowY, palette.warpBlue);
+    rowY += rowH;
+    if (outfitting.locker.length === 0) {
+      ctx.fillStyle = '#556677';
+      ctx.font = '12px DigitalDisco, monospace';
+      ctx.fillText('EMPTY - modules bought without a free slot are stored here', leftX + 10, rowY);
+    }
+    outfitting.locker.forEach((module, i) => {
+      const value = outfitting.getSellPrice(module.slot, module);
+      drawRow(leftX, rowY, colW, i, slotColors[module.slot], outfitting.getModuleName(module.slot, module), slotLabels[module.slot], value);
+      addButton(leftX + colW - 2 * btnW - 10, rowY - 17, 'FIT', () => outfitting.fitModule(i));
+      addButton(leftX + colW - btnW - 5, rowY - 17, 'SELL', () => outfitting.sellModule('locker', module.slot, i));
+      rowY += rowH;
+    });
+
+    // Right column - fitted modules per slot type
+    const hardpoints = outfitting.getHardpoints();
+    rowY = y + 70;
+    for (const slot of SLOT_TYPES) {
+      const fitted = outfitting.getFitted(slot);
+      drawHeader(`${slotLabels[slot]} ${fitted.length}/${hardpoints[slot]}`, rightX, rowY, slotColors[slot]);
+      rowY += rowH;
+
+      for (let i = 0; i < hardpoints[slot]; i++) {
+        const module = fitted[i];
+        if (!module) {
+          ctx.fillStyle = '#334455';
+          ctx.font = '12px DigitalDisco, monospace';
+          ctx.textAlign = 'left';
+          ctx.fillText('- EMPTY SLOT -', rightX + 10, rowY);
+          rowY += rowH;
+          continue;
+        }
+
+        const detail = slot === 'armor'
+          ? `${Math.floor(module.hp)}/${Math.floor(module.maxHp)} HP`
+          : `${outfitting.getModuleWeight(slot, module)} KG`;
+        drawRow(rightX, rowY, colW, i, '#aabbcc', module.name, detail, outfitting.getSellPrice(slot, module));
+        addButton(rightX + colW - 2 * btnW - 10, rowY - 17, 'UNFIT', () => outfitting.unfitModule(slot, i));
+        addButton(rightX + colW - btnW - 5, rowY - 17, 'SELL', () => outfitting.sellModule('fitted', slot, i));
+        rowY += rowH;
+      }
+      rowY += 10;
+    }
+
+    // Fit summary
+    const p = this.game.player;
+    const armor = this.game.armorSystem.getArmorInfo();
+    const handling = this.game.inertialSystem ? Math.round(this.game.inertialSystem.getMassModifier() * 100) : 100;
+    rowY += 10;
+    ctx.textAlign = 'left';
+    ctx.fillStyle = '#88aacc';
+    ctx.font = '12px DigitalDisco, monospace';
+    ctx.fillText(`FIT WEIGHT: ${outfitting.getFitWeight()} KG | HANDLING: ${handling}%`, rightX + 10, rowY);
+    ctx.fillText(`SHIELDS: ${p.maxShields} (+${p.shieldRecharge.toFixed(1)}/S) | ARMOR: ${armor.hp}/${armor.maxHp} HP, ${armor.rating}% RATING`, rightX + 10, rowY + 20);
+
+    ctx.restore();
+  }
+
+  /**
+   * DIPLOMACY SCREEN - Enhanced Terminal Style
+   */
+  renderDiplomacyScreen(ctx) {
+    const palette = this.game.PALETTE;
+    const factionSystem = this.game.factionSystem;
+    const diplomacy = this.game.diplomacySystem;
+    const w = 1400;
+    const h = 880;
+    const x = (this.game.width - w) / 2;
+    const y = (this.game.height - h) / 2;
+
+    // Clear and initialize button bounds for touch interaction
+    this.game.diplomacyButtonBounds = [];
+
+    // Main panel
+    this.drawTerminalPanel(ctx, x, y, w, h, '[DIP] GALACTIC DIPLOMACY & FACTION RELATIONS', palette);
+
+    // Close button (X) in top-right corner
+    const closeButtonSize = 40;
+    const closeX = x + w - closeButtonSize - 20;
+    const closeY = y + 20;
+    this.drawTerminalButton(ctx, closeX, closeY, closeButtonSize, closeButtonSize, 'X', false, palette);
+    this.game.diplomacyButtonBounds.push({
+      x: closeX,
+      y: closeY,
+      w: closeButtonSize,
+      h: closeButtonSize,
+      action: () => {
+        this.game.uiState.showDiplomacy = false;
+        if (this.game.mobileControls) {
+          this.game.mobileControls.buttons.diplomacy.active = false;
+        }
+      }
+    });
+
+    // Current system faction info panel
+    this.drawDataPanel(ctx, x + 20, y + 75, w - 40, 50, palette);
+
+    const currentFaction = factionSystem.getSystemOwner(this.game.currentSystemIndex);
+    const factionData = currentFaction ? factionSystem.factions[currentFaction] : null;
+    const territoryColor = factionData ? factionData.color : '#88aacc';
+
+    ctx.save();
+    ctx.shadowBlur = 6;
+    ctx.shadowColor = territoryColor;
+    ctx.fillStyle = territoryColor;
+    ctx.font = '15px DigitalDisco, monospace';
+    ctx.textAlign = 'left';
+    ctx.fillText(`CURRENT TERRITORY: ${factionData ? factionData.name : 'UNCLAIMED SPACE'}`, x + 35, y + 105);
+    ctx.shadowBlur = 0;
+
+    if (diplomacy) {
+      const docking = diplomacy.canDock(this.game.currentSystemIndex);
+      const allegiance = diplomacy.getAllegiance();
+      ctx.textAlign = 'right';
+      ctx.font = '13px DigitalDisco, monospace';
+      ctx.fillStyle = docking.allowed ? palette.statusGreen : palette.alertRed;
+      ctx.fillText(docking.allowed ? 'DOCKING CLEARED' : 'DOCKING DENIED', x + w - 35, y + 105);
+      ctx.fillStyle = allegiance ? factionSystem.factions[allegiance].color : '#556677';
+      ctx.fillText(allegiance ? `SWORN TO: ${factionSystem.factions[allegiance].name}` : 'NO ALLEGIANCE', x + w - 235, y + 105);
+    }
+    ctx.restore();
+
+    // Faction list (left side)
+    const factionList = factionSystem.getFactionStatus();
+
+    const listX = x + 20;
+    const listY = y + 145;
+    const listW = 400;
+
+    // List panel
+    this.drawDataPanel(ctx, listX, listY, listW, h - 220, palette);
+
+    ctx.save();
+    ctx.shadowBlur = 5;
+    ctx.shadowColor = palette.statusBlue;
+    ctx.fillStyle = palette.statusBlue;
+    ctx.font = 'bold 15px DigitalDisco, monospace';
+    ctx.fillText('KNOWN FACTIONS', listX + 15, listY + 30);
+    ctx.shadowBlur = 0;
+
+    let factionY = listY + 55;
+    for (const faction of factionList) {
+      const isSelected = this.game.uiState.selectedFaction === faction.id;
+
+      // Faction button with depth
+      if (isSelected) {
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+        ctx.fillRect(listX + 17, factionY + 3, listW - 30, 55);
+      }
+
+      ctx.fillStyle = isSelected ? `${faction.color}33` : '#0a0a0f';
+      ctx.fillRect(listX + 15, factionY, listW - 30, 55);
+
+      ctx.shadowBlur = isSelected ? 10 : 0;
+      ctx.shadowColor = faction.color;
+      ctx.strokeStyle = isSelected ? faction.color : '#334455';
+      ctx.lineWidth = isSelected ? 3 : 2;
+      ctx.strokeRect(listX + 15, factionY, listW - 30, 55);
+      ctx.shadowBlur = 0;
+
+      // Faction name
       ctx.shadowBlur = isSelected ? 8 : 4;
       ctx.shadowColor = faction.color;
       ctx.fillStyle = faction.color;
       ctx.font = 'bold 15px DigitalDisco, monospace';
       ctx.textAlign = 'left';
-      ctx.fillText(`${faction.flag} ${faction.name}`, listX + 25, factionY + 28);
+      ctx.fillText(faction.name, listX + 25, factionY + 28);
       ctx.shadowBlur = 0;
 
-      // Faction type
-      ctx.fillStyle = '#88aacc';
+      // Standing, rank and treaties
+      const rank = diplomacy ? diplomacy.getRank(faction.id) : null;
+      const treatyCount = diplomacy ? diplomacy.getTreaties(faction.id).length : 0;
+      const hunted = diplomacy && diplomacy.isHunted(faction.id);
+      ctx.fillStyle = hunted ? palette.alertRed : '#88aacc';
       ctx.font = '11px DigitalDisco, monospace';
-      ctx.fillText(faction.government, listX + 25, factionY + 45);
+      const standing = [faction.attitude.toUpperCase(), `REP ${faction.reputation}`];
+      if (rank) standing.push(rank.name.toUpperCase());
+      if (treatyCount > 0) standing.push(`${treatyCount} TREAT${treatyCount > 1 ? 'IES' : 'Y'}`);
+      if (hunted) standing.push('HUNTING YOU');
+      ctx.fillText(standing.join(' | '), listX + 25, factionY + 45);
+
+      this.game.diplomacyButtonBounds.push({
+        x: listX + 15,
+        y: factionY,
+        w: listW - 30,
+        h: 55,
+        action: () => {
+          this.game.uiState.selectedFaction = faction.id;
+        }
+      });
 
       factionY += 65;
       if (factionY > y + h - 120) break;
@@ -2335,9 +2964,9 @@ export class UIRenderer {
 
     this.drawDataPanel(ctx, detailsX, detailsY, detailsW, detailsH, palette);
 
-    if (this.game.uiState.selectedFaction) {
-      const selectedFaction = this.game.factionSystem.getFaction(this.game.uiState.selectedFaction);
-      this.renderFactionDetails(ctx, detailsX + 15, detailsY + 15, detailsW - 30, detailsH - 30, selectedFaction, palette);
+    const selectedId = this.game.uiState.selectedFaction;
+    if (selectedId && factionSystem.factions[selectedId]) {
+      this.renderFactionDetails(ctx, detailsX + 15, detailsY + 15, detailsW - 30, detailsH - 30, selectedId, palette);
     } else {
       ctx.save();
       ctx.fillStyle = '#556677';
@@ -2365,10 +2994,14 @@ export class UIRenderer {
     ctx.restore();
   }
 
-  renderFactionDetails(ctx, x, y, w, h, faction, palette) {
+  renderFactionDetails(ctx, x, y, w, h, factionId, palette) {
+    const factionSystem = this.game.factionSystem;
+    const diplomacy = this.game.diplomacySystem;
+    const faction = factionSystem.factions[factionId];
+
     ctx.save();
 
-    // Split into two columns: Info on left, Missions on right
+    // Split into two columns: Info on left, Actions on right
     const col1W = (w * 0.55);
     const col2W = (w * 0.42);
     const col2X = x + col1W + 20;
@@ -2381,13 +3014,14 @@ export class UIRenderer {
     ctx.fillStyle = faction.color;
     ctx.font = 'bold 18px DigitalDisco, monospace';
     ctx.textAlign = 'left';
-    ctx.fillText(`${faction.flag} ${faction.name.toUpperCase()}`, x, y + 25);
+    ctx.fillText(faction.name.toUpperCase(), x, y + 25);
     ctx.shadowBlur = 0;
 
-    // Government type
+    // Territory and military
+    const enemies = factionSystem.getEnemies(factionId);
     ctx.fillStyle = palette.statusBlue;
     ctx.font = '13px DigitalDisco, monospace';
-    ctx.fillText(`Government: ${faction.government}`, x, y + 48);
+    ctx.fillText(`Systems: ${faction.territory.length} | Strength: ${Math.round(faction.strength || 0)}/${MAX_STRENGTH}`, x, y + 48);
 
     // === REPUTATION SYSTEM ===
     let yPos = y + 75;
@@ -2401,9 +3035,8 @@ export class UIRenderer {
     ctx.shadowBlur = 0;
     yPos += 25;
 
-    // Calculate reputation (mock for now - would be stored in save game)
-    const reputation = faction.hostileToPlayer ? -500 : 250; // Range: -1000 to 1000
-    const repPercent = ((reputation + 1000) / 2000); // Convert to 0-1
+    const reputation = Math.floor(faction.reputation); // 0-100
+    const repPercent = reputation / 100;
 
     // Reputation bar background
     const barW = col1W - 20;
@@ -2418,8 +3051,8 @@ export class UIRenderer {
 
     // Reputation bar fill (color based on reputation)
     let repColor = palette.alertRed;
-    if (reputation > 500) repColor = palette.statusGreen;
-    else if (reputation > 0) repColor = palette.cautionOrange;
+    if (reputation >= 70) repColor = palette.statusGreen;
+    else if (reputation >= 40) repColor = palette.cautionOrange;
 
     ctx.fillStyle = repColor;
     ctx.shadowBlur = 8;
@@ -2427,210 +3060,188 @@ export class UIRenderer {
     ctx.fillRect(x + 2, yPos + 2, (barW - 4) * repPercent, barH - 4);
     ctx.shadowBlur = 0;
 
-    // Reputation text
-    let repStatus = 'HOSTILE';
-    if (reputation > 750) repStatus = 'ALLIED';
-    else if (reputation > 500) repStatus = 'FRIENDLY';
-    else if (reputation > 250) repStatus = 'NEUTRAL';
-    else if (reputation > 0) repStatus = 'UNFRIENDLY';
-    else if (reputation > -500) repStatus = 'HOSTILE';
-    else repStatus = 'AT WAR';
-
     ctx.fillStyle = '#ffffff';
     ctx.font = 'bold 11px DigitalDisco, monospace';
     ctx.textAlign = 'center';
-    ctx.fillText(`${repStatus} (${reputation})`, x + barW / 2, yPos + barH / 2 + 4);
+    ctx.fillText(`${faction.attitude.toUpperCase()} (${reputation})`, x + barW / 2, yPos + barH / 2 + 4);
     ctx.textAlign = 'left';
 
-    yPos += 40;
-
-    // Description
-    ctx.fillStyle = '#aabbcc';
-    ctx.font = '11px DigitalDisco, monospace';
-    const descLines = this.wrapTextToArray(faction.description, col1W - 10, ctx);
-    for (let i = 0; i < Math.min(3, descLines.length); i++) {
-      ctx.fillText(descLines[i], x, yPos);
-      yPos += 16;
-    }
-
-    yPos += 15;
+    yPos += 45;
 
-    // Traits section
+    // Standing: wars, rank and perks
     ctx.shadowBlur = 5;
-    ctx.shadowColor = palette.statusBlue;
-    ctx.fillStyle = palette.statusBlue;
+    ctx.shadowColor = palette.cautionOrange;
+    ctx.fillStyle = palette.cautionOrange;
     ctx.font = 'bold 12px DigitalDisco, monospace';
-    ctx.fillText('◆ TRAITS & BONUSES', x, yPos);
+    ctx.fillText('◆ STANDING', x, yPos);
     ctx.shadowBlur = 0;
     yPos += 20;
 
-    ctx.fillStyle = '#aabbcc';
+    const rank = diplomacy ? diplomacy.getRank(factionId) : null;
+    const standing = [
+      { label: 'At War With', value: enemies.length > 0 ? enemies.map(id => factionSystem.factions[id].name).join(', ') : 'None', color: enemies.length > 0 ? palette.alertRed : '#88aacc' },
+      { label: 'Rank', value: rank ? rank.name : 'None', color: palette.statusBlue },
+      { label: 'Trade Bonus', value: `${Math.round((faction.tradeBonus + (diplomacy ? diplomacy.getTradeDiscount(factionId) : 0)) * 100)}%`, color: palette.plasmaGreen },
+      { label: 'Mission Bonus', value: `+${Math.round((diplomacy ? diplomacy.getMissionBonus(factionId) : 0) * 100)}%`, color: palette.plasmaGreen }
+    ];
+    if (diplomacy && diplomacy.isHunted(factionId)) {
+      standing.push({ label: 'Manhunt', value: `${Math.ceil((diplomacy.hostileUntil[factionId] - diplomacy.time) / 60)} min left`, color: palette.alertRed });
+    }
+    if (diplomacy && (diplomacy.dockingPermits[factionId] || 0) > diplomacy.time) {
+      standing.push({ label: 'Docking Permit', value: `${Math.ceil((diplomacy.dockingPermits[factionId] - diplomacy.time) / 60)} min left`, color: palette.statusGreen });
+    }
+
     ctx.font = '10px DigitalDisco, monospace';
-    for (const trait of faction.traits.slice(0, 3)) {
-      ctx.fillText(`• ${trait}`, x + 5, yPos);
+    for (const stat of standing) {
+      ctx.fillStyle = '#88aacc';
+      ctx.fillText(stat.label + ':', x + 5, yPos);
+      ctx.fillStyle = stat.color;
+      ctx.font = 'bold 10px DigitalDisco, monospace';
+      ctx.fillText(stat.value, x + 120, yPos);
+      ctx.font = '10px DigitalDisco, monospace';
+      yPos += 16;
+    }
+
+    for (const held of diplomacy ? diplomacy.getHeldRanks(factionId) : []) {
+      ctx.fillStyle = '#aabbcc';
+      ctx.fillText(`• ${held.name}: ${held.perk}`, x + 5, yPos);
       yPos += 16;
     }
 
     yPos += 15;
 
-    // Statistics grid
+    // Active treaties with their terms
     ctx.shadowBlur = 5;
-    ctx.shadowColor = palette.cautionOrange;
-    ctx.fillStyle = palette.cautionOrange;
+    ctx.shadowColor = palette.statusBlue;
+    ctx.fillStyle = palette.statusBlue;
     ctx.font = 'bold 12px DigitalDisco, monospace';
-    ctx.fillText('◆ FACTION DATA', x, yPos);
+    ctx.fillText('◆ ACTIVE TREATIES', x, yPos);
     ctx.shadowBlur = 0;
     yPos += 20;
 
-    const stats = [
-      { label: 'Territory', value: faction.territorySize.toUpperCase(), color: palette.statusBlue },
-      { label: 'Trade Bonus', value: `${(faction.tradeModifier * 100 - 100).toFixed(0)}%`, color: palette.plasmaGreen },
-      { label: 'Military', value: `${faction.patrolStrength}/5 ★`, color: palette.cautionOrange },
-      { label: 'Systems', value: `${faction.territorySize === 'large' ? '15-20' : faction.territorySize === 'medium' ? '8-14' : '3-7'}`, color: '#88aacc' }
-    ];
-
-    ctx.font = '10px DigitalDisco, monospace';
-    for (const stat of stats) {
-      ctx.fillStyle = '#88aacc';
-      ctx.fillText(stat.label + ':', x + 5, yPos);
-      ctx.fillStyle = stat.color;
-      ctx.font = 'bold 10px DigitalDisco, monospace';
-      ctx.fillText(stat.value, x + 120, yPos);
+    const treaties = diplomacy ? diplomacy.getTreaties(factionId) : [];
+    if (treaties.length === 0) {
+      ctx.fillStyle = '#556677';
       ctx.font = '10px DigitalDisco, monospace';
+      ctx.fillText('No treaties signed', x + 5, yPos);
       yPos += 16;
     }
+    for (const treaty of treaties) {
+      const terms = TREATY_TYPES[treaty.type];
+      ctx.fillStyle = palette.plasmaGreen;
+      ctx.font = 'bold 11px DigitalDisco, monospace';
+      const remaining = treaty.expiresAt === null ? 'until renounced' : `${Math.ceil((treaty.expiresAt - diplomacy.time) / 60)} min left`;
+      ctx.fillText(`${terms.name} (${remaining})`, x + 5, yPos);
+      yPos += 16;
 
-    // === RIGHT COLUMN: MISSIONS ===
+      ctx.fillStyle = '#aabbcc';
+      ctx.font = '10px DigitalDisco, monospace';
+      for (const term of terms.terms) {
+        ctx.fillText(`• ${term}`, x + 10, yPos);
+        yPos += 14;
+      }
+      yPos += 4;
+    }
+
+    // Breach record
+    const breaches = diplomacy ? diplomacy.breaches.filter(breach => breach.factionId === factionId) : [];
+    if (breaches.length > 0) {
+      yPos += 10;
+      ctx.fillStyle = palette.alertRed;
+      ctx.font = 'bold 12px DigitalDisco, monospace';
+      ctx.fillText('◆ BREACHES', x, yPos);
+      yPos += 18;
+      ctx.font = '10px DigitalDisco, monospace';
+      for (const breach of breaches.slice(0, 3)) {
+        ctx.fillText(`• ${TREATY_TYPES[breach.type].name}: ${breach.reason}`, x + 5, yPos);
+        yPos += 14;
+      }
+    }
+
+    // === RIGHT COLUMN: DIPLOMATIC ACTIONS ===
 
-    // Mission board header
     ctx.shadowBlur = 8;
     ctx.shadowColor = palette.plasmaGreen;
     ctx.fillStyle = palette.plasmaGreen;
     ctx.font = 'bold 14px DigitalDisco, monospace';
-    ctx.fillText('◆ MISSION BOARD', col2X, y + 25);
+    ctx.fillText('◆ DIPLOMATIC ACTIONS', col2X, y + 25);
     ctx.shadowBlur = 0;
 
-    // Mission cards
-    const missions = [
-      {
-        title: 'Escort Convoy',
-        type: 'ESCORT',
-        reward: 5000,
-        difficulty: 'Easy',
-        description: 'Protect trading convoy through hostile space.',
-        repGain: 50
-      },
-      {
-        title: 'Eliminate Pirates',
-        type: 'COMBAT',
-        reward: 8500,
-        difficulty: 'Medium',
-        description: 'Clear pirate presence from sector 7B.',
-        repGain: 75
-      },
+    if (!diplomacy) {
+      ctx.restore();
+      return;
+    }
+
+    const runAction = (action) => {
+      const result = action();
+      this.game.showNotification(result.message, result.success ? 'success' : 'warning');
+    };
+
+    const actions = [
       {
-        title: 'Deliver Supplies',
-        type: 'DELIVERY',
-        reward: 3000,
-        difficulty: 'Easy',
-        description: 'Transport medical supplies to outpost.',
-        repGain: 30
+        label: `PAY TRIBUTE (${TRIBUTE_OFFER.toLocaleString()} CR)`,
+        detail: 'Credits for reputation',
+        run: () => diplomacy.payTribute(factionId, TRIBUTE_OFFER)
       },
       {
-        title: 'Recon Mission',
-        type: 'RECON',
-        reward: 6000,
-        difficulty: 'Medium',
-        description: 'Scout enemy territory and report findings.',
-        repGain: 60
+        label: `BRIBE OFFICIALS (${diplomacy.getBribeCost(factionId).toLocaleString()} CR)`,
+        detail: 'Ends a manhunt, buys a docking permit',
+        run: () => diplomacy.bribe(factionId)
       }
     ];
 
-    let missionY = y + 50;
-    const missionCardH = 110;
-
-    for (let i = 0; i < Math.min(4, missions.length); i++) {
-      const mission = missions[i];
-
-      // Mission card background
-      ctx.fillStyle = 'rgba(10, 10, 15, 0.7)';
-      ctx.fillRect(col2X, missionY, col2W, missionCardH);
-
-      // Mission card border
-      ctx.strokeStyle = palette.statusBlue;
-      ctx.lineWidth = 2;
-      ctx.shadowBlur = 5;
-      ctx.shadowColor = palette.statusBlue;
-      ctx.strokeRect(col2X, missionY, col2W, missionCardH);
-      ctx.shadowBlur = 0;
-
-      // Mission type badge
-      const typeColors = {
-        'ESCORT': '#4488ff',
-        'COMBAT': '#ff4444',
-        'DELIVERY': '#44ff88',
-        'RECON': '#ffaa44'
-      };
-      ctx.fillStyle = typeColors[mission.type] || palette.statusBlue;
-      ctx.fillRect(col2X + 5, missionY + 5, 70, 18);
-      ctx.fillStyle = '#000000';
-      ctx.font = 'bold 9px DigitalDisco, monospace';
-      ctx.textAlign = 'center';
-      ctx.fillText(mission.type, col2X + 40, missionY + 16);
-      ctx.textAlign = 'left';
-
-      // Mission title
-      ctx.fillStyle = palette.statusBlue;
-      ctx.font = 'bold 11px DigitalDisco, monospace';
-      ctx.fillText(mission.title, col2X + 5, missionY + 40);
-
-      // Mission description
-      ctx.fillStyle = '#aabbcc';
-      ctx.font = '9px DigitalDisco, monospace';
-      const missionDescLines = this.wrapTextToArray(mission.description, col2W - 15, ctx);
-      for (let j = 0; j < Math.min(2, missionDescLines.length); j++) {
-        ctx.fillText(missionDescLines[j], col2X + 5, missionY + 55 + j * 12);
+    for (const [type, terms] of Object.entries(TREATY_TYPES)) {
+      if (type === 'allegiance' && diplomacy.getAllegiance() === factionId) {
+        actions.push({
+          label: 'RENOUNCE ALLEGIANCE',
+          detail: `Counts as a breach (-${terms.penalty.reputation} rep)`,
+          run: () => diplomacy.renounceAllegiance()
+        });
+        continue;
       }
+      const blocker = diplomacy.getSignBlocker(factionId, type);
+      const duration = terms.duration === null ? 'permanent' : `${Math.round(terms.duration / 60)} min`;
+      actions.push({
+        label: `${type === 'allegiance' ? 'SWEAR' : 'SIGN'} ${terms.name.toUpperCase()}${terms.fee ? ` (${terms.fee.toLocaleString()} CR)` : ''}`,
+        detail: blocker || `${duration} | breach: -${terms.penalty.reputation} rep${terms.penalty.fine ? `, ${terms.penalty.fine.toLocaleString()} CR fine` : ''}`,
+        disabled: !!blocker,
+        run: () => diplomacy.signTreaty(factionId, type)
+      });
+    }
 
-      // Reward and reputation
-      ctx.fillStyle = palette.cautionOrange;
-      ctx.font = 'bold 9px DigitalDisco, monospace';
-      ctx.fillText(`${mission.reward} CR`, col2X + 5, missionY + 85);
-      ctx.fillStyle = palette.plasmaGreen;
-      ctx.fillText(`+${mission.repGain} REP`, col2X + 80, missionY + 85);
-      ctx.fillStyle = '#88aacc';
-      ctx.fillText(mission.difficulty, col2X + 160, missionY + 85);
+    const nextRank = diplomacy.getNextRank(factionId);
+    if (nextRank) {
+      actions.push({
+        label: `ACCEPT RANK: ${nextRank.name.toUpperCase()}`,
+        detail: `${nextRank.minReputation} rep${nextRank.requiresAllegiance ? ' + allegiance' : ''} | ${nextRank.perk}`,
+        disabled: reputation < nextRank.minReputation || (nextRank.requiresAllegiance && diplomacy.getAllegiance() !== factionId),
+        run: () => diplomacy.acceptRank(factionId)
+      });
+    }
 
-      // Accept button
-      const btnW = col2W - 10;
-      const btnH = 18;
-      const btnX = col2X + 5;
-      const btnY = missionY + 90;
+    let actionY = y + 50;
+    const btnW = col2W - 10;
+    const btnH = 32;
 
-      ctx.fillStyle = 'rgba(68, 136, 255, 0.3)';
-      ctx.fillRect(btnX, btnY, btnW, btnH);
-      ctx.strokeStyle = palette.statusBlue;
-      ctx.lineWidth = 1;
-      ctx.strokeRect(btnX, btnY, btnW, btnH);
+    for (const action of actions) {
+      this.drawTerminalButton(ctx, col2X, actionY, btnW, btnH, action.label, false, palette);
 
-      ctx.fillStyle = palette.statusBlue;
-      ctx.font = 'bold 9px DigitalDisco, monospace';
-      ctx.textAlign = 'center';
-      ctx.fillText('ACCEPT MISSION', btnX + btnW / 2, btnY + btnH / 2 + 3);
+      ctx.fillStyle = action.disabled ? '#556677' : '#88aacc';
+      ctx.font = '10px DigitalDisco, monospace';
       ctx.textAlign = 'left';
+      ctx.fillText(action.detail, col2X + 5, actionY + btnH + 14);
+
+      if (!action.disabled) {
+        this.game.diplomacyButtonBounds.push({
+          x: col2X,
+          y: actionY,
+          w: btnW,
+          h: btnH,
+          action: () => runAction(action.run)
+        });
+      }
 
-      this.game.diplomacyButtonBounds.push({
-        x: btnX,
-        y: btnY,
-        w: btnW,
-        h: btnH,
-        action: () => {
-          console.log('Accept mission:', mission.title);
-          // Future: Implement mission system
-        }
-      });
-
-      missionY += missionCardH + 10;
+      actionY += btnH + 32;
     }
 
     ctx.restore();
@@ -2731,6 +3342,25 @@ export class UIRenderer {
       ctx.stroke();
     }
 
+    const toScreen = (index) => {
+      const system = this.game.galaxy[index];
+      return {
+        x: mapX + mapW / 2 + system.position.x * state.zoom + state.offsetX,
+        y: mapY + mapH / 2 + system.position.y * state.zoom + state.offsetY
+      };
+    };
+
+    // Faction territory and war frontlines (under the stars)
+    if (state.showTerritories && this.game.factionSystem) {
+      this.renderTerritoriesOnMap(ctx, toScreen, state.zoom, palette);
+    }
+
+    // Planned trade loops (under the stars)
+    const tradePlans = state.showTradeRoutes && this.game.tradeRoutePlanner ? this.game.tradeRoutePlanner.getPlans() : [];
+    if (tradePlans.length > 0) {
+      this.renderTradeRoutesOnMap(ctx, tradePlans, state.selectedRouteIndex || 0, toScreen, palette);
+    }
+
     // Get current system
     const currentSystem = this.game.currentSystemData ?
       this.game.galaxy.find(s => s.name === this.game.currentSystemData.name) : null;
@@ -2830,7 +3460,11 @@ export class UIRenderer {
 
     const displaySystem = state.selectedSystem || currentSystem;
 
-    if (displaySystem) {
+    if (state.showTradeRoutes) {
+      this.renderTradeRoutePanel(ctx, sidebarX, sidebarY, sidebarW, sidebarH, tradePlans, state, palette);
+    } else if (state.showTerritories && this.game.factionSystem) {
+      this.renderFactionWarPanel(ctx, sidebarX, sidebarY, sidebarW, sidebarH, displaySystem, palette);
+    } else if (displaySystem) {
       ctx.save();
       ctx.fillStyle = palette.warpBlue;
       ctx.font = 'bold 14px DigitalDisco, monospace';
@@ -2889,75 +3523,396 @@ export class UIRenderer {
       ctx.restore();
     }
 
-    // Control instructions
-    const controlY = y + h - 90;
-    ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
-    ctx.fillRect(mapX, controlY, mapW, 70);
-    ctx.strokeStyle = palette.statusBlue;
-    ctx.lineWidth = 1;
-    ctx.strokeRect(mapX, controlY, mapW, 70);
+    // Control instructions
+    const controlY = y + h - 90;
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
+    ctx.fillRect(mapX, controlY, mapW, 70);
+    ctx.strokeStyle = palette.statusBlue;
+    ctx.lineWidth = 1;
+    ctx.strokeRect(mapX, controlY, mapW, 70);
+
+    ctx.save();
+    ctx.fillStyle = palette.statusBlue;
+    ctx.font = '11px DigitalDisco, monospace';
+    ctx.textAlign = 'left';
+    ctx.fillText('Controls: [MOUSE WHEEL] Zoom | [DRAG] Pan | [CLICK] Select System', mapX + 10, controlY + 20);
+    ctx.fillStyle = palette.mediumGray;
+    ctx.font = '10px DigitalDisco, monospace';
+    const route = this.game.navigationRoute;
+    ctx.fillText(`Zoom: ${(state.zoom * 100).toFixed(1)}% | Systems: ${this.game.galaxy.filter(s => s.discovered).length}/${this.game.galaxy.length} discovered${route ? ` | Route: ${route.name} (${route.waypoints.length} waypoints)` : ''}`, mapX + 10, controlY + 40);
+    ctx.fillText('[M] Close Map | [ESC] Close All UI', mapX + 10, controlY + 60);
+    ctx.restore();
+
+    // Zoom controls
+    const zoomBtnW = 40;
+    const zoomBtnH = 30;
+    const zoomX = mapX + mapW - 100;
+    const zoomY = controlY + 10;
+
+    // Trade route planner toggle
+    const routesBtnW = 170;
+    const routesBtnX = zoomX - routesBtnW - 15;
+    this.drawTerminalButton(ctx, routesBtnX, zoomY, routesBtnW, zoomBtnH, 'TRADE ROUTES', state.showTradeRoutes, palette);
+    this.game.galaxyMapButtonBounds.push({
+      x: routesBtnX,
+      y: zoomY,
+      w: routesBtnW,
+      h: zoomBtnH,
+      action: () => {
+        state.showTradeRoutes = !state.showTradeRoutes;
+        state.selectedRouteIndex = 0;
+        if (state.showTradeRoutes) state.showTerritories = false;
+      }
+    });
+
+    // Faction territory overlay toggle
+    const territoryBtnW = 150;
+    const territoryBtnX = routesBtnX - territoryBtnW - 10;
+    this.drawTerminalButton(ctx, territoryBtnX, zoomY, territoryBtnW, zoomBtnH, 'TERRITORIES', state.showTerritories, palette);
+    this.game.galaxyMapButtonBounds.push({
+      x: territoryBtnX,
+      y: zoomY,
+      w: territoryBtnW,
+      h: zoomBtnH,
+      action: () => {
+        state.showTerritories = !state.showTerritories;
+        if (state.showTerritories) state.showTradeRoutes = false;
+      }
+    });
+
+    this.drawTerminalButton(ctx, zoomX, zoomY, zoomBtnW, zoomBtnH, '-', false, palette);
+    this.game.galaxyMapButtonBounds.push({
+      x: zoomX,
+      y: zoomY,
+      w: zoomBtnW,
+      h: zoomBtnH,
+      action: () => {
+        state.zoom = Math.max(0.01, state.zoom * 0.8);
+      }
+    });
+
+    this.drawTerminalButton(ctx, zoomX + zoomBtnW + 10, zoomY, zoomBtnW, zoomBtnH, '+', false, palette);
+    this.game.galaxyMapButtonBounds.push({
+      x: zoomX + zoomBtnW + 10,
+      y: zoomY,
+      w: zoomBtnW,
+      h: zoomBtnH,
+      action: () => {
+        state.zoom = Math.min(0.2, state.zoom * 1.25);
+      }
+    });
+
+    // Close button
+    const closeButtonSize = 40;
+    const closeX = x + w - closeButtonSize - 20;
+    const closeY = y + 20;
+    this.drawTerminalButton(ctx, closeX, closeY, closeButtonSize, closeButtonSize, 'X', false, palette);
+    this.game.galaxyMapButtonBounds.push({
+      x: closeX,
+      y: closeY,
+      w: closeButtonSize,
+      h: closeButtonSize,
+      action: () => {
+        this.game.uiState.showGalaxyMap = false;
+        this.game.updatePauseState();
+        if (this.game.mobileControls) {
+          this.game.mobileControls.buttons.map.active = false;
+        }
+      }
+    });
+
+    // CRT effects
+    this.drawScanlines(ctx, x, y, w, h);
+    this.drawCRTNoise(ctx, x, y, w, h);
+  }
+
+  /**
+   * Draw planned trade loops: outbound leg solid, return leg dashed
+   */
+  renderTradeRoutesOnMap(ctx, plans, selectedIndex, toScreen, palette) {
+    const drawPath = (path) => {
+      ctx.beginPath();
+      path.forEach((index, i) => {
+        const point = toScreen(index);
+        if (i === 0) ctx.moveTo(point.x, point.y);
+        else ctx.lineTo(point.x, point.y);
+      });
+      ctx.stroke();
+    };
+
+    ctx.save();
+    // Selected plan last so it draws on top
+    const order = plans.map((plan, i) => i).filter(i => i !== selectedIndex).concat(selectedIndex);
+    for (const i of order) {
+      const plan = plans[i];
+      if (!plan) continue;
+      const selected = i === selectedIndex;
+
+      ctx.strokeStyle = selected ? palette.cautionOrange : 'rgba(255, 170, 68, 0.35)';
+      ctx.lineWidth = selected ? 3 : 1.5;
+      ctx.shadowBlur = selected ? 10 : 0;
+      ctx.shadowColor = palette.cautionOrange;
+      ctx.setLineDash([]);
+      drawPath(plan.path);
+      ctx.setLineDash([8, 6]);
+      drawPath(plan.returnPath);
+      ctx.setLineDash([]);
+      ctx.shadowBlur = 0;
+
+      if (selected) {
+        const mid = toScreen(plan.to);
+        ctx.fillStyle = palette.cautionOrange;
+        ctx.font = 'bold 11px DigitalDisco, monospace';
+        ctx.textAlign = 'center';
+        ctx.fillText(`+${plan.profit.toLocaleString()} CR`, mid.x, mid.y + 24);
+      }
+    }
+    ctx.restore();
+  }
+
+  /**
+   * Galaxy map overlay: faction territory, capitals, recent conquests and war frontlines
+   */
+  renderTerritoriesOnMap(ctx, toScreen, zoom, palette) {
+    const factionSystem = this.game.factionSystem;
+    const galaxy = this.game.galaxy;
+    const radius = (BORDER_RANGE / 2) * zoom;
+
+    ctx.save();
+
+    // Territory: overlapping discs merge into faction regions
+    for (const faction of factionSystem.getTerritoryOverlay()) {
+      ctx.fillStyle = faction.color;
+      ctx.globalAlpha = 0.1;
+      for (const index of faction.claim) {
+        if (!galaxy[index] || !galaxy[index].position) continue;
+        const point = toScreen(index);
+        ctx.beginPath();
+        ctx.arc(point.x, point.y, radius, 0, Math.PI * 2);
+        ctx.fill();
+      }
+
+      // Capital marker
+      if (faction.capital !== null && galaxy[faction.capital]) {
+        const capital = toScreen(faction.capital);
+        ctx.globalAlpha = 0.9;
+        ctx.strokeStyle = faction.color;
+        ctx.lineWidth = 2;
+        ctx.strokeRect(capital.x - 9, capital.y - 9, 18, 18);
+      }
+    }
+
+    // Frontlines between warring factions
+    const pulse = 0.5 + Math.sin(this.time * 4) * 0.3;
+    ctx.globalAlpha = pulse;
+    ctx.strokeStyle = palette.alertRed;
+    ctx.lineWidth = 2;
+    ctx.setLineDash([6, 6]);
+    for (const line of factionSystem.getFrontlines(galaxy)) {
+      const a = toScreen(line.from);
+      const b = toScreen(line.to);
+      ctx.beginPath();
+      ctx.moveTo(a.x, a.y);
+      ctx.lineTo(b.x, b.y);
+      ctx.stroke();
+    }
+    ctx.setLineDash([]);
+
+    // Recently changed hands
+    for (const capture of factionSystem.recentCaptures.slice(0, 5)) {
+      const faction = factionSystem.factions[capture.to];
+      if (!faction || !galaxy[capture.systemIndex]) continue;
+      const point = toScreen(capture.systemIndex);
+      ctx.globalAlpha = pulse;
+      ctx.strokeStyle = faction.color;
+      ctx.lineWidth = 2;
+      ctx.beginPath();
+      ctx.arc(point.x, point.y, 14 + Math.sin(this.time * 6) * 3, 0, Math.PI * 2);
+      ctx.stroke();
+    }
+
+    ctx.restore();
+  }
+
+  /**
+   * Galaxy map sidebar: faction strength, wars and the selected system's owner
+   */
+  renderFactionWarPanel(ctx, x, y, w, h, displaySystem, palette) {
+    const factionSystem = this.game.factionSystem;
+    const galaxy = this.game.galaxy;
+    const overlay = factionSystem.getTerritoryOverlay();
 
     ctx.save();
-    ctx.fillStyle = palette.statusBlue;
-    ctx.font = '11px DigitalDisco, monospace';
+    ctx.fillStyle = palette.warpBlue;
+    ctx.font = 'bold 14px DigitalDisco, monospace';
     ctx.textAlign = 'left';
-    ctx.fillText('Controls: [MOUSE WHEEL] Zoom | [DRAG] Pan | [CLICK] Select System', mapX + 10, controlY + 20);
-    ctx.fillStyle = palette.mediumGray;
+    ctx.fillText('TERRITORIES:', x + 10, y + 25);
+
+    // Strength bars
+    let rowY = y + 45;
+    for (const faction of overlay) {
+      ctx.fillStyle = faction.color;
+      ctx.font = 'bold 10px DigitalDisco, monospace';
+      ctx.fillText(faction.name.slice(0, 30), x + 10, rowY + 10);
+      ctx.fillStyle = '#aabbcc';
+      ctx.font = '10px DigitalDisco, monospace';
+      ctx.fillText(`${faction.claim.length} systems${faction.enemies.length ? '  AT WAR' : ''}`, x + 10, rowY + 24);
+
+      const barW = w - 20;
+      ctx.fillStyle = 'rgba(0, 0, 0, 0.5)';
+      ctx.fillRect(x + 10, rowY + 29, barW, 5);
+      ctx.fillStyle = faction.color;
+      ctx.fillRect(x + 10, rowY + 29, barW * Math.min(1, faction.strength / MAX_STRENGTH), 5);
+      rowY += 44;
+    }
+
+    // Active wars
+    rowY += 6;
+    ctx.fillStyle = palette.warpBlue;
+    ctx.font = 'bold 11px DigitalDisco, monospace';
+    ctx.fillText('WARS:', x + 10, rowY);
     ctx.font = '10px DigitalDisco, monospace';
-    ctx.fillText(`Zoom: ${(state.zoom * 100).toFixed(1)}% | Systems: ${this.game.galaxy.filter(s => s.discovered).length}/${this.game.galaxy.length} discovered`, mapX + 10, controlY + 40);
-    ctx.fillText('[M] Close Map | [ESC] Close All UI', mapX + 10, controlY + 60);
+    if (factionSystem.wars.length === 0) {
+      rowY += 16;
+      ctx.fillStyle = '#666677';
+      ctx.fillText('The galaxy is at peace.', x + 10, rowY);
+    }
+    for (const war of factionSystem.wars) {
+      rowY += 16;
+      ctx.fillStyle = palette.alertRed;
+      const a = factionSystem.factions[war.attacker].name.split(' ').pop();
+      const b = factionSystem.factions[war.defender].name.split(' ').pop();
+      ctx.fillText(`${a} vs ${b} (${war.battles} battles)`.slice(0, 34), x + 10, rowY);
+    }
+
+    // Selected system owner
+    if (displaySystem) {
+      rowY += 26;
+      const owner = displaySystem.faction ? factionSystem.factions[displaySystem.faction] : null;
+      ctx.fillStyle = palette.warpBlue;
+      ctx.font = 'bold 11px DigitalDisco, monospace';
+      ctx.fillText(displaySystem.discovered ? displaySystem.name.slice(0, 26) : 'UNKNOWN SYSTEM', x + 10, rowY);
+      rowY += 16;
+      ctx.fillStyle = owner ? owner.color : '#666677';
+      ctx.font = '10px DigitalDisco, monospace';
+      ctx.fillText(owner ? owner.name.slice(0, 34) : 'Unclaimed', x + 10, rowY);
+
+      const index = galaxy.indexOf(displaySystem);
+      const contested = factionSystem.getFrontlines(galaxy).some(line => line.from === index || line.to === index);
+      if (contested) {
+        rowY += 16;
+        ctx.fillStyle = palette.alertRed;
+        ctx.fillText('CONTESTED FRONTLINE', x + 10, rowY);
+      }
+    }
+
     ctx.restore();
+  }
 
-    // Zoom controls
-    const zoomBtnW = 40;
-    const zoomBtnH = 30;
-    const zoomX = mapX + mapW - 100;
-    const zoomY = controlY + 10;
+  /**
+   * Galaxy map sidebar: ranked trade loops, details and route export
+   */
+  renderTradeRoutePanel(ctx, x, y, w, h, plans, state, palette) {
+    const galaxy = this.game.galaxy;
+    const nameOf = (index) => (galaxy[index] ? galaxy[index].name : '???');
 
-    this.drawTerminalButton(ctx, zoomX, zoomY, zoomBtnW, zoomBtnH, '-', false, palette);
-    this.game.galaxyMapButtonBounds.push({
-      x: zoomX,
-      y: zoomY,
-      w: zoomBtnW,
-      h: zoomBtnH,
-      action: () => {
-        state.zoom = Math.max(0.01, state.zoom * 0.8);
-      }
+    ctx.save();
+    ctx.fillStyle = palette.warpBlue;
+    ctx.font = 'bold 14px DigitalDisco, monospace';
+    ctx.textAlign = 'left';
+    ctx.fillText('TRADE ROUTES:', x + 10, y + 25);
+
+    if (plans.length === 0) {
+      ctx.fillStyle = '#666677';
+      ctx.font = '11px DigitalDisco, monospace';
+      ctx.fillText('No profitable loops found.', x + 10, y + 55);
+      ctx.fillText('Visit more station markets', x + 10, y + 75);
+      ctx.fillText('to collect price data.', x + 10, y + 91);
+      ctx.restore();
+      return;
+    }
+
+    // Ranked list
+    let rowY = y + 45;
+    plans.forEach((plan, i) => {
+      const selected = i === (state.selectedRouteIndex || 0);
+      ctx.fillStyle = selected ? 'rgba(255, 170, 68, 0.2)' : 'rgba(0, 0, 0, 0.3)';
+      ctx.fillRect(x + 6, rowY, w - 12, 38);
+      ctx.strokeStyle = selected ? palette.cautionOrange : '#334455';
+      ctx.lineWidth = 1;
+      ctx.strokeRect(x + 6, rowY, w - 12, 38);
+
+      ctx.fillStyle = selected ? palette.cautionOrange : palette.starWhite;
+      ctx.font = 'bold 10px DigitalDisco, monospace';
+      ctx.fillText(`${i + 1}. ${nameOf(plan.from)} ⇄ ${nameOf(plan.to)}`.slice(0, 32), x + 12, rowY + 15);
+      ctx.fillStyle = palette.statusGreen;
+      ctx.font = '10px DigitalDisco, monospace';
+      ctx.fillText(`+${plan.profit.toLocaleString()} CR  ${plan.jumps} jumps${plan.gateHops ? ` (${plan.gateHops} gate)` : ''}`, x + 12, rowY + 30);
+
+      this.game.galaxyMapButtonBounds.push({
+        x: x + 6,
+        y: rowY,
+        w: w - 12,
+        h: 38,
+        action: () => {
+          state.selectedRouteIndex = i;
+        }
+      });
+      rowY += 44;
     });
 
-    this.drawTerminalButton(ctx, zoomX + zoomBtnW + 10, zoomY, zoomBtnW, zoomBtnH, '+', false, palette);
-    this.game.galaxyMapButtonBounds.push({
-      x: zoomX + zoomBtnW + 10,
-      y: zoomY,
-      w: zoomBtnW,
-      h: zoomBtnH,
-      action: () => {
-        state.zoom = Math.min(0.2, state.zoom * 1.25);
-      }
+    // Selected plan details
+    const plan = plans[state.selectedRouteIndex || 0] || plans[0];
+    rowY += 10;
+    ctx.fillStyle = palette.warpBlue;
+    ctx.font = 'bold 11px DigitalDisco, monospace';
+    ctx.fillText('PLAN:', x + 10, rowY);
+    ctx.font = '10px DigitalDisco, monospace';
+    const lines = [];
+    if (plan.outbound) {
+      lines.push(`Buy ${plan.outbound.quantity} ${plan.outbound.name}`);
+      lines.push(`  @${plan.outbound.buyPrice} at ${nameOf(plan.from)}`);
+      lines.push(`Sell @${plan.outbound.sellPrice} at ${nameOf(plan.to)}`);
+    }
+    if (plan.inbound) {
+      lines.push(`Buy ${plan.inbound.quantity} ${plan.inbound.name}`);
+      lines.push(`  @${plan.inbound.buyPrice} at ${nameOf(plan.to)}`);
+      lines.push(`Sell @${plan.inbound.sellPrice} at ${nameOf(plan.from)}`);
+    }
+    lines.push(`Fuel: -${plan.fuelCost.toLocaleString()} CR`);
+    ctx.fillStyle = '#aabbcc';
+    lines.forEach(line => {
+      rowY += 16;
+      ctx.fillText(line.slice(0, 34), x + 10, rowY);
     });
 
-    // Close button
-    const closeButtonSize = 40;
-    const closeX = x + w - closeButtonSize - 20;
-    const closeY = y + 20;
-    this.drawTerminalButton(ctx, closeX, closeY, closeButtonSize, closeButtonSize, 'X', false, palette);
+    // Export as waypoint route
+    const btnY = y + h - 60;
+    this.drawTerminalButton(ctx, x + 10, btnY, w - 20, 40, 'SET AS ROUTE', false, palette);
     this.game.galaxyMapButtonBounds.push({
-      x: closeX,
-      y: closeY,
-      w: closeButtonSize,
-      h: closeButtonSize,
+      x: x + 10,
+      y: btnY,
+      w: w - 20,
+      h: 40,
       action: () => {
-        this.game.uiState.showGalaxyMap = false;
-        this.game.updatePauseState();
-        if (this.game.mobileControls) {
-          this.game.mobileControls.buttons.map.active = false;
+        const route = this.game.tradeRoutePlanner.toWaypointRoute(plan);
+        this.game.navigationRoute = route;
+        const summary = `Route set: ${route.name} (${route.waypoints.length} waypoints`;
+        // Also export the waypoint list as JSON to the clipboard
+        if (typeof navigator === 'undefined' || !navigator.clipboard) {
+          this.game.showNotification(`${summary})`, 'success');
+          return;
         }
+        navigator.clipboard.writeText(JSON.stringify(route, null, 2)).then(
+          () => this.game.showNotification(`${summary}, copied)`, 'success'),
+          (error) => {
+            console.warn('[UIRenderer] Route clipboard export failed:', error);
+            this.game.showNotification(`${summary}, clipboard copy failed)`, 'warning');
+          }
+        );
       }
     });
-
-    // CRT effects
-    this.drawScanlines(ctx, x, y, w, h);
-    this.drawCRTNoise(ctx, x, y, w, h);
+    ctx.restore();
   }
 
   /**
@@ -3002,12 +3957,30 @@ export class UIRenderer {
     ctx.fillStyle = palette.statusBlue;
     ctx.font = '14px DigitalDisco, monospace';
     ctx.textAlign = 'left';
-    ctx.fillText('Select a slot to save your current game progress.', x + 35, infoY + 25);
+    const ironman = this.game.runRulesSystem && this.game.runRulesSystem.ironman;
+    ctx.fillText(ironman ? 'IRONMAN: the run keeps one save, written on exit and at key events.' : 'Select a slot to save your current game progress.', x + 35, infoY + 25);
     ctx.fillStyle = '#88aacc';
     ctx.font = '12px DigitalDisco, monospace';
     ctx.fillText(`Current System: ${this.game.currentSystemData ? this.game.currentSystemData.name : 'Unknown'}`, x + 35, infoY + 45);
     ctx.restore();
 
+    // Difficulty profile - click to change it for the rest of the run (logged in the save)
+    const difficultySystem = this.game.difficultySystem;
+    if (difficultySystem) {
+      const profile = difficultySystem.getProfile();
+      const btnW = 320;
+      const btnX = x + w - btnW - 35;
+      const btnY = infoY + 12;
+      this.drawTerminalButton(ctx, btnX, btnY, btnW, 36, `DIFFICULTY: ${profile.name.toUpperCase()} >`, false, palette);
+      this.game.saveScreenButtonBounds.push({
+        x: btnX,
+        y: btnY,
+        w: btnW,
+        h: 36,
+        action: () => difficultySystem.cycleProfile()
+      });
+    }
+
     // Save slots grid (2 columns, 5 rows)
     const slotStartY = infoY + 80;
     const slotW = (w - 80) / 2;
@@ -3058,6 +4031,9 @@ export class UIRenderer {
         ctx.fillText(`${save.saveName}`, slotX + 15, slotY + 48);
         ctx.fillStyle = '#88aacc';
         ctx.fillText(`Credits: ${save.credits}`, slotX + 15, slotY + 68);
+        if (save.difficulty) {
+          ctx.fillText(`Difficulty: ${save.difficulty.toUpperCase()}`, slotX + slotW / 2, slotY + 68);
+        }
         if (this.game.saveSystem) {
           const playtime = this.game.saveSystem.constructor.formatPlaytime(save.playtime);
           ctx.fillText(`Playtime: ${playtime}`, slotX + 15, slotY + 85);
@@ -3242,6 +4218,9 @@ export class UIRenderer {
         ctx.fillText(`${save.saveName}`, slotX + 15, slotY + 48);
         ctx.fillStyle = '#88aacc';
         ctx.fillText(`Credits: ${save.credits}`, slotX + 15, slotY + 68);
+        if (save.difficulty) {
+          ctx.fillText(`Difficulty: ${save.difficulty.toUpperCase()}`, slotX + slotW / 2, slotY + 68);
+        }
         if (this.game.saveSystem) {
           const playtime = this.game.saveSystem.constructor.formatPlaytime(save.playtime);
           ctx.fillText(`Playtime: ${playtime}`, slotX + 15, slotY + 85);
@@ -3282,6 +4261,298 @@ export class UIRenderer {
     ctx.restore();
   }
 
+  /**
+   * DIALOGUE PANEL - Hail conversations with ships and stations (DialogueSystem)
+   */
+  renderDialoguePanel(ctx) {
+    const palette = this.game.PALETTE;
+    const dialogue = this.game.dialogueSystem;
+    if (!dialogue || !dialogue.isActive()) return;
+
+    const { context, transcript } = dialogue.active;
+    const options = dialogue.getOptions();
+    this.game.dialogueButtonBounds = [];
+
+    const w = 900;
+    const h = 540;
+    const x = (this.game.width - w) / 2;
+    const y = this.game.height - h - 40;
+
+    const tag = context.kind === 'ship' ? '[COM] HAILING' : '[COM] STATION CONTROL';
+    this.drawTerminalPanel(ctx, x, y, w, h, `${tag}: ${context.name.toUpperCase()}`, palette);
+
+    ctx.save();
+
+    // Speaker standing
+    const reputation = Math.round(dialogue.getReputation(context));
+    const hostile = context.ship ? context.ship.isHostile : !context.docking.allowed;
+    ctx.font = 'bold 12px DigitalDisco, monospace';
+    ctx.textAlign = 'right';
+    ctx.fillStyle = hostile ? palette.alertRed : palette.statusGreen;
+    ctx.fillText(`${hostile ? 'HOSTILE' : 'OPEN CHANNEL'} | REP ${reputation}`, x + w - 30, y + 70);
+    ctx.textAlign = 'left';
+
+    // Transcript (older lines dimmed, the latest line bright)
+    this.drawDataPanel(ctx, x + 20, y + 85, w - 40, 220, palette);
+    const lineW = w - 80;
+    const lines = [];
+    ctx.font = '12px DigitalDisco, monospace';
+    transcript.forEach((entry, index) => {
+      const latest = index === transcript.length - 1;
+      const color = entry.speaker === 'You' ? palette.statusBlue : latest ? palette.starWhite : '#88aacc';
+      const wrapped = this.wrapTextToArray(`${entry.speaker === 'You' ? '> ' : ''}${entry.text}`, lineW, ctx);
+      for (const text of wrapped) lines.push({ text, color });
+    });
+
+    let lineY = y + 110;
+    for (const line of lines.slice(-11)) {
+      ctx.fillStyle = line.color;
+      ctx.fillText(line.text, x + 40, lineY);
+      lineY += 18;
+    }
+
+    // Options
+    let optionY = y + 325;
+    const optionH = 26;
+    options.forEach((choice, index) => {
+      const selected = index === dialogue.selectedIndex;
+      if (selected) {
+        ctx.fillStyle = 'rgba(68, 136, 255, 0.2)';
+        ctx.fillRect(x + 20, optionY, w - 40, optionH);
+        ctx.strokeStyle = palette.statusBlue;
+        ctx.lineWidth = 1;
+        ctx.strokeRect(x + 20, optionY, w - 40, optionH);
+      }
+
+      ctx.fillStyle = selected ? palette.cautionOrange : palette.statusBlue;
+      ctx.font = 'bold 12px DigitalDisco, monospace';
+      ctx.fillText(`${index + 1}.`, x + 32, optionY + 17);
+      ctx.fillStyle = selected ? palette.starWhite : '#aabbcc';
+      ctx.font = '12px DigitalDisco, monospace';
+      ctx.fillText(choice.text, x + 60, optionY + 17);
+
+      this.game.dialogueButtonBounds.push({
+        x: x + 20,
+        y: optionY,
+        w: w - 40,
+        h: optionH,
+        action: () => dialogue.choose(index)
+      });
+      optionY += optionH + 4;
+    });
+
+    // CRT effects
+    this.drawScanlines(ctx, x, y, w, h);
+
+    ctx.shadowBlur = 5;
+    ctx.shadowColor = palette.statusBlue;
+    ctx.fillStyle = '#88aacc';
+    ctx.font = '11px DigitalDisco, monospace';
+    ctx.textAlign = 'center';
+    ctx.fillText('[1-9] Reply | [↑↓] Select | [ENTER] Confirm | [ESC] Close Channel', x + w / 2, y + h - 18);
+    ctx.restore();
+  }
+
+  /**
+   * GAME OVER - Cause of death, run stats and the Hall of the Fallen (RunRulesSystem)
+   */
+  renderGameOverPanel(ctx) {
+    const palette = this.game.PALETTE;
+    const rules = this.game.runRulesSystem;
+    const fallen = rules ? rules.fallen : null;
+    const hall = rules ? rules.hall : [];
+
+    const w = 760;
+    const h = 520;
+    const x = (this.game.width - w) / 2;
+    const y = (this.game.height - h) / 2;
+
+    this.drawTerminalPanel(ctx, x, y, w, h, '[KIA] SHIP LOST - RUN ENDED', palette);
+
+    ctx.save();
+    ctx.textAlign = 'left';
+
+    // This run
+    this.drawDataPanel(ctx, x + 20, y + 70, w - 40, 150, palette);
+    if (fallen) {
+      ctx.fillStyle = palette.alertRed;
+      ctx.font = 'bold 14px DigitalDisco, monospace';
+      ctx.fillText(`${fallen.callsign} - ${fallen.shipName}`, x + 40, y + 98);
+      ctx.fillStyle = palette.starWhite;
+      ctx.font = '12px DigitalDisco, monospace';
+      ctx.fillText(`Cause of death: ${fallen.cause}`, x + 40, y + 122);
+      ctx.fillText(`Last seen: ${fallen.system}`, x + 40, y + 142);
+      ctx.fillStyle = '#88aacc';
+      const stats = fallen.stats;
+      ctx.fillText(`Kills: ${stats.kills}   Score: ${stats.score}   Credits: ${stats.credits.toLocaleString()}`, x + 40, y + 166);
+      ctx.fillText(`Systems: ${stats.systemsExplored}   Missions: ${stats.missionsCompleted}   Jumps: ${stats.jumpsExecuted}`, x + 40, y + 186);
+      ctx.fillText(`Seed: ${fallen.seed}   Difficulty: ${fallen.difficulty.toUpperCase()}${fallen.ironman ? '   IRONMAN' : ''}`, x + 40, y + 206);
+    }
+
+    // Hall of the Fallen
+    ctx.fillStyle = palette.cautionOrange;
+    ctx.font = 'bold 13px DigitalDisco, monospace';
+    ctx.fillText('HALL OF THE FALLEN', x + 40, y + 250);
+    ctx.font = '11px DigitalDisco, monospace';
+    let lineY = y + 274;
+    for (const entry of hall.slice(0, 8)) {
+      ctx.fillStyle = entry.runId === (fallen && fallen.runId) ? palette.starWhite : '#88aacc';
+      const date = new Date(entry.date).toLocaleDateString();
+      ctx.fillText(`${date}  ${entry.callsign.padEnd(10)} ${String(entry.stats.score).padStart(7)} pts  ${entry.cause}`, x + 40, lineY);
+      lineY += 20;
+    }
+
+    this.drawScanlines(ctx, x, y, w, h);
+
+    ctx.fillStyle = '#88aacc';
+    ctx.textAlign = 'center';
+    ctx.fillText('Permadeath: this run and its saves are gone. Start a new game from the main menu.', x + w / 2, y + h - 20);
+    ctx.restore();
+  }
+
+  /**
+   * EVENT INSPECTOR - Recent EventBus events and counts per type (debug overlay, F8)
+   */
+  renderEventInspector(ctx) {
+    const palette = this.game.PALETTE;
+    const bus = this.game.events;
+    if (!bus) return;
+
+    const w = 460;
+    const h = 520;
+    const x = this.game.width - w - 20;
+    const y = 80;
+
+    ctx.save();
+    ctx.fillStyle = 'rgba(0, 8, 16, 0.85)';
+    ctx.fillRect(x, y, w, h);
+    ctx.strokeStyle = palette.statusBlue;
+    ctx.lineWidth = 1;
+    ctx.strokeRect(x, y, w, h);
+
+    ctx.textAlign = 'left';
+    ctx.fillStyle = palette.cautionOrange;
+    ctx.font = 'bold 12px DigitalDisco, monospace';
+    ctx.fillText('[F8] EVENT INSPECTOR', x + 12, y + 20);
+
+    // Counts per type (with subscriber counts)
+    ctx.font = '10px DigitalDisco, monospace';
+    let lineY = y + 42;
+    const counts = bus.getCounts();
+    counts.slice(0, 8).forEach(([type, count], index) => {
+      const column = index % 2;
+      ctx.fillStyle = '#88aacc';
+      ctx.fillText(`${type} x${count} (${bus.getSubscriberCount(type)} subs)`, x + 12 + column * 224, lineY);
+      if (column === 1) lineY += 15;
+    });
+    if (counts.length === 0) {
+      ctx.fillText('No events yet', x + 12, lineY);
+    }
+    lineY = y + 112;
+
+    ctx.strokeStyle = 'rgba(68, 136, 255, 0.4)';
+    ctx.beginPath();
+    ctx.moveTo(x + 10, lineY - 12);
+    ctx.lineTo(x + w - 10, lineY - 12);
+    ctx.stroke();
+
+    // Recent events, newest first
+    for (const entry of bus.history.slice(0, 24)) {
+      const seconds = (entry.time / 1000).toFixed(1).padStart(7);
+      ctx.fillStyle = palette.statusGreen;
+      ctx.fillText(`${seconds}s ${entry.type}`, x + 12, lineY);
+      ctx.fillStyle = palette.starWhite;
+      const details = describePayload(entry.payload);
+      ctx.fillText(details.length > 46 ? `${details.slice(0, 45)}…` : details, x + 190, lineY);
+      lineY += 16;
+    }
+    ctx.restore();
+  }
+
+  /**
+   * EVENT PANEL - Random events and their outcomes (RandomEventSystem)
+   */
+  renderEventPanel(ctx) {
+    const palette = this.game.PALETTE;
+    const events = this.game.randomEventSystem;
+    if (!events || !events.isActive()) return;
+
+    const event = events.getEvent();
+    const options = events.getOptions();
+    const resolved = events.active.stage === 'result';
+    this.game.eventButtonBounds = [];
+
+    const w = 760;
+    const h = 420;
+    const x = (this.game.width - w) / 2;
+    const y = (this.game.height - h) / 2;
+
+    this.drawTerminalPanel(ctx, x, y, w, h, `[EVENT] ${event.name.toUpperCase()}`, palette);
+
+    ctx.save();
+
+    // Event text, then the outcome lines
+    this.drawDataPanel(ctx, x + 20, y + 70, w - 40, 180, palette);
+    ctx.font = '12px DigitalDisco, monospace';
+    ctx.fillStyle = palette.starWhite;
+    let lineY = y + 95;
+    for (const line of this.wrapTextToArray(events.getText(), w - 80, ctx)) {
+      ctx.fillText(line, x + 40, lineY);
+      lineY += 18;
+    }
+    if (resolved) {
+      lineY += 6;
+      ctx.font = 'bold 12px DigitalDisco, monospace';
+      for (const line of events.active.summary) {
+        ctx.fillStyle = line.loss ? palette.alertRed : palette.statusGreen;
+        ctx.fillText(line.text, x + 40, lineY);
+        lineY += 18;
+      }
+    }
+
+    // Choices (gambles show their odds)
+    let optionY = y + 265;
+    const optionH = 26;
+    options.forEach((option, index) => {
+      const selected = index === events.selectedIndex;
+      if (selected) {
+        ctx.fillStyle = 'rgba(68, 136, 255, 0.2)';
+        ctx.fillRect(x + 20, optionY, w - 40, optionH);
+        ctx.strokeStyle = palette.statusBlue;
+        ctx.lineWidth = 1;
+        ctx.strokeRect(x + 20, optionY, w - 40, optionH);
+      }
+
+      ctx.fillStyle = selected ? palette.cautionOrange : palette.statusBlue;
+      ctx.font = 'bold 12px DigitalDisco, monospace';
+      ctx.fillText(`${index + 1}.`, x + 32, optionY + 17);
+      ctx.fillStyle = selected ? palette.starWhite : '#aabbcc';
+      ctx.font = '12px DigitalDisco, monospace';
+      const odds = option.choice && option.choice.chance !== undefined ? ` (${Math.round(events.getChance(option.choice) * 100)}%)` : '';
+      ctx.fillText(`${option.text}${odds}`, x + 60, optionY + 17);
+
+      this.game.eventButtonBounds.push({
+        x: x + 20,
+        y: optionY,
+        w: w - 40,
+        h: optionH,
+        action: () => events.choose(index)
+      });
+      optionY += optionH + 4;
+    });
+
+    // CRT effects
+    this.drawScanlines(ctx, x, y, w, h);
+
+    ctx.shadowBlur = 5;
+    ctx.shadowColor = palette.statusBlue;
+    ctx.fillStyle = '#88aacc';
+    ctx.font = '11px DigitalDisco, monospace';
+    ctx.textAlign = 'center';
+    ctx.fillText(resolved ? '[ENTER] Continue' : '[1-9] Choose | [↑↓] Select | [ENTER] Confirm', x + w / 2, y + h - 18);
+    ctx.restore();
+  }
+
   /**
    * POPUP WINDOW - For celestial bodies, stations, and other interactive objects
    */
@@ -3485,7 +4756,10 @@ export class UIRenderer {
     if (isMobile) {
       ctx.fillText('[Tap button to perform action] [Tap outside to close]', x + w / 2, y + h - 25);
     } else {
-      ctx.fillText('[Click button / Press Enter] [↑↓ to navigate] [ESC to close]', x + w / 2, y + h - 25);
+      const hint = this.game.inputMapper.lastDevice === 'gamepad'
+        ? '[A to select] [D-PAD to navigate] [B to close]'
+        : '[Click button / Press Enter] [↑↓ to navigate] [ESC to close]';
+      ctx.fillText(hint, x + w / 2, y + h - 25);
     }
     ctx.restore();
   }
@@ -3935,9 +5209,11 @@ export class UIRenderer {
     ctx.fillStyle = '#88aacc';
     ctx.font = '12px DigitalDisco, monospace';
     ctx.textAlign = 'center';
+    const mapper = this.game.inputMapper;
+    const launchHint = `[${mapper.getPromptLabels('launch')}] Launch`;
     const controlText = p.surfaceResources && p.surfaceResources.length > 0
-      ? '[C or E] Collect Resources | [SPACE or L] Launch'
-      : '[SPACE or L] Launch';
+      ? `[${mapper.getPromptLabels('collect')}] Collect Resources | ${launchHint}`
+      : launchHint;
     ctx.fillText(controlText, x + w / 2, controlsY);
 
     // CRT effects
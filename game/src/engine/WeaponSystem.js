@@ -11,10 +11,23 @@
  * 8. Point Defense - Auto-targeting defensive weapons
  */
 
+/**
+ * Ships the player's homing, area and auto-targeting weapons go for: hostiles and ships
+ * already fighting back. Peaceful traffic and neutrals are only hit when aimed at.
+ */
+export const isPlayerTarget = (ship) => !!(ship.isHostile || ship.provoked);
+
 export class WeaponSystem {
   constructor() {
     this.weapons = [];
     this.activeWeaponIndex = 0;
+
+    // Crew gunner skill (set by CrewSystem)
+    this.spreadMultiplier = 1.0;
+    this.aimError = 0;
+
+    // Difficulty profile (set by DifficultySystem)
+    this.damageMultiplier = 1.0;
   }
 
   /**
@@ -310,6 +323,7 @@ export class WeaponSystem {
     // Consume energy
     ship.power -= weapon.energyCost;
     weapon.cooldown = weapon.maxCooldown;
+    const firstShot = projectiles.length;
 
     // Special handling for different weapon types
     if (weapon.type === 'point_defense' && weapon.autoTarget) {
@@ -326,6 +340,14 @@ export class WeaponSystem {
       this.fireStandard(ship, weapon, targetAngle, projectiles);
     }
 
+    if (this.damageMultiplier !== 1) {
+      for (let i = firstShot; i < projectiles.length; i++) {
+        const projectile = projectiles[i];
+        projectile.damage *= this.damageMultiplier;
+        if (projectile.explosionDamage) projectile.explosionDamage *= this.damageMultiplier;
+      }
+    }
+
     return true;
   }
 
@@ -334,7 +356,7 @@ export class WeaponSystem {
    */
   fireStandard(ship, weapon, targetAngle, projectiles) {
     for (let i = 0; i < weapon.burstCount; i++) {
-      const spread = (Math.random() - 0.5) * weapon.spread;
+      const spread = (Math.random() - 0.5) * (weapon.spread + this.aimError) * this.spreadMultiplier;
       const angle = targetAngle + spread;
 
       // Dual weapon mounts
@@ -379,6 +401,7 @@ export class WeaponSystem {
 
     if (enemies) {
       for (const enemy of enemies) {
+        if (!isPlayerTarget(enemy)) continue;
         const dx = enemy.x - ship.x;
         const dy = enemy.y - ship.y;
         const dist = Math.sqrt(dx * dx + dy * dy);
@@ -427,6 +450,7 @@ export class WeaponSystem {
 
     if (enemies) {
       for (const enemy of enemies) {
+        if (!isPlayerTarget(enemy)) continue;
         const dx = enemy.x - ship.x;
         const dy = enemy.y - ship.y;
         const dist = Math.sqrt(dx * dx + dy * dy);
@@ -554,6 +578,7 @@ export class WeaponSystem {
     // If no projectiles, target nearest enemy
     if (!target && enemies) {
       for (const enemy of enemies) {
+        if (!isPlayerTarget(enemy)) continue;
         const dx = enemy.x - ship.x;
         const dy = enemy.y - ship.y;
         const dist = Math.sqrt(dx * dx + dy * dy);
@@ -609,6 +634,7 @@ export class WeaponSystem {
    * Switch to next weapon
    */
   nextWeapon() {
+    if (this.weapons.length === 0) return null;
     this.activeWeaponIndex = (this.activeWeaponIndex + 1) % this.weapons.length;
     return this.weapons[this.activeWeaponIndex];
   }
@@ -617,6 +643,7 @@ export class WeaponSystem {
    * Switch to previous weapon
    */
   previousWeapon() {
+    if (this.weapons.length === 0) return null;
     this.activeWeaponIndex = (this.activeWeaponIndex - 1 + this.weapons.length) % this.weapons.length;
     return this.weapons[this.activeWeaponIndex];
   }
@@ -660,7 +687,7 @@ export function updateProjectile(proj, dt, enemies, particles) {
       let newTarget = null;
 
       for (const enemy of enemies) {
-        if (enemy.isDead || enemy.hp <= 0) continue;
+        if (enemy.isDead || enemy.hp <= 0 || !isPlayerTarget(enemy)) continue;
         const dx = enemy.x - proj.x;
         const dy = enemy.y - proj.y;
         const dist = Math.sqrt(dx * dx + dy * dy);
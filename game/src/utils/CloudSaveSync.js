@@ -0,0 +1,347 @@
+/**
+ * CloudSaveSync - Sync local saves with the PixelVerse API server
+ * Uploads saves, lists/downloads remote saves and queues uploads while offline
+ *
+ * Local saves live in localStorage under `pixelversum_<slot>`
+ * (SaveSystem: 'autosave', 'save_1'..., GameStateManager: 'save_<id>'),
+ * the remote slot name is the key without the prefix.
+ */
+
+const KEY_PREFIX = 'pixelversum_';
+const PLAYER_ID_KEY = 'pixelversum_player_id';
+const QUEUE_KEY = 'pixelversum_sync_queue';
+const API_BASE = `${import.meta.env?.VITE_API_URL || ''}/api/savegame`;
+const REQUEST_TIMEOUT = 8000; // ms
+
+// Saves whose playtime differs by less than this are treated as the same progress
+const PLAYTIME_TOLERANCE = 1000;
+
+let online = true;
+let flushing = null;
+let initialized = false;
+
+/**
+ * Map a remote slot to its localStorage key and back
+ */
+export const slotToKey = (slot) => `${KEY_PREFIX}${slot}`;
+export const keyToSlot = (key) => key.replace(KEY_PREFIX, '');
+
+/**
+ * Anonymous per-browser player id used to namespace saves on the server
+ */
+export const getPlayerId = () => {
+  let playerId = localStorage.getItem(PLAYER_ID_KEY);
+  if (!playerId) {
+    playerId = typeof crypto !== 'undefined' && crypto.randomUUID
+      ? crypto.randomUUID()
+      : `pilot_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    localStorage.setItem(PLAYER_ID_KEY, playerId);
+  }
+  return playerId;
+};
+
+/**
+ * Whether the last request reached the server
+ */
+export const isOnline = () => online;
+
+/**
+ * fetch() with a timeout. Network failures reject, HTTP errors resolve.
+ */
+const request = async (path, options = {}) => {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), REQUEST_TIMEOUT);
+
+  try {
+    const response = await fetch(`${API_BASE}${path}`, {
+      ...options,
+      headers: { 'Content-Type': 'application/json', ...options.headers },
+      signal: controller.signal
+    });
+    online = response.status < 500; // Dev proxy answers 5xx when the API is down
+    const body = await response.json().catch(() => ({}));
+    return { ok: response.ok, status: response.status, body };
+  } catch (error) {
+    online = false;
+    throw error;
+  } finally {
+    clearTimeout(timer);
+  }
+};
+
+/**
+ * Upload queue (slot names only - the latest local copy is sent on flush)
+ */
+export const getQueuedSlots = () => {
+  try {
+    return JSON.parse(localStorage.getItem(QUEUE_KEY)) || [];
+  } catch (error) {
+    return [];
+  }
+};
+
+const setQueuedSlots = (slots) => {
+  localStorage.setItem(QUEUE_KEY, JSON.stringify(slots));
+};
+
+const enqueue = (slot) => {
+  const slots = getQueuedSlots().filter(s => s !== slot);
+  slots.push(slot);
+  setQueuedSlots(slots);
+};
+
+const dequeue = (slot) => {
+  setQueuedSlots(getQueuedSlots().filter(s => s !== slot));
+};
+
+/**
+ * Queue a slot for the next flush after an upload failed unexpectedly
+ * (save paths upload in the background and catch with this)
+ */
+export const queueUpload = (slot, error) => {
+  console.warn(`[CloudSync] Upload of ${slot} failed, queued for retry: ${error && error.message}`);
+  try {
+    enqueue(slot);
+  } catch (queueError) {
+    console.error(`[CloudSync] Could not queue ${slot}:`, queueError);
+  }
+};
+
+/**
+ * POST a save, without touching the queue
+ */
+const postSave = async (slot, saveData) => {
+  const { ok, status, body } = await request('/save', {
+    method: 'POST',
+    body: JSON.stringify({
+      playerId: getPlayerId(),
+      slot,
+      saveName: saveData.saveName || saveData.name || null,
+      gameState: saveData
+    })
+  });
+
+  if (!ok) {
+    return { success: false, status, error: body.error || `HTTP ${status}` };
+  }
+  return { success: true, timestamp: body.timestamp };
+};
+
+/**
+ * Upload a save. Queued for later if the server is unreachable.
+ * @param {string} slot - Remote slot name ('autosave', 'save_1', ...)
+ * @param {Object} saveData - Save object as written to localStorage
+ */
+export const uploadSave = async (slot, saveData) => {
+  try {
+    const result = await postSave(slot, saveData);
+    if (result.success) {
+      dequeue(slot);
+      flushUploadQueue();
+    } else if (result.status >= 500) {
+      enqueue(slot);
+      return { ...result, queued: true };
+    } else {
+      // Rejected (validation, slot limit) - retrying won't help
+      console.warn(`[CloudSync] Upload of ${slot} rejected: ${result.error}`);
+    }
+    return result;
+  } catch (error) {
+    console.log(`[CloudSync] Server unreachable, queued ${slot} for upload`);
+    enqueue(slot);
+    return { success: false, queued: true, error: error.message };
+  }
+};
+
+/**
+ * Retry queued uploads in order. Stops at the first network failure.
+ */
+export const flushUploadQueue = () => {
+  if (flushing) return flushing;
+
+  flushing = (async () => {
+    let uploaded = 0;
+    for (const slot of getQueuedSlots()) {
+      const json = localStorage.getItem(slotToKey(slot));
+      if (!json) {
+        dequeue(slot);
+        continue;
+      }
+
+      try {
+        const result = await postSave(slot, JSON.parse(json));
+        if (!result.success && result.status >= 500) break;
+        dequeue(slot);
+        if (result.success) uploaded++;
+      } catch (error) {
+        break;
+      }
+    }
+
+    if (uploaded > 0) {
+      console.log(`[CloudSync] Uploaded ${uploaded} queued save(s)`);
+    }
+    return { success: true, uploaded, remaining: getQueuedSlots().length };
+  })().finally(() => {
+    flushing = null;
+  });
+
+  return flushing;
+};
+
+/**
+ * List remote save summaries for this player
+ */
+export const listRemoteSaves = async () => {
+  try {
+    const { ok, body } = await request(`/list/${encodeURIComponent(getPlayerId())}`);
+    if (!ok) {
+      return { success: false, error: body.error, saves: [] };
+    }
+    return { success: true, saves: body.saves || [] };
+  } catch (error) {
+    return { success: false, error: error.message, saves: [] };
+  }
+};
+
+/**
+ * Download a remote save and keep a local copy of it
+ */
+export const downloadSave = async (slot) => {
+  try {
+    const { ok, body } = await request(`/load/${encodeURIComponent(getPlayerId())}/${encodeURIComponent(slot)}`);
+    if (!ok) {
+      return { success: false, error: body.error || 'Save not found' };
+    }
+
+    try {
+      localStorage.setItem(slotToKey(slot), JSON.stringify(body.gameState));
+      dequeue(slot);
+    } catch (error) {
+      console.warn(`[CloudSync] Could not cache ${slot} locally:`, error.message);
+    }
+
+    return { success: true, gameState: body.gameState };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Delete a remote save (best effort, not queued)
+ */
+export const deleteRemoteSave = async (slot) => {
+  dequeue(slot);
+  try {
+    const { ok, body } = await request(`/delete/${encodeURIComponent(getPlayerId())}/${encodeURIComponent(slot)}`, {
+      method: 'DELETE'
+    });
+    return ok ? { success: true } : { success: false, error: body.error };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Decide which copy of a slot to keep when it exists locally and remotely.
+ * The newer save wins, unless it has less playtime than the older one
+ * (it was continued from an older state on another device) - then the
+ * copy with more progress wins.
+ * @param {Object} local - Local save ({ timestamp, playtime })
+ * @param {Object} remote - Remote summary ({ savedAt, playtime })
+ * @returns {'local'|'remote'|'equal'}
+ */
+export const resolveConflict = (local, remote) => {
+  if (!remote) return 'local';
+  if (!local) return 'remote';
+
+  const localTime = local.timestamp || 0;
+  const remoteTime = remote.savedAt || remote.timestamp || 0;
+  if (localTime === remoteTime) return 'equal';
+
+  const newer = localTime > remoteTime ? 'local' : 'remote';
+  const older = newer === 'local' ? 'remote' : 'local';
+  const newerPlaytime = (newer === 'local' ? local.playtime : remote.playtime) || 0;
+  const olderPlaytime = (newer === 'local' ? remote.playtime : local.playtime) || 0;
+
+  return newerPlaytime + PLAYTIME_TOLERANCE < olderPlaytime ? older : newer;
+};
+
+/**
+ * Merge local and remote saves into one list for the load screen.
+ * Each entry gets `slot` and `syncStatus`:
+ * 'local' (not uploaded), 'cloud' (remote only), 'synced',
+ * 'local_newer' or 'cloud_newer' (conflict, winner shown).
+ * Local copies that win a conflict are queued for upload.
+ * @param {Array} localSaves - Local saves, each with a `slot`
+ * @param {Array} remoteSaves - Remote summaries from listRemoteSaves()
+ */
+export const mergeSaveLists = (localSaves, remoteSaves) => {
+  const remoteBySlot = new Map(remoteSaves.map(save => [save.slot, save]));
+  const merged = [];
+
+  for (const local of localSaves) {
+    const remote = remoteBySlot.get(local.slot);
+    remoteBySlot.delete(local.slot);
+
+    const winner = resolveConflict(local, remote);
+    if (!remote) {
+      merged.push({ ...local, syncStatus: 'local' });
+    } else if (winner === 'equal') {
+      merged.push({ ...local, syncStatus: 'synced' });
+    } else if (winner === 'local') {
+      enqueue(local.slot);
+      merged.push({ ...local, syncStatus: 'local_newer' });
+    } else {
+      merged.push({
+        ...local,
+        ...remote,
+        timestamp: remote.savedAt || remote.timestamp,
+        syncStatus: 'cloud_newer'
+      });
+    }
+  }
+
+  for (const remote of remoteBySlot.values()) {
+    merged.push({
+      ...remote,
+      id: remote.slot,
+      name: remote.saveName,
+      timestamp: remote.savedAt || remote.timestamp,
+      syncStatus: 'cloud'
+    });
+  }
+
+  merged.sort((a, b) => b.timestamp - a.timestamp);
+  return merged;
+};
+
+/**
+ * Retry queued uploads whenever the browser comes back online
+ */
+export const initCloudSync = () => {
+  if (initialized || typeof window === 'undefined') return;
+  initialized = true;
+
+  window.addEventListener('online', () => flushUploadQueue());
+  if (getQueuedSlots().length > 0) {
+    flushUploadQueue();
+  }
+};
+
+export default {
+  slotToKey,
+  keyToSlot,
+  getPlayerId,
+  isOnline,
+  getQueuedSlots,
+  queueUpload,
+  uploadSave,
+  flushUploadQueue,
+  listRemoteSaves,
+  downloadSave,
+  deleteRemoteSave,
+  resolveConflict,
+  mergeSaveLists,
+  initCloudSync,
+};
@@ -1,8 +1,13 @@
 /**
  * GameStateManager - Save and load game state
  * Handles localStorage operations and game state serialization
+ * Saves use the unified format from SaveMigrations and are mirrored
+ * to the API server through CloudSaveSync
  */
 
+import { uploadSave, queueUpload, deleteRemoteSave, keyToSlot } from './CloudSaveSync.js';
+import { migrateSave } from './SaveMigrations.js';
+
 const SAVE_KEY_PREFIX = 'pixelversum_save_';
 const SETTINGS_KEY = 'pixelversum_settings';
 const STATISTICS_KEY = 'pixelversum_statistics';
@@ -12,63 +17,29 @@ const STATISTICS_KEY = 'pixelversum_statistics';
  */
 export const saveGame = (saveId, gameState, saveName) => {
   try {
+    // Store the unified save format (older/partial states are upgraded first)
+    const { save } = migrateSave(gameState);
+    // Permadeath: a run that has ended (and had its saves deleted) is never saved again
+    if (save.gameOver || (save.rules && save.rules.dead)) {
+      return { success: false, error: 'This run has ended' };
+    }
+    // Ironman runs keep their single save (written by the game itself)
+    if (save.rules && save.rules.ironman && saveId !== `ironman_${save.rules.runId}`) {
+      return { success: false, error: 'Ironman runs keep a single save' };
+    }
+    const name = saveName || `SAVE_${new Date().toISOString()}`;
     const saveData = {
+      ...save,
       id: saveId,
-      name: saveName || `SAVE_${new Date().toISOString()}`,
+      name,
+      saveName: name,
       timestamp: Date.now(),
-
-      // Player data
-      callsign: gameState.player?.callsign || 'UNKNOWN',
-      shipName: gameState.player?.shipName || 'UNNAMED',
-      shipColor: gameState.player?.color || 'blue',
-
-      // Game progress
-      playtime: gameState.playtime || 0,
-      currentSystem: gameState.currentSystem || null,
-      systemsExplored: gameState.systemsExplored || 0,
-      galaxySize: gameState.galaxySize || 'medium',
-      difficulty: gameState.difficulty || 'adventurer',
-      seed: gameState.seed || null,
-
-      // Player state
-      player: {
-        x: gameState.player?.x || 0,
-        y: gameState.player?.y || 0,
-        vx: gameState.player?.vx || 0,
-        vy: gameState.player?.vy || 0,
-        rotation: gameState.player?.rotation || 0,
-        hp: gameState.player?.hp || 100,
-        maxHp: gameState.player?.maxHp || 100,
-        shield: gameState.player?.shield || 100,
-        maxShield: gameState.player?.maxShield || 100,
-        power: gameState.player?.power || 100,
-        maxPower: gameState.player?.maxPower || 100,
-        fuel: gameState.player?.fuel || 100,
-        maxFuel: gameState.player?.maxFuel || 100,
-      },
-
-      // Economy
-      credits: gameState.credits || 0,
-      cargo: gameState.cargo || [],
-
-      // Statistics
-      statistics: gameState.statistics || {
-        enemiesDestroyed: 0,
-        shotsFired: 0,
-        shotsHit: 0,
-        damageDealt: 0,
-        damageTaken: 0,
-        resourcesMined: 0,
-        artifactsFound: 0,
-        jumpsExecuted: 0,
-      },
-
-      // Status flags
-      crewAlive: gameState.player?.hp > 0,
-      gameOver: gameState.gameOver || false,
     };
 
-    localStorage.setItem(`${SAVE_KEY_PREFIX}${saveId}`, JSON.stringify(saveData));
+    const saveKey = `${SAVE_KEY_PREFIX}${saveId}`;
+    localStorage.setItem(saveKey, JSON.stringify(saveData));
+    const slot = keyToSlot(saveKey);
+    uploadSave(slot, saveData).catch(error => queueUpload(slot, error));
     return { success: true, saveData };
   } catch (error) {
     console.error('Failed to save game:', error);
@@ -134,6 +105,7 @@ export const deleteSave = (saveId) => {
       : `${SAVE_KEY_PREFIX}${saveId}`;
 
     localStorage.removeItem(saveKey);
+    deleteRemoteSave(keyToSlot(saveKey));
     return { success: true };
   } catch (error) {
     console.error('Failed to delete save:', error);
@@ -0,0 +1,408 @@
+/**
+ * SaveMigrations - Versioned save format migration pipeline
+ * Upgrades any older save step by step to the current format and repairs
+ * invalid fields, reporting every repair instead of silently defaulting.
+ *
+ * Format history:
+ * - v0: flat state from Game.getGameState / GameStateManager (player.hp, top-level seed/credits)
+ * - v1: SaveSystem.gatherSaveData (player.hull, galaxy/economy sections)
+ * - v2: unified format written by both save paths (adds view, statistics, difficulty)
+ * - v3: adds the fitted ship loadout (outfitting); galaxies are generated from sfc32
+ *   instead of the legacy LCG
+ * - v4: adds the faction war simulation (factionState)
+ * - v5: adds treaties, breach manhunts and faction ranks (diplomacy)
+ * - v6: adds conversation flags and history (dialogue)
+ * - v7: adds the random event stream and history (randomEvents)
+ * - v8: adds the difficulty profile and its mid-run change log (difficultyState)
+ * - v9: adds the run id and ironman/permadeath rules (rules)
+ * - v10: adds multi-step achievement progress (achievements)
+ * - v11: records the galaxy random stream (galaxy.stream)
+ */
+
+export const CURRENT_SAVE_FORMAT = 11;
+
+const DEFAULT_STATISTICS = {
+  enemiesDestroyed: 0,
+  civiliansDestroyed: 0,
+  shotsFired: 0,
+  shotsHit: 0,
+  damageDealt: 0,
+  damageTaken: 0,
+  resourcesMined: 0,
+  artifactsFound: 0,
+  jumpsExecuted: 0,
+};
+
+// Registered migrations: fromVersion -> { description, migrate(save, report) }
+const migrations = new Map();
+
+/**
+ * Register a migration step from `fromVersion` to `fromVersion + 1`.
+ * Steps that only add a section need no migrate function - the section
+ * starts at its SCHEMA default.
+ */
+export const registerMigration = (fromVersion, description, migrate = save => save) => {
+  if (migrations.has(fromVersion)) {
+    throw new Error(`Migration from v${fromVersion} already registered`);
+  }
+  migrations.set(fromVersion, { description, migrate });
+};
+
+/**
+ * Detect the format version of a save (saves without a version are v0)
+ */
+export const detectSaveFormat = (save) => {
+  return Number.isInteger(save.saveFormatVersion) ? save.saveFormatVersion : 0;
+};
+
+/**
+ * Collects repairs made while migrating a save
+ */
+class MigrationReport {
+  constructor(fromVersion) {
+    this.fromVersion = fromVersion;
+    this.toVersion = CURRENT_SAVE_FORMAT;
+    this.steps = [];
+    this.repairs = [];
+  }
+
+  repair(field, from, to, reason) {
+    this.repairs.push({ field, from, to, reason });
+  }
+
+  get changed() {
+    return this.steps.length > 0 || this.repairs.length > 0;
+  }
+}
+
+// === Path helpers ===
+
+const getPath = (obj, path) => path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), obj);
+
+const setPath = (obj, path, value) => {
+  const keys = path.split('.');
+  const last = keys.pop();
+  let target = obj;
+  for (const key of keys) {
+    if (target[key] === null || typeof target[key] !== 'object') {
+      target[key] = {};
+    }
+    target = target[key];
+  }
+  target[last] = value;
+};
+
+const TYPE_CHECKS = {
+  number: value => typeof value === 'number' && Number.isFinite(value),
+  string: value => typeof value === 'string' && value.length > 0,
+  boolean: value => typeof value === 'boolean',
+  array: value => Array.isArray(value),
+  object: value => value !== null && typeof value === 'object' && !Array.isArray(value),
+  nullableNumber: value => value === null || (typeof value === 'number' && Number.isFinite(value)),
+  nullableObject: value => value === null || (typeof value === 'object' && !Array.isArray(value)),
+};
+
+// Current field schema: [path, type, default, format that added it]
+// Fields missing from saves older than their format get the default without a repair
+const SCHEMA = [
+  ['version', 'string', '0.2.0'],
+  ['saveName', 'string', 'Unnamed Save'],
+  ['timestamp', 'number', 0],
+  ['playtime', 'number', 0],
+  ['difficulty', 'string', 'adventurer'],
+  ['galaxySize', 'string', 'medium'],
+
+  ['player.x', 'number', 0],
+  ['player.y', 'number', 0],
+  ['player.vx', 'number', 0],
+  ['player.vy', 'number', 0],
+  ['player.rotation', 'number', 0],
+  ['player.hull', 'number', 100],
+  ['player.maxHull', 'number', 100],
+  ['player.shields', 'number', 50],
+  ['player.maxShields', 'number', 50],
+  ['player.power', 'number', 100],
+  ['player.maxPower', 'number', 100],
+  ['player.fuel', 'number', 100],
+  ['player.maxFuel', 'number', 100],
+  ['player.callsign', 'string', 'NOVA-7'],
+  ['player.shipName', 'string', 'WANDERER'],
+  ['player.color', 'string', 'blue'],
+  ['player.kills', 'number', 0],
+  ['player.score', 'number', 0],
+  ['player.level', 'number', 1],
+  ['player.experience', 'number', 0],
+
+  ['galaxy.seed', 'nullableNumber', null],
+  ['galaxy.stream', 'string', 'sfc32', 11],
+  ['galaxy.currentSystemIndex', 'number', 0],
+  ['galaxy.currentSystemSeed', 'nullableNumber', null],
+  ['galaxy.discoveredSystems', 'array', []],
+  ['galaxy.exploredSystems', 'array', []],
+
+  ['view.scene', 'string', 'system'],
+  ['view.camera.x', 'number', 0],
+  ['view.camera.y', 'number', 0],
+  ['view.camera.zoom', 'number', 1],
+  ['view.interstellarX', 'number', 0],
+  ['view.interstellarY', 'number', 0],
+
+  ['economy.credits', 'number', 0],
+  ['economy.cargo', 'array', []],
+  ['economy.cargoCapacity', 'number', 50],
+
+  ['factions', 'nullableObject', null],
+  ['artifacts.inventory', 'array', []],
+  ['artifacts.assembled', 'array', []],
+  ['missions', 'nullableObject', null],
+  ['crew', 'nullableObject', null],
+  ['outfitting', 'nullableObject', null, 3],
+  ['factionState', 'nullableObject', null, 4],
+  ['diplomacy', 'nullableObject', null, 5],
+  ['dialogue', 'nullableObject', null, 6],
+  ['randomEvents', 'nullableObject', null, 7],
+  ['difficultyState', 'nullableObject', null, 8],
+  ['rules', 'nullableObject', null, 9],
+  ['achievements', 'nullableObject', null, 10],
+  ['statistics', 'object', DEFAULT_STATISTICS],
+  ['flags', 'object', {}],
+  ['gameOver', 'boolean', false],
+];
+
+// Values that must stay within [min, max-path]
+const RANGES = [
+  ['player.hull', 0, 'player.maxHull'],
+  ['player.shields', 0, 'player.maxShields'],
+  ['player.power', 0, 'player.maxPower'],
+  ['player.fuel', 0, 'player.maxFuel'],
+  ['economy.credits', 0, null],
+  ['playtime', 0, null],
+];
+
+/**
+ * Check every schema field, replacing invalid values with defaults (reported)
+ */
+const repairFields = (save, report) => {
+  for (const [path, type, fallback, since = 0] of SCHEMA) {
+    const value = getPath(save, path);
+    if (TYPE_CHECKS[type](value)) continue;
+
+    const to = fallback !== null && typeof fallback === 'object' ? structuredClone(fallback) : fallback;
+    setPath(save, path, to);
+    if (value === undefined && report.fromVersion < since) continue;
+    report.repair(path, value, to, value === undefined ? 'missing' : `invalid ${type}`);
+  }
+
+  for (const [path, min, maxPath] of RANGES) {
+    const value = getPath(save, path);
+    const max = maxPath ? getPath(save, maxPath) : Infinity;
+    const clamped = Math.min(Math.max(value, min), max);
+    if (clamped !== value) {
+      setPath(save, path, clamped);
+      report.repair(path, value, clamped, 'out of range');
+    }
+  }
+
+  // Summary copies used by save lists and the API server
+  save.callsign = save.player.callsign;
+  save.shipName = save.player.shipName;
+  save.credits = save.economy.credits;
+  save.systemsExplored = save.galaxy.discoveredSystems.length;
+  save.crewAlive = save.player.hull > 0;
+};
+
+/**
+ * Upgrade a save of any known format to the current format.
+ * Throws if the save is not an object or comes from a newer game.
+ * @param {Object} rawSave - Parsed save data (not modified)
+ * @returns {{ save: Object, report: MigrationReport }}
+ */
+export const migrateSave = (rawSave) => {
+  if (!rawSave || typeof rawSave !== 'object') {
+    throw new Error('Save data is not an object');
+  }
+
+  const fromVersion = detectSaveFormat(rawSave);
+  if (fromVersion > CURRENT_SAVE_FORMAT) {
+    throw new Error(`Save format v${fromVersion} is newer than supported v${CURRENT_SAVE_FORMAT}`);
+  }
+
+  const report = new MigrationReport(fromVersion);
+  let save = structuredClone(rawSave);
+
+  for (let version = fromVersion; version < CURRENT_SAVE_FORMAT; version++) {
+    const step = migrations.get(version);
+    if (!step) {
+      throw new Error(`No migration registered from save format v${version}`);
+    }
+    save = step.migrate(save, report);
+    save.saveFormatVersion = version + 1;
+    report.steps.push(`v${version} -> v${version + 1}: ${step.description}`);
+  }
+
+  repairFields(save, report);
+
+  if (report.changed) {
+    report.steps.forEach(step => console.log(`[SaveMigration] ${step}`));
+    report.repairs.forEach(({ field, from, to, reason }) => {
+      console.warn(`[SaveMigration] Repaired ${field} (${reason}): ${JSON.stringify(from)} -> ${JSON.stringify(to)}`);
+    });
+  }
+
+  return { save, report };
+};
+
+// === Migration steps ===
+
+registerMigration(0, 'flat game state to sectioned save', (state, report) => {
+  const player = state.player || {};
+
+  // Old flat saves stored hull/shields as hp/shield
+  const renamed = (newKey, oldKey) => {
+    if (player[newKey] !== undefined) return player[newKey];
+    if (player[oldKey] !== undefined) {
+      report.repair(`player.${newKey}`, undefined, player[oldKey], `renamed from player.${oldKey}`);
+    }
+    return player[oldKey];
+  };
+
+  const migratedPlayer = {
+    ...player,
+    hull: renamed('hull', 'hp'),
+    maxHull: renamed('maxHull', 'maxHp'),
+    shields: renamed('shields', 'shield'),
+    maxShields: renamed('maxShields', 'maxShield'),
+    callsign: player.callsign || state.callsign,
+    shipName: player.shipName || state.shipName,
+    color: player.color || state.shipColor,
+  };
+  delete migratedPlayer.hp;
+  delete migratedPlayer.maxHp;
+  delete migratedPlayer.shield;
+  delete migratedPlayer.maxShield;
+
+  return {
+    version: state.version,
+    saveName: state.saveName || state.name,
+    saveType: state.saveType || 'manual',
+    timestamp: state.timestamp,
+    playtime: state.playtime,
+    difficulty: state.difficulty,
+    galaxySize: state.galaxySize,
+
+    player: migratedPlayer,
+
+    galaxy: {
+      seed: state.seed,
+      currentSystemIndex: state.currentSystemIndex,
+      currentSystemSeed: state.currentSystem,
+      discoveredSystems: state.discoveredSystems,
+      exploredSystems: state.exploredSystems,
+    },
+
+    economy: {
+      credits: state.credits,
+      cargo: state.cargo,
+    },
+
+    // Carried over for the v1 -> v2 step
+    camera: state.camera,
+    scene: state.scene,
+    interstellarPlayerX: state.interstellarPlayerX,
+    interstellarPlayerY: state.interstellarPlayerY,
+    statistics: state.statistics,
+    missions: state.missions,
+    crew: state.crew,
+    gameOver: state.gameOver,
+  };
+});
+
+registerMigration(1, 'unified save format', (save, report) => {
+  const player = { ...save.player };
+  const economy = { ...save.economy };
+
+  // Credits lived on the player in v1, the economy owns them now
+  if (economy.credits === undefined && player.credits !== undefined) {
+    report.repair('economy.credits', undefined, player.credits, 'moved from player.credits');
+    economy.credits = player.credits;
+  }
+  delete player.credits;
+
+  if (player.color === undefined && player.shipColor !== undefined) {
+    player.color = player.shipColor;
+  }
+  delete player.shipColor;
+
+  // v1 kept a reduced "stats" block instead of the full statistics
+  let statistics = save.statistics;
+  if (!statistics && save.stats) {
+    statistics = {
+      ...DEFAULT_STATISTICS,
+      enemiesDestroyed: save.stats.enemiesDestroyed || 0,
+      jumpsExecuted: save.stats.warpJumps || 0,
+      systemsExplored: save.stats.systemsVisited || 0,
+      totalCreditsEarned: save.stats.creditsEarned || 0,
+    };
+    report.repair('statistics', undefined, 'rebuilt', 'converted from stats');
+  }
+
+  const camera = save.camera || {};
+
+  return {
+    version: save.version,
+    saveName: save.saveName,
+    saveType: save.saveType,
+    timestamp: save.timestamp,
+    playtime: save.playtime,
+    difficulty: save.difficulty,
+    galaxySize: save.galaxySize,
+    player,
+    galaxy: { ...save.galaxy },
+    view: {
+      scene: save.scene,
+      camera: { x: camera.x, y: camera.y, zoom: camera.zoom },
+      interstellarX: save.interstellarPlayerX,
+      interstellarY: save.interstellarPlayerY,
+    },
+    economy,
+    factions: save.factions,
+    artifacts: save.artifacts,
+    missions: save.missions,
+    crew: save.crew,
+    statistics,
+    flags: save.flags,
+    gameOver: save.gameOver,
+  };
+});
+
+// Sections added by v3-v10 start at their SCHEMA default (null): the class starter fit,
+// fresh faction borders, no treaties, conversations or event history, an empty
+// difficulty change log, no run rules and achievements from their first step
+
+registerMigration(2, 'ship loadout', (save) => {
+  // Galaxies before v3 regenerate from the old stream (later ones default to sfc32)
+  return { ...save, galaxy: { ...save.galaxy, stream: 'legacy' } };
+});
+
+registerMigration(3, 'faction war state');
+registerMigration(4, 'diplomacy');
+registerMigration(5, 'dialogue');
+registerMigration(6, 'random events');
+registerMigration(7, 'difficulty profile');
+registerMigration(8, 'run rules');
+
+registerMigration(9, 'achievement progress', (save) => {
+  // Placeholder achievement lists are replaced by the real ones on the next save
+  if (!save.statistics) return save;
+  const { achievements, ...statistics } = save.statistics;
+  return { ...save, statistics };
+});
+
+registerMigration(10, 'galaxy random stream');
+
+export default {
+  CURRENT_SAVE_FORMAT,
+  registerMigration,
+  detectSaveFormat,
+  migrateSave,
+};
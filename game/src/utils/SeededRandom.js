@@ -1,16 +1,90 @@
 /**
  * Seeded Random Number Generator
  * Provides deterministic random numbers for procedural generation
+ *
+ * Uses sfc32 (128-bit state, 32-bit output) seeded through splitmix32, so
+ * nearby seeds give unrelated sequences. Named substreams (fork) let each
+ * subsystem draw its own numbers without shifting the others.
  */
+
+// Final avalanche step of MurmurHash3 - spreads every input bit over the output
+const mix32 = (h) => {
+  h ^= h >>> 16;
+  h = Math.imul(h, 0x85ebca6b);
+  h ^= h >>> 13;
+  h = Math.imul(h, 0xc2b2ae35);
+  h ^= h >>> 16;
+  return h >>> 0;
+};
+
+// FNV-1a over the characters, then mixed
+const hashString = (str) => {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    h = Math.imul(h ^ str.charCodeAt(i), 0x01000193);
+  }
+  return mix32(h);
+};
+
+// Any seed (integer, float, string) to a 32-bit value
+const toSeed32 = (seed) => {
+  if (typeof seed === 'number' && Number.isSafeInteger(seed)) {
+    const high = Math.floor(seed / 0x100000000);
+    return mix32((seed >>> 0) ^ mix32(high + 0x9e3779b9));
+  }
+  return hashString(String(seed));
+};
+
 export class SeededRandom {
+  /**
+   * @param {number|string} seed - Any integer or string
+   */
   constructor(seed) {
-    this.seed = seed;
     this.initialSeed = seed; // Store initial seed for reference
+
+    // splitmix32 expands the seed into the four state words
+    let s = toSeed32(seed);
+    const splitmix = () => {
+      s = (s + 0x9e3779b9) | 0;
+      return mix32(s);
+    };
+    this.a = splitmix();
+    this.b = splitmix();
+    this.c = splitmix();
+    this.d = splitmix();
+  }
+
+  /**
+   * Derive a 32-bit seed from a parent seed and keys, e.g.
+   * deriveSeed(galaxySeed, 'system', 12). Different keys give unrelated seeds.
+   */
+  static deriveSeed(seed, ...keys) {
+    let h = toSeed32(seed);
+    for (const key of keys) {
+      h = mix32(Math.imul(h, 0x9e3779b1) ^ hashString(String(key)));
+    }
+    return h;
+  }
+
+  /**
+   * Named substream. Depends only on this generator's seed and the name,
+   * not on how many numbers were drawn, so adding draws to one subsystem
+   * never changes another.
+   * @param {...(string|number)} names - e.g. fork('market') or fork('system', 4)
+   */
+  fork(...names) {
+    return new SeededRandom(SeededRandom.deriveSeed(this.initialSeed, ...names));
   }
 
   next() {
-    this.seed = (this.seed * 9301 + 49297) % 233280;
-    return this.seed / 233280;
+    // sfc32
+    const t = (((this.a + this.b) | 0) + this.d) | 0;
+    this.d = (this.d + 1) | 0;
+    this.a = this.b ^ (this.b >>> 9);
+    this.b = (this.c + (this.c << 3)) | 0;
+    this.c = (this.c << 21) | (this.c >>> 11);
+    this.c = (this.c + t) | 0;
+    return (t >>> 0) / 4294967296;
   }
 
   // Alias for next() to match common RNG interfaces
@@ -44,4 +118,37 @@ export class SeededRandom {
   nextInt(max) {
     return Math.floor(this.next() * max);
   }
+
+  // Random number in a [min, max] pair
+  randomRange([min, max]) {
+    return this.range(min, max);
+  }
+
+  // Key of a { key: weight } map, picked in proportion to its weight (null if none is positive)
+  pickWeighted(weights) {
+    const entries = Object.entries(weights).filter(([, weight]) => weight > 0);
+    const total = entries.reduce((sum, [, weight]) => sum + weight, 0);
+    let roll = this.next() * total;
+    for (const [key, weight] of entries) {
+      roll -= weight;
+      if (roll <= 0) return key;
+    }
+    return entries.length > 0 ? entries[entries.length - 1][0] : null;
+  }
+}
+
+/**
+ * The linear congruential generator used before sfc32. Kept only so galaxies
+ * of older saves (GalaxyGenerator 'legacy' stream) regenerate unchanged.
+ */
+export class LegacySeededRandom extends SeededRandom {
+  constructor(seed) {
+    super(seed);
+    this.seed = seed;
+  }
+
+  next() {
+    this.seed = (this.seed * 9301 + 49297) % 233280;
+    return this.seed / 233280;
+  }
 }